@@ -0,0 +1,182 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Server-side AutoRemove (`docker run --rm`): the containers created with
+ * `HostConfig.AutoRemove` are recorded in the docker_autoremove bucket (see
+ * lib/models/autoremove.js), checked periodically and deleted once they have
+ * exited, whether or not a client is still attached to them.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+
+var AutoRemove = require('../../models/autoremove');
+var dueChecks = require('./due-checks');
+var utils = require('./utils');
+
+
+// --- Globals
+
+// How often (in milliseconds) a container is checked for having exited.
+var CHECK_INTERVAL = 5 * 1000;
+
+// How long to wait (in milliseconds) before retrying a failed removal.
+var RETRY_INTERVAL = 60 * 1000;
+
+
+
+// --- Internal helpers
+
+
+/*
+ * Returns true if the container has run and exited, as opposed to a created
+ * container that hasn't been started yet (see `_containerStatusFromVmobj`
+ * in ./utils.js for how these are told apart).
+ */
+function hasExited(vm) {
+    return (vm.state === 'stopped'
+        && (vm.hasOwnProperty('exit_timestamp')
+        || (vm.internal_metadata
+        && vm.internal_metadata.hasOwnProperty('docker:restartcount'))));
+}
+
+
+/*
+ * Checks one (claimed) container, deleting it if it has exited. The record of
+ * a container that's already gone is deleted, and other containers are just
+ * rescheduled.
+ */
+function checkAutoRemove(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.autoRemove, 'opts.autoRemove');
+    assert.object(opts.log, 'opts.log');
+    assert.func(callback, 'callback');
+
+    var autoRemove = opts.autoRemove;
+    var log = opts.log.child({vm_uuid: autoRemove.vm_uuid}, true);
+    var req_id = libuuid.create();
+
+    function reschedule(interval, cb) {
+        AutoRemove.update(opts.app, log, {
+            next_check: Date.now() + interval,
+            vm_uuid: autoRemove.vm_uuid
+        }, cb);
+    }
+
+    dueChecks.getCheckedVm({
+        app: opts.app,
+        log: log,
+        model: AutoRemove,
+        record: autoRemove,
+        req_id: req_id
+    }, function (err, vm) {
+        if (err || !vm) {
+            callback(err);
+            return;
+        }
+
+        if (!hasExited(vm)) {
+            reschedule(CHECK_INTERVAL, callback);
+            return;
+        }
+
+        log.info('container has exited, removing it');
+
+        // This also deletes the container links and autoremove record.
+        opts.app.backend.deleteContainer({
+            account: {uuid: autoRemove.owner_uuid},
+            app: opts.app,
+            force: false,
+            id: utils.dockerIdFromVmObj(vm),
+            link: false,
+            log: log,
+            req_id: req_id,
+            vm: vm
+        }, function (delErr) {
+            if (delErr) {
+                log.warn({err: delErr}, 'could not remove container');
+                reschedule(RETRY_INTERVAL, callback);
+                return;
+            }
+            callback();
+        });
+    });
+}
+
+
+
+// --- Exported functions
+
+
+/**
+ * Records that the given container is to be deleted once it exits (see
+ * `runAutoRemoves`).
+ *
+ * @param {Object} opts
+ * @param {Object} opts.app App instance
+ * @param {Object} opts.log Bunyan log instance
+ * @param {Object} opts.vm The container VM (or VM payload)
+ * @param callback {Function} `function (err)`
+ */
+function recordAutoRemove(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.vm, 'opts.vm');
+    assert.func(callback, 'callback');
+
+    AutoRemove.create(opts.app, opts.log, {
+        next_check: Date.now() + CHECK_INTERVAL,
+        owner_uuid: opts.vm.owner_uuid,
+        vm_uuid: opts.vm.uuid
+    }, function (err) {
+        callback(err);
+    });
+}
+
+
+/**
+ * Deletes the AutoRemove containers (of all accounts) which have exited. This
+ * is called periodically by the App (see `App.prototype.initAutoRemove`).
+ *
+ * @param {Object} opts
+ * @param {Object} opts.app App instance
+ * @param {Object} opts.log Bunyan log instance
+ * @param callback {Function} `function (err)`
+ */
+function runAutoRemoves(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+    assert.func(callback, 'callback');
+
+    dueChecks.runDueChecks({
+        app: opts.app,
+        check: function (autoRemove, cb) {
+            checkAutoRemove({
+                app: opts.app,
+                autoRemove: autoRemove,
+                log: opts.log
+            }, cb);
+        },
+        desc: 'autoremove',
+        log: opts.log,
+        model: AutoRemove
+    }, callback);
+}
+
+
+module.exports = {
+    hasExited: hasExited,
+    recordAutoRemove: recordAutoRemove,
+    runAutoRemoves: runAutoRemoves
+};
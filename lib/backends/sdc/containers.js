@@ -30,8 +30,12 @@ var vasync = require('vasync');
 var VMAPI = require('sdc-clients').VMAPI;
 
 var affinity = require('./affinity');
+var AutoRemove = require('../../models/autoremove');
+var autoremove = require('./autoremove');
 var common = require('../../../lib/common');
 var errors = require('../../../lib/errors');
+var Health = require('../../models/health');
+var health = require('./health');
 var images = require('./images');
 var Link = require('../../models/link');
 var mod_containers = require('../../containers');
@@ -78,6 +82,13 @@ var PACKAGE_SELECTION_LABEL = 'com.joyent.package';
 var BAD_PKG_NAME_RE = /[\_\-\.][\_\-\.]/;
 var PKG_NAME_RE = /^[a-zA-Z0-9]([a-zA-Z0-9\_\-\.]+)?[a-zA-Z0-9]$/;
 
+// The values accepted by the `docker ps --filter health=...` filter.
+var HEALTH_FILTER_VALUES = ['starting', 'healthy', 'unhealthy', 'none'];
+
+// The `docker ps` filters we support.
+var PS_FILTERS = ['ancestor', 'before', 'exited', 'expose', 'health', 'id',
+    'label', 'name', 'network', 'publish', 'since', 'status', 'volume'];
+
 
 //---- internal support routines
 
@@ -105,6 +116,14 @@ function getImgapiClient(config) {
     return _imgapiClientCache;
 }
 
+function getNapiClient(config) {
+    if (!_napiClientCache) {
+        // intentionally global
+        _napiClientCache = new NAPI(config);
+    }
+    return _napiClientCache;
+}
+
 function getVmapiClient(config) {
     if (!_vmapiClientCache) {
         // intentionally global
@@ -1432,6 +1451,28 @@ function getVolumeInfoFromBindString(dockerVolumeBindString) {
     return volumeInfo;
 }
 
+/*
+ * Returns the 'docker:restartpolicy' internal_metadata value for the given
+ * docker RestartPolicy object, e.g. 'always' or 'on-failure:3', or undefined
+ * when the container shouldn't be restarted.
+ */
+function restartPolicyToInternalMetadata(restartPolicy) {
+    if (!restartPolicy || !restartPolicy.Name) {
+        return undefined;
+    }
+
+    if (restartPolicy.Name === 'always') {
+        return 'always';
+    } else if (restartPolicy.Name === 'on-failure') {
+        if (restartPolicy.MaximumRetryCount) {
+            return 'on-failure:' + restartPolicy.MaximumRetryCount.toString();
+        }
+        return 'on-failure';
+    }
+
+    return undefined;
+}
+
 function addNfsVolumesToPayload(opts, payload, binds) {
     assert.object(opts, 'opts');
     assert.object(payload, 'payload');
@@ -1466,6 +1507,7 @@ function buildVmPayload(opts, container, callback) {
         opts.config.experimental_docker_nfs_shared_volumes;
     var dockerNfsVolumesAutomount =
         opts.config.experimental_docker_automount_nfs_shared_volumes;
+    var healthcheck;
     var imgConfig = opts.image.config || {};
     var log = opts.log;
     var logConfig = {};
@@ -1551,20 +1593,15 @@ function buildVmPayload(opts, container, callback) {
         payload.internal_metadata['docker:workdir'] = container.WorkingDir;
     }
 
-    restartPolicy = container.RestartPolicy
-        || container.HostConfig && container.HostConfig.RestartPolicy;
-    if (restartPolicy && restartPolicy.Name) {
-        if (restartPolicy.Name === 'always') {
-            payload.internal_metadata['docker:restartpolicy'] = 'always';
-        } else if (restartPolicy.Name === 'on-failure') {
-            if (restartPolicy.MaximumRetryCount) {
-                payload.internal_metadata['docker:restartpolicy'] =
-                    'on-failure:' + restartPolicy.MaximumRetryCount.toString();
-            } else {
-                payload.internal_metadata['docker:restartpolicy']
-                    = 'on-failure';
-            }
-        }
+    restartPolicy = restartPolicyToInternalMetadata(container.RestartPolicy
+        || container.HostConfig && container.HostConfig.RestartPolicy);
+    if (restartPolicy) {
+        payload.internal_metadata['docker:restartpolicy'] = restartPolicy;
+    }
+
+    // The container is deleted once it exits, see ./autoremove.js.
+    if (container.HostConfig && container.HostConfig.AutoRemove) {
+        payload.internal_metadata['docker:autoremove'] = true;
     }
 
     // This was already validated in lib/validate.js
@@ -2150,6 +2187,13 @@ function buildVmPayload(opts, container, callback) {
                 payload.internal_metadata['docker:user'] = imgConfig.User;
             }
 
+            healthcheck = utils.mergeHealthcheck(container.Healthcheck,
+                imgConfig.Healthcheck);
+            if (healthcheck) {
+                payload.internal_metadata['docker:healthcheck'] =
+                    JSON.stringify(healthcheck);
+            }
+
             cb();
 
         }, function (_, cb) {
@@ -2331,6 +2375,117 @@ function getContainerCount(opts, callback) {
     });
 }
 
+/*
+ * Find which of the images of the given containers are, or are descendants
+ * of, the images given to the `docker ps` ancestor filter (image names, ids or
+ * digests). Calls back with the set of matching docker image ids, i.e.
+ * 'docker:imageid' internal_metadata values.
+ */
+function findAncestorImageIds(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.arrayOfString(opts.ancestors, 'opts.ancestors');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+    assert.arrayOfObject(opts.vmobjs, 'opts.vmobjs');
+    assert.func(callback, 'callback');
+
+    var ancestorIds = {};
+    var imageIds = [];
+    var log = opts.log;
+    var matching = {};
+
+    function imgId(img) {
+        return img.config_digest || img.docker_id;
+    }
+
+    opts.vmobjs.forEach(function (vmobj) {
+        var id = vmobj.internal_metadata
+            && vmobj.internal_metadata['docker:imageid'];
+        if (id && imageIds.indexOf(id) === -1) {
+            imageIds.push(id);
+        }
+    });
+
+    function resolveAncestor(name, cb) {
+        images.imgFromName({
+            account: opts.account,
+            app: opts.app,
+            log: log,
+            name: name
+        }, function (err, img) {
+            if (img) {
+                ancestorIds[imgId(img)] = true;
+            } else if (!err) {
+                log.debug('ancestor filter: no image %s', name);
+            }
+            cb(err);
+        });
+    }
+
+    // A container image matches if an ancestor is in its history.
+    function checkImage(id, cb) {
+        if (ancestorIds[id]) {
+            matching[id] = true;
+            cb();
+            return;
+        }
+
+        images.imgFromName({
+            account: opts.account,
+            app: opts.app,
+            log: log,
+            name: id
+        }, function (err, img) {
+            if (err || !img) {
+                // The image of a container may have been deleted since.
+                log.debug({err: err, id: id},
+                    'ancestor filter: could not find container image');
+                cb();
+                return;
+            }
+
+            images.getImageAncestry({
+                account: opts.account,
+                app: opts.app,
+                img: img,
+                log: log
+            }, function (ancestryErr, ancestry) {
+                if (ancestryErr) {
+                    log.warn({err: ancestryErr, id: id},
+                        'ancestor filter: could not get image ancestry');
+                } else if (ancestry.some(function (a) {
+                    return ancestorIds[imgId(a)];
+                })) {
+                    matching[id] = true;
+                }
+                cb();
+            });
+        });
+    }
+
+    vasync.forEachParallel({
+        inputs: opts.ancestors,
+        func: resolveAncestor
+    }, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        if (Object.keys(ancestorIds).length === 0) {
+            callback(null, matching);
+            return;
+        }
+
+        vasync.forEachParallel({
+            inputs: imageIds,
+            func: checkImage
+        }, function () {
+            callback(null, matching);
+        });
+    });
+}
+
 /*
  * This function loads takes the .vmobjs from opts and loads the other required
  * data from fwapi and the pkgmapUtoN mapping (of package uuids to names) and
@@ -2340,19 +2495,30 @@ function getContainersForVms(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.app, 'opts.app');
     assert.number(opts.clientApiVersion, 'opts.clientApiVersion');
+    assert.optionalObject(opts.fwrulesByVm, 'opts.fwrulesByVm');
+    assert.optionalObject(opts.healthByVm, 'opts.healthByVm');
     assert.object(opts.log, 'opts.log');
     assert.object(opts.pkgmapUtoN, 'opts.pkgmapUtoN');
     assert.array(opts.vmobjs, 'opts.vmobjs');
     assert.func(callback, 'callback');
 
     var fwapi = getFwapiClient(opts.app.config.fwapi);
+    var fwrulesByVm = opts.fwrulesByVm || {};
+    var healthByVm = opts.healthByVm || {};
     var pkgmapUtoN = opts.pkgmapUtoN;
     var vmobjs = opts.vmobjs;
 
+    function _getVMrules(vmobj, cb) {
+        // The rules may have been loaded already, for the port filters.
+        if (fwrulesByVm.hasOwnProperty(vmobj.uuid)) {
+            cb(null, fwrulesByVm[vmobj.uuid]);
+            return;
+        }
+        fwapi.getVMrules(vmobj.uuid, {owner_uuid: vmobj.owner_uuid}, cb);
+    }
+
     function _containerForVmObj(vmobj, cb) {
-        fwapi.getVMrules(vmobj.uuid, {
-            owner_uuid: vmobj.owner_uuid
-        }, function (err, fwrules) {
+        _getVMrules(vmobj, function (err, fwrules) {
             if (err) {
                 callback(err);
                 return;
@@ -2361,6 +2527,7 @@ function getContainersForVms(opts, callback) {
             utils.vmobjToContainer({
                 clientApiVersion: opts.clientApiVersion,
                 app: opts.app,
+                health: healthByVm[vmobj.uuid],
                 log: opts.log
             }, vmobj, fwrules, function _addPkgLabel(e, container) {
                 if (!e) {
@@ -2417,14 +2584,27 @@ function getContainers(opts, callback) {
     assert.optionalObject(opts.log, 'opts.log');
     assert.string(opts.req_id, 'opts.req_id');
 
+    var ancestorImageIds = {};
     var filters;
+    var fwrulesByVm;
+    var healthByVm = {};
+    var invalidFilters;
     var log = opts.log || this.log;
+    var networkUuids = {};
     var pkgmapNtoU = {};
     var pkgmapUtoN = {};
+    var portFilterErr;
+    var portFilters = {};
     var vmapi = opts.app.vmapi;
 
     if (opts.filters) {
-        filters = JSON.parse(opts.filters);
+        try {
+            filters = JSON.parse(opts.filters);
+        } catch (parseErr) {
+            callback(new errors.ValidationError(parseErr,
+                'invalid filters: ' + parseErr.message));
+            return;
+        }
         filters = utils.getNormalizedFilters(filters);
         if (filters instanceof Error) {
             callback(new errors.DockerError('invalid filters: ' + filters));
@@ -2432,6 +2612,30 @@ function getContainers(opts, callback) {
         }
         log.debug({filters: filters}, 'getContainers: filters');
 
+        invalidFilters = Object.keys(filters).filter(function (name) {
+            return PS_FILTERS.indexOf(name) === -1;
+        });
+        if (invalidFilters.length > 0) {
+            callback(new errors.ValidationError(util.format(
+                'Invalid filter \'%s\'', invalidFilters[0])));
+            return;
+        }
+
+        // Parse the port filters upfront, to fail early on invalid values.
+        ['expose', 'publish'].forEach(function (name) {
+            portFilters[name] = (filters[name] || []).map(function (val) {
+                var portFilter = utils.parsePortFilter(val);
+                if (portFilter instanceof Error && !portFilterErr) {
+                    portFilterErr = portFilter;
+                }
+                return portFilter;
+            });
+        });
+        if (portFilterErr) {
+            callback(portFilterErr);
+            return;
+        }
+
         // Issue joyent/sdc-docker#110.
         // To be able to filter on status, we must ensure we are getting all the
         // containers, otherwise a filter against 'exited' status would not
@@ -2584,6 +2788,110 @@ function getContainers(opts, callback) {
 
                 cb();
             });
+        }, function _loadHealth(stash, cb) {
+            // Load the healthcheck results, for the status and health filter.
+            var hasHealthcheck = stash.objects.some(function (vmobj) {
+                return (vmobj.internal_metadata
+                    && vmobj.internal_metadata['docker:healthcheck']);
+            });
+
+            if (!hasHealthcheck) {
+                cb();
+                return;
+            }
+
+            Health.find(opts.app, log, {
+                owner_uuid: opts.account.uuid
+            }, function _loadedHealth(err, healths) {
+                if (err) {
+                    cb(new errors.DockerError(err,
+                        'problem loading container health'));
+                    return;
+                }
+
+                healths.forEach(function (h) {
+                    healthByVm[h.vm_uuid] = h;
+                });
+                cb();
+            });
+        }, function _resolveAncestors(stash, cb) {
+            if (!filters || !filters.ancestor) {
+                cb();
+                return;
+            }
+
+            findAncestorImageIds({
+                account: opts.account,
+                ancestors: filters.ancestor,
+                app: opts.app,
+                log: log,
+                vmobjs: stash.objects
+            }, function (err, imageIds) {
+                ancestorImageIds = imageIds;
+                cb(err);
+            });
+        }, function _resolveNetworks(stash, cb) {
+            if (!filters || !filters.network) {
+                cb();
+                return;
+            }
+
+            vasync.forEachParallel({
+                inputs: filters.network,
+                func: function _resolveNetwork(name, next) {
+                    mod_networks.findNetworkOrPoolByNameOrId(name, {
+                        account: opts.account,
+                        app: opts.app,
+                        config: opts.app.config,
+                        log: log,
+                        req_id: opts.req_id
+                    }, function (err, network) {
+                        // As docker, an unknown network matches nothing.
+                        if (err instanceof errors.NetworkNotFoundError) {
+                            next();
+                            return;
+                        } else if (err) {
+                            next(err);
+                            return;
+                        }
+
+                        networkUuids[network.uuid] = true;
+                        // A pool stands for all its networks.
+                        (network.networks || []).forEach(function (uuid) {
+                            networkUuids[uuid] = true;
+                        });
+                        next();
+                    });
+                }
+            }, function (err) {
+                cb(err);
+            });
+        }, function _loadFwrules(stash, cb) {
+            var fwapi;
+
+            // The published ports are only known from the firewall rules.
+            if (!filters || (!filters.publish && !filters.expose)) {
+                cb();
+                return;
+            }
+
+            fwapi = getFwapiClient(opts.app.config.fwapi);
+            fwrulesByVm = {};
+            vasync.forEachPipeline({
+                inputs: stash.objects,
+                func: function _getVMrules(vmobj, next) {
+                    fwapi.getVMrules(vmobj.uuid, {
+                        owner_uuid: vmobj.owner_uuid
+                    }, function (err, fwrules) {
+                        if (!err) {
+                            fwrulesByVm[vmobj.uuid] = fwrules;
+                        }
+                        next(err);
+                    });
+                }
+            }, function (err) {
+                cb(err);
+            });
         }, function _filterFilter(stash, cb) {
             var filterErr;
             var objects = stash.objects;
@@ -2620,7 +2928,8 @@ function getContainers(opts, callback) {
                         }
                         objects = objects.filter(
                             function _filterState(entry) {
-                                return entry.state === sdcStatus;
+                                return utils.vmMatchesStatusFilter(entry,
+                                    sdcStatus);
                             }
                         );
                     });
@@ -2719,6 +3028,47 @@ function getContainers(opts, callback) {
                             return false;
                         });
                     }
+                } else if (field === 'health') {
+                    // val is an *array* of acceptable health statuses, where
+                    // 'none' is for containers without a healthcheck.
+                    for (var h = 0; h < val.length; h++) {
+                        if (HEALTH_FILTER_VALUES.indexOf(val[h]) === -1) {
+                            filterErr = new errors.DockerError(
+                                'Unrecognised filter value for health');
+                            return;
+                        }
+                    }
+                    objects = objects.filter(function _filterHealth(entry) {
+                        var health = utils.containerHealthFromVmobj(entry,
+                            healthByVm[entry.uuid]);
+                        return val.indexOf(health ? health.Status : 'none')
+                            !== -1;
+                    });
+                } else if (field === 'ancestor') {
+                    objects = objects.filter(function _filterAncestor(entry) {
+                        return ancestorImageIds.hasOwnProperty(
+                            entry.internal_metadata['docker:imageid']);
+                    });
+                } else if (field === 'network') {
+                    objects = objects.filter(function _filterNetwork(entry) {
+                        return (entry.nics || []).some(function (nic) {
+                            return networkUuids[nic.network_uuid];
+                        });
+                    });
+                } else if (field === 'volume') {
+                    objects = objects.filter(function _filterVolume(entry) {
+                        return val.some(function (volume) {
+                            return utils.vmobjHasVolume(entry, volume);
+                        });
+                    });
+                } else if (field === 'publish' || field === 'expose') {
+                    objects = objects.filter(function _filterPorts(entry) {
+                        var ports = utils.containerPortsFromVmobj({log: log},
+                            entry, fwrulesByVm[entry.uuid] || [])[field];
+                        return portFilters[field].some(function (pf) {
+                            return utils.portFilterMatches(pf, ports);
+                        });
+                    });
                 } else if (field === 'before' || field === 'since') {
                     match = findContainerIdMatch(val[0], objects);
                     if (!match) {
@@ -2774,6 +3124,8 @@ function getContainers(opts, callback) {
         getContainersForVms({
             app: opts.app,
             clientApiVersion: opts.clientApiVersion,
+            fwrulesByVm: fwrulesByVm,
+            healthByVm: healthByVm,
             log: log,
             pkgmapUtoN: pkgmapUtoN,
             vmobjs: objects
@@ -2803,6 +3155,8 @@ function createContainer(opts, callback) {
         _addLinks,
         _createVm,
         _saveLinks,
+        _saveHealthcheck,
+        _saveAutoRemove,
         _postProvision
     ], _done);
 
@@ -2884,6 +3238,50 @@ function createContainer(opts, callback) {
         storeLinks(opts, linkDetails, cb);
     }
 
+    function _saveHealthcheck(cb) {
+        var healthcheck = vm_payload.internal_metadata['docker:healthcheck'];
+
+        if (!healthcheck) {
+            cb();
+            return;
+        }
+
+        healthcheck = JSON.parse(healthcheck);
+        Health.create(opts.app, log, {
+            healthcheck: healthcheck,
+            next_check: Date.now() + health.healthcheckInterval(healthcheck),
+            owner_uuid: vm_payload.owner_uuid,
+            vm_uuid: vm_payload.uuid
+        }, function (err) {
+            if (err) {
+                cb(new errors.DockerError(err,
+                    'problem storing container healthcheck'));
+                return;
+            }
+            cb();
+        });
+    }
+
+    function _saveAutoRemove(cb) {
+        if (!vm_payload.internal_metadata['docker:autoremove']) {
+            cb();
+            return;
+        }
+
+        autoremove.recordAutoRemove({
+            app: opts.app,
+            log: log,
+            vm: vm_payload
+        }, function (err) {
+            if (err) {
+                cb(new errors.DockerError(err,
+                    'problem storing container autoremove'));
+                return;
+            }
+            cb();
+        });
+    }
+
     function _postProvision(cb) {
         opts.app.plugins.postProvision({
             account: opts.account,
@@ -2896,6 +3294,13 @@ function createContainer(opts, callback) {
         if (err) {
             return callback(err);
         }
+        opts.app.backend.recordEvent({
+            account: opts.account,
+            action: 'create',
+            app: opts.app,
+            log: log,
+            vm: vm_payload
+        });
         callback(null, { DockerId: vm_payload.internal_metadata['docker:id'] });
     }
 }
@@ -2938,6 +3343,13 @@ function stopContainer(opts, callback) {
         }
 
         log.debug('job: ' + JSON.stringify(job));
+        opts.app.backend.recordEvent({
+            account: opts.account,
+            action: 'stop',
+            app: opts.app,
+            log: log,
+            vm: opts.vm
+        });
         callback();
     });
 }
@@ -2992,6 +3404,13 @@ function restartContainer(opts, callback) {
             }
 
             log.debug('job: ' + JSON.stringify(job));
+            opts.app.backend.recordEvent({
+                account: opts.account,
+                action: 'restart',
+                app: opts.app,
+                log: log,
+                vm: opts.vm
+            });
             callback();
         });
     });
@@ -3048,45 +3467,200 @@ function killContainer(opts, callback) {
         }
 
         log.debug('job: ' + JSON.stringify(job));
+        opts.app.backend.recordEvent({
+            account: opts.account,
+            action: 'kill',
+            app: opts.app,
+            attributes: {signal: String(killParams.signal)},
+            log: log,
+            vm: opts.vm
+        });
         callback();
     });
 }
 
-/**
- * Check if the vm needs an internal_metadata update before the vm is started.
- * If an update is needed, this function will return an 'update' object that
- * can be passed to the vmapi.startVm call.
+/*
+ * Pause or unpause a container.
  *
- * @param callback {Function} `function (err, update)`
+ * There's no freezer for the processes of a zone, so pausing sends SIGSTOP to
+ * the container's processes (and unpausing SIGCONT). The paused state is
+ * recorded in the 'docker:paused' internal_metadata key, as the boot_timestamp
+ * of the VM at the time it was paused: when the container gets restarted it's
+ * no longer considered as paused (see `utils.isPausedVm`).
+ *
+ * The state is recorded before stopping the processes (and removed after
+ * continuing them), so that a container whose processes are stopped is always
+ * reported as paused and can be unpaused. If stopping the processes fails, the
+ * recorded state is rolled back.
  */
-function checkForContainerUpdate(opts, callback) {
+function _setContainerPaused(opts, paused, callback) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.log, 'opts.log');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.vm, 'opts.vm');
+    assert.bool(paused, 'paused');
+    assert.func(callback, 'callback');
+
     var log = opts.log || this.log;
+    var vm = opts.vm;
+    var vmapi = opts.app.vmapi;
+    var dockerId = utils.dockerIdFromVmObj(vm);
 
-    // Docker links: compare the internal_metadata to see if the configuration
-    //               has changed.
-    var params = {
+    if (vm.state !== 'running') {
+        callback(new errors.DockerContainerNotRunningError(null,
+            util.format('Container %s is not running', dockerId)));
+        return;
+    }
+    if (paused && utils.isPausedVm(vm)) {
+        callback(new errors.DockerContainerPausedError(null,
+            util.format('Container %s is already paused', dockerId)));
+        return;
+    }
+    if (!paused && !utils.isPausedVm(vm)) {
+        callback(new errors.DockerContainerNotPausedError(null,
+            util.format('Container %s is not paused', dockerId)));
+        return;
+    }
+
+    var errMsg = util.format('problem %s container',
+        (paused ? 'pausing' : 'unpausing'));
+    var headers = { headers: { 'x-request-id': opts.req_id } };
+    var killParams = {
+        context: opts.context,
+        creator_uuid: opts.creator_uuid,
+        idempotent: true,
+        log: log,
+        origin: opts.origin,
         owner_uuid: opts.account.uuid,
-        container_uuid: opts.vm.uuid
+        signal: (paused ? 'SIGSTOP' : 'SIGCONT'),
+        sync: true,
+        uuid: vm.uuid
+    };
+    var updateParams = {
+        log: log,
+        owner_uuid: opts.account.uuid,
+        payload: {},
+        sync: true,
+        uuid: vm.uuid
     };
-    Link.find(opts.app, log, params, function (err, links) {
-        if (err) {
-            log.error(err, 'Error finding links');
-            return callback(errors.vmapiErrorWrap(err,
-                'problem starting container'));
-        }
-
-        var im = opts.vm.internal_metadata;
-        var configLinks;
-
-        // If there were no links before and none now, then nothing to do.
-        if (!im || (!links && !im['docker:linkHosts'])) {
-            return callback();
-        }
 
-        log.debug('checkForContainerUpdate links: ', links);
+    if (paused) {
+        updateParams.payload.set_internal_metadata = {
+            'docker:paused': vm.boot_timestamp
+        };
+    } else {
+        updateParams.payload.remove_internal_metadata = ['docker:paused'];
+    }
 
-        configLinks = links.map(function (link) {
-            return link.host_config;
+    function signalProcesses(_, next) {
+        vmapi.killVm(killParams, headers, function (err, job) {
+            if (err) {
+                next(errors.vmapiErrorWrap(err, errMsg));
+                return;
+            }
+            log.debug({job: job}, 'pause signal job');
+            next();
+        });
+    }
+
+    function updatePausedState(_, next) {
+        vmapi.updateVm(updateParams, headers, function (err, job) {
+            if (err) {
+                next(errors.vmapiErrorWrap(err, errMsg));
+                return;
+            }
+            log.debug({job: job}, 'pause update job');
+            next();
+        });
+    }
+
+    function rollBackPausedState(err) {
+        log.warn({err: err}, 'could not stop the processes of the container, '
+            + 'removing its paused state');
+        vmapi.updateVm({
+            log: log,
+            owner_uuid: opts.account.uuid,
+            payload: {remove_internal_metadata: ['docker:paused']},
+            sync: true,
+            uuid: vm.uuid
+        }, headers, function (updateErr) {
+            if (updateErr) {
+                log.error({err: updateErr},
+                    'could not remove the paused state of the container');
+            }
+            callback(err);
+        });
+    }
+
+    vasync.pipeline({funcs: (paused
+        ? [updatePausedState, signalProcesses]
+        : [signalProcesses, updatePausedState])
+    }, function (err, results) {
+        if (err) {
+            // caller must log
+            if (paused && results.successes.length > 0) {
+                rollBackPausedState(err);
+                return;
+            }
+            callback(err);
+            return;
+        }
+
+        opts.app.backend.recordEvent({
+            account: opts.account,
+            action: (paused ? 'pause' : 'unpause'),
+            app: opts.app,
+            log: log,
+            vm: vm
+        });
+        callback();
+    });
+}
+
+function pauseContainer(opts, callback) {
+    _setContainerPaused.call(this, opts, true, callback);
+}
+
+function unpauseContainer(opts, callback) {
+    _setContainerPaused.call(this, opts, false, callback);
+}
+
+/**
+ * Check if the vm needs an internal_metadata update before the vm is started.
+ * If an update is needed, this function will return an 'update' object that
+ * can be passed to the vmapi.startVm call.
+ *
+ * @param callback {Function} `function (err, update)`
+ */
+function checkForContainerUpdate(opts, callback) {
+    var log = opts.log || this.log;
+
+    // Docker links: compare the internal_metadata to see if the configuration
+    //               has changed.
+    var params = {
+        owner_uuid: opts.account.uuid,
+        container_uuid: opts.vm.uuid
+    };
+    Link.find(opts.app, log, params, function (err, links) {
+        if (err) {
+            log.error(err, 'Error finding links');
+            return callback(errors.vmapiErrorWrap(err,
+                'problem starting container'));
+        }
+
+        var im = opts.vm.internal_metadata;
+        var configLinks;
+
+        // If there were no links before and none now, then nothing to do.
+        if (!im || (!links && !im['docker:linkHosts'])) {
+            return callback();
+        }
+
+        log.debug('checkForContainerUpdate links: ', links);
+
+        configLinks = links.map(function (link) {
+            return link.host_config;
         });
 
         getLinkDetails(opts, configLinks, opts.vm, function (linkErr, details) {
@@ -3154,6 +3728,13 @@ function startContainer(opts, callback) {
             }
 
             log.debug({job: job}, 'created start job');
+            opts.app.backend.recordEvent({
+                account: opts.account,
+                action: 'start',
+                app: opts.app,
+                log: log,
+                vm: opts.vm
+            });
             callback();
         });
     });
@@ -3186,6 +3767,43 @@ function deleteContainer(opts, callback) {
     var data_volumes = [];
     var volume_users = [];
 
+    /*
+     * Likewise, a health record left behind is dropped by the healthcheck
+     * runner once it finds the VM gone.
+     */
+    function deleteHealthRecord(cb) {
+        if (!opts.vm.internal_metadata
+            || !opts.vm.internal_metadata['docker:healthcheck']) {
+            cb();
+            return;
+        }
+
+        Health.del(opts.app, log, {vm_uuid: opts.vm.uuid}, function (err) {
+            if (err) {
+                log.warn({err: err}, 'Error when deleting health record');
+            }
+            cb();
+        });
+    }
+
+    // Likewise for the record of an AutoRemove container.
+    function deleteAutoRemoveRecord(cb) {
+        if (!opts.vm.internal_metadata
+            || !opts.vm.internal_metadata['docker:autoremove']) {
+            cb();
+            return;
+        }
+
+        AutoRemove.del(opts.app, log, {vm_uuid: opts.vm.uuid},
+            function (err) {
+                if (err && err.statusCode !== 404) {
+                    log.warn({err: err},
+                        'Error when deleting autoremove record');
+                }
+                cb();
+            });
+    }
+
     // Sanity check for accidently deleting a container via link.
     if (opts.link) {
         callback(new errors.DockerError(
@@ -3277,6 +3895,13 @@ function deleteContainer(opts, callback) {
                     return;
                 } else {
                     log.info({job: job}, 'Container deleted successfully');
+                    opts.app.backend.recordEvent({
+                        account: opts.account,
+                        action: 'destroy',
+                        app: opts.app,
+                        log: log,
+                        vm: opts.vm
+                    });
 
                     deleteLinks(opts, function onDeleteLinks(delLinksErr) {
                         if (delLinksErr) {
@@ -3292,7 +3917,9 @@ function deleteContainer(opts, callback) {
                          * is that the links bucket will have dangling links,
                          * but this will not impact service.
                          */
-                        callback();
+                        deleteHealthRecord(function () {
+                            deleteAutoRemoveRecord(callback);
+                        });
                     });
 
                 }
@@ -3301,6 +3928,197 @@ function deleteContainer(opts, callback) {
 }
 
 
+/*
+ * Delete the stopped containers of an account that match the given prune
+ * filters (`docker container prune`). Containers that fail to be deleted are
+ * logged and skipped, as docker does.
+ *
+ * @param callback {Function} `function (err, result)` where result is the
+ *      docker prune response, `{ContainersDeleted: [...], SpaceReclaimed: 0}`.
+ */
+function pruneContainers(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.app, 'opts.app');
+    assert.optionalString(opts.filters, 'opts.filters');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.func(callback, 'callback');
+
+    var log = opts.log;
+    var pruneFilters = utils.parsePruneFilters(opts.filters,
+        {now: Date.now()});
+    var result = {
+        ContainersDeleted: [],
+        // The disk space used by a container isn't known.
+        SpaceReclaimed: 0
+    };
+
+    if (pruneFilters instanceof Error) {
+        callback(pruneFilters);
+        return;
+    }
+
+    listDockerVms({
+        account: opts.account,
+        all: true,
+        log: log,
+        req_id: opts.req_id,
+        vmapi: opts.app.vmapi
+    }, function (listErr, vms) {
+        if (listErr) {
+            callback(listErr);
+            return;
+        }
+
+        vms = vms.filter(function (vm) {
+            return vm.state === 'stopped' && utils.pruneFiltersMatch(
+                pruneFilters, new Date(vm.create_timestamp).getTime(),
+                utils.dockerLabelsFromVmTags(vm.tags || {}));
+        });
+
+        log.info({uuids: vms.map(function (vm) { return vm.uuid; })},
+            'pruneContainers: deleting containers');
+
+        vasync.forEachPipeline({
+            inputs: vms,
+            func: function pruneContainer(vm, next) {
+                var dockerId = utils.dockerIdFromVmObj(vm);
+
+                deleteContainer({
+                    account: opts.account,
+                    app: opts.app,
+                    force: false,
+                    id: dockerId,
+                    link: false,
+                    log: log,
+                    req_id: opts.req_id,
+                    vm: vm
+                }, function (err) {
+                    if (err) {
+                        log.warn({err: err, uuid: vm.uuid},
+                            'pruneContainers: could not delete container');
+                    } else {
+                        result.ContainersDeleted.push(dockerId);
+                    }
+                    next();
+                });
+            }
+        }, function () {
+            callback(null, result);
+        });
+    });
+}
+
+
+/*
+ * List all of the account's containers in `docker ps` format, along with the
+ * disk usage fields of `docker system df`:
+ *
+ * - SizeRw/SizeRootFs: the disk quota of the container's package, as the
+ *   actual usage of a container's dataset isn't known.
+ * - ImageID: the id of the container's image.
+ * - Mounts: the NFS shared volumes used by the container.
+ */
+function getContainersDiskUsage(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.app, 'opts.app');
+    assert.number(opts.clientApiVersion, 'opts.clientApiVersion');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.func(callback, 'callback');
+
+    var log = opts.log;
+    var pkgmapUtoN = {};
+    var quotaByPkg = {};
+    var vms;
+
+    vasync.pipeline({funcs: [
+        function _loadPackages(_, next) {
+            loadPackages({
+                log: log,
+                ownerUuid: opts.account.uuid,
+                papiConfig: opts.app.config.papi,
+                reqId: opts.req_id
+            }, function _loadPkgs(err, pkgs) {
+                if (err) {
+                    next(new errors.papiErrorWrap(err,
+                        'problem listing packages'));
+                    return;
+                }
+
+                pkgs.forEach(function _mapPkg(pkg) {
+                    pkgmapUtoN[pkg.uuid] = pkg.name;
+                    // PAPI package quotas are in mebibytes.
+                    quotaByPkg[pkg.uuid] = (pkg.quota || 0) * 1024 * 1024;
+                });
+                next();
+            });
+        },
+
+        function _listVms(_, next) {
+            listDockerVms({
+                account: opts.account,
+                all: true,
+                log: log,
+                req_id: opts.req_id,
+                vmapi: opts.app.vmapi
+            }, function (err, _vms) {
+                vms = _vms;
+                next(err);
+            });
+        }
+    ]}, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        getContainersForVms({
+            app: opts.app,
+            clientApiVersion: opts.clientApiVersion,
+            log: log,
+            pkgmapUtoN: pkgmapUtoN,
+            vmobjs: vms
+        }, function (containersErr, containers) {
+            if (containersErr) {
+                callback(containersErr);
+                return;
+            }
+
+            containers.forEach(function (container, idx) {
+                var vm = vms[idx];
+                var size = quotaByPkg[vm.billing_id];
+
+                if (size === undefined) {
+                    // The package is no longer available to the account,
+                    // fall back to the VM's own quota (in gibibytes).
+                    size = (vm.quota || 0) * 1024 * 1024 * 1024;
+                }
+
+                container.ImageID = vm.internal_metadata['docker:imageid']
+                    || '';
+                container.SizeRw = size;
+                container.SizeRootFs = size;
+                container.Mounts = (vm.volumes || []).map(function (vol) {
+                    return {
+                        Type: 'volume',
+                        Name: vol.name,
+                        Destination: vol.mountpoint,
+                        Driver: 'tritonnfs',
+                        Mode: vol.mode || '',
+                        RW: vol.mode !== 'ro'
+                    };
+                });
+            });
+
+            callback(null, containers);
+        });
+    });
+}
+
+
 function deleteLink(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.app, 'opts.app');
@@ -3418,9 +4236,84 @@ function inspectContainer(opts, callback) {
         });
     }
 
+    // load the network names for NetworkSettings.Networks.
+    function _loadNapiData(cb) {
+        var napi = getNapiClient(opts.app.config.napi);
+        var networkUuids = [];
+
+        vmData.networkNames = {};
+        (opts.vm.nics || []).forEach(function (nic) {
+            if (networkUuids.indexOf(nic.network_uuid) === -1) {
+                networkUuids.push(nic.network_uuid);
+            }
+        });
+
+        vasync.forEachParallel({
+            inputs: networkUuids,
+            func: function _loadNetwork(networkUuid, next) {
+                napi.getNetwork(networkUuid, {}, {
+                    headers: {'x-request-id': opts.req_id}
+                }, function _loadedNetwork(err, network) {
+                    if (err) {
+                        // Not fatal, the network uuid is used instead.
+                        opts.log.warn({err: err, network: networkUuid},
+                            'could not load network for inspect');
+                    } else {
+                        vmData.networkNames[networkUuid] = network.name;
+                    }
+                    next();
+                });
+            }
+        }, function () {
+            cb();
+        });
+    }
+
+    // load the healthcheck results for State.Health.
+    function _loadHealthData(cb) {
+        if (!opts.vm.internal_metadata
+            || !opts.vm.internal_metadata['docker:healthcheck']) {
+            cb();
+            return;
+        }
+
+        Health.find(opts.app, opts.log, {
+            owner_uuid: opts.vm.owner_uuid,
+            vm_uuid: opts.vm.uuid
+        }, function _loadedHealth(err, healths) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            vmData.health = healths[0];
+            cb();
+        });
+    }
+
+    // load the exec sessions (of all sdc-docker instances) for ExecIDs.
+    function _loadExecIds(cb) {
+        var containerId = utils.dockerIdFromVmObj(opts.vm);
+
+        opts.app.sockets.findExecIds({
+            containerId: containerId,
+            owner_uuid: opts.vm.owner_uuid
+        }, function _loadedExecIds(err, ids) {
+            if (err) {
+                // Not fatal, only the execs of this instance are listed.
+                opts.log.warn({err: err}, 'could not load execs for inspect');
+                ids = opts.app.sockets.getExecIds(containerId);
+            }
+            vmData.execIds = ids;
+            cb();
+        });
+    }
+
     vasync.parallel({
         funcs: [
+            _loadExecIds,
             _loadFwapiData,
+            _loadHealthData,
+            _loadNapiData,
             _loadPapiData
         ]
     }, function _inspectDataLoaded(err, results) {
@@ -3489,14 +4382,28 @@ function psContainer(opts, callback) {
     });
 }
 
+/*
+ * Waits for the container to stop, calling back with its exit status. As in
+ * docker, `opts.condition` is one of:
+ *
+ * - 'not-running' (the default): return right away when the container isn't
+ *   running,
+ * - 'next-exit': wait for the next exit of the container, i.e. a stopped
+ *   container has to be started and then stop again,
+ * - 'removed': wait for the container to be removed.
+ */
 function waitContainer(opts, callback) {
     assert.object(opts, 'opts');
+    assert.optionalString(opts.condition, 'opts.condition');
     assert.optionalObject(opts.log, 'opts.log');
     assert.string(opts.req_id, 'opts.req_id');
     assert.object(opts.account, 'opts.account');
     assert.object(opts.vm, 'opts.vm');
     assert.uuid(opts.vm.uuid, 'opts.vm.uuid');
 
+    var condition = opts.condition || 'not-running';
+    var firstVm;
+    var started = false;
     var uuid = opts.vm.uuid;
     var vmapi = opts.app.vmapi;
     var log = (opts.log || this.log).child({vm_uuid: uuid});
@@ -3517,7 +4424,7 @@ function waitContainer(opts, callback) {
     var stopped = false;
     var exitStatusIterations = 15;
 
-    log.debug('waitContainer');
+    log.debug({condition: condition}, 'waitContainer');
 
     function waitVm() {
         vmapi.getVm(waitOpts, waitHeaders, function (getErr, vm) {
@@ -3528,7 +4435,36 @@ function waitContainer(opts, callback) {
                 return;
             }
 
-            if (vm.state === 'stopped') {
+            /*
+             * A removed container won't stop anymore, whatever the condition.
+             * It has no exit status if it was removed while running: -1 is
+             * returned then, as docker does when waiting fails.
+             */
+            if (vm.state === 'destroyed') {
+                log.debug({exit_status: vm.exit_status}, 'VM destroyed');
+                callback(null, (typeof (vm.exit_status) === 'number'
+                    ? vm.exit_status : -1));
+                return;
+            } else if (condition === 'removed') {
+                setTimeout(waitVm, 1000);
+                return;
+            }
+
+            /*
+             * For 'next-exit', the container must have been (re)started since
+             * we began waiting: either seen running, or booted again between
+             * two polls.
+             */
+            if (!firstVm) {
+                firstVm = vm;
+            }
+            if (vm.state !== 'stopped'
+                || vm.boot_timestamp !== firstVm.boot_timestamp) {
+                started = true;
+            }
+
+            if (vm.state === 'stopped'
+                && (condition !== 'next-exit' || started)) {
                 stopped = true;
             }
 
@@ -3581,7 +4517,12 @@ function waitContainer(opts, callback) {
 //
 // execStart will send the same parameters along.
 //
-function execContainer(opts, callback) {
+/*
+ * Creates an exec session, calling back with `(err, cmdId, socketData)`. The
+ * session is registered (and persisted, see lib/socket-manager.js) unless
+ * `opts.transient` is set, e.g. for healthchecks.
+ */
+function execContainer(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.app, 'opts.app');
     assert.object(opts.payload, 'opts.payload');
@@ -3589,6 +4530,10 @@ function execContainer(opts, callback) {
     assert.optionalObject(opts.log, 'opts.log');
     assert.string(opts.req_id, 'opts.req_id');
     assert.object(opts.account, 'opts.account');
+    assert.optionalBool(opts.transient, 'opts.transient');
+    assert.object(opts.vm, 'opts.vm');
+
+    opts.payload = utils.execPayloadFromVmobj(opts.payload, opts.vm);
 
     _runCreateSocket(opts, function (err, cmdId, socketData) {
         if (err) {
@@ -3596,8 +4541,20 @@ function execContainer(opts, callback) {
             return;
         }
 
-        opts.app.sockets.setSocket('exec', cmdId, socketData);
-        callback(null, cmdId);
+        // For `GET /exec/:id/json` and the container's ExecIDs. Detached
+        // commands are already running.
+        socketData.ContainerID = utils.dockerIdFromVmObj(opts.vm);
+        socketData.owner_uuid = opts.account.uuid;
+        socketData.Running = Boolean(opts.payload.Detach);
+
+        if (opts.transient) {
+            callback(null, cmdId, socketData);
+            return;
+        }
+
+        opts.app.sockets.saveSession('exec', cmdId, socketData, function () {
+            callback(null, cmdId, socketData);
+        });
     });
 }
 
@@ -3606,21 +4563,57 @@ function execStart(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.app, 'opts.app');
     assert.string(opts.cmdId, 'opts.cmdId');
+    assert.optionalBool(opts.doNotEncodeData, 'opts.doNotEncodeData');
     assert.optionalString(opts.id, 'opts.id');
     assert.object(opts.log, 'opts.log');
     assert.object(opts.socketData, 'opts.socketData');
     assert.object(opts.account, 'opts.account');
     assert.object(opts.socket, 'opts.socket');
 
+    var command = opts.socketData.command;
+    var sockets = opts.app.sockets;
+    var stopWatchingResizes;
+
+    function applyResize(resize) {
+        execResize({
+            account: opts.account,
+            app: opts.app,
+            h: resize.h,
+            log: opts.log,
+            socketData: opts.socketData,
+            w: resize.w
+        }, function () {});
+    }
+
+    opts.socketData.Running = true;
+    sockets.updateSession('exec', opts.cmdId, function () {});
+
     _runExec(opts, function (err, socketData) {
-        if (err) {
-            callback(err);
-            return;
+        if (stopWatchingResizes) {
+            stopWatchingResizes();
         }
+        opts.socketData.Running = false;
+
+        sockets.updateSession('exec', opts.cmdId, function () {
+            if (err) {
+                callback(err);
+                return;
+            }
 
-        opts.socket.end();
-        callback(null, socketData);
+            opts.socket.end();
+            callback(null, socketData);
+        });
     });
+
+    // Apply the resizes received by other sdc-docker instances, including
+    // before the session was started here.
+    if (command.Tty && sockets.getSocket('exec', opts.cmdId)) {
+        stopWatchingResizes = sockets.watchResizes('exec', opts.cmdId,
+            applyResize);
+        if (opts.socketData.Resize) {
+            applyResize(opts.socketData.Resize);
+        }
+    }
 }
 
 
@@ -3751,8 +4744,10 @@ function _runExec(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.app, 'opts.app');
     assert.string(opts.cmdId, 'opts.cmdId');
+    assert.optionalBool(opts.doNotEncodeData, 'opts.doNotEncodeData');
     assert.optionalString(opts.id, 'opts.id');
     assert.object(opts.log, 'opts.log');
+    assert.optionalBool(opts.noCloseOnSocketEnd, 'opts.noCloseOnSocketEnd');
     assert.object(opts.socketData, 'opts.socketData');
     assert.object(opts.socket, 'opts.socket');
 
@@ -3809,6 +4804,15 @@ function _runExec(opts, callback) {
         cb(error);
     });
 
+    // So can close, without an error, when the socket is destroyed (e.g. by a
+    // healthcheck timeout) before it's connected.
+    serverSocket.on('close', function (had_error) {
+        opts.log.debug('serverSocket %s closed, had_error=%s',
+            cmdString, had_error);
+
+        endSocket();
+    });
+
     function setupListeners() {
         if (socketData.command.AttachStdin) {
             clientSocket.on('data', function (chunk) {
@@ -3831,19 +4835,14 @@ function _runExec(opts, callback) {
         clientSocket.on('error', endSocket);
         clientSocket.on('timeout', endSocket);
 
-        serverSocket.on('close', function (had_error) {
-            opts.log.debug('serverSocket %s closed, had_error=%s',
-                cmdString, had_error);
-
-            endSocket();
-        });
-
         serverSocket.on('end', function () {
             opts.log.debug('serverSocket %s end', cmdString);
         });
 
         var lstream = _createLinestreamParser({
+            doNotEncodeData: opts.doNotEncodeData,
             log: opts.log,
+            noCloseOnSocketEnd: opts.noCloseOnSocketEnd,
             socketData: socketData
         }, clientSocket);
         serverSocket.pipe(lstream);
@@ -3854,6 +4853,7 @@ function _runExec(opts, callback) {
 function _runAttach(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.app, 'opts.app');
+    assert.optionalArrayOfNumber(opts.detachKeys, 'opts.detachKeys');
     assert.optionalBool(opts.doNotEncodeData, 'doNotEncodeData');
     assert.optionalString(opts.id, 'opts.id');
     assert.object(opts.log, 'opts.log');
@@ -3886,7 +4886,16 @@ function _runAttach(opts, callback) {
         socketData.socket = serverSocket;
 
         // Store socket reference immediately
-        opts.app.sockets.setSocket('attach', opts.id, socketData);
+        opts.app.sockets.saveSession('attach', opts.id, socketData,
+            function () {});
+
+        // Resizes received by other sdc-docker instances are queued here.
+        if (socketData.command.Tty) {
+            serverSocket.on('close', opts.app.sockets.watchResizes('attach',
+                opts.id, function (resize) {
+                    opts.app.sockets.pushResize(opts.id, resize);
+                }));
+        }
     } else {
         // Reuse an existing attach session for a new client socket
         setupListeners();
@@ -3911,9 +4920,16 @@ function _runAttach(opts, callback) {
             stream.write(data, writeCb);
         }
 
+        var detached = false;
+        var detachKeys = opts.detachKeys || [];
+        var heldKeys = [];
+
         // When using multi attach the _endSocket callback will be GC'd
         // if defined outside of this scope
         function _endSocket(error) {
+            if (detached) {
+                return;
+            }
             if (error) {
                 opts.log.error('client socket %s threw an error %s',
                     cmdString, error.toString());
@@ -3940,19 +4956,21 @@ function _runAttach(opts, callback) {
 
         var endSocket = once(_endSocket);
 
+        // Detaching leaves the container running (and its stdin open): the
+        // attach is closed without sending an 'end' message.
+        function detach() {
+            opts.log.info('client detached from attach %s', cmdString);
+            detached = true;
+            serverSocket.unpipe(lstream);
+            serverSocket.end();
+            cb();
+        }
+
         // When we are attaching to an interactive TTY session we must support
         // resizing the console so our socket supports resize and data message
         // types. Resize messages are queued by docker when calling
         // /containers/id/resize
-        function onData(chunk) {
-            if (!socketData.command.Tty) {
-                writeData(serverSocket, {
-                    type: 'stdin',
-                    data: chunk.toString()
-                });
-                return;
-            }
-
+        function writeTty(data, writeCb) {
             var resizeData = opts.app.sockets.popResize(opts.id);
 
             if (resizeData) {
@@ -3962,14 +4980,38 @@ function _runAttach(opts, callback) {
                 }, function () {
                     writeData(serverSocket, {
                         type: 'tty',
-                        data: chunk.toString()
-                    });
+                        data: data
+                    }, writeCb);
                 });
             } else {
                 writeData(serverSocket, {
                     type: 'tty',
+                    data: data
+                }, writeCb);
+            }
+        }
+
+        // As with docker, the detach keys are only honoured for TTY sessions.
+        function onData(chunk) {
+            if (!socketData.command.Tty) {
+                writeData(serverSocket, {
+                    type: 'stdin',
                     data: chunk.toString()
                 });
+                return;
+            }
+
+            var scanned = common.scanDetachKeys(detachKeys, heldKeys, chunk);
+
+            if (scanned.detach) {
+                clientSocket.removeListener('data', onData);
+            }
+
+            if (scanned.data.length > 0) {
+                writeTty(scanned.data.toString(),
+                    scanned.detach ? detach : undefined);
+            } else if (scanned.detach) {
+                detach();
             }
         }
 
@@ -3978,6 +5020,9 @@ function _runAttach(opts, callback) {
         }
 
         clientSocket.on('end', function () {
+            if (detached) {
+                return;
+            }
             writeEnd(serverSocket, function () {
                 opts.log.info('clientSocket has closed its stdin');
             });
@@ -4027,6 +5072,48 @@ function execResize(opts, callback) {
 }
 
 
+/*
+ * Writes the existing output of the container to the attach socket (for
+ * `logs=1`), using the same log reader as containerLogs. The socket is left
+ * open for the live stream.
+ */
+function _replayAttachLogs(opts, callback) {
+    var logsOpts = {
+        account: opts.account,
+        app: opts.app,
+        doNotEncodeData: opts.doNotEncodeData || opts.payload.Tty,
+        id: opts.id,
+        log: opts.log,
+        noCloseOnSocketEnd: true,
+        payload: {
+            Container: opts.id,
+            Logs: true,
+            Tail: 'all',
+            Cmd: ['Logs'],
+            Follow: false,
+            Timestamps: false
+        },
+        req_id: opts.req_id,
+        socket: opts.socket,
+        vm: opts.vm
+    };
+
+    _runCreateSocket(logsOpts, function (err, cmdId, socketData) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        logsOpts.cmdId = cmdId;
+        logsOpts.socketData = socketData;
+
+        _runExec(logsOpts, function (execErr) {
+            callback(execErr);
+        });
+    });
+}
+
+
 /*
  * attachContainer resuses _runAttach and _runCreateSocket
  */
@@ -4034,26 +5121,53 @@ function attachContainer(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.app, 'opts.app');
     assert.object(opts.payload, 'opts.payload');
+    assert.optionalArrayOfNumber(opts.detachKeys, 'opts.detachKeys');
     assert.string(opts.id, 'opts.id');
     assert.optionalObject(opts.log, 'opts.log');
+    assert.optionalBool(opts.logs, 'opts.logs');
     assert.optionalBool(opts.doNotEncodeData, 'doNotEncodeData');
     assert.string(opts.req_id, 'opts.req_id');
     assert.object(opts.socket, 'opts.socket');
+    assert.optionalBool(opts.stream, 'opts.stream');
     assert.object(opts.vm, 'opts.vm');
     assert.object(opts.account, 'opts.account');
 
     var log = opts.log;
     var socketData = opts.app.sockets.getSocket('attach', opts.id);
+    var stream = (opts.stream !== false);
 
     vasync.pipeline({
         funcs: [
+            replayLogs,
             createSocket,
             attach
         ]
     }, callback);
 
 
+    function replayLogs(_, next) {
+        if (!opts.logs) {
+            next();
+            return;
+        }
+
+        _replayAttachLogs(opts, function (err) {
+            if (err) {
+                log.error({err: err}, 'backend.attachContainer logs error');
+            }
+            if (err || !stream) {
+                opts.socket.end();
+            }
+            next(err);
+        });
+    }
+
     function createSocket(_, next) {
+        if (!stream) {
+            next();
+            return;
+        }
+
         if (socketData) {
             opts.socketData = socketData;
             next();
@@ -4067,15 +5181,22 @@ function attachContainer(opts, callback) {
                 return;
             }
 
+            data.ContainerID = utils.dockerIdFromVmObj(opts.vm);
+            data.owner_uuid = opts.account.uuid;
             opts.socketData = data;
             next();
         });
     }
 
     function attach(_, next) {
+        if (!stream) {
+            next();
+            return;
+        }
+
         _runAttach(opts, function (execErr) {
             // Cleanup regardless of the error
-            opts.app.sockets.removeSocket('attach', opts.id);
+            opts.app.sockets.removeSession('attach', opts.id, function () {});
             opts.socket.end();
 
             if (execErr) {
@@ -4132,12 +5253,388 @@ function renameContainer(opts, callback) {
 
         log.debug({job: job}, 'rename job');
 
+        var renamedVm = common.objCopy(opts.vm);
+        renamedVm.alias = opts.name;
+        opts.app.backend.recordEvent({
+            account: opts.account,
+            action: 'rename',
+            app: opts.app,
+            attributes: {oldName: '/' + opts.vm.alias},
+            log: log,
+            vm: renamedVm
+        });
+
         // Update docker link names.
         renameLinks(opts, opts.name, callback);
     });
 }
 
 
+/*
+ * Update the resources and restart policy of a container (`docker update`).
+ *
+ * A container's memory, swap and CPU shares all come from its package, so a
+ * new Memory value resizes the VM to the smallest package that fits it (as
+ * `getPackage` does for a new container). MemorySwap and CpuShares can't be
+ * set on their own, they are returned as warnings.
+ *
+ * @param callback {Function} `function (err, warnings)`
+ */
+function updateContainer(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.account, 'opts.account');
+    assert.number(opts.clientApiVersion, 'opts.clientApiVersion');
+    assert.optionalObject(opts.log, 'opts.log');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.object(opts.update, 'opts.update');
+    assert.object(opts.vm, 'opts.vm');
+    assert.func(callback, 'callback');
+
+    var config = this.config;
+    var log = opts.log || this.log;
+    var payload = {};
+    var restartPolicy;
+    var update = opts.update;
+    var vm = opts.vm;
+    var vmapi = opts.app.vmapi;
+    var warnings = [];
+
+    ['MemorySwap', 'CpuShares'].forEach(function (field) {
+        if (update[field]) {
+            warnings.push(util.format('%s is determined by the container\'s '
+                + 'package and was not changed', field));
+        }
+    });
+
+    /*
+     * The docker CLI sends a RestartPolicy with an empty Name on every
+     * update, which leaves the restart policy as it is.
+     */
+    if (update.RestartPolicy && update.RestartPolicy.Name) {
+        restartPolicy = restartPolicyToInternalMetadata(update.RestartPolicy);
+        if (restartPolicy) {
+            payload.set_internal_metadata = {
+                'docker:restartpolicy': restartPolicy
+            };
+        } else if (vm.internal_metadata['docker:restartpolicy']) {
+            payload.remove_internal_metadata = ['docker:restartpolicy'];
+        }
+    }
+
+    vasync.pipeline({funcs: [
+        function selectPackage(_, next) {
+            if (!update.Memory) {
+                next();
+                return;
+            }
+
+            getPackage({
+                account: opts.account,
+                clientApiVersion: opts.clientApiVersion,
+                config: config,
+                log: log,
+                req_id: opts.req_id
+            }, {HostConfig: {Memory: update.Memory}}, function (err, pkg) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                if (pkg.uuid !== vm.billing_id) {
+                    log.info({from: vm.billing_id, to: pkg.uuid},
+                        'updateContainer: resizing container');
+                    payload.billing_id = pkg.uuid;
+                }
+                next();
+            });
+        },
+
+        function updateVm(_, next) {
+            if (Object.keys(payload).length === 0) {
+                log.debug('updateContainer: nothing to update');
+                next();
+                return;
+            }
+
+            vmapi.updateVm({
+                context: opts.context,
+                creator_uuid: opts.creator_uuid,
+                log: log,
+                origin: opts.origin,
+                owner_uuid: opts.account.uuid,
+                payload: payload,
+                sync: true,
+                uuid: vm.uuid
+            }, {headers: {'x-request-id': opts.req_id}}, function (err, job) {
+                if (err) {
+                    next(errors.vmapiErrorWrap(err,
+                        'problem updating container'));
+                    return;
+                }
+
+                log.debug({job: job}, 'update job');
+                opts.app.backend.recordEvent({
+                    account: opts.account,
+                    action: 'update',
+                    app: opts.app,
+                    log: log,
+                    vm: vm
+                });
+                next();
+            });
+        }
+    ]}, function (err) {
+        if (err) {
+            // caller must log
+            callback(err);
+            return;
+        }
+
+        callback(null, warnings);
+    });
+}
+
+
+/*
+ * Connect a container to a network (`docker network connect`) by adding a NIC
+ * on that network to the VM. The docker aliases and static IP of the
+ * connection are kept in the 'docker:networkconfig' internal_metadata key
+ * (see `utils.networkConfigFromVmobj`) for `docker inspect`.
+ */
+function connectContainerToNetwork(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.app, 'opts.app');
+    assert.optionalObject(opts.endpointConfig, 'opts.endpointConfig');
+    assert.optionalObject(opts.log, 'opts.log');
+    assert.object(opts.network, 'opts.network');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.object(opts.vm, 'opts.vm');
+    assert.func(callback, 'callback');
+
+    var endpointConfig = opts.endpointConfig || {};
+    var ip = endpointConfig.IPAMConfig
+        && endpointConfig.IPAMConfig.IPv4Address;
+    var log = opts.log || this.log;
+    var network = opts.network;
+    var networkConfig = utils.networkConfigFromVmobj(opts.vm);
+    var nicNetwork = {ipv4_uuid: network.uuid};
+    var vm = opts.vm;
+    var vmapi = opts.app.vmapi;
+    var headers = {headers: {'x-request-id': opts.req_id}};
+
+    var connected = (vm.nics || []).some(function (nic) {
+        return nic.network_uuid === network.uuid;
+    });
+    if (connected) {
+        callback(new errors.ValidationError(util.format(
+            'container %s is already connected to network %s',
+            utils.dockerIdFromVmObj(vm), network.name)));
+        return;
+    }
+    if (ip) {
+        if (Array.isArray(network.networks)) {
+            callback(new errors.ValidationError(util.format(
+                'an IP address can\'t be given for network pool %s',
+                network.name)));
+            return;
+        }
+        nicNetwork.ipv4_ips = [ip];
+    }
+
+    vasync.pipeline({funcs: [
+        function addNic(_, next) {
+            vmapi.addNics({
+                context: opts.context,
+                creator_uuid: opts.creator_uuid,
+                log: log,
+                networks: [nicNetwork],
+                origin: opts.origin,
+                owner_uuid: opts.account.uuid,
+                sync: true,
+                uuid: vm.uuid
+            }, headers, function (err, job) {
+                if (err) {
+                    next(errors.vmapiErrorWrap(err,
+                        'problem connecting container to network'));
+                    return;
+                }
+                log.debug({job: job}, 'add nics job');
+                next();
+            });
+        },
+
+        function saveNetworkConfig(_, next) {
+            if (!ip && !endpointConfig.Aliases) {
+                next();
+                return;
+            }
+
+            networkConfig[network.uuid] = {
+                Aliases: endpointConfig.Aliases || null,
+                IPAMConfig: (ip ? {IPv4Address: ip} : null)
+            };
+            vmapi.updateVm({
+                log: log,
+                owner_uuid: opts.account.uuid,
+                payload: {
+                    set_internal_metadata: {
+                        'docker:networkconfig': JSON.stringify(networkConfig)
+                    }
+                },
+                sync: true,
+                uuid: vm.uuid
+            }, headers, function (err, job) {
+                if (err) {
+                    next(errors.vmapiErrorWrap(err,
+                        'problem updating container network config'));
+                    return;
+                }
+                log.debug({job: job}, 'network config update job');
+                next();
+            });
+        }
+    ]}, function (err) {
+        if (err) {
+            // caller must log
+            callback(err);
+            return;
+        }
+
+        opts.app.backend.recordEvent({
+            account: opts.account,
+            action: 'connect',
+            app: opts.app,
+            attributes: {container: utils.dockerIdFromVmObj(vm)},
+            log: log,
+            network: {
+                id: utils.networkUuidToDockerId(network.uuid),
+                name: network.name,
+                type: 'Triton'
+            }
+        });
+        callback();
+    });
+}
+
+
+/*
+ * Disconnect a container from a network (`docker network disconnect`) by
+ * removing the VM's NIC on that network. A container can't be disconnected
+ * from the network of its primary NIC.
+ */
+function disconnectContainerFromNetwork(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.app, 'opts.app');
+    assert.optionalObject(opts.log, 'opts.log');
+    assert.object(opts.network, 'opts.network');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.object(opts.vm, 'opts.vm');
+    assert.func(callback, 'callback');
+
+    var log = opts.log || this.log;
+    var network = opts.network;
+    var networkConfig = utils.networkConfigFromVmobj(opts.vm);
+    var vm = opts.vm;
+    var vmapi = opts.app.vmapi;
+    var dockerId = utils.dockerIdFromVmObj(vm);
+    var headers = {headers: {'x-request-id': opts.req_id}};
+
+    var nics = (vm.nics || []).filter(function (nic) {
+        return nic.network_uuid === network.uuid;
+    });
+    if (nics.length === 0) {
+        callback(new errors.ValidationError(util.format(
+            'container %s is not connected to network %s', dockerId,
+            network.name)));
+        return;
+    }
+    if (nics.some(function (nic) { return nic.primary; })) {
+        callback(new errors.ValidationError(util.format(
+            'container %s can\'t be disconnected from its primary network %s',
+            dockerId, network.name)));
+        return;
+    }
+
+    vasync.pipeline({funcs: [
+        function removeNics(_, next) {
+            vmapi.removeNics({
+                context: opts.context,
+                creator_uuid: opts.creator_uuid,
+                log: log,
+                macs: nics.map(function (nic) { return nic.mac; }),
+                origin: opts.origin,
+                owner_uuid: opts.account.uuid,
+                sync: true,
+                uuid: vm.uuid
+            }, headers, function (err, job) {
+                if (err) {
+                    next(errors.vmapiErrorWrap(err,
+                        'problem disconnecting container from network'));
+                    return;
+                }
+                log.debug({job: job}, 'remove nics job');
+                next();
+            });
+        },
+
+        function removeNetworkConfig(_, next) {
+            if (!networkConfig.hasOwnProperty(network.uuid)) {
+                next();
+                return;
+            }
+
+            var payload = {};
+            delete networkConfig[network.uuid];
+            if (Object.keys(networkConfig).length === 0) {
+                payload.remove_internal_metadata = ['docker:networkconfig'];
+            } else {
+                payload.set_internal_metadata = {
+                    'docker:networkconfig': JSON.stringify(networkConfig)
+                };
+            }
+
+            vmapi.updateVm({
+                log: log,
+                owner_uuid: opts.account.uuid,
+                payload: payload,
+                sync: true,
+                uuid: vm.uuid
+            }, headers, function (err, job) {
+                if (err) {
+                    next(errors.vmapiErrorWrap(err,
+                        'problem updating container network config'));
+                    return;
+                }
+                log.debug({job: job}, 'network config update job');
+                next();
+            });
+        }
+    ]}, function (err) {
+        if (err) {
+            // caller must log
+            callback(err);
+            return;
+        }
+
+        opts.app.backend.recordEvent({
+            account: opts.account,
+            action: 'disconnect',
+            app: opts.app,
+            attributes: {container: dockerId},
+            log: log,
+            network: {
+                id: utils.networkUuidToDockerId(network.uuid),
+                name: network.name,
+                type: 'Triton'
+            }
+        });
+        callback();
+    });
+}
+
+
 /*
  * Resize a container TTY.
  *
@@ -4152,8 +5649,23 @@ function resizeContainer(opts, callback) {
     assert.number(opts.w, 'opts.w');
     assert.number(opts.h, 'opts.h');
 
-    opts.app.sockets.pushResize(opts.id, { w: opts.w, h: opts.h });
-    callback();
+    var resize = { w: opts.w, h: opts.h };
+    var sockets = opts.app.sockets;
+    var socketData = sockets.getSocket('attach', opts.id);
+
+    sockets.pushResize(opts.id, resize);
+    if (socketData && socketData.socket) {
+        callback();
+        return;
+    }
+
+    // The attach may be streamed by another sdc-docker instance.
+    sockets.recordResize('attach', opts.id, resize, function (err) {
+        if (err && opts.log) {
+            opts.log.debug({err: err}, 'could not record attach resize');
+        }
+        callback();
+    });
 }
 
 
@@ -4436,6 +5948,99 @@ function containerArchiveStat(opts, callback) {
 }
 
 
+/**
+ * Sends a task to the cn-agent on a compute node which starts a TCP server on
+ * the compute node streaming a tarball of the container's filesystem, and
+ * returns to us the server's address and port. The `/native` and `/proc`
+ * mounts and the container's volumes are excluded from the tarball.
+ */
+
+function containerExportStream(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.vm, 'opts.vm');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.object(opts.cnapi, 'opts.cnapi');
+
+    var log = opts.log;
+    var cnapi = opts.cnapi;
+    var copyHeaders = { headers: { 'x-request-id': opts.req_id } };
+
+    cnapi.dockerCopy(opts.vm.server_uuid, opts.vm.uuid, {
+        exclude: utils.nonContainerFsPaths(opts.vm),
+        mode: 'export'
+    }, copyHeaders, onCopy);
+
+    function onCopy(copyErr, res) {
+        if (copyErr) {
+            log.error(copyErr, 'error calling docker-copy');
+            return callback(errors.cnapiErrorWrap(
+                copyErr, 'problem calling docker export'));
+        }
+
+        var exportSocket = net.createConnection({ host: res.host,
+            port: res.port });
+
+        callback(null, exportSocket);
+    }
+}
+
+
+/**
+ * Sends a task to cn-agent on a server to list the filesystem changes of the
+ * container relative to its image. Like for the 'read' mode, cn-agent starts a
+ * TCP server from which we then read the `zfs diff -H` output between the
+ * image and the container datasets.
+ *
+ * @param callback {Function} `function (err, changes)` where changes is an
+ *      array of docker changes, see `utils.changesFromZfsDiff`.
+ */
+
+function containerChanges(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.vm, 'opts.vm');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.object(opts.cnapi, 'opts.cnapi');
+    assert.func(callback, 'callback');
+
+    var log = opts.log;
+    var cnapi = opts.cnapi;
+    var copyHeaders = { headers: { 'x-request-id': opts.req_id } };
+    var zoneroot = (opts.vm.zonepath || '/zones/' + opts.vm.uuid) + '/root';
+
+    callback = once(callback);
+
+    cnapi.dockerCopy(opts.vm.server_uuid, opts.vm.uuid, {
+        mode: 'changes'
+    }, copyHeaders, onCopy);
+
+    function onCopy(copyErr, res) {
+        if (copyErr) {
+            log.error(copyErr, 'error calling docker-copy');
+            return callback(errors.cnapiErrorWrap(
+                copyErr, 'problem calling docker diff'));
+        }
+
+        var chunks = [];
+        var diffSocket = net.createConnection({ host: res.host,
+            port: res.port });
+
+        diffSocket.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+        diffSocket.on('error', function (err) {
+            log.error(err, 'error reading docker diff output');
+            callback(new errors.DockerError(err, 'problem reading changes'));
+        });
+        diffSocket.on('end', function () {
+            var output = Buffer.concat(chunks).toString('utf8');
+            callback(null, utils.changesFromZfsDiff(output, zoneroot));
+        });
+    }
+}
+
+
 function containerStats(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.log, 'opts.log');
@@ -4470,28 +6075,39 @@ function containerStats(opts, callback) {
 
 module.exports = {
     attachContainer: attachContainer,
+    connectContainerToNetwork: connectContainerToNetwork,
+    containerChanges: containerChanges,
     containerLogs: containerLogs,
     containerStats: containerStats,
     copyContainer: copyContainer,
     containerArchiveReadStream: containerArchiveReadStream,
     containerArchiveWriteStream: containerArchiveWriteStream,
     containerArchiveStat: containerArchiveStat,
+    containerExportStream: containerExportStream,
     createContainer: createContainer,
     deleteContainer: deleteContainer,
     deleteLink: deleteLink,
+    disconnectContainerFromNetwork: disconnectContainerFromNetwork,
     execContainer: execContainer,
     execResize: execResize,
     execStart: execStart,
     getContainerCount: getContainerCount,
     getContainers: getContainers,
+    getContainersDiskUsage: getContainersDiskUsage,
     getVmById: getVmById,
     inspectContainer: inspectContainer,
     killContainer: killContainer,
+    listDockerVms: listDockerVms,
+    pauseContainer: pauseContainer,
+    pruneContainers: pruneContainers,
     psContainer: psContainer,
     renameContainer: renameContainer,
     resizeContainer: resizeContainer,
     restartContainer: restartContainer,
+    restartPolicyToInternalMetadata: restartPolicyToInternalMetadata,
     startContainer: startContainer,
     stopContainer: stopContainer,
+    unpauseContainer: unpauseContainer,
+    updateContainer: updateContainer,
     waitContainer: waitContainer
 };
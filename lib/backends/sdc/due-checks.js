@@ -0,0 +1,146 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Periodic per-container checks (healthchecks, see ./health.js, and
+ * AutoRemove, see ./autoremove.js): each container to check has a record with
+ * a `next_check` time in a moray bucket, and the records that are due are
+ * claimed (see `claimDue` in lib/moray.js) and checked by one sdc-docker
+ * instance at a time.
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var common = require('../../common');
+
+
+// --- Globals
+
+// The maximum number of containers checked by a `runDueChecks` pass.
+var MAX_CHECKS_PER_RUN = 50;
+
+/*
+ * How long a claimed record is held for (in milliseconds) before another
+ * sdc-docker instance may check it again, in case this one goes away while
+ * checking the container.
+ */
+var CLAIM_LEASE = 10 * 60 * 1000;
+
+
+
+// --- Exported functions
+
+
+/**
+ * Claims the due records of a model, and checks their containers in parallel.
+ * The errors of individual checks are logged.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.app App instance
+ * @param {Function} opts.check `function (record, callback)`, which checks
+ *      the container of a record and reschedules (or deletes) the record.
+ * @param {String} opts.desc What is checked, for logging.
+ * @param {Object} opts.log Bunyan log instance
+ * @param {Object} opts.model The model (lib/models/*.js) of the records,
+ *      with a `claimDue` function.
+ * @param callback {Function} `function (err)`
+ */
+function runDueChecks(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.func(opts.check, 'opts.check');
+    assert.string(opts.desc, 'opts.desc');
+    assert.object(opts.log, 'opts.log');
+    assert.func(opts.model.claimDue, 'opts.model.claimDue');
+    assert.func(callback, 'callback');
+
+    opts.model.claimDue(opts.app, opts.log, {
+        lease: CLAIM_LEASE,
+        limit: MAX_CHECKS_PER_RUN,
+        now: Date.now()
+    }, function (err, records) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        vasync.forEachParallel({
+            inputs: records,
+            func: function _check(record, cb) {
+                opts.check(record, function (checkErr) {
+                    if (checkErr) {
+                        opts.log.warn({err: checkErr, vm_uuid: record.vm_uuid},
+                            'error running %s check', opts.desc);
+                    }
+                    cb();
+                });
+            }
+        }, function () {
+            callback();
+        });
+    });
+}
+
+
+/**
+ * Gets the container of a (claimed) record. If the container is gone, its
+ * record is deleted and this calls back without a VM.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.app App instance
+ * @param {Object} opts.log Bunyan log instance
+ * @param {Object} opts.model The model of the record, with a `del` function.
+ * @param {Object} opts.record The record, with `owner_uuid` and `vm_uuid`.
+ * @param {String} opts.req_id
+ * @param callback {Function} `function (err, vm)`
+ */
+function getCheckedVm(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+    assert.func(opts.model.del, 'opts.model.del');
+    assert.object(opts.record, 'opts.record');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.func(callback, 'callback');
+
+    var vm_uuid = opts.record.vm_uuid;
+
+    common.getVmByUuid(vm_uuid, {
+        log: opts.log,
+        owner_uuid: opts.record.owner_uuid,
+        req_id: opts.req_id,
+        vmapi: opts.app.vmapi
+    }, function (err, vm) {
+        if (err && err.statusCode === 404) {
+            vm = {state: 'destroyed'};
+        } else if (err) {
+            callback(err);
+            return;
+        }
+
+        if (vm.state !== 'destroyed') {
+            callback(null, vm);
+            return;
+        }
+
+        opts.log.info('container is gone, deleting its record');
+        opts.model.del(opts.app, opts.log, {vm_uuid: vm_uuid},
+            function (delErr) {
+                callback(delErr);
+            });
+    });
+}
+
+
+module.exports = {
+    getCheckedVm: getCheckedVm,
+    runDueChecks: runDueChecks
+};
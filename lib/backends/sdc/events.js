@@ -0,0 +1,970 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Docker events for an account.
+ *
+ * SDC doesn't provide a per-account feed of container, image and volume
+ * changes, so events are generated by periodically taking a snapshot of the
+ * account's resources from a "change source" and comparing it with the
+ * previous snapshot. The default change source reads from VMAPI, the image
+ * models and VOLAPI. A different source (e.g. a local stand-in for testing)
+ * can be given to the EventWatcher, it only needs to implement:
+ *
+ *      source.listContainers(function (err, vms) {...})
+ *      source.listImages(function (err, dockerImages) {...})
+ *      source.listVolumes(function (err, volapiVolumes) {...})    // optional
+ *      source.listHistory(since, until, function onEvents(evts) {...},
+ *          function (err) {...})                                  // optional
+ *
+ * where `vms` are VMAPI VM objects, `dockerImages` are entries as returned by
+ * `listImages`, `volapiVolumes` are VOLAPI volume objects and `evts` are
+ * docker events. The history is passed to `onEvents` in chunks as it's read,
+ * and stops being read when `onEvents` returns false.
+ *
+ * The event streams of an account share one default change source (see
+ * `acquireChangeSource`), which fetches the account's resources at most once
+ * per poll interval, however many streams are open.
+ *
+ * Additionally, the actions that sdc-docker itself performs are recorded (see
+ * `recordEvent`) in the event journal (see lib/models/event.js), which is
+ * what past events (`docker events --since`) are read from.
+ */
+
+var assert = require('assert-plus');
+var EventEmitter = require('events').EventEmitter;
+var format = require('util').format;
+var util = require('util');
+
+var containers = require('./containers');
+var errors = require('../../errors');
+var EventModel = require('../../models/event');
+var images = require('./images');
+var utils = require('./utils');
+var volumes = require('./volumes');
+
+
+//---- globals
+
+// The default interval between snapshots, see `events.pollIntervalSecs`.
+var DEFAULT_POLL_INTERVAL_MS = 5000;
+
+var EVENT_FILTERS = ['container', 'event', 'image', 'label', 'type'];
+
+var UNTAGGED = '<none>:<none>';
+
+/*
+ * The default change sources in use, by account UUID and client API version,
+ * as `{source: <change source>, refs: <number of streams using it>}`.
+ */
+var SHARED_SOURCES = {};
+
+// The listings of a change source which are shared between streams.
+var SHARED_LISTS = ['listContainers', 'listImages', 'listVolumes'];
+
+
+
+//---- event builders
+
+function _eventTime(opts, evt) {
+    evt.time = Math.floor(opts.now / 1000);
+    evt.timeNano = opts.now * 1000000;
+    return evt;
+}
+
+
+function containerEvent(action, vm, opts) {
+    var attributes = {};
+    var id = utils.dockerIdFromVmObj(vm);
+    var image = (vm.internal_metadata
+        && vm.internal_metadata['docker:imagename']) || '';
+    var labels = utils.dockerLabelsFromVmTags(vm.tags || {});
+
+    Object.keys(labels).forEach(function (key) {
+        attributes[key] = labels[key];
+    });
+    Object.keys(opts.attributes || {}).forEach(function (key) {
+        attributes[key] = opts.attributes[key];
+    });
+    attributes.image = image;
+    attributes.name = vm.alias;
+
+    return _eventTime(opts, {
+        status: action,
+        id: id,
+        from: image,
+        Type: 'container',
+        Action: action,
+        Actor: {
+            ID: id,
+            Attributes: attributes
+        }
+    });
+}
+
+
+function imageEvent(action, id, name, opts) {
+    return _eventTime(opts, {
+        status: action,
+        id: id,
+        Type: 'image',
+        Action: action,
+        Actor: {
+            ID: id,
+            Attributes: {
+                name: name
+            }
+        }
+    });
+}
+
+
+function networkEvent(action, network, opts) {
+    var attributes = {};
+
+    Object.keys(opts.attributes || {}).forEach(function (key) {
+        attributes[key] = opts.attributes[key];
+    });
+    attributes.name = network.name;
+    attributes.type = network.type;
+
+    return _eventTime(opts, {
+        Type: 'network',
+        Action: action,
+        Actor: {
+            ID: network.id,
+            Attributes: attributes
+        }
+    });
+}
+
+
+function volumeEvent(action, volume, opts) {
+    return _eventTime(opts, {
+        Type: 'volume',
+        Action: action,
+        Actor: {
+            ID: volume.name,
+            Attributes: {
+                driver: volume.type
+            }
+        }
+    });
+}
+
+
+
+//---- snapshot comparison
+
+/**
+ * Return the docker events describing the container changes between the
+ * `prev` and `curr` VM snapshots. Both are objects mapping vm uuid to the
+ * VMAPI VM object.
+ *
+ * Note: the intermediate 'stopping' state is not always seen between two
+ * snapshots, so a 'stop' event is only generated when it was.
+ */
+function containerEventsFromSnapshots(prev, curr, now) {
+    assert.object(prev, 'prev');
+    assert.object(curr, 'curr');
+    assert.number(now, 'now');
+
+    var evts = [];
+    var opts = {now: now};
+
+    Object.keys(curr).forEach(function (uuid) {
+        var vm = curr[uuid];
+        var old = prev[uuid];
+
+        if (!old) {
+            evts.push(containerEvent('create', vm, opts));
+            if (vm.state === 'running') {
+                evts.push(containerEvent('start', vm, opts));
+            }
+            return;
+        }
+
+        if (old.alias !== vm.alias) {
+            evts.push(containerEvent('rename', vm, {
+                attributes: {oldName: '/' + old.alias},
+                now: now
+            }));
+        }
+
+        if (vm.state === 'running' && old.state !== 'running') {
+            evts.push(containerEvent('start', vm, opts));
+        } else if (vm.state === 'running'
+            && old.boot_timestamp !== vm.boot_timestamp)
+        {
+            // Rebooted in between two snapshots.
+            evts.push(containerEvent('die', vm, opts));
+            evts.push(containerEvent('start', vm, opts));
+            evts.push(containerEvent('restart', vm, opts));
+        } else if (vm.state === 'running'
+            && utils.isPausedVm(old) !== utils.isPausedVm(vm))
+        {
+            evts.push(containerEvent(
+                utils.isPausedVm(vm) ? 'pause' : 'unpause', vm, opts));
+        } else if (vm.state === 'stopped' && (old.state === 'running'
+            || old.state === 'stopping'))
+        {
+            evts.push(containerEvent('die', vm, {
+                attributes: {exitCode: String(vm.exit_status || 0)},
+                now: now
+            }));
+            if (old.state === 'stopping') {
+                evts.push(containerEvent('stop', vm, opts));
+            }
+        }
+    });
+
+    Object.keys(prev).forEach(function (uuid) {
+        var old = prev[uuid];
+        var vm = curr[uuid];
+
+        if (vm && vm.state !== 'destroyed') {
+            return;
+        }
+        if (old.state === 'running') {
+            evts.push(containerEvent('die', old, opts));
+        }
+        evts.push(containerEvent('destroy', old, opts));
+    });
+
+    return evts;
+}
+
+
+/**
+ * Return the docker events describing the image changes between the `prev`
+ * and `curr` image snapshots. Both are objects mapping the docker image id to
+ * the array of repo tags for that image.
+ */
+function imageEventsFromSnapshots(prev, curr, now) {
+    assert.object(prev, 'prev');
+    assert.object(curr, 'curr');
+    assert.number(now, 'now');
+
+    var evts = [];
+    var opts = {now: now};
+
+    Object.keys(curr).forEach(function (id) {
+        var oldTags = prev[id];
+        var tags = curr[id];
+
+        if (!oldTags) {
+            // A new image - report each of its tags as being pulled.
+            tags.forEach(function (tag) {
+                evts.push(imageEvent('pull', tag, _stripTag(tag), opts));
+            });
+            return;
+        }
+
+        tags.forEach(function (tag) {
+            if (oldTags.indexOf(tag) === -1) {
+                evts.push(imageEvent('tag', id, tag, opts));
+            }
+        });
+        oldTags.forEach(function (tag) {
+            if (tags.indexOf(tag) === -1) {
+                evts.push(imageEvent('untag', id, tag, opts));
+            }
+        });
+    });
+
+    Object.keys(prev).forEach(function (id) {
+        if (curr[id]) {
+            return;
+        }
+        prev[id].forEach(function (tag) {
+            evts.push(imageEvent('untag', id, tag, opts));
+        });
+        evts.push(imageEvent('delete', id, id, opts));
+    });
+
+    return evts;
+}
+
+
+/**
+ * Return the docker events describing the volume changes between the `prev`
+ * and `curr` volume snapshots. Both are objects mapping the volume uuid to the
+ * VOLAPI volume object.
+ */
+function volumeEventsFromSnapshots(prev, curr, now) {
+    assert.object(prev, 'prev');
+    assert.object(curr, 'curr');
+    assert.number(now, 'now');
+
+    var evts = [];
+    var opts = {now: now};
+
+    Object.keys(curr).forEach(function (uuid) {
+        if (!prev[uuid]) {
+            evts.push(volumeEvent('create', curr[uuid], opts));
+        }
+    });
+    Object.keys(prev).forEach(function (uuid) {
+        if (!curr[uuid]) {
+            evts.push(volumeEvent('destroy', prev[uuid], opts));
+        }
+    });
+
+    return evts;
+}
+
+
+
+//---- filtering
+
+function _stripTag(name) {
+    var colonIdx = name.lastIndexOf(':');
+    if (colonIdx !== -1 && colonIdx > name.lastIndexOf('/')) {
+        return name.slice(0, colonIdx);
+    }
+    return name;
+}
+
+
+/**
+ * Parse the `filters` query param (a JSON string) for an events request.
+ *
+ * Returns the normalized filters object, or an error for unknown filter names.
+ */
+function parseEventFilters(filtersStr) {
+    assert.optionalString(filtersStr, 'filtersStr');
+
+    var filters;
+
+    try {
+        filters = JSON.parse(filtersStr || '{}');
+    } catch (parseErr) {
+        return new errors.ValidationError(parseErr,
+            'invalid filters: ' + parseErr.message);
+    }
+
+    filters = utils.getNormalizedFilters(filters);
+    if (filters instanceof Error) {
+        return new errors.ValidationError('invalid filters: '
+            + filters.message);
+    }
+
+    var unknown = Object.keys(filters).filter(function (name) {
+        return EVENT_FILTERS.indexOf(name) === -1;
+    });
+    if (unknown.length > 0) {
+        return new errors.ValidationError(format('Invalid filter \'%s\'',
+            unknown[0]));
+    }
+
+    return filters;
+}
+
+
+/**
+ * Return true if the given docker event matches *all* of the given filters.
+ * Multiple values for the same filter name match if *any* of them match, as
+ * for docker itself.
+ */
+function eventMatchesFilters(evt, filters) {
+    assert.object(evt, 'evt');
+    assert.object(filters, 'filters');
+
+    var attrs = evt.Actor.Attributes;
+
+    function anyOf(name, matchFn) {
+        if (!filters[name] || filters[name].length === 0) {
+            return true;
+        }
+        return filters[name].some(matchFn);
+    }
+
+    return anyOf('type', function (val) {
+        return val === evt.Type;
+    }) && anyOf('event', function (val) {
+        return val === evt.Action;
+    }) && anyOf('container', function (val) {
+        return evt.Actor.ID.substr(0, val.length) === val
+            || attrs.name === val;
+    }) && anyOf('image', function (val) {
+        var imageName = (evt.Type === 'image' ? attrs.name : attrs.image);
+        return [evt.Actor.ID, _stripTag(evt.Actor.ID), imageName,
+            imageName && _stripTag(imageName)].indexOf(val) !== -1;
+    }) && (!filters.label || filters.label.every(function (val) {
+        // val is in the format 'key' or 'key=value'.
+        var split = val.split('=');
+        var key = split.shift();
+        if (!attrs.hasOwnProperty(key)) {
+            return false;
+        }
+        return split.length === 0 || attrs[key] === split.join('=');
+    }));
+}
+
+
+
+//---- EventWatcher
+
+/**
+ * Watches the given change source and emits an 'event' event for each docker
+ * event that matches the filters, and an 'end' event once the `until` time
+ * (in milliseconds) is reached.
+ *
+ * Call `start(cb)` to take the initial snapshot and `stop()` when done. When
+ * `since` is given, the past events between `since` and the initial snapshot
+ * are first emitted from the source's history, then the live events for the
+ * changes after the initial snapshot.
+ */
+function EventWatcher(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.source, 'opts.source');
+    assert.func(opts.source.listContainers, 'opts.source.listContainers');
+    assert.func(opts.source.listImages, 'opts.source.listImages');
+    assert.optionalFunc(opts.source.listVolumes, 'opts.source.listVolumes');
+    assert.optionalFunc(opts.source.listHistory, 'opts.source.listHistory');
+    assert.optionalObject(opts.filters, 'opts.filters');
+    assert.optionalNumber(opts.interval, 'opts.interval');
+    assert.optionalNumber(opts.since, 'opts.since');
+    assert.optionalNumber(opts.until, 'opts.until');
+
+    EventEmitter.call(this);
+
+    this.log = opts.log;
+    this.source = opts.source;
+    this.filters = opts.filters || {};
+    this.interval = opts.interval || DEFAULT_POLL_INTERVAL_MS;
+    this.since = opts.since;
+    this.until = opts.until;
+
+    this.snapshot = null;
+    this.stopped = false;
+    this.timer = null;
+    this.untilTimer = null;
+}
+util.inherits(EventWatcher, EventEmitter);
+
+
+EventWatcher.prototype.start = function start(callback) {
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var startTime = Date.now();
+
+    self._takeSnapshot(function (err, snapshot) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        self.snapshot = snapshot;
+        callback();
+
+        self._emitHistory(startTime, function () {
+            if (self.stopped) {
+                return;
+            }
+            if (self.until !== undefined) {
+                self.untilTimer = setTimeout(function () {
+                    self.stop();
+                    self.emit('end');
+                }, Math.max(self.until - Date.now(), 0));
+            }
+            self._schedule();
+        });
+    });
+};
+
+
+/**
+ * Emit the past events from `since` up to the given time (or `until`, if
+ * earlier). Errors are logged: the live events are still useful without the
+ * history.
+ */
+EventWatcher.prototype._emitHistory = function _emitHistory(upTo, callback) {
+    var self = this;
+
+    if (self.since === undefined || self.since > upTo
+        || !self.source.listHistory)
+    {
+        callback();
+        return;
+    }
+
+    var until = upTo;
+    if (self.until !== undefined && self.until < until) {
+        until = self.until;
+    }
+
+    self.source.listHistory(self.since, until, function onEvents(evts) {
+        if (self.stopped) {
+            return false;
+        }
+        self._emitEvents(evts);
+        return true;
+    }, function (err) {
+        if (err) {
+            self.log.warn({err: err}, 'events: unable to get event history');
+        }
+        callback();
+    });
+};
+
+
+/**
+ * Stop watching, and emit a 'stop' event (only the first time this is called).
+ */
+EventWatcher.prototype.stop = function stop() {
+    if (this.stopped) {
+        return;
+    }
+    this.stopped = true;
+    clearTimeout(this.timer);
+    clearTimeout(this.untilTimer);
+    this.emit('stop');
+};
+
+
+EventWatcher.prototype._schedule = function _schedule() {
+    var self = this;
+
+    if (self.stopped) {
+        return;
+    }
+    self.timer = setTimeout(function () {
+        self.poll();
+    }, self.interval);
+};
+
+
+/**
+ * Take a new snapshot and emit the events for the changes since the last one.
+ * Errors talking to the change source are logged and retried at the next
+ * interval - a temporarily unavailable API shouldn't end the event stream.
+ */
+EventWatcher.prototype.poll = function poll() {
+    var self = this;
+
+    self._takeSnapshot(function (err, snapshot) {
+        if (self.stopped) {
+            return;
+        }
+        if (err) {
+            self.log.warn({err: err}, 'events: unable to get snapshot');
+            self._schedule();
+            return;
+        }
+
+        var now = Date.now();
+        var prev = self.snapshot;
+        var evts = containerEventsFromSnapshots(prev.containers,
+                snapshot.containers, now)
+            .concat(imageEventsFromSnapshots(prev.images, snapshot.images,
+                now))
+            .concat(volumeEventsFromSnapshots(prev.volumes, snapshot.volumes,
+                now));
+
+        self.snapshot = snapshot;
+        self._emitEvents(evts);
+        self._schedule();
+    });
+};
+
+
+EventWatcher.prototype._emitEvents = function _emitEvents(evts) {
+    var self = this;
+
+    evts.forEach(function (evt) {
+        // Event times have a one second resolution.
+        if (self.since !== undefined
+            && evt.time < Math.floor(self.since / 1000))
+        {
+            return;
+        }
+        if (eventMatchesFilters(evt, self.filters)) {
+            self.emit('event', evt);
+        }
+    });
+};
+
+
+EventWatcher.prototype._takeSnapshot = function _takeSnapshot(callback) {
+    var self = this;
+    var snapshot = {containers: {}, images: {}, volumes: {}};
+
+    self.source.listContainers(function (vmErr, vms) {
+        if (vmErr) {
+            callback(vmErr);
+            return;
+        }
+        vms.forEach(function (vm) {
+            snapshot.containers[vm.uuid] = vm;
+        });
+
+        self.source.listImages(function (imgErr, imgs) {
+            if (imgErr) {
+                callback(imgErr);
+                return;
+            }
+            imgs.forEach(function (img) {
+                snapshot.images[img.Id] = (img.RepoTags || []).filter(
+                    function (tag) { return tag !== UNTAGGED; });
+            });
+
+            if (!self.source.listVolumes) {
+                callback(null, snapshot);
+                return;
+            }
+            self.source.listVolumes(function (volErr, vols) {
+                if (volErr) {
+                    callback(volErr);
+                    return;
+                }
+                vols.forEach(function (vol) {
+                    snapshot.volumes[vol.uuid] = vol;
+                });
+                callback(null, snapshot);
+            });
+        });
+    });
+};
+
+
+
+//---- backend
+
+/**
+ * Wraps a change source list function, `function (callback)`, so that its
+ * results are reused for `maxAge` milliseconds and concurrent calls share one
+ * request. Errors aren't reused. Call `reset()` on the returned function to
+ * make the next call fetch a new result.
+ */
+function reuseList(listFunc, maxAge) {
+    var fetchedAt = 0;
+    var result = null;
+    var waiting = null;
+
+    function reusedList(callback) {
+        if (result && Date.now() - fetchedAt < maxAge) {
+            callback(null, result);
+            return;
+        }
+        if (waiting) {
+            waiting.push(callback);
+            return;
+        }
+
+        waiting = [callback];
+        listFunc(function (err, list) {
+            var callbacks = waiting;
+
+            waiting = null;
+            if (!err) {
+                result = list;
+                fetchedAt = Date.now();
+            }
+            callbacks.forEach(function (cb) {
+                cb(err, list);
+            });
+        });
+    }
+
+    reusedList.reset = function reset() {
+        result = null;
+    };
+
+    return reusedList;
+}
+
+
+/**
+ * Create the default change source for the given account, reading containers
+ * from VMAPI, images from the image models, (when enabled) volumes from
+ * VOLAPI and past events from the event journal.
+ */
+function createChangeSource(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.app, 'opts.app');
+    assert.number(opts.clientApiVersion, 'opts.clientApiVersion');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.req_id, 'opts.req_id');
+
+    var source = {
+        listContainers: function (cb) {
+            containers.listDockerVms({
+                account: opts.account,
+                all: true,
+                log: opts.log,
+                req_id: opts.req_id,
+                vmapi: opts.app.vmapi
+            }, cb);
+        },
+        listImages: function (cb) {
+            images.listImages({
+                account: opts.account,
+                app: opts.app,
+                clientApiVersion: opts.clientApiVersion,
+                log: opts.log,
+                req_id: opts.req_id,
+                skip_smartos: true
+            }, cb);
+        }
+    };
+
+    if (opts.app.moray) {
+        source.listHistory = function (since, until, onEvents, cb) {
+            EventModel.list(opts.app, opts.log, {
+                owner_uuid: opts.account.uuid,
+                since: since,
+                until: until
+            }, function (journalEvts) {
+                return onEvents(journalEvts.map(function (journalEvt) {
+                    return journalEvt.event;
+                }));
+            }, cb);
+        };
+    }
+
+    if (opts.app.volapi) {
+        source.listVolumes = function (cb) {
+            volumes.listVolumes({}, {
+                account: opts.account,
+                app: opts.app,
+                log: opts.log,
+                reqId: opts.req_id
+            }, cb);
+        };
+    }
+
+    return source;
+}
+
+
+/**
+ * Get the change source shared by the event streams of an account (see
+ * `createChangeSource`), whose container, image and volume listings are
+ * reused by all the streams for up to `opts.interval` milliseconds. The
+ * history isn't shared, each stream has its own `since`.
+ *
+ * The listings are fetched again for the initial snapshot of a new stream, so
+ * that changes made before the stream was opened aren't reported as live
+ * events.
+ *
+ * Calls to `acquireChangeSource` must be balanced by calls to
+ * `releaseChangeSource`, the shared source is dropped with its last stream.
+ */
+function acquireChangeSource(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.number(opts.clientApiVersion, 'opts.clientApiVersion');
+    assert.number(opts.interval, 'opts.interval');
+
+    var key = opts.account.uuid + '/' + opts.clientApiVersion;
+    var shared = SHARED_SOURCES[key];
+    var source;
+
+    if (!shared) {
+        source = createChangeSource(opts);
+        SHARED_LISTS.forEach(function (name) {
+            if (source[name]) {
+                source[name] = reuseList(source[name], opts.interval);
+            }
+        });
+        shared = SHARED_SOURCES[key] = {key: key, refs: 0, source: source};
+    }
+
+    shared.refs++;
+    SHARED_LISTS.forEach(function (name) {
+        if (shared.source[name]) {
+            shared.source[name].reset();
+        }
+    });
+
+    return shared;
+}
+
+
+function releaseChangeSource(shared) {
+    assert.object(shared, 'shared');
+
+    shared.refs--;
+    if (shared.refs === 0 && SHARED_SOURCES[shared.key] === shared) {
+        delete SHARED_SOURCES[shared.key];
+    }
+}
+
+
+/**
+ * Start watching for docker events on the account. Calls back with an
+ * EventWatcher once the initial snapshot has been taken.
+ *
+ * @param opts {Object}
+ * @param opts.account {Object} The account to watch.
+ * @param opts.app {Object} App instance.
+ * @param opts.clientApiVersion {Number}
+ * @param opts.filters {String} Optional JSON string of docker event filters.
+ * @param opts.log {Object}
+ * @param opts.req_id {String}
+ * @param opts.since {Number} Optional. Only events at or after this time (in
+ *      milliseconds since the epoch) are reported.
+ * @param opts.source {Object} Optional change source, defaults to the one
+ *      shared by the account's streams (see `acquireChangeSource`).
+ * @param opts.until {Number} Optional. Stop watching at this time (in
+ *      milliseconds since the epoch).
+ * @param callback {Function} `function (err, watcher)`
+ */
+function watchEvents(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.filters, 'opts.filters');
+    assert.optionalObject(opts.source, 'opts.source');
+    assert.optionalNumber(opts.since, 'opts.since');
+    assert.optionalNumber(opts.until, 'opts.until');
+    assert.func(callback, 'callback');
+
+    var eventsConfig = (opts.app && opts.app.config.events) || {};
+    var interval = DEFAULT_POLL_INTERVAL_MS;
+    var shared;
+    var watcher;
+
+    assert.optionalNumber(eventsConfig.pollIntervalSecs,
+        'config.events.pollIntervalSecs');
+    if (eventsConfig.pollIntervalSecs) {
+        interval = eventsConfig.pollIntervalSecs * 1000;
+    }
+
+    var filters = parseEventFilters(opts.filters);
+    if (filters instanceof Error) {
+        callback(filters);
+        return;
+    }
+
+    if (!opts.source) {
+        shared = acquireChangeSource({
+            account: opts.account,
+            app: opts.app,
+            clientApiVersion: opts.clientApiVersion,
+            interval: interval,
+            log: opts.log,
+            req_id: opts.req_id
+        });
+    }
+
+    watcher = new EventWatcher({
+        filters: filters,
+        interval: interval,
+        log: opts.log,
+        since: opts.since,
+        source: opts.source || shared.source,
+        until: opts.until
+    });
+
+    if (shared) {
+        watcher.once('stop', function () {
+            releaseChangeSource(shared);
+        });
+    }
+
+    watcher.start(function (err) {
+        if (err) {
+            watcher.stop();
+            callback(err);
+            return;
+        }
+        callback(null, watcher);
+    });
+}
+
+
+
+/**
+ * Record, in the event journal, a docker event for an action sdc-docker has
+ * performed on one of the account's containers, images, networks or volumes.
+ *
+ * Recording an event is best effort: errors are logged, and not passed on to
+ * the (optional) callback, so that failing to record an event never fails the
+ * action itself.
+ *
+ * @param opts {Object}
+ * @param opts.account {Object} The account the event belongs to.
+ * @param opts.action {String} The docker event action, e.g. 'start'.
+ * @param opts.app {Object} App instance.
+ * @param opts.attributes {Object} Optional extra actor attributes.
+ * @param opts.image {Object} For image events: `{id: ID, name: NAME}`.
+ * @param opts.log {Object}
+ * @param opts.network {Object} For network events: `{id, name, type}`.
+ * @param opts.vm {Object} For container events: the VM object (or payload).
+ * @param opts.volume {Object} For volume events: the VOLAPI volume object.
+ * @param callback {Function} Optional. `function (evt)`
+ */
+function recordEvent(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.string(opts.action, 'opts.action');
+    assert.object(opts.app, 'opts.app');
+    assert.optionalObject(opts.attributes, 'opts.attributes');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalFunc(callback, 'callback');
+
+    var evt;
+    var now = Date.now();
+    var evtOpts = {attributes: opts.attributes, now: now};
+
+    if (opts.vm) {
+        evt = containerEvent(opts.action, opts.vm, evtOpts);
+    } else if (opts.image) {
+        evt = imageEvent(opts.action, opts.image.id, opts.image.name, evtOpts);
+    } else if (opts.network) {
+        evt = networkEvent(opts.action, opts.network, evtOpts);
+    } else {
+        assert.object(opts.volume, 'opts.volume');
+        evt = volumeEvent(opts.action, opts.volume, evtOpts);
+    }
+
+    function done() {
+        if (callback) {
+            callback(evt);
+        }
+    }
+
+    if (!opts.app.moray) {
+        opts.log.debug({evt: evt}, 'recordEvent: no moray, not recording');
+        done();
+        return;
+    }
+
+    EventModel.create(opts.app, opts.log, {
+        event: evt,
+        owner_uuid: opts.account.uuid,
+        time: now
+    }, function (err) {
+        if (err) {
+            opts.log.warn({err: err, evt: evt},
+                'recordEvent: could not record event');
+        }
+        done();
+    });
+}
+
+
+
+module.exports = {
+    acquireChangeSource: acquireChangeSource,
+    containerEventsFromSnapshots: containerEventsFromSnapshots,
+    eventMatchesFilters: eventMatchesFilters,
+    EventWatcher: EventWatcher,
+    imageEventsFromSnapshots: imageEventsFromSnapshots,
+    parseEventFilters: parseEventFilters,
+    recordEvent: recordEvent,
+    releaseChangeSource: releaseChangeSource,
+    reuseList: reuseList,
+    volumeEventsFromSnapshots: volumeEventsFromSnapshots,
+    watchEvents: watchEvents
+};
@@ -0,0 +1,343 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Container healthchecks: running the HEALTHCHECK of containers periodically
+ * (through the docker exec machinery) and keeping track of their results in
+ * the docker_health bucket (see lib/models/health.js).
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var once = require('once');
+var stream = require('stream');
+var util = require('util');
+
+var dueChecks = require('./due-checks');
+var Health = require('../../models/health');
+var utils = require('./utils');
+
+
+// --- Globals
+
+// Docker healthcheck defaults, durations are in nanoseconds.
+var DEFAULT_INTERVAL = 30 * 1000 * 1000 * 1000;
+var DEFAULT_TIMEOUT = 30 * 1000 * 1000 * 1000;
+var DEFAULT_RETRIES = 3;
+var NS_PER_MS = 1000 * 1000;
+
+// As in docker, only the last results are kept, with truncated output.
+var MAX_LOG_ENTRIES = 5;
+var MAX_OUTPUT_LEN = 4096;
+
+
+
+// --- Internal helpers
+
+
+/**
+ * Returns the interval between two checks, in milliseconds.
+ */
+function healthcheckInterval(healthcheck) {
+    return (healthcheck.Interval || DEFAULT_INTERVAL) / NS_PER_MS;
+}
+
+
+/**
+ * Returns the time a check is allowed to run for, in milliseconds.
+ */
+function healthcheckTimeout(healthcheck) {
+    return (healthcheck.Timeout || DEFAULT_TIMEOUT) / NS_PER_MS;
+}
+
+
+/**
+ * Returns the command to exec for a healthcheck `Test`, i.e.
+ * `['CMD', 'arg', ...]` or `['CMD-SHELL', 'shell command']`.
+ */
+function healthcheckCmd(healthcheck) {
+    assert.arrayOfString(healthcheck.Test, 'healthcheck.Test');
+
+    if (healthcheck.Test[0] === 'CMD-SHELL') {
+        return ['/bin/sh', '-c', healthcheck.Test[1]];
+    }
+    return healthcheck.Test.slice(1);
+}
+
+
+/**
+ * Given the current health record of a container, its VM and the result of a
+ * check (`{Start, End, ExitCode, Output}`), returns the new health state:
+ * `{boot_timestamp, failing_streak, log, status}`.
+ *
+ * As in docker, failures during the StartPeriod don't count towards Retries,
+ * unless the container was already found healthy.
+ */
+function nextHealthState(health, vmobj, result) {
+    assert.object(health, 'health');
+    assert.object(vmobj, 'vmobj');
+    assert.object(result, 'result');
+    assert.number(result.ExitCode, 'result.ExitCode');
+
+    var healthcheck = health.healthcheck;
+    var retries = healthcheck.Retries || DEFAULT_RETRIES;
+    var startPeriodEnd = new Date(vmobj.boot_timestamp).getTime()
+        + (healthcheck.StartPeriod || 0) / NS_PER_MS;
+    var state = {
+        boot_timestamp: vmobj.boot_timestamp,
+        failing_streak: 0,
+        log: [],
+        status: 'starting'
+    };
+
+    // A container that has been restarted since the last check starts over.
+    if (health.boot_timestamp === vmobj.boot_timestamp) {
+        state.failing_streak = health.failing_streak;
+        state.log = health.log.slice();
+        state.status = health.status;
+    }
+
+    state.log.push(result);
+    state.log = state.log.slice(-MAX_LOG_ENTRIES);
+
+    if (result.ExitCode === 0) {
+        state.failing_streak = 0;
+        state.status = 'healthy';
+    } else if (state.status === 'healthy'
+        || new Date(result.Start).getTime() >= startPeriodEnd) {
+
+        state.failing_streak++;
+        if (state.failing_streak >= retries) {
+            state.status = 'unhealthy';
+        }
+    }
+
+    return state;
+}
+
+
+/*
+ * Execs the healthcheck command in the container, calling back with the
+ * check result, `{Start, End, ExitCode, Output}`. A command that couldn't be
+ * run, or that took longer than the healthcheck Timeout, has ExitCode -1.
+ */
+function execHealthcheck(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.health, 'opts.health');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.object(opts.vm, 'opts.vm');
+    assert.func(callback, 'callback');
+
+    var account = {uuid: opts.vm.owner_uuid};
+    var backend = opts.app.backend;
+    var id = utils.dockerIdFromVmObj(opts.vm);
+    var log = opts.log;
+    var output = '';
+    var start = new Date();
+    var timeout = healthcheckTimeout(opts.health.healthcheck);
+
+    // Called by the exec, or by the timeout if the exec doesn't end in time.
+    var done = once(function _done(exitCode, out) {
+        callback(null, {
+            Start: start.toISOString(),
+            End: new Date().toISOString(),
+            ExitCode: exitCode,
+            Output: out.substr(0, MAX_OUTPUT_LEN)
+        });
+    });
+
+    backend.execContainer({
+        account: account,
+        app: opts.app,
+        id: id,
+        log: log,
+        payload: {
+            AttachStderr: true,
+            AttachStdin: false,
+            AttachStdout: true,
+            Cmd: healthcheckCmd(opts.health.healthcheck),
+            Detach: false,
+            Tty: false
+        },
+        req_id: opts.req_id,
+        // Healthcheck execs aren't visible to docker clients.
+        transient: true,
+        vm: opts.vm
+    }, function (execErr, cmdId, socketData) {
+        if (execErr) {
+            done(-1, execErr.message);
+            return;
+        }
+
+        var socket = new stream.PassThrough();
+        var timer;
+
+        socket.on('data', function (chunk) {
+            if (output.length < MAX_OUTPUT_LEN) {
+                output += chunk.toString();
+            }
+        });
+
+        timer = setTimeout(function () {
+            if (socketData.socket) {
+                socketData.socket.destroy();
+            }
+            done(-1, util.format('Health check exceeded timeout (%ds)',
+                timeout / 1000));
+        }, timeout);
+
+        backend.execStart({
+            account: account,
+            app: opts.app,
+            cmdId: cmdId,
+            doNotEncodeData: true,
+            id: id,
+            log: log,
+            socket: socket,
+            socketData: socketData
+        }, function (startErr) {
+            clearTimeout(timer);
+
+            if (startErr) {
+                done(-1, startErr.message);
+            } else if (typeof (socketData.ExitCode) !== 'number') {
+                done(-1, 'Health check exited without a status');
+            } else {
+                done(socketData.ExitCode, output);
+            }
+        });
+    });
+}
+
+
+/*
+ * Runs one (claimed) healthcheck, and stores its result. Checks of containers
+ * that aren't running are just rescheduled, and the health record of a
+ * container that's gone is deleted.
+ */
+function runHealthcheck(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.health, 'opts.health');
+    assert.object(opts.log, 'opts.log');
+    assert.func(callback, 'callback');
+
+    var health = opts.health;
+    var log = opts.log.child({vm_uuid: health.vm_uuid}, true);
+    var req_id = libuuid.create();
+
+    function reschedule(val, cb) {
+        val.next_check = Date.now()
+            + healthcheckInterval(health.healthcheck);
+        Health.update(opts.app, log, {
+            val: val,
+            vm_uuid: health.vm_uuid
+        }, cb);
+    }
+
+    dueChecks.getCheckedVm({
+        app: opts.app,
+        log: log,
+        model: Health,
+        record: health,
+        req_id: req_id
+    }, function (err, vm) {
+        if (err || !vm) {
+            callback(err);
+            return;
+        }
+
+        if (vm.state !== 'running' || utils.isPausedVm(vm)) {
+            reschedule({}, callback);
+            return;
+        }
+
+        execHealthcheck({
+            app: opts.app,
+            health: health,
+            log: log,
+            req_id: req_id,
+            vm: vm
+        }, function (execErr, result) {
+            var state;
+
+            if (execErr) {
+                callback(execErr);
+                return;
+            }
+
+            log.debug({result: result}, 'healthcheck result');
+            state = nextHealthState(health, vm, result);
+            reschedule(state, function (updateErr) {
+                if (updateErr) {
+                    callback(updateErr);
+                    return;
+                }
+
+                if (state.status !== health.status) {
+                    opts.app.backend.recordEvent({
+                        account: {uuid: vm.owner_uuid},
+                        action: 'health_status: ' + state.status,
+                        app: opts.app,
+                        log: log,
+                        vm: vm
+                    });
+                }
+                callback();
+            });
+        });
+    });
+}
+
+
+
+// --- Exported functions
+
+
+/**
+ * Runs the container healthchecks which are due (for all accounts). This is
+ * called periodically by the App (see `App.prototype.initHealthchecks`).
+ *
+ * @param {Object} opts
+ * @param {Object} opts.app App instance
+ * @param {Object} opts.log Bunyan log instance
+ * @param callback {Function} `function (err)`
+ */
+function runHealthchecks(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+    assert.func(callback, 'callback');
+
+    dueChecks.runDueChecks({
+        app: opts.app,
+        check: function (health, cb) {
+            runHealthcheck({
+                app: opts.app,
+                health: health,
+                log: opts.log
+            }, cb);
+        },
+        desc: 'health',
+        log: opts.log,
+        model: Health
+    }, callback);
+}
+
+
+module.exports = {
+    execHealthcheck: execHealthcheck,
+    healthcheckCmd: healthcheckCmd,
+    healthcheckInterval: healthcheckInterval,
+    nextHealthState: nextHealthState,
+    runHealthchecks: runHealthchecks
+};
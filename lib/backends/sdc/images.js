@@ -38,15 +38,24 @@
 
 var assert = require('assert-plus');
 var crypto = require('crypto');
+var dns = require('dns');
 var format = require('util').format;
 var fs = require('fs');
+var http = require('http');
+var https = require('https');
 var imgmanifest = require('imgmanifest');
 var drc = require('docker-registry-client');
+var once = require('once');
+var os = require('os');
 var path = require('path');
 var sdcClients = require('sdc-clients');
 var IMGAPI = sdcClients.IMGAPI;
 var VMAPI = sdcClients.VMAPI;
+var tar = require('tar-stream');
+var mod_url = require('url');
+var net = require('net');
 var vasync = require('vasync');
+var zlib = require('zlib');
 
 var common = require('../../common');
 var Image = require('../../models/image');
@@ -62,6 +71,14 @@ var utils = require('./utils');
 
 var _vmapiClientCache; // set in `getVmapiClient`
 var gScratchImage = null; // set by getScratchImage
+// The `docker images` filters supported by `listImages`.
+var IMAGE_FILTERS = ['before', 'dangling', 'label', 'reference', 'since'];
+// The maximum number of redirects followed when downloading `docker import`
+// tarballs.
+var MAX_IMPORT_REDIRECTS = 5;
+// How long (in milliseconds) a `docker import` download can go without any
+// traffic (connecting, waiting for the response or reading it) before failing.
+var IMPORT_TIMEOUT_MS = 60 * 1000;
 
 //---- internal support routines
 
@@ -118,6 +135,7 @@ function dockerImageJsonToModel(imageJson, opts) {
     assert.object(imageJson, 'imageJson');
     assert.object(opts, 'opts');
     assert.string(opts.config_digest, 'opts.config_digest');
+    assert.optionalString(opts.config_str, 'opts.config_str');
     assert.optionalBool(opts.head, 'opts.head');
     assert.string(opts.image_uuid, 'opts.image_uuid');
     assert.string(opts.manifest_str, 'opts.manifest_str');
@@ -127,6 +145,7 @@ function dockerImageJsonToModel(imageJson, opts) {
 
     var modelObj = {
         config_digest: opts.config_digest,
+        config_str: opts.config_str,
         head: (opts.head || false),
         image: imageJson,
         image_uuid: opts.image_uuid,
@@ -165,14 +184,42 @@ function listImages(opts, callback) {
 
     var app = opts.app;
     var log = opts.log;
+    var createdTimes = {}; // The creation time of before and since images.
     var dockerImages = [];
+    var invalidFilters;
     var imageFilters = JSON.parse(opts.filters || '{}');
+    var referenceErr;
+    var referenceRes;
     imageFilters = utils.getNormalizedFilters(imageFilters);
     if (imageFilters instanceof Error) {
         callback(new errors.DockerError('invalid filters: ' + imageFilters));
         return;
     }
 
+    invalidFilters = Object.keys(imageFilters).filter(function (field) {
+        return IMAGE_FILTERS.indexOf(field) === -1;
+    });
+    if (invalidFilters.length > 0) {
+        log.warn('Unhandled image filter name:', invalidFilters[0]);
+        callback(new errors.DockerError(format(
+            'Invalid filter \'%s\'', invalidFilters[0])));
+        return;
+    }
+
+    if (imageFilters.reference) {
+        referenceRes = imageFilters.reference.map(function (pattern) {
+            var re = utils.parseReferenceFilter(pattern);
+            if (re instanceof Error) {
+                referenceErr = re;
+            }
+            return re;
+        });
+        if (referenceErr) {
+            callback(referenceErr);
+            return;
+        }
+    }
+
     var funcs = [];
     if (!opts.skip_smartos) {
         funcs.push(listSmartOSImages);
@@ -182,12 +229,31 @@ function listImages(opts, callback) {
         funcs.push(listDockerImagesV1);
     }
 
-    vasync.parallel({funcs: funcs}, function (err) {
+    vasync.pipeline({funcs: [
+        function getCreatedTimes(_, next) {
+            vasync.forEachPipeline({
+                inputs: ['before', 'since'].filter(function (field) {
+                    return imageFilters.hasOwnProperty(field);
+                }),
+                func: getCreatedTime
+            }, next);
+        },
+
+        function listAllImages(_, next) {
+            vasync.parallel({funcs: funcs}, next);
+        }
+    ]}, function (err) {
         if (err) {
             callback(err);
             return;
         }
 
+        // Filter images when requested by the client.
+        if (!common.objEmpty(imageFilters)) {
+            log.debug({ 'imageFilters': imageFilters}, 'filtering images');
+            dockerImages = dockerImages.filter(imageFilter);
+        }
+
         // Images are sorted newest (0) to oldest (n).
         dockerImages.sort(function (entry1, entry2) {
             return entry2.Created - entry1.Created;
@@ -196,6 +262,31 @@ function listImages(opts, callback) {
         callback(null, dockerImages);
     });
 
+    // The before and since filters are relative to the named image.
+    function getCreatedTime(field, next) {
+        var name = imageFilters[field][imageFilters[field].length - 1];
+
+        imgFromName({
+            account: opts.account,
+            app: app,
+            log: log,
+            name: name
+        }, function (err, img) {
+            if (err) {
+                next(err);
+                return;
+            } else if (!img) {
+                next(new errors.ResourceNotFoundError(
+                    'No such image: ' + name));
+                return;
+            }
+
+            createdTimes[field] = Math.floor(
+                new Date(img.createdISOString).getTime() / 1000);
+            next();
+        });
+    }
+
     function listSmartOSImages(next) {
         var filters = {
             type: 'zone-dataset',
@@ -237,25 +328,25 @@ function listImages(opts, callback) {
         });
     }
 
+    // Note: `img` is an entry of the docker images listing.
     function imageFilter(img) {
-        var isMatch = true;
+        var untagged = (img.RepoTags.length === 1
+            && img.RepoTags[0] === '<none>:<none>');
 
-        Object.keys(imageFilters).forEach(function (field) {
+        return Object.keys(imageFilters).every(function (field) {
             var val = imageFilters[field];
             log.debug('filtering image on field ' + field + ', value ' + val);
             if (field === 'dangling') {
-                // Note: We currently don't have any dangling (untagged) images.
                 // val is an *array* of *strings* in form 'true', 'false', so
                 // just take the last value in the array.
-                if (common.boolFromQueryParam(val[val.length - 1])) {
-                    isMatch = false;
-                }
+                return (untagged
+                    === common.boolFromQueryParam(val[val.length - 1]));
             } else if (field === 'label') {
                 // val is an *array* of acceptable image labels's *strings*, so
                 // check if image matches *all* of the requested values.
-                var imgLabelsObj = img.config.Labels || {};
+                var imgLabelsObj = img.Labels || {};
                 var imgLabelNames = Object.keys(imgLabelsObj);
-                if (!val.every(function (wantedLabelData) {
+                return val.every(function (wantedLabelData) {
                     // wantedLabelData is in format 'key=value'
                     var split = wantedLabelData.split('=', 2);
                     var wantedLabel = split[0];
@@ -264,17 +355,19 @@ function listImages(opts, callback) {
                         return imgLabelName === wantedLabel
                                 && imgLabelsObj[imgLabelName] === wantedValue;
                     });
-                })) {
-                    isMatch = false;
-                }
-            } else {
-                log.warn('Unhandled image filter name:', field);
-                throw new errors.DockerError(format(
-                            'Invalid filter \'%s\'', field));
+                });
+            } else if (field === 'reference') {
+                // Any of the requested references will do.
+                return referenceRes.some(function (re) {
+                    return utils.referenceFilterMatches(re, img.RepoTags);
+                });
+            } else if (field === 'before') {
+                return img.Created < createdTimes.before;
+            } else if (field === 'since') {
+                return img.Created > createdTimes.since;
             }
+            return true;
         });
-
-        return isMatch;
     }
 
     function listDockerImagesV2(next) {
@@ -293,17 +386,6 @@ function listImages(opts, callback) {
 
             log.debug('listDockerImagesV2:: found %d imgs', imgs.length);
 
-            // Filter images when requested by the client.
-            if (!common.objEmpty(imageFilters)) {
-                log.debug({ 'imageFilters': imageFilters}, 'filtering images');
-                try {
-                    imgs = imgs.filter(imageFilter);
-                } catch (e) {
-                    next(e);
-                    return;
-                }
-            }
-
             vasync.forEachParallel({
                 func: getTagsV2,
                 inputs: imgs
@@ -386,17 +468,6 @@ function listImages(opts, callback) {
                 return;
             }
 
-            // Filter images when requested by the client.
-            if (!common.objEmpty(imageFilters)) {
-                log.debug({ 'imageFilters': imageFilters}, 'filtering images');
-                try {
-                    imgs = imgs.filter(imageFilter);
-                } catch (e) {
-                    next(e);
-                    return;
-                }
-            }
-
             vasync.forEachParallel({
                 func: getTags,
                 inputs: imgs
@@ -428,6 +499,7 @@ function listImages(opts, callback) {
                 Cmd: imgConfig.Cmd,
                 Env: imgConfig.Env,
                 Entrypoint: imgConfig.Entrypoint,
+                Labels: imgConfig.Labels || null,
                 ParentId: img.parent || '',
                 Size: img.size,
                 Tty: imgConfig.Tty,
@@ -2396,9 +2468,32 @@ function deleteImage(opts, callback) {
         getImg,
         doDeleteImage
     ]}, function (err) {
+        if (!err) {
+            recordDeleteEvents();
+        }
         callback(err, changes);
     });
 
+    function recordDeleteEvents() {
+        var imgId = opts.img.config_digest || opts.img.docker_id;
+
+        (changes || []).forEach(function (change) {
+            var imgEvent = {
+                account: opts.account,
+                app: opts.app,
+                log: log
+            };
+            if (change.Untagged) {
+                imgEvent.action = 'untag';
+                imgEvent.image = {id: imgId, name: change.Untagged};
+            } else {
+                imgEvent.action = 'delete';
+                imgEvent.image = {id: change.Deleted, name: change.Deleted};
+            }
+            opts.app.backend.recordEvent(imgEvent);
+        });
+    }
+
 
     function getImg(_, cb) {
         imgFromName(opts, function (err, img, imgTag) {
@@ -2435,6 +2530,158 @@ function deleteImage(opts, callback) {
 }
 
 
+/**
+ * Delete the images of an account that aren't used by any container and
+ * match the given prune filters (`docker image prune`). By default, only
+ * dangling (untagged) images are deleted, the 'dangling=false' filter deletes
+ * all unused images. Images that fail to be deleted are logged and skipped, as
+ * docker does.
+ *
+ * @param callback {Function} `function (err, result)` where result is the
+ *      docker prune response, `{ImagesDeleted: [...], SpaceReclaimed: N}`.
+ */
+function pruneImages(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.app, 'opts.app');
+    assert.number(opts.clientApiVersion, 'opts.clientApiVersion');
+    assert.optionalString(opts.filters, 'opts.filters');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.func(callback, 'callback');
+
+    var dangling = true;
+    var log = opts.log;
+    var pruneFilters = utils.parsePruneFilters(opts.filters,
+        {allowed: ['dangling'], now: Date.now()});
+    var result = {
+        ImagesDeleted: [],
+        SpaceReclaimed: 0
+    };
+    var usedImageIds = {};
+    var vmapi = getVmapiClient(opts.app.config.vmapi);
+
+    if (pruneFilters instanceof Error) {
+        callback(pruneFilters);
+        return;
+    }
+    if (pruneFilters.filters.dangling) {
+        dangling = common.boolFromQueryParam(pruneFilters.filters.dangling[
+            pruneFilters.filters.dangling.length - 1]);
+    }
+
+    vasync.pipeline({funcs: [
+        function getUsedImages(_, next) {
+            vmapi.listVms({
+                docker: true,
+                owner_uuid: opts.account.uuid,
+                state: 'active'
+            }, {
+                headers: {'x-request-id': opts.req_id}
+            }, function (err, vms) {
+                if (err) {
+                    next(errors.vmapiErrorWrap(err,
+                        'problem retrieving containers'));
+                    return;
+                }
+                vms.forEach(function (vm) {
+                    var imageId = vm.internal_metadata['docker:imageid'];
+                    if (imageId) {
+                        usedImageIds[imageId] = true;
+                    }
+                });
+                next();
+            });
+        },
+
+        function deleteUnusedImages(_, next) {
+            listImages({
+                account: opts.account,
+                app: opts.app,
+                clientApiVersion: opts.clientApiVersion,
+                log: log,
+                req_id: opts.req_id,
+                skip_smartos: true
+            }, function (err, images) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                images = images.filter(function (img) {
+                    var untagged = (img.RepoTags.length === 1
+                        && img.RepoTags[0] === '<none>:<none>');
+                    return !usedImageIds[img.Id]
+                        && (untagged || !dangling)
+                        && utils.pruneFiltersMatch(pruneFilters,
+                            img.Created * 1000, img.Labels);
+                });
+
+                vasync.forEachPipeline({
+                    inputs: images,
+                    func: pruneImage
+                }, function () {
+                    next();
+                });
+            });
+        }
+    ]}, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, result);
+    });
+
+    // Remove each tag of the image, the image is deleted with its last tag.
+    function pruneImage(img, next) {
+        var deleted = false;
+        var names = img.RepoTags.filter(function (tag) {
+            return tag !== '<none>:<none>';
+        });
+
+        if (names.length === 0) {
+            names = [img.Id];
+        }
+
+        vasync.forEachPipeline({
+            inputs: names,
+            func: function deleteName(name, cb) {
+                deleteImage({
+                    account: opts.account,
+                    app: opts.app,
+                    force: false,
+                    log: log,
+                    name: name,
+                    req_id: opts.req_id
+                }, function (err, changes) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+                    changes.forEach(function (change) {
+                        if (change.Deleted) {
+                            deleted = true;
+                        }
+                        result.ImagesDeleted.push(change);
+                    });
+                    cb();
+                });
+            }
+        }, function (err) {
+            if (err) {
+                log.warn({err: err, id: img.Id},
+                    'pruneImages: could not delete image');
+            }
+            if (deleted) {
+                result.SpaceReclaimed += img.Size || 0;
+            }
+            next();
+        });
+    }
+}
+
+
 /**
  * Inspect an image.
  *
@@ -2471,79 +2718,1104 @@ function inspectImage(opts, callback) {
 }
 
 
-function pullImage(opts, callback) {
+/**
+ * Create a `docker save` tarball of the given images: a 'manifest.json', the
+ * image config files and the layer files, which are read from IMGAPI.
+ *
+ * The config files must be the original ones (their sha256 is the image id).
+ * When an image doesn't keep its original config (see `utils.imageConfigStr`),
+ * it's fetched from the registry of one of the image's repos.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.account User account object
+ * @param {Object} opts.app App instance
+ * @param {Object} opts.log Bunyan log instance
+ * @param {Array} opts.names The image names (or ids) to save.
+ * @param {Object} opts.req The request, for the registry client options and
+ *      `req.regAuth`.
+ * @param {String} opts.req_id The request id.
+ *
+ * @param callback {Function} `function (err, stream)`
+ *      On success: `err` is null, `stream` is the readable tar stream. An
+ *      error while streaming is emitted as an 'error' event on the stream.
+ *      On error (e.g. an image doesn't exist): `err` is an error object.
+ */
+function saveImages(opts, callback) {
     assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
     assert.object(opts.app, 'opts.app');
     assert.object(opts.log, 'opts.log');
-    assert.object(opts.rat, 'opts.rat');  // rat === Repo And Tag/Digest
+    assert.arrayOfString(opts.names, 'opts.names');
     assert.object(opts.req, 'opts.req');
     assert.string(opts.req_id, 'opts.req_id');
-    assert.object(opts.res, 'opts.res');
-    assert.object(opts.wfapi, 'opts.wfapi');
-    assert.object(opts.account, 'opts.account');
+    assert.func(callback, 'callback');
 
-    var jobUuid;
+    var imgapi = opts.app.imgapi;
+    var images = [];
+    var log = opts.log;
+    var reqOpts = {headers: {'x-request-id': opts.req_id}};
 
-    /*
-     * Handle a pull error. This is a chunked transfer so we can't return
-     * a restify error because headers have already been sent when the
-     * downloads have started. "docker/pkg/jsonmessage/jsonmessage.go" defines
-     * an error message format.
-     *
-     * In general we can't assume much about the `err` object, e.g. if it
-     * is an early failure. However, we try to gracefully handle some
-     * well structured cases.
-     *
-     * 1. In some cases the `err.code` is set to a meaningful error code.
-     *    This comes via the `JOB.chain_results[-1].error.name`, set by
-     *    pull-image.js error handling. Note that some older versions of IMGAPI
-     *    can send back docker-registry-client errors (as well as IMGAPI errors)
-     *    that have a different err.code string (drc code will use an extra
-     *    `Error` suffix on the err.code).
-     * 2. If there is an error in the Docker Registry v2 API, then `err.message`
-     *    equals a JSON string per:
-     *        https://docs.docker.com/registry/spec/api/#errors
-     */
-    function errorAndEnd(err, job) {
-        assert.object(err, 'err');
+    function findImage(name, next) {
+        imgFromName({
+            account: opts.account,
+            app: opts.app,
+            log: log,
+            name: name
+        }, function (err, img, imgTag) {
+            if (err) {
+                next(err);
+                return;
+            } else if (!img) {
+                next(new errors.ResourceNotFoundError(
+                    'No such image: ' + name));
+                return;
+            } else if (isV1Image(img)) {
+                next(new errors.NotSupportedError(null, format(
+                    'image %s is a docker v1 image, which cannot be saved',
+                    name)));
+                return;
+            }
 
-        var imgName = opts.rat.localName;
-        if (opts.rat.digest) {
-            imgName += '@' + opts.rat.digest;
-        } else if (opts.rat.tag) {
-            imgName += ':' + opts.rat.tag;
+            var image;
+            for (var i = 0; i < images.length; i++) {
+                if (images[i].img.config_digest === img.config_digest) {
+                    image = images[i];
+                    break;
+                }
+            }
+            if (!image) {
+                image = {img: img, repoTags: []};
+                images.push(image);
+            }
+
+            // Like docker, only images referenced by name get a repo tag.
+            if (imgTag) {
+                var repoTag = imgTag.repo + ':' + imgTag.tag;
+                if (image.repoTags.indexOf(repoTag) === -1) {
+                    image.repoTags.push(repoTag);
+                }
+            }
+            next();
+        });
+    }
+
+    function writeLayer(pack, layer, next) {
+        var layerDigests = JSON.parse(layer.img.manifest_str).layers
+            .slice(0, layer.index + 1)
+            .map(function (l) { return l.digest; });
+        var uuid = imgmanifest.imgUuidFromDockerDigests(layerDigests);
+
+        log.debug({layerDigest: layer.digest, uuid: uuid},
+            'saveImages: writeLayer');
+
+        imgapi.getImage(uuid, reqOpts, function (err, imgapiImg) {
+            if (err) {
+                next(errors.imgapiErrorWrap(err, format(
+                    'problem loading image layer %s', layer.digest)));
+                return;
+            }
+
+            imgapi.getImageFileStream(uuid, reqOpts, function (sErr, stream) {
+                if (sErr) {
+                    next(errors.imgapiErrorWrap(sErr, format(
+                        'problem reading image layer %s', layer.digest)));
+                    return;
+                }
+
+                var entryNext = once(next);
+                var entry = pack.entry({
+                    name: layer.name,
+                    size: imgapiImg.files[0].size
+                }, entryNext);
+                stream.on('error', entryNext);
+                stream.pipe(entry);
+            });
+        });
+    }
+
+    function writeImages(pack) {
+        var layout = utils.imageSaveLayout(images);
+
+        vasync.pipeline({funcs: [
+            function writeConfigs(_, next) {
+                layout.configs.forEach(function (config) {
+                    pack.entry({name: config.name}, config.data);
+                });
+                next();
+            },
+            function writeLayers(_, next) {
+                vasync.forEachPipeline({
+                    inputs: layout.layers,
+                    func: function (layer, nextLayer) {
+                        writeLayer(pack, layer, nextLayer);
+                    }
+                }, next);
+            },
+            function writeManifest(_, next) {
+                pack.entry({name: 'manifest.json'},
+                    JSON.stringify(layout.manifest));
+                next();
+            }
+        ]}, function (err) {
+            if (err) {
+                log.error({err: err}, 'saveImages: error writing tarball');
+                pack.destroy(err);
+                return;
+            }
+            pack.finalize();
+        });
+    }
+
+    // Get the config of an image from the registry of one of its repos.
+    function fetchConfig(image, repos, next) {
+        var configDigest = image.img.config_digest;
+        var repo = repos.shift();
+
+        if (!repo) {
+            next(new errors.NotSupportedError(null, format(
+                'the config of image %s is not available, it cannot be saved',
+                configDigest)));
+            return;
         }
-        opts.req.log.info({err: err, imgName: imgName,
-            jobUuid: job && job.uuid}, 'imageCreate job error');
 
-        /*
-         * `recognized: false` is log.info'd below to indicated `docker pull`
-         * errors that are ones that we are *not* handling specially and
-         * falling back to "Error pulling image: Internal error". I.e. the
-         * point is to get back to those and improve the user experience.
-         */
-        var recognized = true;
+        var regClient = drc.createClientV2(common.httpClientOpts({
+            insecure: opts.app.config.dockerRegistryInsecure,
+            log: log,
+            name: repo,
+            password: opts.req.regAuth && opts.req.regAuth.password,
+            username: opts.req.regAuth && opts.req.regAuth.username
+        }, opts.req));
 
-        var errmsg;
-        if (
-            /*
-             * `RemoteSourceError` code comes from newer IMGAPI.
-             * `ENOTFOUND` code comes from docker-registry-client - through
-             * old IMGAPI versions.
-             */
-            err.code === 'RemoteSourceError' || err.code === 'ENOTFOUND')
-        {
-            /* BEGIN JSSTYLED */
-            /*
-             * Docker-docker:
-             *  $ docker pull nope.example.com/nope
-             *  Using default tag: latest
-             *  Error response from daemon: Get https://nope.example.com/v1/_ping: dial tcp: lookup nope.example.com on 192.168.65.1:53: no such host
-             *
-             * Triton-docker:
-             *  $ docker --tls pull nope.example.com/nope
-             *  Using default tag: latest
-             *  Pulling repository nope.example.com/nope
+        var chunks = [];
+        var hash = crypto.createHash('sha256');
+
+        var finish = once(function (err) {
+            regClient.close();
+
+            if (!err && 'sha256:' + hash.digest('hex') !== configDigest) {
+                err = new Error('config digest mismatch');
+            }
+            if (err) {
+                log.info({err: err, config_digest: configDigest, repo: repo},
+                    'saveImages: could not get image config from registry');
+                fetchConfig(image, repos, next);
+                return;
+            }
+
+            image.configStr = Buffer.concat(chunks).toString('utf8');
+            next();
+        });
+
+        regClient.createBlobReadStream({digest: configDigest},
+            function (err, stream) {
+            if (err) {
+                finish(err);
+                return;
+            }
+
+            stream.on('data', function (chunk) {
+                chunks.push(chunk);
+                hash.update(chunk);
+            });
+            stream.on('error', finish);
+            stream.on('end', function () {
+                finish();
+            });
+        });
+    }
+
+    function getConfig(image, next) {
+        image.configStr = utils.imageConfigStr(image.img);
+        if (image.configStr) {
+            next();
+            return;
+        }
+
+        tagsForImage(image.img, {
+            account: opts.account,
+            app: opts.app,
+            log: log
+        }, function (err, imgTags) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            var repos = [];
+            imgTags.forEach(function (imgTag) {
+                if (repos.indexOf(imgTag.repo) === -1) {
+                    repos.push(imgTag.repo);
+                }
+            });
+            fetchConfig(image, repos, next);
+        });
+    }
+
+    vasync.pipeline({funcs: [
+        function findImages(_, next) {
+            vasync.forEachPipeline({
+                inputs: opts.names,
+                func: findImage
+            }, next);
+        },
+        function getConfigs(_, next) {
+            vasync.forEachPipeline({
+                inputs: images,
+                func: getConfig
+            }, next);
+        }
+    ]}, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var pack = tar.pack();
+        callback(null, pack);
+        writeImages(pack);
+    });
+}
+
+
+/*
+ * Write `stream` (a docker layer tarball, possibly compressed) to the file at
+ * `filePath`, and callback with `function (err, file)` where `file` is
+ * `{compression, digest, path, size}`. `compression` is one of the IMGAPI
+ * file compression values: 'bzip2', 'gzip', 'xz' or 'none'.
+ */
+function spoolLayerFile(stream, filePath, callback) {
+    var file = fs.createWriteStream(filePath);
+    var hash = crypto.createHash('sha256');
+    var magic;
+    var size = 0;
+
+    callback = once(callback);
+
+    // Call back once the file is closed, so that it can be removed.
+    function onSourceError(err) {
+        stream.unpipe(file);
+        file.on('close', function () {
+            callback(err);
+        });
+        file.destroy();
+    }
+
+    stream.on('data', function (chunk) {
+        if (!magic) {
+            magic = chunk;
+        }
+        hash.update(chunk);
+        size += chunk.length;
+    });
+    // 'aborted' is emitted by http requests and responses, when the other
+    // side closes the connection early.
+    stream.on('aborted', function () {
+        onSourceError(new Error('connection closed before the end of the '
+            + 'tarball'));
+    });
+    stream.on('error', onSourceError);
+    file.on('error', callback);
+    file.on('finish', function () {
+        callback(null, {
+            compression: utils.compressionFromMagic(magic),
+            digest: 'sha256:' + hash.digest('hex'),
+            path: filePath,
+            size: size
+        });
+    });
+    stream.pipe(file);
+}
+
+
+/*
+ * Add a layer file (from `spoolLayerFile`) to IMGAPI as the docker layer
+ * image for `opts.layerDigests` (the digests of the layer and of its
+ * parents). Nothing is done if that layer image is already in IMGAPI.
+ */
+function addImgapiLayer(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.file, 'opts.file');
+    assert.object(opts.imageJson, 'opts.imageJson');
+    assert.arrayOfString(opts.layerDigests, 'opts.layerDigests');
+    assert.object(opts.rat, 'opts.rat');
+    assert.object(opts.req, 'opts.req');
+    assert.string(opts.uncompressedDigest, 'opts.uncompressedDigest');
+    assert.func(opts.writeProgress, 'opts.writeProgress');
+
+    var file = opts.file;
+    var imgapi = opts.req.app.imgapi;
+    var imgapiLayer;
+    var reqOpts = {headers: {'x-request-id': opts.req.getId()}};
+    var shortId = file.digest.split(':')[1].substr(0, 12);
+    var uuid = imgmanifest.imgUuidFromDockerDigests(opts.layerDigests);
+
+    imgapi.getImage(uuid, reqOpts, function (err, imgapiImg) {
+        if (err && err.statusCode !== 404) {
+            callback(errors.imgapiErrorWrap(err, 'problem loading layer'));
+            return;
+        } else if (!err && imgapiImg.state === 'active') {
+            opts.writeProgress({status: 'Layer already exists', id: shortId});
+            callback(null, uuid);
+            return;
+        }
+
+        opts.req.log.debug({layerDigest: file.digest, uuid: uuid},
+            'addImgapiLayer: adding layer to IMGAPI');
+        opts.writeProgress({status: 'Loading layer', id: shortId});
+
+        vasync.pipeline({funcs: [
+            function imgapiCreateLayer(_, next) {
+                if (!err) {
+                    // Left unactivated by an earlier failed attempt.
+                    next();
+                    return;
+                }
+                createImgapiDockerImage(opts.imageJson, {
+                    account_uuid: opts.account.uuid,
+                    layerDigests: opts.layerDigests,
+                    rat: opts.rat,
+                    req: opts.req
+                }, function (createErr) {
+                    next(createErr);
+                });
+            },
+
+            function imgapiAddLayerFile(_, next) {
+                imgapi.addImageFile({
+                    compression: file.compression,
+                    file: file.path,
+                    headers: reqOpts.headers,
+                    uuid: uuid
+                }, function (addErr, layerImg) {
+                    imgapiLayer = layerImg;
+                    next(addErr);
+                });
+            },
+
+            function imgapiAddFileDigests(_, next) {
+                var updateData = {
+                    files: [common.objCopy(imgapiLayer.files[0])]
+                };
+                updateData.files[0].digest = file.digest;
+                updateData.files[0].uncompressedDigest =
+                    opts.uncompressedDigest;
+                imgapi.updateImage(uuid, updateData, next);
+            },
+
+            function imgapiActivateLayer(_, next) {
+                imgapi.activateImage(uuid, undefined, reqOpts, next);
+            }
+        ]}, function (layerErr) {
+            if (layerErr) {
+                callback(errors.imgapiErrorWrap(layerErr,
+                    'problem loading layer'));
+                return;
+            }
+            opts.writeProgress({status: 'Loaded layer', id: shortId});
+            callback(null, uuid);
+        });
+    });
+}
+
+
+/*
+ * Create a docker image from an image config and its layer files (from
+ * `spoolLayerFile`): the layers are added to IMGAPI, then the ImageV2 entry
+ * is created. Used by `docker load` and `docker import`.
+ *
+ * Calls back with `function (err, configDigest)`.
+ */
+function createImageFromLayerFiles(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.string(opts.configStr, 'opts.configStr');
+    assert.arrayOfObject(opts.files, 'opts.files');
+    assert.object(opts.rat, 'opts.rat');
+    assert.object(opts.req, 'opts.req');
+    assert.func(opts.writeProgress, 'opts.writeProgress');
+
+    var configStr = opts.configStr;
+    var imageJson = JSON.parse(configStr);
+    var imageUuid;
+    var layerDigests = [];
+
+    var configDigest = 'sha256:' + crypto.createHash('sha256')
+        .update(configStr, 'utf8').digest('hex');
+    var manifestStr = utils.imageLoadManifestStr(configDigest,
+        Buffer.byteLength(configStr, 'utf8'), opts.files);
+
+    vasync.pipeline({funcs: [
+        function addLayers(_, next) {
+            vasync.forEachPipeline({
+                inputs: opts.files,
+                func: function (file, nextLayer) {
+                    layerDigests.push(file.digest);
+                    addImgapiLayer({
+                        account: opts.account,
+                        file: file,
+                        imageJson: imageJson,
+                        layerDigests: layerDigests.slice(),
+                        rat: opts.rat,
+                        req: opts.req,
+                        uncompressedDigest:
+                            imageJson.rootfs.diff_ids[layerDigests.length - 1],
+                        writeProgress: opts.writeProgress
+                    }, function (err, uuid) {
+                        imageUuid = uuid;
+                        nextLayer(err);
+                    });
+                }
+            }, next);
+        },
+
+        function createImageV2(_, next) {
+            var img = dockerImageJsonToModel(imageJson, {
+                config_digest: configDigest,
+                config_str: configStr,
+                head: true,
+                image_uuid: imageUuid,
+                manifest_digest: 'sha256:' + crypto.createHash('sha256')
+                    .update(manifestStr, 'utf8').digest('hex'),
+                manifest_str: manifestStr,
+                owner_uuid: opts.account.uuid,
+                size: opts.files.reduce(function (total, file) {
+                    return total + file.size;
+                }, 0)
+            });
+            ImageV2.create(opts.req.app, opts.req.log, img, function (err) {
+                next(err);
+            });
+        }
+    ]}, function (err) {
+        callback(err, configDigest);
+    });
+}
+
+
+/*
+ * Remove the temporary directory `dir` and the given files in it.
+ */
+function removeTmpFiles(dir, filePaths, log, callback) {
+    vasync.forEachParallel({
+        inputs: filePaths,
+        func: function (filePath, next) {
+            fs.unlink(filePath, function () {
+                next();
+            });
+        }
+    }, function () {
+        fs.rmdir(dir, function (err) {
+            if (err && err.code !== 'ENOENT') {
+                log.warn({err: err, dir: dir},
+                    'could not remove temporary directory');
+            }
+            callback();
+        });
+    });
+}
+
+
+/**
+ * Load the images of a `docker save` tarball, read from the request body,
+ * into the account (`docker load`).
+ *
+ * The layer files are spooled to a temporary directory, as the tarball's
+ * 'manifest.json' (which tells how the layers form images) usually comes
+ * last. Then for each image, the layers which aren't in IMGAPI yet are added
+ * there, and the ImageV2 and ImageTagV2 entries are created. Progress
+ * messages are written to `opts.res`.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.account User account object
+ * @param {Object} opts.app App instance
+ * @param {Object} opts.log Bunyan log instance
+ * @param {Object} opts.req The request, from which the tarball is read.
+ * @param {String} opts.req_id The request id.
+ * @param {Object} opts.res The response, to which progress is written.
+ *
+ * @param callback {Function} `function (err)`
+ */
+function loadImage(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.req, 'opts.req');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.object(opts.res, 'opts.res');
+    assert.func(callback, 'callback');
+
+    var configs = {};   // config file name -> config string
+    var files = {};     // layer file name -> {compression, digest, path, size}
+    var log = opts.log;
+    var manifest;
+    var tmpDir = path.join(os.tmpdir(), 'docker-load-' + opts.req_id);
+    var tmpFiles = [];
+
+    function writeProgress(payload) {
+        opts.res.write(JSON.stringify(payload) + '\n');
+    }
+
+    function makeTmpDir(_, next) {
+        fs.mkdir(tmpDir, next);
+    }
+
+    function extractTarball(_, next) {
+        var extract = tar.extract();
+        var finished = false;
+
+        function finish(err) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            next(err);
+        }
+
+        extract.on('entry', function (header, stream, nextEntry) {
+            var name = path.normalize(header.name);
+
+            if (header.type !== 'file') {
+                stream.on('end', nextEntry);
+                stream.resume();
+            } else if (path.basename(name) === 'layer.tar') {
+                var filePath = path.join(tmpDir,
+                    format('layer%d.tar', tmpFiles.length));
+                tmpFiles.push(filePath);
+                spoolLayerFile(stream, filePath, function (err, file) {
+                    if (err) {
+                        finish(err);
+                        return;
+                    }
+                    files[name] = file;
+                    nextEntry();
+                });
+            } else if (/^[^\/]+\.json$/.test(name)) {
+                // The 'manifest.json' and the image config files.
+                var chunks = [];
+                stream.on('data', function (chunk) {
+                    chunks.push(chunk);
+                });
+                stream.on('end', function () {
+                    configs[name] = Buffer.concat(chunks).toString('utf8');
+                    nextEntry();
+                });
+            } else {
+                // E.g. the legacy 'repositories' and '<id>/json' files.
+                stream.on('end', nextEntry);
+                stream.resume();
+            }
+        });
+        extract.on('finish', finish);
+        extract.on('error', function (err) {
+            finish(new errors.ValidationError(err,
+                'invalid tar file: ' + err.message));
+        });
+
+        opts.req.pipe(extract);
+    }
+
+    function parseManifest(_, next) {
+        if (!configs.hasOwnProperty('manifest.json')) {
+            next(new errors.ValidationError('invalid tar file: no '
+                + 'manifest.json, tarballs from docker 1.10 or later are '
+                + 'required'));
+            return;
+        }
+        try {
+            manifest = JSON.parse(configs['manifest.json']);
+        } catch (parseErr) {
+            next(new errors.ValidationError(parseErr,
+                'invalid manifest.json: ' + parseErr.message));
+            return;
+        }
+        if (!Array.isArray(manifest)) {
+            next(new errors.ValidationError(
+                'invalid manifest.json: must be an array'));
+            return;
+        }
+        next();
+    }
+
+    function loadOneImage(entry, next) {
+        var configStr = configs[path.normalize(String(entry.Config))];
+        var imageJson;
+        var layerFiles = [];
+        var rat;
+        var repoTags = entry.RepoTags || [];
+
+        if (configStr === undefined) {
+            next(new errors.ValidationError(format(
+                'invalid tar file: no image config %s', entry.Config)));
+            return;
+        }
+        try {
+            imageJson = JSON.parse(configStr);
+        } catch (parseErr) {
+            next(new errors.ValidationError(parseErr, format(
+                'invalid image config %s: %s', entry.Config,
+                parseErr.message)));
+            return;
+        }
+
+        if (typeof (imageJson.config) !== 'object'
+            || typeof (imageJson.created) !== 'string'
+            || !Array.isArray(imageJson.history)
+            || !imageJson.rootfs || !Array.isArray(imageJson.rootfs.diff_ids)
+            || !Array.isArray(entry.Layers)
+            || imageJson.rootfs.diff_ids.length !== entry.Layers.length
+            || entry.Layers.length === 0)
+        {
+            next(new errors.ValidationError(format(
+                'invalid image config %s: unsupported image format',
+                entry.Config)));
+            return;
+        }
+
+        for (var i = 0; i < entry.Layers.length; i++) {
+            var file = files[path.normalize(String(entry.Layers[i]))];
+            if (!file) {
+                next(new errors.ValidationError(format(
+                    'invalid tar file: no layer %s', entry.Layers[i])));
+                return;
+            }
+            layerFiles.push(file);
+        }
+
+        try {
+            rat = drc.parseRepoAndTag(repoTags[0] || 'docker-load');
+        } catch (e) {
+            next(new errors.ValidationError(e, e.message));
+            return;
+        }
+
+        var configDigest;
+
+        vasync.pipeline({funcs: [
+            function createImage(_, nextStep) {
+                createImageFromLayerFiles({
+                    account: opts.account,
+                    configStr: configStr,
+                    files: layerFiles,
+                    rat: rat,
+                    req: opts.req,
+                    writeProgress: writeProgress
+                }, function (err, digest) {
+                    configDigest = digest;
+                    nextStep(err);
+                });
+            },
+
+            function tagImages(_, nextStep) {
+                vasync.forEachPipeline({
+                    inputs: repoTags,
+                    func: function (repoTag, nextTag) {
+                        tagImage({
+                            config_digest: configDigest,
+                            name: repoTag,
+                            req: opts.req
+                        }, function (err) {
+                            if (!err) {
+                                writeProgress({stream: format(
+                                    'Loaded image: %s\n', repoTag)});
+                            }
+                            nextTag(err);
+                        });
+                    }
+                }, nextStep);
+            }
+        ]}, function (err) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            if (repoTags.length === 0) {
+                writeProgress({stream: format('Loaded image ID: %s\n',
+                    configDigest)});
+            }
+            opts.app.backend.recordEvent({
+                account: opts.account,
+                action: 'load',
+                app: opts.app,
+                image: {id: configDigest, name: configDigest},
+                log: log
+            });
+            next();
+        });
+    }
+
+    function loadImages(_, next) {
+        vasync.forEachPipeline({
+            inputs: manifest,
+            func: loadOneImage
+        }, next);
+    }
+
+    vasync.pipeline({funcs: [
+        makeTmpDir,
+        extractTarball,
+        parseManifest,
+        loadImages
+    ]}, function (err) {
+        removeTmpFiles(tmpDir, tmpFiles, log, function () {
+            callback(err);
+        });
+    });
+}
+
+
+/*
+ * Like `dns.lookup`, but fails for the hosts which resolve to an address
+ * which isn't public (see `utils.isPublicAddress`), so that `docker import`
+ * can't be used to reach the admin or other internal networks.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, options, function (err, address, family) {
+        var addresses = (Array.isArray(address)
+            ? address : [ {address: address} ]);
+
+        if (!err && !addresses.every(function (a) {
+            return utils.isPublicAddress(a.address);
+        })) {
+            err = new Error(format('%s is not a public address', hostname));
+        }
+        callback(err, address, family);
+    });
+}
+
+
+/*
+ * GET the given http(s) URL, following redirects, and callback with
+ * `function (err, res)` where `res` is the response stream. Only public
+ * addresses are connected to (checked for every redirect), and the request is
+ * aborted if it goes IMPORT_TIMEOUT_MS without any traffic.
+ */
+function httpGetStream(url, callback) {
+    var redirects = 0;
+
+    callback = once(callback);
+
+    function get(getUrl) {
+        var parsed = mod_url.parse(getUrl);
+        var client;
+
+        if (parsed.protocol === 'http:') {
+            client = http;
+        } else if (parsed.protocol === 'https:') {
+            client = https;
+        } else {
+            callback(new Error(format('unsupported URL protocol: %s',
+                parsed.protocol)));
+            return;
+        }
+
+        // IP addresses aren't looked up.
+        if (net.isIP(parsed.hostname)
+            && !utils.isPublicAddress(parsed.hostname)) {
+            callback(new Error(format('%s is not a public address',
+                parsed.hostname)));
+            return;
+        }
+        parsed.lookup = lookupPublicAddress;
+
+        var req = client.get(parsed, function (res) {
+            if (res.statusCode >= 300 && res.statusCode < 400
+                && res.headers.location)
+            {
+                res.resume();
+                if (++redirects > MAX_IMPORT_REDIRECTS) {
+                    callback(new Error('too many redirects'));
+                    return;
+                }
+                get(mod_url.resolve(getUrl, res.headers.location));
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                callback(new Error(format('unexpected HTTP status %d',
+                    res.statusCode)));
+                return;
+            }
+            callback(null, res);
+        });
+
+        req.setTimeout(IMPORT_TIMEOUT_MS, function () {
+            req.abort();
+            callback(new Error('timed out'));
+        });
+        req.on('error', callback);
+    }
+
+    get(url);
+}
+
+
+/**
+ * Create a single layer image from a root filesystem tarball (`docker
+ * import`). The tarball is read from the request body (`fromSrc=-`) or
+ * downloaded from the `fromSrc` URL, when the `importFromUrl` config is set.
+ * Progress messages are written to `opts.res`.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.account User account object
+ * @param {Object} opts.app App instance
+ * @param {Array} opts.changes The Dockerfile instructions to apply to the
+ *      image config, see `utils.imageImportConfig`.
+ * @param {String} opts.fromSrc '-' or the URL of the tarball.
+ * @param {Object} opts.log Bunyan log instance
+ * @param {String} opts.message Optional, the commit message of the image.
+ * @param {Object} opts.rat Optional, the parsed repo and tag to tag the image
+ *      with.
+ * @param {Object} opts.req The request.
+ * @param {String} opts.req_id The request id.
+ * @param {Object} opts.res The response, to which progress is written.
+ *
+ * @param callback {Function} `function (err)`
+ */
+function importImage(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.app, 'opts.app');
+    assert.arrayOfString(opts.changes, 'opts.changes');
+    assert.string(opts.fromSrc, 'opts.fromSrc');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.message, 'opts.message');
+    assert.optionalObject(opts.rat, 'opts.rat');
+    assert.object(opts.req, 'opts.req');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.object(opts.res, 'opts.res');
+    assert.func(callback, 'callback');
+
+    var configDigest;
+    var diffId;
+    var file;
+    var log = opts.log;
+    var tmpDir = path.join(os.tmpdir(), 'docker-import-' + opts.req_id);
+    var tmpFile = path.join(tmpDir, 'layer.tar');
+
+    var config = utils.imageImportConfig(opts.changes);
+    if (config instanceof Error) {
+        callback(config);
+        return;
+    }
+    if (opts.fromSrc !== '-' && !/^https?:\/\//.test(opts.fromSrc)) {
+        callback(new errors.ValidationError(format(
+            'invalid fromSrc "%s": must be "-" or a http(s) URL',
+            opts.fromSrc)));
+        return;
+    }
+    if (opts.fromSrc !== '-' && !opts.app.config.importFromUrl) {
+        callback(new errors.NotSupportedError(null,
+            'importing an image from a URL is not enabled in this '
+            + 'datacenter'));
+        return;
+    }
+
+    function writeProgress(payload) {
+        opts.res.write(JSON.stringify(payload) + '\n');
+    }
+
+    vasync.pipeline({funcs: [
+        function makeTmpDir(_, next) {
+            fs.mkdir(tmpDir, next);
+        },
+
+        function getSource(ctx, next) {
+            if (opts.fromSrc === '-') {
+                ctx.source = opts.req;
+                next();
+                return;
+            }
+
+            writeProgress({status: 'Downloading from ' + opts.fromSrc});
+            httpGetStream(opts.fromSrc, function (err, res) {
+                if (err) {
+                    next(new errors.ValidationError(err, format(
+                        'could not download %s: %s', opts.fromSrc,
+                        err.message)));
+                    return;
+                }
+                ctx.source = res;
+                next();
+            });
+        },
+
+        function spoolTarball(ctx, next) {
+            spoolLayerFile(ctx.source, tmpFile, function (err, file_) {
+                file = file_;
+                next(err);
+            });
+        },
+
+        function getDiffId(_, next) {
+            if (file.compression === 'none') {
+                diffId = file.digest;
+                next();
+                return;
+            } else if (file.compression !== 'gzip') {
+                next(new errors.ValidationError(format(
+                    '%s compressed tarballs are not supported',
+                    file.compression)));
+                return;
+            }
+
+            var hash = crypto.createHash('sha256');
+            var gunzip = zlib.createGunzip();
+            gunzip.on('data', function (chunk) {
+                hash.update(chunk);
+            });
+            gunzip.on('end', function () {
+                diffId = 'sha256:' + hash.digest('hex');
+                next();
+            });
+            gunzip.on('error', function (err) {
+                next(new errors.ValidationError(err,
+                    'invalid gzip tarball: ' + err.message));
+            });
+            fs.createReadStream(tmpFile).pipe(gunzip);
+        },
+
+        function createImage(_, next) {
+            var created = new Date().toISOString();
+            var comment = opts.message || 'Imported from ' + opts.fromSrc;
+            var imageJson = {
+                architecture: 'amd64',
+                comment: comment,
+                config: config,
+                created: created,
+                history: [ {created: created, comment: comment} ],
+                os: 'linux',
+                rootfs: {type: 'layers', diff_ids: [diffId]}
+            };
+
+            createImageFromLayerFiles({
+                account: opts.account,
+                configStr: JSON.stringify(imageJson),
+                files: [file],
+                rat: opts.rat || {localName: 'docker-import'},
+                req: opts.req,
+                writeProgress: writeProgress
+            }, function (err, digest) {
+                configDigest = digest;
+                next(err);
+            });
+        },
+
+        function tagNewImage(_, next) {
+            if (!opts.rat) {
+                next();
+                return;
+            }
+            tagImage({
+                config_digest: configDigest,
+                name: opts.rat.localName + ':' + opts.rat.tag,
+                rat: opts.rat,
+                req: opts.req
+            }, function (err) {
+                next(err);
+            });
+        }
+    ]}, function (err) {
+        removeTmpFiles(tmpDir, [tmpFile], log, function () {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            // Like docker, the last message is the new image id.
+            writeProgress({status: configDigest});
+            opts.app.backend.recordEvent({
+                account: opts.account,
+                action: 'import',
+                app: opts.app,
+                image: {id: configDigest, name: opts.fromSrc},
+                log: log
+            });
+            callback();
+        });
+    });
+}
+
+function pullImage(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.rat, 'opts.rat');  // rat === Repo And Tag/Digest
+    assert.object(opts.req, 'opts.req');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.object(opts.res, 'opts.res');
+    assert.object(opts.wfapi, 'opts.wfapi');
+    assert.object(opts.account, 'opts.account');
+
+    var jobUuid;
+
+    /*
+     * Handle a pull error. This is a chunked transfer so we can't return
+     * a restify error because headers have already been sent when the
+     * downloads have started. "docker/pkg/jsonmessage/jsonmessage.go" defines
+     * an error message format.
+     *
+     * In general we can't assume much about the `err` object, e.g. if it
+     * is an early failure. However, we try to gracefully handle some
+     * well structured cases.
+     *
+     * 1. In some cases the `err.code` is set to a meaningful error code.
+     *    This comes via the `JOB.chain_results[-1].error.name`, set by
+     *    pull-image.js error handling. Note that some older versions of IMGAPI
+     *    can send back docker-registry-client errors (as well as IMGAPI errors)
+     *    that have a different err.code string (drc code will use an extra
+     *    `Error` suffix on the err.code).
+     * 2. If there is an error in the Docker Registry v2 API, then `err.message`
+     *    equals a JSON string per:
+     *        https://docs.docker.com/registry/spec/api/#errors
+     */
+    function errorAndEnd(err, job) {
+        assert.object(err, 'err');
+
+        var imgName = opts.rat.localName;
+        if (opts.rat.digest) {
+            imgName += '@' + opts.rat.digest;
+        } else if (opts.rat.tag) {
+            imgName += ':' + opts.rat.tag;
+        }
+        opts.req.log.info({err: err, imgName: imgName,
+            jobUuid: job && job.uuid}, 'imageCreate job error');
+
+        /*
+         * `recognized: false` is log.info'd below to indicated `docker pull`
+         * errors that are ones that we are *not* handling specially and
+         * falling back to "Error pulling image: Internal error". I.e. the
+         * point is to get back to those and improve the user experience.
+         */
+        var recognized = true;
+
+        var errmsg;
+        if (
+            /*
+             * `RemoteSourceError` code comes from newer IMGAPI.
+             * `ENOTFOUND` code comes from docker-registry-client - through
+             * old IMGAPI versions.
+             */
+            err.code === 'RemoteSourceError' || err.code === 'ENOTFOUND')
+        {
+            /* BEGIN JSSTYLED */
+            /*
+             * Docker-docker:
+             *  $ docker pull nope.example.com/nope
+             *  Using default tag: latest
+             *  Error response from daemon: Get https://nope.example.com/v1/_ping: dial tcp: lookup nope.example.com on 192.168.65.1:53: no such host
+             *
+             * Triton-docker:
+             *  $ docker --tls pull nope.example.com/nope
+             *  Using default tag: latest
+             *  Pulling repository nope.example.com/nope
              *  Error pulling image: (ENOTFOUND) nope.example.com host not found
              *
              * err={ [Error: getaddrinfo ENOTFOUND] code: 'ENOTFOUND' }
@@ -2691,6 +3963,7 @@ function pullImage(opts, callback) {
             // Create an in-progress pull operation so the wfapi job can report
             // progress back to us
             opts.app.sockets.setSocket('job', opts.rat.canonicalName, {
+                owner_uuid: opts.account.uuid,
                 socket: opts.res
             });
 
@@ -2702,6 +3975,16 @@ function pullImage(opts, callback) {
         common.waitForJob(opts.wfapi, jobUuid, function (err, job) {
             if (err) {
                 errorAndEnd(err, job);
+            } else {
+                var imgName = opts.rat.localName + (opts.rat.digest
+                    ? '@' + opts.rat.digest : ':' + opts.rat.tag);
+                opts.app.backend.recordEvent({
+                    account: opts.account,
+                    action: 'pull',
+                    app: opts.app,
+                    image: {id: imgName, name: opts.rat.localName},
+                    log: opts.log
+                });
             }
 
             next();
@@ -2843,6 +4126,7 @@ function pushImage(opts, callback) {
             // Create an in-progress push operation so the wfapi job can report
             // progress back to us
             req.app.sockets.setSocket('job', req_id, {
+                owner_uuid: req.account.uuid,
                 socket: opts.res
             });
 
@@ -2853,6 +4137,7 @@ function pushImage(opts, callback) {
     function _waitForPushJob(_, next) {
         common.waitForJob(req.wfapi, jobUuid, function (err, job) {
             log.trace('push job finished, err: %s', err);
+            req.app.sockets.removeSocket('job', req_id);
             if (err) {
                 errorAndEnd(err, job);
             }
@@ -2976,7 +4261,20 @@ function tagImage(opts, callback) {
         tag: rat.tag
 
     };
-    ImageTagV2.create(req.app, req.log, params, callback);
+    ImageTagV2.create(req.app, req.log, params, function (err, imgTag) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        req.app.backend.recordEvent({
+            account: req.account,
+            action: 'tag',
+            app: req.app,
+            image: {id: config_digest, name: rat.localName + ':' + rat.tag},
+            log: req.log
+        });
+        callback(null, imgTag);
+    });
 }
 
 
@@ -3012,14 +4310,21 @@ function getImageCount(opts, callback) {
 module.exports = {
     deleteImage: deleteImage,
     dockerImageJsonToModel: dockerImageJsonToModel,
+    getImageAncestry: getImageAncestry,
     getImageCount: getImageCount,
     getImageHistory: getImageHistory,
     getScratchImage: getScratchImage,
+    httpGetStream: httpGetStream,
     isV1Image: isV1Image,
+    importImage: importImage,
     listImages: listImages,
+    loadImage: loadImage,
     inspectImage: inspectImage,
+    pruneImages: pruneImages,
     pullImage: pullImage,
     pushImage: pushImage,
+    saveImages: saveImages,
+    spoolLayerFile: spoolLayerFile,
     imgFromConfigDigest: imgFromConfigDigest,
     imgFromName: imgFromName,
     tagImage: tagImage,
@@ -14,8 +14,11 @@
 
 var assert = require('assert-plus');
 
+var autoremove = require('./autoremove');
 var build = require('./build');
 var containers = require('./containers');
+var events = require('./events');
+var health = require('./health');
 var sysinfo = require('./sysinfo');
 var images = require('./images');
 var networks = require('./networks');
@@ -33,28 +36,40 @@ function SdcBackend(opts) {
 
 // sysinfo.js
 SdcBackend.prototype.getInfo = sysinfo.getInfo;
+SdcBackend.prototype.getSystemDf = sysinfo.getSystemDf;
 
 // containers.js
 SdcBackend.prototype.attachContainer = containers.attachContainer;
+SdcBackend.prototype.connectContainerToNetwork =
+    containers.connectContainerToNetwork;
+SdcBackend.prototype.containerChanges = containers.containerChanges;
 SdcBackend.prototype.createContainer = containers.createContainer;
 SdcBackend.prototype.containerLogs = containers.containerLogs;
 SdcBackend.prototype.containerStats = containers.containerStats;
 SdcBackend.prototype.deleteContainer = containers.deleteContainer;
 SdcBackend.prototype.deleteLink = containers.deleteLink;
+SdcBackend.prototype.disconnectContainerFromNetwork =
+    containers.disconnectContainerFromNetwork;
 SdcBackend.prototype.execContainer = containers.execContainer;
 SdcBackend.prototype.execResize = containers.execResize;
 SdcBackend.prototype.execStart = containers.execStart;
 SdcBackend.prototype.getContainers = containers.getContainers;
 SdcBackend.prototype.getContainerCount = containers.getContainerCount;
+SdcBackend.prototype.getContainersDiskUsage =
+    containers.getContainersDiskUsage;
 SdcBackend.prototype.getVmById = containers.getVmById;
 SdcBackend.prototype.inspectContainer = containers.inspectContainer;
 SdcBackend.prototype.killContainer = containers.killContainer;
+SdcBackend.prototype.pauseContainer = containers.pauseContainer;
+SdcBackend.prototype.pruneContainers = containers.pruneContainers;
 SdcBackend.prototype.psContainer = containers.psContainer;
 SdcBackend.prototype.renameContainer = containers.renameContainer;
 SdcBackend.prototype.resizeContainer = containers.resizeContainer;
 SdcBackend.prototype.restartContainer = containers.restartContainer;
 SdcBackend.prototype.startContainer = containers.startContainer;
 SdcBackend.prototype.stopContainer = containers.stopContainer;
+SdcBackend.prototype.unpauseContainer = containers.unpauseContainer;
+SdcBackend.prototype.updateContainer = containers.updateContainer;
 SdcBackend.prototype.waitContainer = containers.waitContainer;
 SdcBackend.prototype.copyContainer = containers.copyContainer;
 SdcBackend.prototype.containerArchiveReadStream =
@@ -63,30 +78,49 @@ SdcBackend.prototype.containerArchiveWriteStream =
     containers.containerArchiveWriteStream;
 SdcBackend.prototype.containerArchiveStat =
     containers.containerArchiveStat;
+SdcBackend.prototype.containerExportStream =
+    containers.containerExportStream;
+
+// events.js
+SdcBackend.prototype.recordEvent = events.recordEvent;
+SdcBackend.prototype.watchEvents = events.watchEvents;
+
+// health.js
+SdcBackend.prototype.runHealthchecks = health.runHealthchecks;
 
 // images.js
 SdcBackend.prototype.deleteImage = images.deleteImage;
 SdcBackend.prototype.getImageCount = images.getImageCount;
 SdcBackend.prototype.getImageHistory = images.getImageHistory;
 SdcBackend.prototype.getScratchImage = images.getScratchImage;
+SdcBackend.prototype.importImage = images.importImage;
 SdcBackend.prototype.listImages = images.listImages;
+SdcBackend.prototype.loadImage = images.loadImage;
 SdcBackend.prototype.inspectImage = images.inspectImage;
+SdcBackend.prototype.pruneImages = images.pruneImages;
 SdcBackend.prototype.pullImage = images.pullImage;
 SdcBackend.prototype.pushImage = images.pushImage;
+SdcBackend.prototype.saveImages = images.saveImages;
 SdcBackend.prototype.imgFromConfigDigest = images.imgFromConfigDigest;
 SdcBackend.prototype.imgFromName = images.imgFromName;
 SdcBackend.prototype.tagsFromRepoName = images.tagsFromRepoName;
 SdcBackend.prototype.tagImage = images.tagImage;
 
+// autoremove.js
+SdcBackend.prototype.runAutoRemoves = autoremove.runAutoRemoves;
+
 // build.js
 SdcBackend.prototype.buildImage = build.buildImage;
 SdcBackend.prototype.commitImage = build.commitImage;
 
 // networks.js
+SdcBackend.prototype.createNetwork = networks.createNetwork;
+SdcBackend.prototype.deleteNetwork = networks.deleteNetwork;
 SdcBackend.prototype.findNetworkOrPoolByNameOrId =
     networks.findNetworkOrPoolByNameOrId;
 SdcBackend.prototype.inspectNetwork = networks.inspectNetwork;
 SdcBackend.prototype.listNetworksForAccount = networks.listNetworksForAccount;
+SdcBackend.prototype.pruneNetworks = networks.pruneNetworks;
 SdcBackend.prototype.getNapiNetworksForAccount =
     networks.getNapiNetworksForAccount;
 
@@ -95,5 +129,6 @@ SdcBackend.prototype.createVolume = volumes.createVolume;
 SdcBackend.prototype.listVolumes = volumes.listVolumes;
 SdcBackend.prototype.deleteVolume = volumes.deleteVolume;
 SdcBackend.prototype.inspectVolume = volumes.inspectVolume;
+SdcBackend.prototype.pruneVolumes = volumes.pruneVolumes;
 
 module.exports = SdcBackend;
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -19,8 +19,10 @@ var NAPI = require('sdc-clients').NAPI;
 var util = require('util');
 var vasync = require('vasync');
 
+var common = require('../../common');
 var containers = require('../../containers');
 var errors = require('../../errors');
+var NetworkModel = require('../../models/network');
 var utils = require('./utils');
 
 //---- globals
@@ -43,6 +45,34 @@ function getNapiClient(config) {
     return _napiClientCache;
 }
 
+/**
+ * Get the docker network models of the req account, by network uuid.
+ *
+ * @param {Object} req The request.
+ * @param {String} uuid Optional, the uuid of the one network to get.
+ * @param {Function} callback (err, models)
+ */
+function getNetworkModels(req, uuid, callback) {
+    var params = {owner_uuid: req.account.uuid};
+
+    if (uuid) {
+        params.uuid = uuid;
+    }
+
+    NetworkModel.find(req.app, req.log, params, function (err, models) {
+        if (err) {
+            callback(new errors.DockerError(err, 'problem listing networks'));
+            return;
+        }
+
+        var modelsByUuid = {};
+        models.forEach(function (model) {
+            modelsByUuid[model.uuid] = model;
+        });
+        callback(null, modelsByUuid);
+    });
+}
+
 // Convert the list of Triton networks into docker format.
 //
 // Example of docker network object:
@@ -81,7 +111,14 @@ function getNapiClient(config) {
 //    },
 //    "Labels": null
 // }
+//
+// The labels and options of the networks created with `docker network create`
+// are in the network's model (`opts.model`, see lib/models/network.js).
 function napiNetworkToDockerNetwork(network, opts, callback) {
+    assert.object(network, 'network');
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.model, 'opts.model');
+    assert.func(callback, 'callback');
 
     // TODO: Lookup 'Containers' that are using this network. Note that
     // `docker network ls` doesn't display these containers, it will be visible
@@ -106,8 +143,9 @@ function napiNetworkToDockerNetwork(network, opts, callback) {
             Driver: 'default',
             Options: null
         },
+        Labels: opts.model ? opts.model.labels : {},
         Name: network.name,
-        Options: {},
+        Options: opts.model ? common.objCopy(opts.model.options) : {},
         Scope: scope
     };
 
@@ -248,14 +286,22 @@ function listNetworksForAccount(opts, callback) {
             account: req.account
         }, networks);
 
-        // Convert networks into the docker format.
-        vasync.forEachParallel({
-            inputs: networks,
-            func: function (net, cb) {
-                napiNetworkToDockerNetwork(net, opts, cb);
+        getNetworkModels(req, null, function (modelErr, models) {
+            if (modelErr) {
+                callback(modelErr);
+                return;
             }
-        }, function (verr, results) {
-            callback(verr, results && results.successes);
+
+            // Convert networks into the docker format.
+            vasync.forEachParallel({
+                inputs: networks,
+                func: function (net, cb) {
+                    napiNetworkToDockerNetwork(net, {model: models[net.uuid]},
+                        cb);
+                }
+            }, function (verr, results) {
+                callback(verr, results && results.successes);
+            });
         });
     }
 
@@ -272,12 +318,442 @@ function listNetworksForAccount(opts, callback) {
 function inspectNetwork(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.req, 'opts.req');
+    assert.object(opts.req.account, 'opts.req.account');
     assert.object(opts.req.network, 'opts.req.network');
     assert.object(opts.req.app, 'opts.req.app');
     assert.object(opts.req.app.config, 'opts.req.app.config');
     assert.object(opts.req.log, 'opts.req.log');
 
-    napiNetworkToDockerNetwork(opts.req.network, {}, callback);
+    var network = opts.req.network;
+
+    getNetworkModels(opts.req, network.uuid, function (err, models) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        napiNetworkToDockerNetwork(network, {model: models[network.uuid]},
+            callback);
+    });
+}
+
+/**
+ * Return true if any container (zone) has a NIC on the given network.
+ */
+function isNetworkInUse(opts, network, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.napi, 'opts.napi');
+    assert.object(opts.reqOpts, 'opts.reqOpts');
+    assert.object(network, 'network');
+    assert.func(callback, 'callback');
+
+    opts.napi.listNics({
+        belongs_to_type: 'zone',
+        network_uuid: network.uuid
+    }, opts.reqOpts, function (err, nics) {
+        if (err) {
+            callback(errors.napiErrorWrap(err,
+                'problem listing network interfaces'));
+            return;
+        }
+        callback(null, nics.length > 0);
+    });
+}
+
+/**
+ * Delete the given fabric network of the account, unless it's used by
+ * containers, and forget its docker properties.
+ */
+function removeFabricNetwork(opts, network, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.napi, 'opts.napi');
+    assert.object(opts.reqOpts, 'opts.reqOpts');
+    assert.object(network, 'network');
+    assert.func(callback, 'callback');
+
+    var log = opts.log;
+
+    vasync.pipeline({funcs: [
+        function checkInUse(_, next) {
+            isNetworkInUse(opts, network, function (err, inUse) {
+                if (!err && inUse) {
+                    err = new errors.NetworkInUseError(network.name);
+                }
+                next(err);
+            });
+        },
+
+        function deleteFromNapi(_, next) {
+            opts.napi.deleteFabricNetwork(opts.account.uuid, network.vlan_id,
+                network.uuid, {}, opts.reqOpts, function (err) {
+                    next(errors.napiErrorWrap(err,
+                        'problem deleting network ' + network.name));
+                });
+        },
+
+        function deleteModel(_, next) {
+            NetworkModel.del(opts.app, log, {uuid: network.uuid},
+                function (err) {
+                    // Networks that weren't created with `docker network
+                    // create` don't have a model.
+                    if (err && err.statusCode !== 404) {
+                        log.warn({err: err, network: network.uuid},
+                            'could not delete docker network model');
+                    }
+                    next();
+                });
+        }
+    ]}, function (err) {
+        if (!err) {
+            opts.app.backend.recordEvent({
+                account: opts.account,
+                action: 'destroy',
+                app: opts.app,
+                log: log,
+                network: {
+                    id: utils.networkUuidToDockerId(network.uuid),
+                    name: network.name,
+                    type: 'Triton'
+                }
+            });
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Create a fabric network for the req account holder (`docker network
+ * create`).
+ *
+ * The network is created on the VLAN given by the 'vlan' driver option, or
+ * else on the VLAN of the account's default fabric network.
+ *
+ * @param {Object} opts Options.
+ * @param {Function} callback (err, result) The docker create response,
+ *      `{Id: <id>, Warning: ''}`.
+ */
+function createNetwork(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.req, 'opts.req');
+    assert.object(opts.req.account, 'opts.req.account');
+    assert.object(opts.req.app, 'opts.req.app');
+    assert.object(opts.req.app.config, 'opts.req.app.config');
+    assert.object(opts.req.body, 'opts.req.body');
+    assert.object(opts.req.log, 'opts.req.log');
+    assert.func(callback, 'callback');
+
+    var req = opts.req;
+    var account = req.account;
+    var config = req.app.config;
+    var createParams = req.body;
+    var log = req.log;
+    var napi = getNapiClient(config.napi);
+    var network;
+    var reqOpts = {headers: {'x-request-id': req.getId()}};
+    var usedSubnets;
+    var vlanId;
+
+    if (!config.overlay || !config.overlay.enabled) {
+        callback(new errors.NotSupportedError(null, 'network create is only '
+            + 'supported when fabric networks are enabled'));
+        return;
+    }
+
+    // Validate the params (the used subnets are only checked on create).
+    var parsed = utils.fabricNetworkParams(createParams, []);
+    if (parsed instanceof Error) {
+        callback(parsed);
+        return;
+    }
+
+    vasync.pipeline({funcs: [
+        function checkDuplicate(_, next) {
+            if (!createParams.CheckDuplicate) {
+                next();
+                return;
+            }
+
+            getNetworksOrPools({
+                name: createParams.Name,
+                provisionable_by: account.uuid
+            }, {
+                account: account,
+                app: req.app,
+                config: config,
+                req_id: req.getId()
+            }, function (err, networks) {
+                if (err) {
+                    next(errors.napiErrorWrap(err, 'problem listing networks'));
+                } else if (networks.length > 0) {
+                    next(new errors.NetworkExistsError(createParams.Name));
+                } else {
+                    next();
+                }
+            });
+        },
+
+        function getVlan(_, next) {
+            if (parsed.vlan_id !== undefined) {
+                vlanId = parsed.vlan_id;
+                next();
+                return;
+            }
+
+            getDefaultFabricNetwork({
+                account: account,
+                app: req.app,
+                log: log
+            }, function (err, defaultNetworkUuid) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                napi.getNetwork(defaultNetworkUuid, {}, reqOpts,
+                    function (getErr, defaultNetwork) {
+                        if (getErr) {
+                            next(errors.napiErrorWrap(getErr,
+                                'problem getting default fabric network'));
+                            return;
+                        }
+                        vlanId = defaultNetwork.vlan_id;
+                        next();
+                    });
+            });
+        },
+
+        function listVlanNetworks(_, next) {
+            napi.listFabricNetworks(account.uuid, vlanId, {}, reqOpts,
+                function (err, networks) {
+                    if (err) {
+                        next(errors.napiErrorWrap(err,
+                            'problem listing fabric networks'));
+                        return;
+                    }
+                    usedSubnets = networks.map(function (net) {
+                        return net.subnet;
+                    });
+                    next();
+                });
+        },
+
+        function createFabricNetwork(_, next) {
+            parsed = utils.fabricNetworkParams(createParams, usedSubnets);
+            if (parsed instanceof Error) {
+                next(parsed);
+                return;
+            }
+
+            log.debug({params: parsed.params, vlan_id: vlanId},
+                'createNetwork: creating fabric network');
+
+            napi.createFabricNetwork(account.uuid, vlanId, parsed.params,
+                reqOpts, function (err, net) {
+                    if (err) {
+                        next(errors.napiErrorWrap(err,
+                            'problem creating network ' + createParams.Name));
+                        return;
+                    }
+                    network = net;
+                    next();
+                });
+        },
+
+        function saveNetworkModel(_, next) {
+            NetworkModel.create(req.app, log, {
+                created: Date.now(),
+                labels: createParams.Labels || {},
+                name: network.name,
+                options: createParams.Options || {},
+                owner_uuid: account.uuid,
+                uuid: network.uuid
+            }, function (err) {
+                if (err) {
+                    // The network is usable, it just won't be pruned.
+                    log.error({err: err, network: network.uuid},
+                        'could not save docker network model');
+                }
+                next();
+            });
+        }
+    ]}, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var id = utils.networkUuidToDockerId(network.uuid);
+        req.app.backend.recordEvent({
+            account: account,
+            action: 'create',
+            app: req.app,
+            log: log,
+            network: {id: id, name: network.name, type: 'Triton'}
+        });
+
+        callback(null, {Id: id, Warning: ''});
+    });
+}
+
+/**
+ * Delete the req network (`docker network rm`). As for `docker network prune`,
+ * only the account's fabric networks created with `docker network create` can
+ * be deleted, never the account's default network, and only when no
+ * containers use them.
+ *
+ * @param {Object} opts Options.
+ * @param {Function} callback (err)
+ */
+function deleteNetwork(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.req, 'opts.req');
+    assert.object(opts.req.account, 'opts.req.account');
+    assert.object(opts.req.app, 'opts.req.app');
+    assert.object(opts.req.network, 'opts.req.network');
+    assert.object(opts.req.log, 'opts.req.log');
+    assert.func(callback, 'callback');
+
+    var req = opts.req;
+    var network = req.network;
+
+    if (!network.fabric
+        || (network.owner_uuids || []).indexOf(req.account.uuid) === -1) {
+        callback(new errors.NotSupportedError(null, util.format(
+            'network %s is not a fabric network of this account and cannot '
+            + 'be removed', network.name)));
+        return;
+    }
+
+    vasync.pipeline({funcs: [
+        function checkDockerNetwork(_, next) {
+            getNetworkModels(req, network.uuid, function (err, models) {
+                if (!err && !models[network.uuid]) {
+                    err = new errors.NotSupportedError(null, util.format(
+                        'network %s was not created with docker network '
+                        + 'create and cannot be removed', network.name));
+                }
+                next(err);
+            });
+        },
+
+        function checkDefaultNetwork(_, next) {
+            getDefaultFabricNetwork({
+                account: req.account,
+                app: req.app,
+                log: req.log
+            }, function (err, defaultNetworkUuid) {
+                if (!err && defaultNetworkUuid === network.uuid) {
+                    err = new errors.NotSupportedError(null, util.format(
+                        'network %s is the default network of this account '
+                        + 'and cannot be removed', network.name));
+                }
+                next(err);
+            });
+        },
+
+        function remove(_, next) {
+            removeFabricNetwork({
+                account: req.account,
+                app: req.app,
+                log: req.log,
+                napi: getNapiClient(req.app.config.napi),
+                reqOpts: {headers: {'x-request-id': req.getId()}}
+            }, network, next);
+        }
+    ]}, function (err) {
+        callback(err);
+    });
+}
+
+/**
+ * Delete the unused networks of the req account holder which match the prune
+ * filters (`docker network prune`).
+ *
+ * Only networks created with `docker network create` are pruned: the
+ * account's other networks (e.g. fabric networks created with CloudAPI) are
+ * never deleted.
+ *
+ * @param {Object} opts Options.
+ * @param {Function} callback (err, result) The docker prune response,
+ *      `{NetworksDeleted: [...]}`.
+ */
+function pruneNetworks(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.req, 'opts.req');
+    assert.object(opts.req.account, 'opts.req.account');
+    assert.object(opts.req.app, 'opts.req.app');
+    assert.object(opts.req.log, 'opts.req.log');
+    assert.func(callback, 'callback');
+
+    var req = opts.req;
+    var log = req.log;
+    var pruneFilters = utils.parsePruneFilters(req.query.filters,
+        {now: Date.now()});
+    var removeOpts = {
+        account: req.account,
+        app: req.app,
+        log: log,
+        napi: getNapiClient(req.app.config.napi),
+        reqOpts: {headers: {'x-request-id': req.getId()}}
+    };
+    var result = {NetworksDeleted: []};
+
+    if (pruneFilters instanceof Error) {
+        callback(pruneFilters);
+        return;
+    }
+
+    NetworkModel.find(req.app, log, {owner_uuid: req.account.uuid},
+        function (findErr, dockerNetworks) {
+        if (findErr) {
+            callback(new errors.DockerError(findErr,
+                'problem listing networks'));
+            return;
+        }
+
+        dockerNetworks = dockerNetworks.filter(function (dockerNetwork) {
+            return utils.pruneFiltersMatch(pruneFilters, dockerNetwork.created,
+                dockerNetwork.labels);
+        });
+
+        vasync.forEachPipeline({
+            inputs: dockerNetworks,
+            func: function pruneNetwork(dockerNetwork, next) {
+                removeOpts.napi.getNetwork(dockerNetwork.uuid, {},
+                    removeOpts.reqOpts, function (getErr, network) {
+                    if (getErr && getErr.statusCode === 404) {
+                        // Already deleted (e.g. with CloudAPI).
+                        NetworkModel.del(req.app, log,
+                            {uuid: dockerNetwork.uuid}, function () {
+                                next();
+                            });
+                        return;
+                    } else if (getErr) {
+                        log.warn({err: getErr, network: dockerNetwork.uuid},
+                            'pruneNetworks: could not get network');
+                        next();
+                        return;
+                    }
+
+                    removeFabricNetwork(removeOpts, network, function (err) {
+                        if (err) {
+                            if (!(err instanceof errors.NetworkInUseError)) {
+                                log.warn({err: err, network: network.uuid},
+                                    'pruneNetworks: could not delete network');
+                            }
+                        } else {
+                            result.NetworksDeleted.push(network.name);
+                        }
+                        next();
+                    });
+                });
+            }
+        }, function () {
+            callback(null, result);
+        });
+    });
 }
 
 function getNetworksOrPools(params, opts, callback) {
@@ -906,11 +1382,15 @@ function getCnsDnsSearchEntriesForNetworks(networks, opts, callback) {
 
 module.exports = {
     addNetworksToContainerPayload: addNetworksToContainerPayload,
+    createNetwork: createNetwork,
+    deleteNetwork: deleteNetwork,
     findNetworkOrPoolByNameOrId: findNetworkOrPoolByNameOrId,
     getCnsDnsSearchEntriesForNetworks: getCnsDnsSearchEntriesForNetworks,
     getNapiNetworksForAccount: getNapiNetworksForAccount,
     getDefaultFabricNetwork: getDefaultFabricNetwork,
     getNetworksOrPools: getNetworksOrPools,
     inspectNetwork: inspectNetwork,
-    listNetworksForAccount: listNetworksForAccount
+    listNetworksForAccount: listNetworksForAccount,
+    napiNetworkToDockerNetwork: napiNetworkToDockerNetwork,
+    pruneNetworks: pruneNetworks
 };
@@ -5,13 +5,15 @@
  */
 
 /*
- * Copyright (c) 2015, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 var assert = require('assert-plus');
 var execFile = require('child_process').execFile;
 var vasync = require('vasync');
 
+var utils = require('./utils');
+
 var VERSION = require('../../../package.json').version;
 
 var cachedZoneSysInfo = null;
@@ -141,6 +143,88 @@ function getInfo(opts, callback) {
     });
 }
 
+/**
+ * Summarise the disk usage of the account, see `docker system df`: the sizes
+ * of its docker images, the disk quotas of its containers and the sizes of
+ * its NFS shared volumes.
+ */
+function getSystemDf(opts, callback) {
+    var self = this;
+    assert.object(opts, 'opts');
+    assert.object(opts.account, 'opts.account');
+    assert.object(opts.app, 'opts.app');
+    assert.number(opts.clientApiVersion, 'opts.clientApiVersion');
+    assert.optionalObject(opts.log, 'opts.log');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.func(callback, 'callback');
+
+    var log = opts.log || self.log;
+    var usage = {
+        containers: [],
+        images: [],
+        volumes: []
+    };
+
+    var listContainers = function (cb) {
+        self.getContainersDiskUsage({
+            account: opts.account,
+            app: opts.app,
+            clientApiVersion: opts.clientApiVersion,
+            log: log,
+            req_id: opts.req_id
+        }, function (err, containers) {
+            usage.containers = containers;
+            cb(err);
+        });
+    };
+
+    var listImages = function (cb) {
+        self.listImages({
+            account: opts.account,
+            all: true,
+            app: opts.app,
+            clientApiVersion: opts.clientApiVersion,
+            log: log,
+            req_id: opts.req_id,
+            skip_smartos: true
+        }, function (err, images) {
+            usage.images = images;
+            cb(err);
+        });
+    };
+
+    var listVolumes = function (cb) {
+        if (self.config.experimental_docker_nfs_shared_volumes !== true
+            || !opts.app.volapi) {
+            cb();
+            return;
+        }
+
+        self.listVolumes({}, {
+            account: opts.account,
+            app: opts.app,
+            log: log,
+            reqId: opts.req_id
+        }, function (err, volumes) {
+            usage.volumes = volumes;
+            cb(err);
+        });
+    };
+
+    vasync.parallel({ funcs: [
+        listContainers,
+        listImages,
+        listVolumes
+    ]}, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, utils.systemDfFromUsage(usage));
+    });
+}
+
 module.exports = {
-    getInfo: getInfo
+    getInfo: getInfo,
+    getSystemDf: getSystemDf
 };
@@ -9,6 +9,7 @@
  */
 
 var assert = require('assert-plus');
+var crypto = require('crypto');
 var format = require('util').format;
 var mod_fwrule = require('fwrule');
 var net = require('net');
@@ -16,6 +17,7 @@ var restify = require('restify');
 var triton_tags = require('triton-tags');
 
 var common = require('../../common');
+var errors = require('../../errors');
 var Link = require('../../models/link');
 
 
@@ -194,6 +196,116 @@ function getNormalizedFilters(filters) {
     return newFilters;
 }
 
+/*
+ * Parse the JSON `filters` param of a prune request (e.g. `POST
+ * /containers/prune`). The 'until' and 'label' (and 'label!') filters are
+ * supported for all object types, other filters names can be allowed with
+ * `opts.allowed`.
+ *
+ * Returns an object with:
+ * - filters: the normalized filters, see `getNormalizedFilters`
+ * - until: optional, only prune objects created before this time (ms)
+ *
+ * or an error when the filters are invalid.
+ */
+function parsePruneFilters(str, opts) {
+    assert.optionalString(str, 'str');
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.allowed, 'opts.allowed');
+    assert.number(opts.now, 'opts.now');
+
+    var allowed = ['label', 'label!', 'until'].concat(opts.allowed || []);
+    var filters;
+    var invalid;
+    var until;
+
+    try {
+        filters = JSON.parse(str || '{}');
+    } catch (parseErr) {
+        return new errors.ValidationError(parseErr,
+            'invalid filters: ' + parseErr.message);
+    }
+
+    filters = getNormalizedFilters(filters);
+    if (filters instanceof Error) {
+        return new errors.ValidationError(filters, filters.message);
+    }
+
+    invalid = Object.keys(filters).filter(function (name) {
+        return allowed.indexOf(name) === -1;
+    });
+    if (invalid.length > 0) {
+        return new errors.ValidationError(format('Invalid filter \'%s\'',
+            invalid[0]));
+    }
+
+    if (filters.until) {
+        if (filters.until.length !== 1) {
+            return new errors.ValidationError(
+                'only one "until" filter is allowed');
+        }
+        until = common.parseTimeParam('until', filters.until[0], opts.now);
+        if (until instanceof Error) {
+            return until;
+        }
+    }
+
+    return {
+        filters: filters,
+        until: until
+    };
+}
+
+/*
+ * Return true if the given `labels` (which may be null) match a label filter,
+ * that is either a label name ('tier') or a name and value ('tier=front').
+ */
+function labelFilterMatches(labelFilter, labels) {
+    assert.string(labelFilter, 'labelFilter');
+    assert.optionalObject(labels, 'labels');
+
+    var idx = labelFilter.indexOf('=');
+
+    labels = labels || {};
+    if (idx === -1) {
+        return labels.hasOwnProperty(labelFilter);
+    }
+    return labels[labelFilter.substr(0, idx)] === labelFilter.substr(idx + 1);
+}
+
+/*
+ * Return true if an object (container, image or volume) created at `created`
+ * (ms) with the given `labels` matches the parsed prune filters (see
+ * `parsePruneFilters`).
+ *
+ * All 'label' filters must match (see `labelFilterMatches`), and none of the
+ * 'label!' filters.
+ */
+function pruneFiltersMatch(pruneFilters, created, labels) {
+    assert.object(pruneFilters, 'pruneFilters');
+    assert.optionalNumber(created, 'created');
+    assert.optionalObject(labels, 'labels');
+
+    var filters = pruneFilters.filters;
+
+    function labelMatches(labelFilter) {
+        return labelFilterMatches(labelFilter, labels);
+    }
+
+    if (pruneFilters.until !== undefined
+        && (created === undefined || created >= pruneFilters.until)) {
+        return false;
+    }
+    if (filters.label && !filters.label.every(labelMatches)) {
+        return false;
+    }
+    if (filters['label!'] && filters['label!'].some(labelMatches)) {
+        return false;
+    }
+
+    return true;
+}
+
 function getPublishedPorts(opts, fwrules, cb) {
     getPublishingRules(opts, fwrules).forEach(function (fwrule) {
         fwrule.ports.forEach(function (pbPort) {
@@ -212,6 +324,320 @@ function getPublishedPorts(opts, fwrules, cb) {
 }
 
 
+/*
+ * Parse a value of the `docker ps` publish and expose filters, i.e.
+ * 'port[/proto]' or 'start-end[/proto]' (with 'tcp' as default protocol).
+ *
+ * Returns `{proto: <proto>, start: <port>, end: <port>}`, or an error when the
+ * value is invalid.
+ */
+function parsePortFilter(str) {
+    assert.string(str, 'str');
+
+    var end;
+    var match = /^(\d+)(?:-(\d+))?(?:\/(tcp|udp))?$/.exec(str);
+    var start;
+
+    if (match) {
+        start = Number(match[1]);
+        end = (match[2] === undefined ? start : Number(match[2]));
+    }
+    if (!match || start < 1 || end > 65535 || start > end) {
+        return new errors.ValidationError(format(
+            'invalid port filter value: %j', str));
+    }
+
+    return {
+        proto: match[3] || 'tcp',
+        start: start,
+        end: end
+    };
+}
+
+/*
+ * Return the ports of a container, as used by the `docker ps` publish and
+ * expose filters: `{expose: [{port: <port>, proto: <proto>}, ...],
+ * publish: [...]}`. Published ports are exposed as well.
+ */
+function containerPortsFromVmobj(opts, vmobj, fwrules) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.object(vmobj, 'vmobj');
+    assert.array(fwrules, 'fwrules');
+
+    var im = vmobj.internal_metadata || {};
+    var ports = {
+        expose: [],
+        publish: []
+    };
+
+    getPublishedPorts({log: opts.log, vm: vmobj}, fwrules,
+        function (proto, port) {
+        ports.expose.push({port: port, proto: proto});
+        ports.publish.push({port: port, proto: proto});
+    });
+
+    ['tcp', 'udp'].forEach(function (proto) {
+        var imName = 'docker:' + proto + '_unpublished_ports';
+        if (im[imName]) {
+            JSON.parse(im[imName]).forEach(function (port) {
+                ports.expose.push({port: port, proto: proto});
+            });
+        }
+    });
+
+    return ports;
+}
+
+/*
+ * Return true if any of the given ports (see `containerPortsFromVmobj`) is
+ * in the range of the parsed port filter (see `parsePortFilter`).
+ */
+function portFilterMatches(portFilter, ports) {
+    assert.object(portFilter, 'portFilter');
+    assert.arrayOfObject(ports, 'ports');
+
+    return ports.some(function (p) {
+        return (p.proto === portFilter.proto && p.port >= portFilter.start
+            && p.port <= portFilter.end);
+    });
+}
+
+/*
+ * Parse a value of the `docker images` reference filter: a glob pattern
+ * ('*', '?' and '[...]' as in docker, none of them matching a '/') for either
+ * the repository or the 'repo:tag' of images, e.g. 'myrepo/*:v1*'.
+ *
+ * Returns a RegExp, or an error when the pattern is invalid.
+ */
+function parseReferenceFilter(pattern) {
+    assert.string(pattern, 'pattern');
+
+    var c;
+    var end;
+    var i;
+    var re = '';
+
+    for (i = 0; i < pattern.length; i++) {
+        c = pattern[i];
+        if (c === '*') {
+            re += '[^/]*';
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[') {
+            end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                return new errors.ValidationError(format(
+                    'invalid reference filter value: %j', pattern));
+            }
+            re += '[' + pattern.slice(i + 1, end) + ']';
+            i = end;
+        } else {
+            re += c.replace(/[\\^$.|+(){}\]]/g, '\\$&');
+        }
+    }
+
+    try {
+        return new RegExp('^' + re + '$');
+    } catch (e) {
+        return new errors.ValidationError(e, format(
+            'invalid reference filter value: %j', pattern));
+    }
+}
+
+/*
+ * Return true if any of the given image 'repo:tag' names matches the
+ * reference filter regex (see `parseReferenceFilter`), on either the
+ * repository alone or the full 'repo:tag'.
+ */
+function referenceFilterMatches(referenceRe, repoTags) {
+    assert.object(referenceRe, 'referenceRe');
+    assert.arrayOfString(repoTags, 'repoTags');
+
+    return repoTags.some(function (repoTag) {
+        var repo = repoTag.slice(0, repoTag.lastIndexOf(':'));
+
+        if (repoTag === '<none>:<none>') {
+            return false;
+        }
+        return (referenceRe.test(repoTag) || referenceRe.test(repo));
+    });
+}
+
+/*
+ * Return true if the container uses the volume with the given name (or id),
+ * or has a volume mounted at the given path, as the `docker ps` volume filter
+ * does.
+ */
+function vmobjHasVolume(vmobj, volume) {
+    assert.object(vmobj, 'vmobj');
+    assert.string(volume, 'volume');
+
+    var hasLocalVolume = (vmobj.filesystems || []).some(function (f) {
+        // Local data volumes are named after their directory (a uuid).
+        var match = (f.source || '').match(/\/volumes\/([^\/]+)$/);
+        return (f.target === volume || (match && match[1] === volume));
+    });
+    var hasNfsVolume = (vmobj.volumes || []).some(function (v) {
+        return (v.name === volume || v.mountpoint === volume);
+    });
+
+    return (hasLocalVolume || hasNfsVolume);
+}
+
+
+/*
+ * Returns true if the given VM is a paused container.
+ *
+ * Pausing a container (see `pauseContainer`) stores the VM's boot_timestamp
+ * in the 'docker:paused' internal_metadata key, so that a container that has
+ * since been restarted (e.g. by a restart policy or a CN reboot) isn't
+ * reported as paused anymore.
+ */
+function isPausedVm(vmobj) {
+    return (vmobj.state === 'running'
+        && vmobj.internal_metadata !== undefined
+        && vmobj.internal_metadata['docker:paused'] !== undefined
+        && vmobj.internal_metadata['docker:paused']
+            === vmobj.boot_timestamp);
+}
+
+
+/*
+ * Returns true if the given VM matches a docker `status` filter, given as
+ * the VM state for that status (see `listContainers`). A paused container is
+ * a running VM, but docker reports it as 'paused' only.
+ */
+function vmMatchesStatusFilter(vmobj, sdcStatus) {
+    if (sdcStatus === 'paused') {
+        return isPausedVm(vmobj);
+    } else if (sdcStatus === 'running' && isPausedVm(vmobj)) {
+        return false;
+    }
+    return vmobj.state === sdcStatus;
+}
+
+
+/*
+ * Merge the healthcheck of a container config with the one of its image
+ * (the image HEALTHCHECK), as docker does: the container's fields win, and
+ * zero/unset fields are taken from the image.
+ *
+ * Returns the healthcheck to store for the container, or null when it doesn't
+ * have one (including when it was disabled with `Test: ['NONE']`).
+ */
+function mergeHealthcheck(containerHc, imageHc) {
+    assert.optionalObject(containerHc, 'containerHc');
+    assert.optionalObject(imageHc, 'imageHc');
+
+    var fields = ['Test', 'Interval', 'Timeout', 'StartPeriod', 'Retries'];
+    var healthcheck = {};
+
+    function isSet(field, val) {
+        return (field === 'Test' ? Boolean(val && val.length > 0)
+            : Boolean(val));
+    }
+
+    if (!containerHc && !imageHc) {
+        return null;
+    }
+
+    fields.forEach(function (field) {
+        var val = containerHc && containerHc[field];
+        if (!isSet(field, val)) {
+            val = imageHc && imageHc[field];
+        }
+        if (isSet(field, val)) {
+            healthcheck[field] = val;
+        }
+    });
+
+    if (!healthcheck.Test || healthcheck.Test[0] === 'NONE') {
+        return null;
+    }
+
+    return healthcheck;
+}
+
+
+/*
+ * Return the docker `State.Health` of a container, given its health record
+ * (see lib/models/health.js), or null if the container doesn't have a
+ * healthcheck. A container that hasn't been checked since it was (re)started
+ * is 'starting'.
+ */
+function containerHealthFromVmobj(vmobj, health) {
+    assert.object(vmobj, 'vmobj');
+    assert.optionalObject(health, 'health');
+
+    var im = vmobj.internal_metadata || {};
+
+    if (!im['docker:healthcheck']) {
+        return null;
+    }
+
+    if (!health || health.boot_timestamp !== vmobj.boot_timestamp) {
+        return {
+            Status: 'starting',
+            FailingStreak: 0,
+            Log: []
+        };
+    }
+
+    return {
+        Status: health.status,
+        FailingStreak: health.failing_streak,
+        Log: health.log
+    };
+}
+
+
+/*
+ * Return the docker-exec command payload for an exec (`POST
+ * /containers/:id/exec` body) in the given container, with its environment
+ * and working directory resolved as docker does: the exec's Env is applied
+ * on top of the container's (a variable without a value unsets it), and the
+ * WorkingDir defaults to the container's. Privileged (which can only be
+ * false, see `validateCreateExec`) is dropped.
+ */
+function execPayloadFromVmobj(execConfig, vmobj) {
+    assert.object(execConfig, 'execConfig');
+    assert.arrayOfString(execConfig.Cmd, 'execConfig.Cmd');
+    assert.optionalArrayOfString(execConfig.Env, 'execConfig.Env');
+    assert.optionalString(execConfig.WorkingDir, 'execConfig.WorkingDir');
+    assert.object(vmobj, 'vmobj');
+
+    var env = [];
+    var im = vmobj.internal_metadata || {};
+    var payload = common.objCopy(execConfig);
+
+    function envName(e) {
+        return e.split('=', 1)[0];
+    }
+
+    if (im['docker:env']) {
+        env = JSON.parse(im['docker:env']);
+    }
+
+    (execConfig.Env || []).forEach(function (e) {
+        var name = envName(e);
+
+        env = env.filter(function (existing) {
+            return (envName(existing) !== name);
+        });
+        if (e.indexOf('=') !== -1) {
+            env.push(e);
+        }
+    });
+
+    delete payload.Privileged;
+    payload.Env = env;
+    payload.WorkingDir = execConfig.WorkingDir || im['docker:workdir'] || '/';
+
+    return payload;
+}
+
+
 /*
  * Get the Docker-compatible human-readable description of the container state.
  *
@@ -221,6 +647,7 @@ function getPublishedPorts(opts, fwrules, cb) {
 function _containerStatusFromVmobj(opts) {
     assert.object(opts.vmobj, 'opts.vmobj');
     assert.object(opts.log, 'opts.log');
+    assert.optionalObject(opts.health, 'opts.health');
 
     var boot_timestamp = new Date(opts.vmobj.boot_timestamp);
     var exittime;
@@ -232,6 +659,13 @@ function _containerStatusFromVmobj(opts) {
     if (vmobj.state == 'running') {
         uptime = Math.floor((now - boot_timestamp) / 1000);
         status = 'Up ' + common.humanDuration(uptime);
+        if (isPausedVm(vmobj)) {
+            status += ' (Paused)';
+        } else if (opts.health && opts.health.Status === 'starting') {
+            status += ' (health: starting)';
+        } else if (opts.health) {
+            status += ' (' + opts.health.Status + ')';
+        }
     } else if (vmobj.state == 'provisioning' && vmobj.create_timestamp) {
         uptime = Math.floor((now - (new Date(vmobj.create_timestamp))) / 1000);
         status = 'Provisioning ' + common.humanDuration(uptime);
@@ -278,6 +712,7 @@ function vmobjToContainer(opts, obj, fwrules, callback)
 {
     assert.object(opts, 'opts');
     assert.object(opts.app, 'opts.app');
+    assert.optionalObject(opts.health, 'opts.health');
     assert.object(opts.log, 'opts.log');
     assert.object(obj, 'obj');
     assert.string(obj.alias, 'obj.alias');
@@ -326,7 +761,11 @@ function vmobjToContainer(opts, obj, fwrules, callback)
     // Names: ['/redis32', <linked names>]
     container.Names = ['/' + obj.alias];
 
-    container.Status = _containerStatusFromVmobj({vmobj: obj, log: log});
+    container.Status = _containerStatusFromVmobj({
+        health: containerHealthFromVmobj(obj, opts.health),
+        log: log,
+        vmobj: obj
+    });
 
     // `docker ps` shows the image REPO[:TAG], or the short imageId.
     container.Image = im['docker:imagename'] || im['docker:imageid']
@@ -428,6 +867,275 @@ function netmaskToBits(netmask) {
     return 32 - b;
 }
 
+/*
+ * Converts an integer to a dotted IPv4 address (eg: 1.2.3.4)
+ */
+function numberToAddress(num) {
+    return [
+        Math.floor(num / 16777216) % 256,
+        Math.floor(num / 65536) % 256,
+        Math.floor(num / 256) % 256,
+        num % 256
+    ].join('.');
+}
+
+/*
+ * Parses an IPv4 CIDR (eg: 10.0.0.0/24) into its first and last addresses
+ * (as numbers) and prefix length, or returns null if it isn't valid.
+ */
+function parseCidr(cidr) {
+    var parts = String(cidr).split('/');
+    var addr = addressToNumber(parts[0]);
+    var bits = Number(parts[1]);
+
+    if (parts.length !== 2 || addr === null || !/^[0-9]+$/.test(parts[1])
+        || bits < 8 || bits > 30) {
+        return null;
+    }
+
+    var size = Math.pow(2, 32 - bits);
+    var start = addr - (addr % size);
+    return {start: start, end: start + size - 1, bits: bits};
+}
+
+// Subnets tried in order for a `docker network create` without a subnet.
+var AUTO_SUBNET_BASE = addressToNumber('192.168.0.0');
+var AUTO_SUBNET_COUNT = 256;
+
+/*
+ * IPv4 ranges which aren't public: "this network", private, shared (carrier
+ * NAT), loopback, link-local, IETF protocol assignments, benchmarking,
+ * multicast and reserved.
+ */
+var NON_PUBLIC_IPV4_RANGES = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8',
+    '169.254.0.0/16', '172.16.0.0/12', '192.0.0.0/24', '192.168.0.0/16',
+    '198.18.0.0/15', '224.0.0.0/3'
+].map(function (cidr) {
+    var parts = cidr.split('/');
+    var start = addressToNumber(parts[0]);
+
+    return {start: start, end: start + Math.pow(2, 32 - Number(parts[1])) - 1};
+});
+
+/*
+ * Returns true if `addr` is a public IPv4 or IPv6 address, i.e. not one of a
+ * private, loopback, link-local, multicast or otherwise reserved range.
+ */
+function isPublicAddress(addr) {
+    var mapped;
+    var num;
+
+    if (net.isIPv6(addr)) {
+        addr = addr.toLowerCase();
+        /* JSSTYLED */
+        mapped = addr.match(/^::ffff:([0-9]+\.[0-9]+\.[0-9]+\.[0-9]+)$/);
+        if (mapped) {
+            return isPublicAddress(mapped[1]);
+        }
+        // Unspecified, loopback and IPv4-compatible (::/96), unique local
+        // (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8).
+        return !/^(::|f[cd]|fe[89ab]|ff)/.test(addr);
+    }
+
+    num = addressToNumber(addr);
+    if (num === null) {
+        return false;
+    }
+    return !NON_PUBLIC_IPV4_RANGES.some(function (range) {
+        return num >= range.start && num <= range.end;
+    });
+}
+
+/*
+ * Turn the body of a `POST /networks/create` into the parameters of a NAPI
+ * fabric network. `usedSubnets` are the subnets (CIDRs) of the fabric
+ * networks already on the VLAN: when no subnet is given, the first free /24 in
+ * 192.168.0.0/16 is used.
+ *
+ * Returns `{vlan_id: <number or undefined>, params: <NAPI params>}`, or a
+ * ValidationError.
+ */
+function fabricNetworkParams(createParams, usedSubnets) {
+    assert.object(createParams, 'createParams');
+    assert.string(createParams.Name, 'createParams.Name');
+    assert.arrayOfString(usedSubnets, 'usedSubnets');
+
+    var gateway;
+    var i;
+    var ipam = createParams.IPAM || {};
+    var ipamConfigs = ipam.Config || [];
+    var ipamConfig = ipamConfigs[0] || {};
+    var mtu;
+    var options = createParams.Options || {};
+    var range;
+    var subnet;
+    var used = usedSubnets.map(parseCidr).filter(function (s) {
+        return s !== null;
+    });
+    var vlanId;
+
+    function overlapsUsed(s) {
+        return used.some(function (u) {
+            return s.start <= u.end && u.start <= s.end;
+        });
+    }
+
+    if (createParams.EnableIPv6) {
+        return new errors.ValidationError('IPv6 networks are not supported');
+    }
+    if (ipam.Driver && ipam.Driver !== 'default') {
+        return new errors.ValidationError(format(
+            'IPAM driver "%s" is not supported', ipam.Driver));
+    }
+    if (ipamConfigs.length > 1) {
+        return new errors.ValidationError(
+            'only one IPAM config (subnet) per network is supported');
+    }
+
+    if (options.vlan !== undefined) {
+        vlanId = Number(options.vlan);
+        if (!/^[0-9]+$/.test(options.vlan) || vlanId > 4095) {
+            return new errors.ValidationError(format(
+                'invalid vlan option "%s": must be a number between 0 and '
+                + '4095', options.vlan));
+        }
+    }
+    if (options['com.docker.network.driver.mtu'] !== undefined) {
+        mtu = Number(options['com.docker.network.driver.mtu']);
+        if (!/^[0-9]+$/.test(options['com.docker.network.driver.mtu'])
+            || mtu < 576 || mtu > 9000) {
+            return new errors.ValidationError(format(
+                'invalid mtu option "%s": must be a number between 576 and '
+                + '9000', options['com.docker.network.driver.mtu']));
+        }
+    }
+
+    if (ipamConfig.Subnet) {
+        subnet = parseCidr(ipamConfig.Subnet);
+        if (!subnet) {
+            return new errors.ValidationError(format(
+                'invalid subnet "%s": must be an IPv4 CIDR between /8 and /30',
+                ipamConfig.Subnet));
+        }
+        if (overlapsUsed(subnet)) {
+            return new errors.ValidationError(format(
+                'subnet %s overlaps with another network on the same VLAN',
+                ipamConfig.Subnet));
+        }
+    } else if (ipamConfig.IPRange || ipamConfig.Gateway) {
+        return new errors.ValidationError(
+            'an IP range or gateway requires a subnet');
+    } else {
+        for (i = 0; i < AUTO_SUBNET_COUNT && !subnet; i++) {
+            range = {
+                start: AUTO_SUBNET_BASE + i * 256,
+                end: AUTO_SUBNET_BASE + i * 256 + 255,
+                bits: 24
+            };
+            if (!overlapsUsed(range)) {
+                subnet = range;
+            }
+        }
+        if (!subnet) {
+            return new errors.ValidationError(
+                'could not find a free subnet, please specify one');
+        }
+    }
+
+    if (ipamConfig.Gateway) {
+        gateway = addressToNumber(ipamConfig.Gateway);
+        if (gateway === null || gateway <= subnet.start
+            || gateway >= subnet.end) {
+            return new errors.ValidationError(format(
+                'invalid gateway "%s": must be an address of the subnet',
+                ipamConfig.Gateway));
+        }
+    } else {
+        gateway = subnet.start + 1;
+    }
+
+    if (ipamConfig.IPRange) {
+        range = parseCidr(ipamConfig.IPRange);
+        if (!range || range.start < subnet.start || range.end > subnet.end) {
+            return new errors.ValidationError(format(
+                'invalid IP range "%s": must be a CIDR within the subnet',
+                ipamConfig.IPRange));
+        }
+    } else {
+        range = {start: subnet.start, end: subnet.end};
+    }
+
+    // The network and broadcast addresses can't be provisioned.
+    var params = {
+        gateway: numberToAddress(gateway),
+        internet_nat: !createParams.Internal,
+        name: createParams.Name,
+        provision_end_ip: numberToAddress(Math.min(range.end, subnet.end - 1)),
+        provision_start_ip: numberToAddress(
+            Math.max(range.start, subnet.start + 1)),
+        subnet: numberToAddress(subnet.start) + '/' + subnet.bits
+    };
+    if (mtu) {
+        params.mtu = mtu;
+    }
+
+    return {vlan_id: vlanId, params: params};
+}
+
+/*
+ * Return the docker settings (aliases, static IP) of the networks a container
+ * was connected to with `docker network connect`, keyed by network uuid. They
+ * are stored as JSON in the 'docker:networkconfig' internal_metadata key.
+ */
+function networkConfigFromVmobj(vmobj) {
+    var im = vmobj.internal_metadata || {};
+
+    if (!im['docker:networkconfig']) {
+        return {};
+    }
+    try {
+        return JSON.parse(im['docker:networkconfig']);
+    } catch (e) {
+        return {};
+    }
+}
+
+/*
+ * Build the `NetworkSettings.Networks` object of `docker inspect` from the
+ * NICs of the VM. `networkNames` maps network uuids to network names (the
+ * network uuid is used when the name isn't known).
+ */
+function inspectNetworksFromVmobj(vmobj, networkNames) {
+    assert.object(vmobj, 'vmobj');
+    assert.object(networkNames, 'networkNames');
+
+    var networkConfig = networkConfigFromVmobj(vmobj);
+    var networks = {};
+
+    (vmobj.nics || []).forEach(function (nic) {
+        var config = networkConfig[nic.network_uuid] || {};
+        var name = networkNames[nic.network_uuid] || nic.network_uuid;
+
+        networks[name] = {
+            Aliases: config.Aliases || null,
+            EndpointID: nic.mac.replace(/:/g, ''),
+            Gateway: nic.gateway || '',
+            GlobalIPv6Address: '',
+            GlobalIPv6PrefixLen: 0,
+            IPAMConfig: config.IPAMConfig || null,
+            IPAddress: nic.ip,
+            IPPrefixLen: netmaskToBits(nic.netmask),
+            IPv6Gateway: '',
+            Links: null,
+            MacAddress: nic.mac,
+            NetworkID: networkUuidToDockerId(nic.network_uuid)
+        };
+    });
+
+    return networks;
+}
+
 // Sadly `docker ps` and `docker inspect` container objects only share Id
 function vmobjToInspect(opts, obj, vmData, callback) {
     assert.object(opts, 'opts');
@@ -437,8 +1145,12 @@ function vmobjToInspect(opts, obj, vmData, callback) {
     assert.object(vmData, 'vmData');
     assert.object(vmData.fwrules, 'vmData.fwrules');
     assert.object(vmData.pkg, 'vmData.pkg');
+    assert.optionalObject(vmData.networkNames, 'vmData.networkNames');
+    assert.optionalArrayOfString(vmData.execIds, 'vmData.execIds');
+    assert.optionalObject(vmData.health, 'vmData.health');
 
     var cmdline = [];
+    var health;
     var container = {};
     /* JSSTYLED */
     var data_volume_regex = /\/volumes\/([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})$/;
@@ -501,6 +1213,9 @@ function vmobjToInspect(opts, obj, vmData, callback) {
     if (im && im['docker:env']) {
         container.Config.Env = JSON.parse(im['docker:env']);
     }
+    if (im && im['docker:healthcheck']) {
+        container.Config.Healthcheck = JSON.parse(im['docker:healthcheck']);
+    }
 
     // Not sure why this needs to be duplicated
     cmdline = container.Config.Entrypoint.concat(container.Config.Cmd);
@@ -519,6 +1234,8 @@ function vmobjToInspect(opts, obj, vmData, callback) {
     container.ExecDriver = 'sdc-0.1';
 
     container.HostConfig = {
+        'AutoRemove': Boolean(obj.internal_metadata
+            && obj.internal_metadata['docker:autoremove']),
         'Binds': [],
         'CapAdd': null,
         'CapDrop': null,
@@ -754,6 +1471,9 @@ function vmobjToInspect(opts, obj, vmData, callback) {
 
     getPublishedPorts({ log: log, vm: obj }, fwrules, addPublishedPort);
 
+    container.NetworkSettings.Networks = inspectNetworksFromVmobj(obj,
+        vmData.networkNames || {});
+
     container.ProcessLabel = '';
     container.ResolvConfPath = '/etc/resolv.conf';
 
@@ -762,13 +1482,18 @@ function vmobjToInspect(opts, obj, vmData, callback) {
         'ExitCode': obj.exit_status || 0,
         'FinishedAt': obj.exit_timestamp || '0001-01-01T00:00:00Z',
         'OOMKilled': false,
-        'Paused': false,
+        'Paused': isPausedVm(obj),
         'Pid': obj.pid || 0,
         'Restarting': false,
         'Running': ((obj.state === 'running') ? true : false),
         'StartedAt': obj.boot_timestamp || '0001-01-01T00:00:00Z'
     };
 
+    health = containerHealthFromVmobj(obj, vmData.health);
+    if (health) {
+        container.State.Health = health;
+    }
+
     /*
      * Version-specific mutations
      */
@@ -794,7 +1519,8 @@ function vmobjToInspect(opts, obj, vmData, callback) {
             container.Config.Labels['com.joyent.package'] = pkg.name;
         }
 
-        container.ExecIDs = null;
+        container.ExecIDs = (vmData.execIds && vmData.execIds.length > 0
+            ? vmData.execIds : null);
         container.HostConfig.CgroupParent = '';
         container.HostConfig.CpuShares = container.Config.CpuShares;
         container.HostConfig.CpusetCpus = '';
@@ -881,6 +1607,312 @@ function imgobjToInspect(image, imgTags) {
     return dockerImage;
 }
 
+/*
+ * Return the config of an ImageV2 model as it was hashed for its
+ * `config_digest`, or null when it isn't known: only the images loaded or
+ * imported by sdc-docker keep the original config, for the others it's known
+ * if serializing `img.image` gives the same digest.
+ */
+function imageConfigStr(img) {
+    assert.object(img, 'img');
+
+    if (img.config_str) {
+        return img.config_str;
+    }
+
+    var configStr = JSON.stringify(img.image);
+    var digest = 'sha256:' + crypto.createHash('sha256')
+        .update(configStr, 'utf8').digest('hex');
+
+    return (digest === img.config_digest ? configStr : null);
+}
+
+/*
+ * Return the file layout of a `docker save` tarball for the given images, an
+ * array of `{configStr, img, repoTags}` where `img` is an ImageV2 model and
+ * `configStr` its original config (see `imageConfigStr`). The layout is
+ * an object with:
+ *
+ *  - `configs` the image config files, array of `{name, data}`,
+ *  - `layers` the (unique) layer files, array of `{digest, index, img, name}`
+ *    where `index` is the position of the layer in the image manifest,
+ *  - `manifest` the entries of the tarball's 'manifest.json'.
+ *
+ * Layer tars are stored as they are in IMGAPI (compressed), which
+ * `docker load` accepts.
+ */
+function imageSaveLayout(images) {
+    assert.arrayOfObject(images, 'images');
+
+    var configs = [];
+    var layerNames = {};
+    var layers = [];
+    var manifest = [];
+
+    images.forEach(function (image) {
+        var img = image.img;
+        var imgManifest = JSON.parse(img.manifest_str);
+        var configName = img.config_digest.split(':')[1] + '.json';
+
+        configs.push({
+            name: configName,
+            data: image.configStr
+        });
+
+        manifest.push({
+            Config: configName,
+            RepoTags: (image.repoTags.length > 0 ? image.repoTags : null),
+            Layers: imgManifest.layers.map(function (layer, idx) {
+                var name = layer.digest.split(':')[1] + '/layer.tar';
+                if (!layerNames.hasOwnProperty(name)) {
+                    layerNames[name] = true;
+                    layers.push({
+                        digest: layer.digest,
+                        index: idx,
+                        img: img,
+                        name: name
+                    });
+                }
+                return name;
+            })
+        });
+    });
+
+    return {
+        configs: configs,
+        layers: layers,
+        manifest: manifest
+    };
+}
+
+/*
+ * Return the compression of a file, one of the IMGAPI file compression values
+ * ('bzip2', 'gzip', 'xz' or 'none'), given the first bytes of the file.
+ */
+function compressionFromMagic(magic) {
+    if (!magic) {
+        return 'none';
+    } else if (magic[0] === 0x1f && magic[1] === 0x8b) {
+        return 'gzip';
+    } else if (magic[0] === 0x42 && magic[1] === 0x5a && magic[2] === 0x68) {
+        // 'BZh'
+        return 'bzip2';
+    } else if (magic[0] === 0xfd && magic[1] === 0x37 && magic[2] === 0x7a
+        && magic[3] === 0x58 && magic[4] === 0x5a && magic[5] === 0x00)
+    {
+        return 'xz';
+    }
+    return 'none';
+}
+
+/*
+ * Return the docker v2.2 image manifest, as a string, for an image loaded with
+ * `docker load` or `docker import`. `configDigest` and `configSize` describe
+ * the image config and `layers` is an array of the layer files `{compression,
+ * digest, size}`.
+ */
+function imageLoadManifestStr(configDigest, configSize, layers) {
+    assert.string(configDigest, 'configDigest');
+    assert.number(configSize, 'configSize');
+    assert.arrayOfObject(layers, 'layers');
+
+    return JSON.stringify({
+        schemaVersion: 2,
+        mediaType: 'application/vnd.docker.distribution.manifest.v2+json',
+        config: {
+            mediaType: 'application/vnd.docker.container.image.v1+json',
+            size: configSize,
+            digest: configDigest
+        },
+        layers: layers.map(function (layer) {
+            return {
+                mediaType: (layer.compression === 'none'
+                    ? 'application/vnd.docker.image.rootfs.diff.tar'
+                    : 'application/vnd.docker.image.rootfs.diff.tar.gzip'),
+                size: layer.size,
+                digest: layer.digest
+            };
+        })
+    });
+}
+
+/*
+ * Split the arguments of a Dockerfile instruction on whitespace, keeping
+ * double quoted strings (e.g. 'a="b c"') together and removing the quotes.
+ */
+function splitInstructionArgs(str) {
+    var args = [];
+    var arg = null;
+    var inQuotes = false;
+
+    for (var i = 0; i < str.length; i++) {
+        var c = str[i];
+        if (c === '\\' && i + 1 < str.length) {
+            arg = (arg || '') + str[++i];
+        } else if (c === '"') {
+            inQuotes = !inQuotes;
+            arg = arg || '';
+        } else if (/\s/.test(c) && !inQuotes) {
+            if (arg !== null) {
+                args.push(arg);
+                arg = null;
+            }
+        } else {
+            arg = (arg || '') + c;
+        }
+    }
+    if (arg !== null) {
+        args.push(arg);
+    }
+
+    return args;
+}
+
+/*
+ * Parse the arguments of an ENV or LABEL instruction, either 'key value' or
+ * 'key=value ...', into an array of `[key, value]`.
+ */
+function keyValueInstructionArgs(instr, rest) {
+    var args = splitInstructionArgs(rest);
+
+    if (args.length === 0) {
+        return new errors.ValidationError(format(
+            '%s requires at least one argument', instr));
+    }
+    if (args[0].indexOf('=') === -1) {
+        // The old 'ENV key value' form.
+        var m = /^\S+\s+(.*)$/.exec(rest);
+        if (!m) {
+            return new errors.ValidationError(format(
+                '%s requires a value for %s', instr, args[0]));
+        }
+        return [ [args[0], m[1]] ];
+    }
+
+    var pairs = [];
+    for (var i = 0; i < args.length; i++) {
+        var idx = args[i].indexOf('=');
+        if (idx <= 0) {
+            return new errors.ValidationError(format(
+                '%s names can not be blank and must be followed by "=": %s',
+                instr, args[i]));
+        }
+        pairs.push([args[i].slice(0, idx), args[i].slice(idx + 1)]);
+    }
+    return pairs;
+}
+
+/*
+ * Return the image `config` for an image created with `docker import`, with
+ * the given Dockerfile `changes` (e.g. 'CMD ["/bin/sh"]') applied. Only the
+ * CMD, ENV, EXPOSE, LABEL and WORKDIR instructions are supported. Returns an
+ * error if a change is invalid.
+ */
+function imageImportConfig(changes) {
+    assert.arrayOfString(changes, 'changes');
+
+    var config = {
+        Cmd: null,
+        Env: null,
+        ExposedPorts: null,
+        Labels: null,
+        WorkingDir: ''
+    };
+
+    for (var i = 0; i < changes.length; i++) {
+        var change = changes[i].trim();
+        var m = /^(\w+)(?:\s+([\s\S]*))?$/.exec(change);
+        if (!m) {
+            return new errors.ValidationError(format(
+                'invalid change: "%s"', change));
+        }
+        var instr = m[1].toUpperCase();
+        var rest = (m[2] || '').trim();
+        var pairs;
+
+        switch (instr) {
+        case 'CMD':
+            if (rest[0] === '[') {
+                try {
+                    config.Cmd = JSON.parse(rest);
+                } catch (e) {
+                    config.Cmd = null;
+                }
+                if (!Array.isArray(config.Cmd)
+                    || !config.Cmd.every(function (a) {
+                        return typeof (a) === 'string';
+                    }))
+                {
+                    return new errors.ValidationError(format(
+                        'invalid CMD: %s', rest));
+                }
+            } else if (rest) {
+                config.Cmd = ['/bin/sh', '-c', rest];
+            } else {
+                return new errors.ValidationError(
+                    'CMD requires an argument');
+            }
+            break;
+
+        case 'ENV':
+            pairs = keyValueInstructionArgs(instr, rest);
+            if (pairs instanceof Error) {
+                return pairs;
+            }
+            config.Env = config.Env || [];
+            pairs.forEach(function (pair) {
+                config.Env = config.Env.filter(function (e) {
+                    return e.split('=')[0] !== pair[0];
+                });
+                config.Env.push(pair[0] + '=' + pair[1]);
+            });
+            break;
+
+        case 'EXPOSE':
+            var ports = splitInstructionArgs(rest);
+            if (ports.length === 0) {
+                return new errors.ValidationError(
+                    'EXPOSE requires at least one argument');
+            }
+            config.ExposedPorts = config.ExposedPorts || {};
+            for (var p = 0; p < ports.length; p++) {
+                var pm = /^(\d+)(?:\/(tcp|udp))?$/.exec(ports[p]);
+                if (!pm || Number(pm[1]) < 1 || Number(pm[1]) > 65535) {
+                    return new errors.ValidationError(format(
+                        'invalid port for EXPOSE: %s', ports[p]));
+                }
+                config.ExposedPorts[pm[1] + '/' + (pm[2] || 'tcp')] = {};
+            }
+            break;
+
+        case 'LABEL':
+            pairs = keyValueInstructionArgs(instr, rest);
+            if (pairs instanceof Error) {
+                return pairs;
+            }
+            config.Labels = config.Labels || {};
+            pairs.forEach(function (pair) {
+                config.Labels[pair[0]] = pair[1];
+            });
+            break;
+
+        case 'WORKDIR':
+            if (!rest) {
+                return new errors.ValidationError(
+                    'WORKDIR requires exactly one argument');
+            }
+            config.WorkingDir = rest;
+            break;
+
+        default:
+            return new errors.ValidationError(format(
+                '%s is not a valid change command', instr));
+        }
+    }
+
+    return config;
+}
+
 function isValidDockerConatinerName(str) {
     var re = /^\/?[a-zA-Z0-9][a-zA-Z0-9_.-]+$/;
     return str && str.match(re);
@@ -935,19 +1967,219 @@ function ldapEscape(str) {
     return str.replace(/[=\(\)\*\\]/g, '\\$&');
 }
 
+/*
+ * Paths of a container's filesystem which aren't part of it: the
+ * platform's `/native` and `/proc` mounts, and the mount points of the
+ * container's volumes. `docker export` leaves these out.
+ */
+function nonContainerFsPaths(vmobj) {
+    var paths = ['/native', '/proc'];
+
+    (vmobj.filesystems || []).forEach(function (f) {
+        if (f.target && paths.indexOf(f.target) === -1) {
+            paths.push(f.target);
+        }
+    });
+
+    (vmobj.volumes || []).forEach(function (v) {
+        if (v.mountpoint && paths.indexOf(v.mountpoint) === -1) {
+            paths.push(v.mountpoint);
+        }
+    });
+
+    return paths;
+}
+
+/*
+ * Docker change kinds, as returned by `GET /containers/:id/changes`.
+ */
+var CHANGE_KIND_MODIFIED = 0;
+var CHANGE_KIND_ADDED = 1;
+var CHANGE_KIND_DELETED = 2;
+
+/*
+ * Turn the output of `zfs diff -H` between a container's image and its zone
+ * dataset into docker changes (`[{Path: '/etc', Kind: 0}, ...]`), sorted by
+ * path. `zoneroot` is the path of the container's root filesystem: paths
+ * outside of it (e.g. the zone's config or cores) aren't part of the
+ * container's filesystem and are skipped.
+ */
+function changesFromZfsDiff(output, zoneroot) {
+    assert.string(output, 'output');
+    assert.string(zoneroot, 'zoneroot');
+
+    var byPath = {};
+
+    // `zfs diff` escapes spaces and non-printable characters as '\NNNN'.
+    function unescapePath(p) {
+        return p.replace(/\\([0-7]{4})/g, function (_, octal) {
+            return String.fromCharCode(parseInt(octal, 8));
+        });
+    }
+
+    function addChange(p, kind) {
+        p = unescapePath(p);
+        if (p.substr(0, zoneroot.length + 1) !== zoneroot + '/') {
+            return;
+        }
+        p = p.substr(zoneroot.length);
+        byPath[p] = {Path: p, Kind: kind};
+    }
+
+    output.split('\n').forEach(function (line) {
+        var fields = line.split('\t');
+
+        switch (fields[0]) {
+            case 'M':
+                addChange(fields[1], CHANGE_KIND_MODIFIED);
+                break;
+            case '+':
+                addChange(fields[1], CHANGE_KIND_ADDED);
+                break;
+            case '-':
+                addChange(fields[1], CHANGE_KIND_DELETED);
+                break;
+            case 'R':
+                addChange(fields[1], CHANGE_KIND_DELETED);
+                addChange(fields[2], CHANGE_KIND_ADDED);
+                break;
+            default:
+                // Blank or unknown lines are ignored.
+                break;
+        }
+    });
+
+    return Object.keys(byPath).sort().map(function (p) {
+        return byPath[p];
+    });
+}
+
+/*
+ * Build the `GET /system/df` response from the account's docker images (in
+ * `docker images` format), containers (from `getContainersDiskUsage`) and
+ * VOLAPI volumes.
+ *
+ * Image layers aren't shared between images here, so `LayersSize` is the sum
+ * of the image sizes and every image has a `SharedSize` of 0.
+ */
+function systemDfFromUsage(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.containers, 'opts.containers');
+    assert.arrayOfObject(opts.images, 'opts.images');
+    assert.arrayOfObject(opts.volumes, 'opts.volumes');
+
+    var containersByImage = {};
+    var containersByVolume = {};
+    var imagesById = {};
+    var images = [];
+    var layersSize = 0;
+
+    opts.containers.forEach(function (container) {
+        containersByImage[container.ImageID]
+            = (containersByImage[container.ImageID] || 0) + 1;
+        (container.Mounts || []).forEach(function (mount) {
+            containersByVolume[mount.Name]
+                = (containersByVolume[mount.Name] || 0) + 1;
+        });
+    });
+
+    function addNew(list, values) {
+        (values || []).forEach(function (value) {
+            if (list.indexOf(value) === -1) {
+                list.push(value);
+            }
+        });
+    }
+
+    // `docker images` lists an image once per tag: group them by image id.
+    opts.images.forEach(function (img) {
+        var dfImg = imagesById[img.Id];
+
+        if (!dfImg) {
+            dfImg = imagesById[img.Id] = {
+                Containers: containersByImage[img.Id] || 0,
+                Created: img.Created,
+                Id: img.Id,
+                Labels: img.Labels || null,
+                ParentId: img.ParentId || '',
+                RepoDigests: [],
+                RepoTags: [],
+                SharedSize: 0,
+                Size: img.Size || 0,
+                VirtualSize: img.VirtualSize || img.Size || 0
+            };
+            images.push(dfImg);
+            layersSize += dfImg.Size;
+        }
+
+        addNew(dfImg.RepoDigests, img.RepoDigests);
+        addNew(dfImg.RepoTags, img.RepoTags);
+    });
+
+    var volumes = opts.volumes.map(function (volume) {
+        return {
+            Driver: volume.type,
+            Labels: volume.labels || null,
+            Mountpoint: volume.filesystem_path,
+            Name: volume.name,
+            Options: null,
+            Scope: 'global',
+            UsageData: {
+                RefCount: containersByVolume[volume.name] || 0,
+                // VOLAPI volume sizes are in mebibytes.
+                Size: (volume.size || 0) * 1024 * 1024
+            }
+        };
+    });
+
+    return {
+        Containers: opts.containers,
+        Images: images,
+        LayersSize: layersSize,
+        Volumes: volumes
+    };
+}
+
 // ---- exports
 
 module.exports = {
+    changesFromZfsDiff: changesFromZfsDiff,
     compressPorts: compressPorts,
+    containerPortsFromVmobj: containerPortsFromVmobj,
+    compressionFromMagic: compressionFromMagic,
+    containerHealthFromVmobj: containerHealthFromVmobj,
     dockerIdFromVmObj: dockerIdFromVmObj,
+    dockerLabelsFromVmTags: dockerLabelsFromVmTags,
+    execPayloadFromVmobj: execPayloadFromVmobj,
+    fabricNetworkParams: fabricNetworkParams,
     vmUuidToShortDockerId: vmUuidToShortDockerId,
     networkUuidToDockerId: networkUuidToDockerId,
     shortNetworkIdToUuidPrefix: shortNetworkIdToUuidPrefix,
     getNormalizedFilters: getNormalizedFilters,
     getPublishedPorts: getPublishedPorts,
     isValidDockerConatinerName: isValidDockerConatinerName,
+    imageConfigStr: imageConfigStr,
+    imageImportConfig: imageImportConfig,
+    imageLoadManifestStr: imageLoadManifestStr,
+    imageSaveLayout: imageSaveLayout,
     imgobjToInspect: imgobjToInspect,
+    inspectNetworksFromVmobj: inspectNetworksFromVmobj,
+    isPausedVm: isPausedVm,
+    isPublicAddress: isPublicAddress,
+    labelFilterMatches: labelFilterMatches,
+    mergeHealthcheck: mergeHealthcheck,
+    nonContainerFsPaths: nonContainerFsPaths,
+    parsePortFilter: parsePortFilter,
+    parsePruneFilters: parsePruneFilters,
+    parseReferenceFilter: parseReferenceFilter,
+    portFilterMatches: portFilterMatches,
+    pruneFiltersMatch: pruneFiltersMatch,
+    referenceFilterMatches: referenceFilterMatches,
+    systemDfFromUsage: systemDfFromUsage,
     vmobjToContainer: vmobjToContainer,
+    vmobjHasVolume: vmobjHasVolume,
+    vmMatchesStatusFilter: vmMatchesStatusFilter,
     vmobjToInspect: vmobjToInspect,
-    ldapEscape: ldapEscape
+    ldapEscape: ldapEscape,
+    networkConfigFromVmobj: networkConfigFromVmobj
 };
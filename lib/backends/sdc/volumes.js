@@ -17,6 +17,9 @@ var verror = require('verror');
 var errors = require('../../errors');
 var mod_networks = require('./networks');
 
+// The `docker volume ls` filters supported by `listVolumes`.
+var VOLUME_FILTERS = ['dangling', 'driver', 'label', 'name'];
+
 /*
  * This function polls VOLAPI for the volume specified by volumeUuid.
  *
@@ -68,6 +71,34 @@ function pollVolumeState(volumeUuid, volapiClient, states, callback) {
     doPollVolumeStateChange();
 }
 
+/*
+ * Returns true if the given VOLAPI volume matches the `docker volume ls`
+ * filters that VOLAPI can't handle, with docker's semantics: any of the 'name'
+ * (substring) and 'driver' values, and all of the 'label' values must match.
+ */
+function volumeMatchesFilters(volume, filters) {
+    assert.object(volume, 'volume');
+    assert.object(filters, 'filters');
+
+    if (filters.name && !filters.name.some(function (name) {
+        return volume.name.indexOf(name) !== -1;
+    })) {
+        return false;
+    }
+
+    if (filters.driver && filters.driver.indexOf(volume.type) === -1) {
+        return false;
+    }
+
+    if (filters.label && !filters.label.every(function (labelFilter) {
+        return utils.labelFilterMatches(labelFilter, volume.labels);
+    })) {
+        return false;
+    }
+
+    return true;
+}
+
 function createVolume(volumeParams, options, callback) {
     assert.object(volumeParams, 'params');
     assert.object(options, 'options');
@@ -80,6 +111,7 @@ function createVolume(volumeParams, options, callback) {
     var volapiClient = options.app.volapi;
 
     var payload = {
+        labels: volumeParams.labels,
         name: volumeParams.name,
         size: volumeParams.size,
         type: volumeParams.type
@@ -165,6 +197,15 @@ function createVolume(volumeParams, options, callback) {
         }
     ], arg: context
     }, function allDone(err) {
+        if (!err) {
+            options.app.backend.recordEvent({
+                account: options.account,
+                action: 'create',
+                app: options.app,
+                log: log,
+                volume: context.volume
+            });
+        }
         callback(err, context.volume);
     });
 }
@@ -180,13 +221,11 @@ function listVolumes(params, options, callback) {
     assert.uuid(options.reqId, 'options.reqId');
     assert.func(callback, 'callback');
 
-    var filterName;
     var filters;
-    var filterValue;
     var filterParseError;
+    var invalidFilters;
     var log = options.log;
     var reqParams = {};
-    var valIdx;
 
     /*
      * By default, we only list volumes that are ready. As far as I know, docker
@@ -224,6 +263,15 @@ function listVolumes(params, options, callback) {
         }
 
         log.debug({filters: filters}, 'listVolumes: filters');
+
+        invalidFilters = Object.keys(filters).filter(function (name) {
+            return VOLUME_FILTERS.indexOf(name) === -1;
+        });
+        if (invalidFilters.length > 0) {
+            callback(new errors.ValidationError('Invalid filter \''
+                + invalidFilters[0] + '\''));
+            return;
+        }
     }
 
     assert.optionalObject(filters, 'filters');
@@ -233,28 +281,26 @@ function listVolumes(params, options, callback) {
             filters: filters
         }, 'filters');
 
-        for (filterName in filters) {
-            var filterValues = filters[filterName];
-            for (valIdx in filterValues) {
-                filterValue = filterValues[valIdx];
-                if (filterName === 'dangling') {
-                    filterValue = (filterValue === 'true' ? true : false);
-                }
-
-                var newPredicateComponent = {eq: [filterName, filterValue]};
+        /*
+         * Only the 'dangling' filter is handled by VOLAPI, the other filters
+         * are applied to the listed volumes (see volumeMatchesFilters).
+         */
+        (filters.dangling || []).forEach(function (filterValue) {
+            var newPredicateComponent = {
+                eq: ['dangling', (filterValue === 'true' ? true : false)]
+            };
 
-                if (!predicate.hasOwnProperty('and')) {
-                    predicate = {
-                        and: [
-                            predicate,
-                            newPredicateComponent
-                        ]
-                    };
-                } else {
-                    predicate.and.push(newPredicateComponent);
-                }
+            if (!predicate.hasOwnProperty('and')) {
+                predicate = {
+                    and: [
+                        predicate,
+                        newPredicateComponent
+                    ]
+                };
+            } else {
+                predicate.and.push(newPredicateComponent);
             }
-        }
+        });
     }
 
     reqParams.owner_uuid = options.account.uuid;
@@ -279,6 +325,12 @@ function listVolumes(params, options, callback) {
             return;
         }
 
+        if (filters !== undefined) {
+            volumes = volumes.filter(function (volume) {
+                return volumeMatchesFilters(volume, filters);
+            });
+        }
+
         callback(null, volumes);
     });
 }
@@ -326,6 +378,7 @@ function deleteVolume(params, options, callback) {
                     err = new errors.DockerError('More than one volume '
                         + 'with name: ' + params.name);
                 } else {
+                    ctx.volumeToDelete = volumes[0];
                     ctx.volumeToDeleteUuid = volumes[0].uuid;
                 }
 
@@ -381,7 +434,86 @@ function deleteVolume(params, options, callback) {
         }
     ],
     arg: context
-    }, callback);
+    }, function allDone(err) {
+        if (!err) {
+            options.app.backend.recordEvent({
+                account: options.account,
+                action: 'destroy',
+                app: options.app,
+                log: log,
+                volume: context.volumeToDelete
+            });
+        }
+        callback(err);
+    });
+}
+
+/*
+ * Delete the dangling volumes (i.e. not used by any container) of an account
+ * that match the given prune filters (`docker volume prune`). Volumes that
+ * fail to be deleted are logged and skipped, as docker does.
+ *
+ * Calls callback(err, result) where result is the docker prune response,
+ * `{VolumesDeleted: [...], SpaceReclaimed: N}`.
+ */
+function pruneVolumes(params, options, callback) {
+    assert.object(params, 'params');
+    assert.optionalString(params.filters, 'params.filters');
+    assert.object(options, 'options');
+    assert.object(options.account, 'options.account');
+    assert.object(options.app, 'options.app');
+    assert.object(options.log, 'options.log');
+    assert.uuid(options.reqId, 'options.reqId');
+    assert.func(callback, 'callback');
+
+    var log = options.log;
+    var pruneFilters = utils.parsePruneFilters(params.filters,
+        {now: Date.now()});
+    var result = {
+        VolumesDeleted: [],
+        SpaceReclaimed: 0
+    };
+
+    if (pruneFilters instanceof Error) {
+        callback(pruneFilters);
+        return;
+    }
+
+    listVolumes({
+        filters: JSON.stringify({dangling: ['true']})
+    }, options, function onVolumesListed(listErr, volumes) {
+        if (listErr) {
+            callback(listErr);
+            return;
+        }
+
+        volumes = volumes.filter(function (volume) {
+            return utils.pruneFiltersMatch(pruneFilters,
+                new Date(volume.create_timestamp).getTime(), volume.labels);
+        });
+
+        vasync.forEachPipeline({
+            inputs: volumes,
+            func: function pruneVolume(volume, next) {
+                deleteVolume({
+                    name: volume.name
+                }, options, function onVolumeDeleted(err) {
+                    if (err) {
+                        log.warn({err: err, volume: volume.name},
+                            'pruneVolumes: could not delete volume');
+                    } else {
+                        result.VolumesDeleted.push(volume.name);
+                        // VOLAPI volume sizes are in mebibytes.
+                        result.SpaceReclaimed +=
+                            (volume.size || 0) * 1024 * 1024;
+                    }
+                    next();
+                });
+            }
+        }, function () {
+            callback(null, result);
+        });
+    });
 }
 
 function inspectVolume(params, options, callback) {
@@ -421,5 +553,6 @@ module.exports = {
     createVolume: createVolume,
     listVolumes: listVolumes,
     deleteVolume: deleteVolume,
-    inspectVolume: inspectVolume
+    inspectVolume: inspectVolume,
+    pruneVolumes: pruneVolumes
 };
@@ -21,6 +21,17 @@ var auditLogger = require('./audit-logger');
 var LABELTAG_PREFIX = 'docker:label:';
 var LOG_DRIVERS;
 
+// Relative durations, e.g. `since=10m` for "10 minutes ago".
+var DURATION_RE = /^(\d+)(s|m|h)$/;
+var DURATION_MS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000
+};
+
+// The keys detaching from an attach by default: ctrl-p ctrl-q, as in docker.
+var DEFAULT_DETACH_KEYS = [16, 17];
+
 /*
  * LOG_DRIVERS is here to provide a list of which log drivers sdc-docker
  * supports and which log-opts are supported for each driver. Just because
@@ -111,6 +122,115 @@ LOG_DRIVERS = {
 };
 
 
+/**
+ * Parse a time param (e.g. the `since` and `until` of `docker events`, or the
+ * `until` prune filter) into a number of milliseconds since the epoch. Docker
+ * clients send Unix timestamps (seconds, optionally with a fractional part),
+ * but RFC 3339 dates and relative durations (e.g. '10m', relative to `now`)
+ * are accepted too.
+ *
+ * Returns undefined when the param isn't set, and an error when it's invalid.
+ */
+function parseTimeParam(name, val, now) {
+    if (val === undefined || val === '') {
+        return undefined;
+    }
+
+    var match;
+    var time;
+
+    if (/^\d+(\.\d+)?$/.test(val)) {
+        time = Math.floor(Number(val) * 1000);
+    } else if ((match = DURATION_RE.exec(val)) !== null) {
+        time = now - Number(match[1]) * DURATION_MS[match[2]];
+    } else {
+        time = Date.parse(val);
+    }
+
+    if (isNaN(time)) {
+        return new errors.ValidationError(format(
+            'invalid value for "%s": %j', name, val));
+    }
+
+    return time;
+}
+
+
+/**
+ * Parse the `detachKeys` of an attach (docker's `--detach-keys`, e.g.
+ * 'ctrl-p,ctrl-q') into the sequence of key codes which detaches the client.
+ * Each comma-separated key is either a single character or 'ctrl-<value>',
+ * <value> being one of a-z, @, [, \, ], ^ or _.
+ *
+ * Returns the default sequence (ctrl-p ctrl-q) when the param isn't set, and
+ * an error when it's invalid.
+ */
+function parseDetachKeys(val) {
+    if (val === undefined || val === '') {
+        return DEFAULT_DETACH_KEYS.slice();
+    }
+
+    var codes = [];
+    var keys = val.split(',');
+    var i;
+    var key;
+    var match;
+
+    for (i = 0; i < keys.length; i++) {
+        key = keys[i];
+        if (key.length === 1) {
+            codes.push(key.charCodeAt(0));
+            continue;
+        }
+
+        match = /^ctrl-([a-z@\[\\\]^_])$/i.exec(key);
+        if (match === null) {
+            return new errors.ValidationError(format(
+                'Invalid detach keys (%s) provided', val));
+        }
+        // ctrl-@ is 0, ctrl-a is 1, ... ctrl-_ is 31.
+        codes.push(match[1].toUpperCase().charCodeAt(0) - 64);
+    }
+
+    return codes;
+}
+
+
+/**
+ * Scan a chunk of attach stdin for the detach keys (see `parseDetachKeys`).
+ * As the keys are typed one at a time, a partial match is held back in the
+ * `held` array until the sequence is either completed or broken (the held
+ * keys then being sent on as input).
+ *
+ * Returns `{data: <Buffer to forward>, detach: <Boolean>}`, the input which
+ * follows the detach keys being dropped.
+ */
+function scanDetachKeys(keys, held, chunk) {
+    var bytes = [];
+    var i;
+
+    for (i = 0; i < chunk.length; i++) {
+        if (chunk[i] === keys[held.length]) {
+            held.push(chunk[i]);
+            if (held.length === keys.length) {
+                held.length = 0;
+                return {data: new Buffer(bytes), detach: true};
+            }
+        } else if (held.length > 0) {
+            // The sequence is broken: send on the held keys, then rescan this
+            // one as it may start a new sequence.
+            bytes = bytes.concat(held);
+            held.length = 0;
+            i--;
+        } else {
+            bytes.push(chunk[i]);
+        }
+    }
+
+    return {data: new Buffer(bytes), detach: false};
+}
+
+
 /**
  * Given a duration in seconds, return a human-friendly string.
  */
@@ -844,6 +964,9 @@ module.exports = {
     boolFromQueryParam: boolFromQueryParam,
     objEmpty: objEmpty,
     objCopy: objCopy,
+    parseDetachKeys: parseDetachKeys,
+    parseTimeParam: parseTimeParam,
+    scanDetachKeys: scanDetachKeys,
     writeToDockerRawStream: writeToDockerRawStream,
     generateDockerId: generateDockerId,
     formatProgress: formatProgress,
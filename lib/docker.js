@@ -38,6 +38,7 @@ var common = require('./common');
 var constants = require('./constants');
 var endpoints = require('./endpoints');
 var errors = require('./errors');
+var EventModel = require('./models/event');
 var hijack = require('./hijack');
 var models = require('./models');
 var PluginManager = require('./plugin-manager');
@@ -85,7 +86,12 @@ function App(opts) {
 
     self.plugins = new PluginManager(self);
 
-    self.sockets = new SocketManager({ log: self.log });
+    self.sockets = new SocketManager({
+        app: self,
+        config: self.config.sockets,
+        log: self.log
+    });
+    self.initSocketReaper();
     self.initAuthCache();
 
     if (self.config.readOnly) {
@@ -440,6 +446,11 @@ App.prototype.listen = function (callback) {
 };
 
 App.prototype.close = function close(callback) {
+    clearInterval(this.autoRemoveTimer);
+    clearInterval(this.eventJournalPurgeTimer);
+    clearInterval(this.healthcheckTimer);
+    clearInterval(this.sessionPurgeTimer);
+    clearInterval(this.socketReaperTimer);
     this.server.on('close', function () {
         callback();
     });
@@ -580,6 +591,10 @@ App.prototype.initMoray = function () {
 
             if (!err) {
                 self.log.info('models initialized');
+                self.initEventJournal();
+                self.initHealthchecks();
+                self.initAutoRemove();
+                self.initSessionPurge();
                 return;
             }
 
@@ -593,6 +608,191 @@ App.prototype.initMoray = function () {
 };
 
 
+/*
+ * Starts the periodic purge of the event journal (see lib/models/event.js),
+ * which drops events older than `eventJournal.retentionDays` days.
+ */
+App.prototype.initEventJournal = function () {
+    var self = this;
+    var journalOptions = self.config.eventJournal || {};
+
+    if (journalOptions.retentionDays === undefined) {
+        journalOptions.retentionDays = 7;
+    }
+    if (journalOptions.purgeIntervalMins === undefined) {
+        journalOptions.purgeIntervalMins = 60;
+    }
+    assert.number(journalOptions.retentionDays,
+        'config.eventJournal.retentionDays');
+    assert.number(journalOptions.purgeIntervalMins,
+        'config.eventJournal.purgeIntervalMins');
+
+    function purge() {
+        var before = Date.now()
+            - journalOptions.retentionDays * 24 * 60 * 60 * 1000;
+
+        EventModel.purge(self, self.log, {before: before}, function (err) {
+            if (err) {
+                self.log.error(err, 'Error purging the event journal');
+            }
+        });
+    }
+
+    clearInterval(self.eventJournalPurgeTimer);
+    self.eventJournalPurgeTimer = setInterval(purge,
+        journalOptions.purgeIntervalMins * 60 * 1000);
+    purge();
+};
+
+
+/*
+ * Calls `func(callback)` every `interval` milliseconds, skipping the calls
+ * made while the previous one is still running. The interval timer is stored
+ * as `this[timerName]`, and cleared by `close`.
+ */
+App.prototype.runPeriodically = function (timerName, interval, func) {
+    assert.string(timerName, 'timerName');
+    assert.number(interval, 'interval');
+    assert.func(func, 'func');
+
+    var running = false;
+
+    function run() {
+        if (running) {
+            return;
+        }
+        running = true;
+
+        func(function () {
+            running = false;
+        });
+    }
+
+    clearInterval(this[timerName]);
+    this[timerName] = setInterval(run, interval);
+};
+
+
+/*
+ * Starts running the container healthchecks (see lib/backends/sdc/health.js):
+ * every `healthchecks.pollIntervalSecs` seconds, the checks which are due are
+ * run.
+ */
+App.prototype.initHealthchecks = function () {
+    var self = this;
+    var healthOptions = self.config.healthchecks || {};
+
+    if (!self.backend.runHealthchecks) {
+        return;
+    }
+    if (healthOptions.pollIntervalSecs === undefined) {
+        healthOptions.pollIntervalSecs = 1;
+    }
+    assert.number(healthOptions.pollIntervalSecs,
+        'config.healthchecks.pollIntervalSecs');
+
+    self.runPeriodically('healthcheckTimer',
+        healthOptions.pollIntervalSecs * 1000, function (cb) {
+            self.backend.runHealthchecks({app: self, log: self.log},
+                function (err) {
+                    if (err) {
+                        self.log.error(err,
+                            'Error running container healthchecks');
+                    }
+                    cb();
+                });
+        });
+};
+
+
+/*
+ * Starts the server-side removal of AutoRemove containers (see
+ * lib/backends/sdc/autoremove.js): every `autoRemove.pollIntervalSecs`
+ * seconds, the containers which are due are checked, and deleted if they have
+ * exited.
+ */
+App.prototype.initAutoRemove = function () {
+    var self = this;
+    var autoRemoveOptions = self.config.autoRemove || {};
+
+    if (!self.backend.runAutoRemoves) {
+        return;
+    }
+    if (autoRemoveOptions.pollIntervalSecs === undefined) {
+        autoRemoveOptions.pollIntervalSecs = 5;
+    }
+    assert.number(autoRemoveOptions.pollIntervalSecs,
+        'config.autoRemove.pollIntervalSecs');
+
+    self.runPeriodically('autoRemoveTimer',
+        autoRemoveOptions.pollIntervalSecs * 1000, function (cb) {
+            self.backend.runAutoRemoves({app: self, log: self.log},
+                function (err) {
+                    if (err) {
+                        self.log.error(err,
+                            'Error removing exited containers');
+                    }
+                    cb();
+                });
+        });
+};
+
+
+/*
+ * Starts the periodic purge of the expired exec/attach session records (see
+ * lib/socket-manager.js).
+ */
+App.prototype.initSessionPurge = function () {
+    var self = this;
+    var sessionOptions = self.config.sessions || {};
+
+    if (sessionOptions.purgeIntervalMins === undefined) {
+        sessionOptions.purgeIntervalMins = 60;
+    }
+    assert.number(sessionOptions.purgeIntervalMins,
+        'config.sessions.purgeIntervalMins');
+
+    function purge() {
+        self.sockets.purgeSessions(function (err) {
+            if (err) {
+                self.log.error(err, 'Error purging expired sessions');
+            }
+        });
+    }
+
+    clearInterval(self.sessionPurgeTimer);
+    self.sessionPurgeTimer = setInterval(purge,
+        sessionOptions.purgeIntervalMins * 60 * 1000);
+    purge();
+};
+
+
+/*
+ * Starts the periodic removal of the stale exec, attach and job sockets (see
+ * `SocketManager.prototype.reap`).
+ */
+App.prototype.initSocketReaper = function () {
+    var self = this;
+    var socketOptions = self.config.sockets || {};
+
+    if (socketOptions.reapIntervalSecs === undefined) {
+        socketOptions.reapIntervalSecs = 60;
+    }
+    assert.number(socketOptions.reapIntervalSecs,
+        'config.sockets.reapIntervalSecs');
+
+    self.runPeriodically('socketReaperTimer',
+        socketOptions.reapIntervalSecs * 1000, function (cb) {
+            self.sockets.reap(function (err, count) {
+                if (count > 0) {
+                    self.log.info('Reaped %d stale sockets', count);
+                }
+                cb();
+            });
+        });
+};
+
+
 /*
  * Initializes authentication cache as a LRU cache.
  *
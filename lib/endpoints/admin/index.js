@@ -17,6 +17,7 @@
 var toRegister = {
     '/admin/config': require('./config'),
     '/admin/progress': require('./progress'),
+    '/admin/sessions': require('./sessions'),
     '/admin/images_v2': require('./images-v2'),
     '/admin/image_tags_v2': require('./image-tags-v2')
 };
@@ -0,0 +1,53 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+
+
+/**
+ * GET /admin/sessions
+ *
+ * Lists the live exec, attach and job sessions of this sdc-docker instance
+ * by account (optionally only those of `owner_uuid`), see
+ * `SocketManager.prototype.listSessions`.
+ */
+function adminListSessions(req, res, next) {
+    var accounts = {};
+    var sessions = req.app.sockets.listSessions({
+        owner_uuid: req.query.owner_uuid
+    });
+
+    sessions.forEach(function (session) {
+        var owner_uuid = session.owner_uuid || 'unknown';
+
+        if (!accounts[owner_uuid]) {
+            accounts[owner_uuid] = [];
+        }
+        accounts[owner_uuid].push(session);
+    });
+
+    res.send(200, accounts);
+    next();
+}
+
+
+
+/**
+ * Register all endpoints with the restify server
+ */
+function register(http, before) {
+    http.get({ path: '/admin/sessions', name: 'AdminListSessions' },
+        before, adminListSessions);
+}
+
+
+
+module.exports = {
+    register: register
+};
@@ -17,10 +17,13 @@ var errors = require('../errors');
 var getVm = common.getVm;
 var getVmInState = common.getVmInState;
 var validate = require('../validate');
+var websocket = require('../websocket');
 
 
 // How long to wait between docker copy data events.
 var DATA_TIMEOUT_MS = 60 * 2 * 1000;
+// The `condition` values of POST /containers/:id/wait.
+var WAIT_CONDITIONS = ['next-exit', 'not-running', 'removed'];
 
 
 // ---- internal support stuff
@@ -79,6 +82,63 @@ function generateContainerName()
 }
 
 
+/*
+ * Pipe the tar stream from a cn-agent docker-copy socket to the response, once
+ * the socket is connected. If the socket errors before it's connected, that
+ * error is passed to `next`.
+ */
+function pipeReadSocket(opts, next) {
+    var calledNext = false;
+    var headers = opts.headers;
+    var log = opts.log;
+    var readSocket = opts.readSocket;
+    var res = opts.res;
+
+    readSocket.on('error', function (e) {
+        log.error('archive read stream for %s threw an error %',
+            opts.vm.uuid, e.message);
+
+        if (!calledNext) {
+            calledNext = true;
+            next(new errors.DockerError(e,
+                'problem connecting to the container archive stream'));
+        }
+    });
+
+    readSocket.on('connect', function () {
+        if (calledNext) {
+            return;
+        }
+        calledNext = true;
+
+        Object.keys(headers).forEach(function (name) {
+            res.setHeader(name, headers[name]);
+        });
+
+        /*
+         * If a connection hangs (i.e. it stops emitting 'data' events
+         * without closing) we'll see unwanted growth in the number of used
+         * file descriptors in sdc-docker. In addition, the still-running
+         * tar process on the cn-agent/compute-node side will prevent a
+         * zone from shutting down.
+         *
+         * To mitigate this, we will set a timeout on how long to wait
+         * between data events before giving up.
+         */
+
+        readSocket.setTimeout(DATA_TIMEOUT_MS);
+        readSocket.on('timeout', function () {
+            log.error('onConnectionZoneRunning(read): '
+                    + 'data timeout; terminating archive process');
+            readSocket.destroy();
+        });
+
+        readSocket.pipe(res);
+        next();
+    });
+}
+
+
 // ---- endpoint handlers
 
 /**
@@ -121,6 +181,31 @@ function containerList(req, res, next) {
 }
 
 
+/**
+ * POST /containers/prune
+ */
+function containerPrune(req, res, next) {
+    var log = req.log;
+
+    req.backend.pruneContainers({
+        account: req.account,
+        app: req.app,
+        filters: req.query.filters,
+        log: log,
+        req_id: req.getId()
+    }, function (err, result) {
+        if (err) {
+            log.error({err: err}, 'backend.pruneContainers failed.');
+            next(err);
+            return;
+        }
+
+        res.send(result);
+        next();
+    });
+}
+
+
 /**
  * POST /containers/create
  */
@@ -239,18 +324,44 @@ function containerTop(req, res, next) {
 function containerLogs(req, res, next) {
     var id = req.params.id;
     var log = req.log;
+    var now = Date.now();
     var payload = {
         Container: id,
         Logs: true,
         Tail: 'all',
         Cmd: ['Logs'],
+        Details: common.boolFromQueryParam(req.query.details),
         Follow: common.boolFromQueryParam(req.query.follow),
         Timestamps: common.boolFromQueryParam(req.query.timestamps)
     };
+    var since = common.parseTimeParam('since', req.query.since, now);
+    var tail = req.query.tail;
+    var until = common.parseTimeParam('until', req.query.until, now);
+
+    if (since instanceof Error) {
+        next(new errors.BadRequestError(since.message));
+        return;
+    }
+    if (until instanceof Error) {
+        next(new errors.BadRequestError(until.message));
+        return;
+    }
+
+    if (tail !== undefined && tail !== '' && tail !== 'all') {
+        if (!/^\d+$/.test(tail)) {
+            next(new errors.BadRequestError(util.format(
+                'invalid value for "tail": %j', tail)));
+            return;
+        }
+        payload.Tail = Number(tail);
+    }
 
-    if (req.query.tail !== 'all') {
-        // TODO: should error on NaN
-        payload.Tail = Number(req.query.tail);
+    // The log reader takes Unix timestamps, as the docker logs API does.
+    if (since !== undefined) {
+        payload.Since = since / 1000;
+    }
+    if (until !== undefined) {
+        payload.Until = until / 1000;
     }
 
     req.log.debug({req: req}, 'req');
@@ -338,8 +449,23 @@ function containerStats(req, res, next) {
  * GET /containers/:id/changes
  */
 function containerChanges(req, res, next) {
-    // pass in req_id: req.getId()
-    return next(new errors.NotImplementedError('changes'));
+    var log = req.log;
+
+    req.backend.containerChanges({
+        cnapi: req.app.cnapi,
+        log: log,
+        req_id: req.getId(),
+        vm: req.vm
+    }, function (err, changes) {
+        if (err) {
+            log.error({err: err}, 'backend.containerChanges failed.');
+            next(err);
+            return;
+        }
+
+        res.send(changes);
+        next();
+    });
 }
 
 
@@ -347,8 +473,31 @@ function containerChanges(req, res, next) {
  * GET /containers/:id/export
  */
 function containerExport(req, res, next) {
-    // pass in req_id: req.getId()
-    return next(new errors.NotImplementedError('export'));
+    var log = req.log;
+
+    var opts = {
+        log: log,
+        cnapi: req.app.cnapi,
+        req_id: req.getId(),
+        vm: req.vm
+    };
+
+    req.backend.containerExportStream(opts, function (err, readSocket) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        pipeReadSocket({
+            headers: {
+                'content-type': 'application/x-tar'
+            },
+            log: log,
+            readSocket: readSocket,
+            res: res,
+            vm: opts.vm
+        }, next);
+    });
 }
 
 
@@ -572,12 +721,55 @@ function linkDelete(req, res, next) {
 }
 
 
+/**
+ * POST /containers/:id/update
+ */
+function containerUpdate(req, res, next) {
+    var log = req.log;
+
+    req.backend.updateContainer({
+        account: req.account,
+        app: req.app,
+        clientApiVersion: req.clientApiVersion,
+        log: log,
+        req_id: req.getId(),
+        update: req.body,
+        vm: req.vm
+    }, function (err, warnings) {
+        if (err) {
+            log.error({err: err}, 'backend.updateContainer failed.');
+            next(err);
+            return;
+        }
+
+        res.send({Warnings: warnings});
+        next();
+    });
+}
+
+
 /**
  * POST /containers/:id/pause
  */
 function containerPause(req, res, next) {
-    // pass in req_id: req.getId()
-    return next(new errors.NotImplementedError('pause'));
+    var log = req.log;
+
+    req.backend.pauseContainer({
+        account: req.account,
+        app: req.app,
+        log: log,
+        req_id: req.getId(),
+        vm: req.vm
+    }, function (err) {
+        if (err) {
+            log.error({err: err}, 'backend.pauseContainer failed.');
+            next(err);
+            return;
+        }
+
+        res.send(204);
+        next();
+    });
 }
 
 
@@ -585,25 +777,45 @@ function containerPause(req, res, next) {
  * POST /containers/:id/unpause
  */
 function containerUnPause(req, res, next) {
-    // pass in req_id: req.getId()
-    return next(new errors.NotImplementedError('unpause'));
+    var log = req.log;
+
+    req.backend.unpauseContainer({
+        account: req.account,
+        app: req.app,
+        log: log,
+        req_id: req.getId(),
+        vm: req.vm
+    }, function (err) {
+        if (err) {
+            log.error({err: err}, 'backend.unpauseContainer failed.');
+            next(err);
+            return;
+        }
+
+        res.send(204);
+        next();
+    });
 }
 
 
-/**
- * POST /containers/:id/attach
- *
- * Assume stream=1 for now
+/*
+ * Returns the `attachContainer` backend options for the attach params of the
+ * request, or an error when they're invalid. `stream` is assumed when it
+ * isn't given, as docker clients always set it.
  */
-function containerAttach(req, res, next) {
+function attachOptsFromReq(req) {
+    var detachKeys = common.parseDetachKeys(req.query.detachKeys);
     var id = req.params.id;
-    var log = req.log;
     var payload = {
         Container: id,
         AttachConsole: true,
         Cmd: ['AttachConsole'] // To fix in cn-agent
     };
 
+    if (detachKeys instanceof Error) {
+        return new errors.BadRequestError(detachKeys.message);
+    }
+
     if (req.query.stdout) {
         payload.AttachStdout = true;
     }
@@ -617,6 +829,37 @@ function containerAttach(req, res, next) {
         payload.Tty = true;
     }
 
+    return {
+        account: req.account,
+        app: req.app,
+        detachKeys: detachKeys,
+        id: id,
+        log: req.log,
+        logs: common.boolFromQueryParam(req.query.logs),
+        payload: payload,
+        req_id: req.getId(),
+        stream: (req.query.stream === undefined
+            || common.boolFromQueryParam(req.query.stream)),
+        vm: req.vm
+    };
+}
+
+
+/**
+ * POST /containers/:id/attach
+ *
+ * When `logs=1`, the existing output of the container is replayed before the
+ * live stream.
+ */
+function containerAttach(req, res, next) {
+    var log = req.log;
+    var opts = attachOptsFromReq(req);
+
+    if (opts instanceof Error) {
+        next(opts);
+        return;
+    }
+
     req.log.debug({req: req}, 'req');
 
     /*
@@ -629,16 +872,8 @@ function containerAttach(req, res, next) {
     req.socket.write('HTTP/1.1 101 UPGRADED\r\nContent-Type: '
         + 'application/vnd.docker.raw-stream\r\n\r\n');
 
-    req.backend.attachContainer({
-        account: req.account,
-        app: req.app,
-        id: id,
-        log: log,
-        payload: payload,
-        req_id: req.getId(),
-        socket: req.socket,
-        vm: req.vm
-    }, function (err) {
+    opts.socket = req.socket;
+    req.backend.attachContainer(opts, function (err) {
             if (err) {
                 log.error({err: err}, 'backend.attachContainer error');
                 next(err);
@@ -651,27 +886,100 @@ function containerAttach(req, res, next) {
 }
 
 
+/**
+ * GET /containers/:id/attach/ws
+ *
+ * The same as POST /containers/:id/attach, over a WebSocket (e.g. for a
+ * terminal embedded in a web page). The container output is sent without
+ * the raw-stream headers, and the messages received are its input.
+ */
+function containerAttachWebSocket(req, res, next) {
+    var log = req.log;
+    var opts = attachOptsFromReq(req);
+    var ws;
+
+    if (opts instanceof Error) {
+        next(opts);
+        return;
+    }
+    if (!res.claimUpgrade || !websocket.isUpgradeRequest(req)) {
+        next(new errors.BadRequestError(
+            'connection must upgrade for websockets'));
+        return;
+    }
+
+    req.log.debug({req: req}, 'req');
+
+    try {
+        ws = websocket.upgrade(req, res);
+    } catch (upgradeErr) {
+        // The connection has been closed.
+        log.error({err: upgradeErr}, 'websocket upgrade error');
+        next(false);
+        return;
+    }
+
+    // See containerAttach.
+    req.connection.setTimeout(60 * 60 * 1000);
+
+    // The response is the WebSocket from here on, so errors can only be
+    // logged (attachContainer closes it).
+    opts.doNotEncodeData = true;
+    opts.socket = ws;
+    req.backend.attachContainer(opts, function (err) {
+        if (err) {
+            log.error({err: err}, 'backend.attachContainer error');
+        }
+
+        next(false);
+    });
+}
+
+
 /**
  * POST /containers/:id/wait
  */
 function containerWait(req, res, next) {
+    var condition = req.query.condition || undefined;
     var log = req.log;
+    // Clients that know about wait conditions expect errors in the body.
+    var withError = (req.clientApiVersion >= 1.30);
+
+    if (condition !== undefined && WAIT_CONDITIONS.indexOf(condition) === -1) {
+        next(new errors.ValidationError(util.format(
+            'invalid condition: %j', condition)));
+        return;
+    }
 
     req.backend.waitContainer({
         account: req.account,
         app: req.app,
+        condition: condition,
         log: log,
         req_id: req.getId(),
         vm: req.vm
     }, function (err, statusCode) {
         if (err) {
             log.error({err: err}, 'backend.waitContainer failed.');
+            if (withError) {
+                res.send({
+                    StatusCode: -1,
+                    Error: {Message: 'problem waiting for container to stop: '
+                        + err.message}
+                });
+                next();
+                return;
+            }
             next(new errors.DockerError(
                 err, 'problem waiting for container to stop'));
             return;
         }
 
-        res.send({ StatusCode: statusCode });
+        if (withError) {
+            res.send({ StatusCode: statusCode, Error: null });
+        } else {
+            res.send({ StatusCode: statusCode });
+        }
         next();
     });
 }
@@ -763,37 +1071,16 @@ function containerReadArchive(req, res, next) {
         var statHeader = new Buffer(JSON.stringify(
             extras.containerPathStat)).toString('base64');
 
-        readSocket.on('connect', function () {
-            res.setHeader('content-type', 'application/tar');
-            res.setHeader('x-docker-container-path-stat', statHeader);
-
-            readSocket.on('error', function (e) {
-                opts.log.error(
-                    'archive read stream for %s threw an error %',
-                    opts.vm.uuid, e.message);
-            });
-
-            /*
-             * If a connection hangs (i.e. it stops emitting 'data' events
-             * without closing) we'll see unwanted growth in the number of used
-             * file descriptors in sdc-docker. In addition, the still-running
-             * tar process on the cn-agent/compute-node side will prevent a
-             * zone from shutting down.
-             *
-             * To mitigate this, we will set a timeout on how long to wait
-             * between data events before giving up.
-             */
-
-            readSocket.setTimeout(DATA_TIMEOUT_MS);
-            readSocket.on('timeout', function () {
-                log.error('onConnectionZoneRunning(read): '
-                        + 'data timeout; terminating archive process');
-                readSocket.destroy();
-            });
-
-            readSocket.pipe(res);
-            next();
-        });
+        pipeReadSocket({
+            headers: {
+                'content-type': 'application/tar',
+                'x-docker-container-path-stat': statHeader
+            },
+            log: log,
+            readSocket: readSocket,
+            res: res,
+            vm: opts.vm
+        }, next);
     }
 }
 
@@ -981,6 +1268,10 @@ function register(config, http, before) {
         name: 'ContainerList' }, before,
         queryParser, containerList);
 
+    // Match: '/:apiversion/containers/prune'
+    http.post({ path: /^(\/v[^\/]+)?\/containers\/prune$/,
+        name: 'ContainerPrune' }, before, queryParser, containerPrune);
+
     // Match: '/:apiversion/containers/create'
     http.post({ path: /^(\/v[^\/]+)?\/containers\/create$/,
         name: 'ContainerCreate' },
@@ -1045,6 +1336,16 @@ function register(config, http, before) {
     http.post({ path: /^(\/v[^\/]+)?\/containers\/([^\/]+)\/kill$/,
         name: 'ContainerKill' }, before, reqParamsId, getVm, containerKill);
 
+    // Match: '/:apiversion/containers/:id/update'
+    http.post({ path: /^(\/v[^\/]+)?\/containers\/([^\/]+)\/update$/,
+        name: 'ContainerUpdate' },
+        before,
+        reqParamsId,
+        getVmInState({disallowedStates: ['provisioning']}),
+        restify.bodyParser(),
+        validate.updateContainer,
+        containerUpdate);
+
     // Match: '/:apiversion/containers/:id/pause'
     http.post({ path: /^(\/v[^\/]+)?\/containers\/([^\/]+)\/pause$/,
         name: 'ContainerPause' }, before, reqParamsId, getVm, containerPause);
@@ -1059,9 +1360,15 @@ function register(config, http, before) {
         name: 'ContainerAttach' }, before, reqParamsId, getVm,
         queryParser, containerAttach);
 
+    // Match: '/:apiversion/containers/:id/attach/ws'
+    http.get({ path: /^(\/v[^\/]+)?\/containers\/([^\/]+)\/attach\/ws$/,
+        name: 'ContainerAttachWebSocket' }, before, reqParamsId, getVm,
+        queryParser, containerAttachWebSocket);
+
     // Match: '/:apiversion/containers/:id/wait'
     http.post({ path: /^(\/v[^\/]+)?\/containers\/([^\/]+)\/wait$/,
-        name: 'ContainerWait' }, before, reqParamsId, getVm, containerWait);
+        name: 'ContainerWait' }, before, reqParamsId, getVm, queryParser,
+        containerWait);
 
     // Match: '/:apiversion/containers/:id'
     http.del({ path: /^(\/v[^\/]+)?\/containers\/([^\/]+)$/,
@@ -1111,7 +1418,7 @@ function register(config, http, before) {
     // Match: '/:apiversion/containers/:id/exec'
     http.post({ path: /^(\/v[^\/]+)?\/containers\/([^\/]+)\/exec$/,
         name: 'ContainerExec' }, before, reqParamsId, getVm,
-        restify.bodyParser(), containerExec);
+        restify.bodyParser(), validate.createExec, containerExec);
 
     // Match: '/:apiversion/containers/:id/rename'
     http.post({ path: /^(\/v[^\/]+)?\/containers\/([^\/]+)\/rename$/,
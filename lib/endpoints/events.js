@@ -5,19 +5,82 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 var restify = require('restify');
-var errors = require('../errors');
 
+var common = require('../common');
 
 
 /**
  * GET /events
  */
 function events(req, res, next) {
-    return next(new errors.NotImplementedError('events'));
+    var log = req.log;
+    var now = Date.now();
+
+    var since = common.parseTimeParam('since', req.query.since, now);
+    if (since instanceof Error) {
+        next(since);
+        return;
+    }
+    var until = common.parseTimeParam('until', req.query.until, now);
+    if (until instanceof Error) {
+        next(until);
+        return;
+    }
+
+    /*
+     * The event stream stays open until the client goes away (or `until` is
+     * reached), with possibly long quiet periods in between events, so don't
+     * let the connection time out.
+     */
+    req.connection.setTimeout(0);
+
+    req.backend.watchEvents({
+        account: req.account,
+        app: req.app,
+        clientApiVersion: req.clientApiVersion,
+        filters: req.query.filters,
+        log: log,
+        req_id: req.getId(),
+        since: since,
+        until: until
+    }, function (err, watcher) {
+        if (err) {
+            log.error({err: err}, 'backend.watchEvents error');
+            next(err);
+            return;
+        }
+
+        var finished = false;
+
+        function finish() {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            watcher.stop();
+            res.end();
+            next(false);
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        // Send the headers now, there may not be an event for a while.
+        res.flushHeaders();
+
+        watcher.on('event', function (evt) {
+            log.trace({evt: evt}, 'events: sending event');
+            res.write(JSON.stringify(evt) + '\n');
+        });
+        watcher.on('end', finish);
+
+        res.on('close', function () {
+            log.debug('events: client connection closed');
+            finish();
+        });
+    });
 }
 
 
@@ -26,7 +89,10 @@ function events(req, res, next) {
  * Register all endpoints with the restify server
  */
 function register(config, http, before) {
-    http.get({ path: /^(\/v[^\/]+)?\/events$/, name: 'Events' }, events);
+    http.get({ path: /^(\/v[^\/]+)?\/events$/, name: 'Events' },
+        before,
+        restify.queryParser({mapParams: false}),
+        events);
 }
 
 
@@ -5,13 +5,68 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
+var assert = require('assert-plus');
 var restify = require('restify');
 
 
 
+/*
+ * Return the docker `GET /exec/:id/json` object of an exec session (see
+ * `execContainer` in the backend). The ExitCode is null until the command has
+ * exited, and the Pid (which isn't known) is always 0.
+ */
+function execToInspect(id, socketData) {
+    assert.string(id, 'id');
+    assert.object(socketData, 'socketData');
+    assert.object(socketData.command, 'socketData.command');
+
+    var command = socketData.command;
+
+    return {
+        CanRemove: false,
+        ContainerID: socketData.ContainerID,
+        DetachKeys: '',
+        ExitCode: (typeof (socketData.ExitCode) === 'number'
+            ? socketData.ExitCode : null),
+        ID: id,
+        OpenStderr: Boolean(command.AttachStderr),
+        OpenStdin: Boolean(command.AttachStdin),
+        OpenStdout: Boolean(command.AttachStdout),
+        Pid: 0,
+        ProcessConfig: {
+            arguments: command.Cmd.slice(1),
+            entrypoint: command.Cmd[0],
+            privileged: false,
+            tty: Boolean(command.Tty),
+            user: command.User || ''
+        },
+        Running: Boolean(socketData.Running)
+    };
+}
+
+
+/*
+ * Gets the exec session `id` of the req account (see `getSession` in
+ * lib/socket-manager.js), and calls back with its socket data, or with none
+ * if there's no such session. As for containers, the sessions of other
+ * accounts aren't found.
+ */
+function getAccountExec(req, id, callback) {
+    req.app.sockets.getSession('exec', id, function (_, socketData) {
+        if (socketData && socketData.owner_uuid !== req.account.uuid) {
+            req.log.info({exec: id, owner_uuid: socketData.owner_uuid},
+                'exec belongs to another account');
+            callback();
+            return;
+        }
+        callback(socketData);
+    });
+}
+
+
 /**
  * POST /exec/:id/start
  *
@@ -23,22 +78,28 @@ function execStart(req, res, next) {
 
     log.debug({req: req}, 'req');
 
-    // Before a hijacked session we need to check if the command exists and
-    // then we need to check if this was a detached command
-    var socketData = req.app.sockets.getSocket('exec', id);
-    if (!socketData) {
-        finish(404);
-        return;
-    } else if (socketData.command.Detach) {
-        finish(201);
-        return;
-    }
-
     function finish(statusCode) {
         res.send(statusCode);
         next(false);
     }
 
+    // Before a hijacked session we need to check if the command exists and
+    // then we need to check if this was a detached command. The session may
+    // have been created by another sdc-docker instance.
+    getAccountExec(req, id, function (socketData) {
+        if (!socketData) {
+            finish(404);
+            return;
+        } else if (socketData.command.Detach) {
+            finish(201);
+            return;
+        }
+
+        // This instance now streams the session.
+        req.app.sockets.setSocket('exec', id, socketData);
+        startExec(socketData);
+    });
+
     /*
      * Node's default HTTP timeout is two minutes, and this getImageFileStream()
      * request can take longer than that to complete.  Set this connection's
@@ -46,27 +107,29 @@ function execStart(req, res, next) {
      */
     req.connection.setTimeout(60 * 60 * 1000);
 
-    // At this moment req.socket is already hijacked
-    req.socket.write('HTTP/1.1 101 UPGRADED\r\nContent-Type: '
-        + 'application/vnd.docker.raw-stream\r\n\r\n');
-
-    req.backend.execStart({
-        cmdId: id,
-        app: req.app,
-        log: log,
-        socketData: socketData,
-        account: req.account,
-        socket: req.socket
-    }, function (err) {
-            if (err) {
-                log.error({err: err}, 'backend.execStart error');
-                next(err);
-                return;
+    function startExec(socketData) {
+        // At this moment req.socket is already hijacked
+        req.socket.write('HTTP/1.1 101 UPGRADED\r\nContent-Type: '
+            + 'application/vnd.docker.raw-stream\r\n\r\n');
+
+        req.backend.execStart({
+            cmdId: id,
+            app: req.app,
+            log: log,
+            socketData: socketData,
+            account: req.account,
+            socket: req.socket
+        }, function (err) {
+                if (err) {
+                    log.error({err: err}, 'backend.execStart error');
+                    next(err);
+                    return;
+                }
+
+                next(false);
             }
-
-            next(false);
-        }
-    );
+        );
+    }
 }
 
 
@@ -79,36 +142,54 @@ function execResize(req, res, next) {
 
     log.debug({req: req}, 'req');
 
-    var socketData = req.app.sockets.getSocket('exec', id);
-    if (!socketData || !socketData.socket) {
-        next(restify.ResourceNotFoundError('no such exec instance'));
-        return;
-    } else if (!socketData.command.Tty) {
-        req.log.info('Attempting to resize exec %s with no AttachStdin '
-            + 'and no Tty', id);
-        res.send(200);
-        next();
-        return;
-    }
+    var resize = {w: Number(req.query.w), h: Number(req.query.h)};
+
+    getAccountExec(req, id, function (socketData) {
+        if (!socketData) {
+            next(new restify.ResourceNotFoundError('no such exec instance'));
+            return;
+        } else if (!socketData.command.Tty) {
+            req.log.info('Attempting to resize exec %s with no AttachStdin '
+                + 'and no Tty', id);
+            res.send(200);
+            next();
+            return;
+        }
 
-    req.backend.execResize({
-        app: req.app,
-        log: log,
-        account: req.account,
-        socketData: socketData,
-        w: Number(req.query.w),
-        h: Number(req.query.h)
-    }, function () {
-        res.send(200);
-        next();
+        // The session is streamed by another sdc-docker instance (or isn't
+        // started yet), which applies the resize once it's recorded.
+        if (!socketData.socket) {
+            req.app.sockets.recordResize('exec', id, resize, function (err) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                res.send(200);
+                next();
+            });
+            return;
+        }
+
+        req.backend.execResize({
+            app: req.app,
+            log: log,
+            account: req.account,
+            socketData: socketData,
+            w: resize.w,
+            h: resize.h
+        }, function () {
+            res.send(200);
+            next();
+        });
     });
 }
 
 
 /**
- * POST /exec/:id/json
+ * GET /exec/:id/json
  *
- * TODO how to get process info
+ * Execs that have finished can still be inspected.
  */
 function execInspect(req, res, next) {
     var id = req.params.id;
@@ -116,17 +197,15 @@ function execInspect(req, res, next) {
 
     log.debug({req: req}, 'req');
 
-    var socketData = req.app.sockets.getSocket('exec', id);
-    if (!socketData) {
-        next(restify.ResourceNotFoundError('no such exec instance'));
-        return;
-    }
-
-    var running = (socketData.command.Detach ? true : false);
-    req.app.sockets.removeSocket('exec', id);
-    res.send({ Running: running, ExitCode: socketData.ExitCode });
+    getAccountExec(req, id, function (socketData) {
+        if (!socketData) {
+            next(new restify.ResourceNotFoundError('no such exec instance'));
+            return;
+        }
 
-    next();
+        res.send(execToInspect(id, socketData));
+        next();
+    });
 }
 
 
@@ -62,9 +62,9 @@ function imageList(req, res, next) {
  * TODO error handling
  */
 function imageCreate(req, res, next) {
-    // `docker import` is not supported yet
     if (req.query.fromSrc !== undefined) {
-        return next(new errors.NotImplementedError('image create'));
+        imageImport(req, res, next);
+        return;
     }
 
     var log = req.log;
@@ -130,6 +130,65 @@ function imageCreate(req, res, next) {
 }
 
 
+/**
+ * `POST /images/create?fromSrc=...`, called from `docker import ...`
+ *
+ * `fromSrc` is '-' when the tarball is in the request body, else its URL.
+ */
+function imageImport(req, res, next) {
+    var log = req.log;
+    var rat;
+
+    if (req.query.repo) {
+        try {
+            rat = drc.parseRepoAndTag(req.query.repo);
+        } catch (e) {
+            next(new errors.ValidationError(e, e.message));
+            return;
+        }
+        if (req.query.tag) {
+            rat.tag = req.query.tag;
+        }
+    }
+
+    // Uploading or downloading the tarball can take a while.
+    req.connection.setTimeout(60 * 60 * 1000);
+
+    res.setHeader('Content-Type', 'application/json');
+
+    req.backend.importImage({
+        account: req.account,
+        app: req.app,
+        changes: [].concat(req.query.changes || []),
+        fromSrc: req.query.fromSrc,
+        log: log,
+        message: req.query.message || undefined,
+        rat: rat,
+        req: req,
+        req_id: req.getId(),
+        res: res
+    }, function (err) {
+        if (err) {
+            log.error({err: err}, 'docker import error');
+            if (!res.headersSent) {
+                next(err);
+                return;
+            }
+            var errmsg = format('Error importing image: %s (%s)',
+                err.message, req.getId());
+            res.write(JSON.stringify({
+                error: errmsg,  // deprecated field
+                errorDetail: {
+                    message: errmsg
+                }
+            }) + '\n');
+        }
+
+        res.end();
+        next(false);
+    });
+}
+
 /**
  * `GET /images/:name/json`, called eventually from `docker inspect ...`
  *
@@ -303,6 +362,29 @@ function imageDelete(req, res, next) {
 }
 
 
+/**
+ * `POST /images/prune`, `docker image prune`.
+ */
+function imagePrune(req, res, next) {
+    req.backend.pruneImages({
+        account: req.account,
+        app: req.app,
+        clientApiVersion: req.clientApiVersion,
+        filters: req.query.filters,
+        log: req.log,
+        req_id: req.getId()
+    }, function (err, result) {
+        if (err) {
+            req.log.error({err: err}, 'backend.pruneImages failed');
+            next(err);
+            return;
+        }
+        res.send(result);
+        next();
+    });
+}
+
+
 /**
  * `GET /images/search?term=TERM`, `docker search`.
  *
@@ -351,17 +433,82 @@ function imageSearch(req, res, next) {
 
 /**
  * GET /images/:name/get
+ * GET /images/get
  */
 function imageGet(req, res, next) {
-    return next(new errors.NotImplementedError('image get'));
+    var log = req.log;
+    var names;
+
+    if (req.params.name) {
+        names = [req.params.name];
+    } else {
+        names = [].concat(req.query.names || []);
+    }
+    if (names.length === 0) {
+        next(new errors.ValidationError('no images given to save'));
+        return;
+    }
+
+    req.backend.saveImages({
+        account: req.account,
+        app: req.app,
+        log: log,
+        names: names,
+        req: req,
+        req_id: req.getId()
+    }, function (err, tarStream) {
+        if (err) {
+            log.error({err: err}, 'Problem saving images');
+            next(err);
+            return;
+        }
+
+        res.setHeader('content-type', 'application/x-tar');
+        tarStream.on('error', function (streamErr) {
+            // Headers are already sent, the best we can do is to stop.
+            log.error({err: streamErr}, 'imageGet: tar stream error');
+            res.end();
+        });
+        tarStream.pipe(res);
+        next();
+    });
 }
 
 
 /**
- * POST /images/:name/load
+ * POST /images/load
  */
 function imageLoad(req, res, next) {
-    return next(new errors.NotImplementedError('image load'));
+    var log = req.log;
+
+    // Uploading and importing the layers can take a while.
+    req.connection.setTimeout(60 * 60 * 1000);
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+
+    req.backend.loadImage({
+        account: req.account,
+        app: req.app,
+        log: log,
+        req: req,
+        req_id: req.getId(),
+        res: res
+    }, function (err) {
+        if (err) {
+            log.error({err: err}, 'docker load error');
+            var errmsg = format('Error loading image: %s (%s)', err.message,
+                req.getId());
+            res.write(JSON.stringify({
+                error: errmsg,  // deprecated field
+                errorDetail: {
+                    message: errmsg
+                }
+            }) + '\n');
+        }
+
+        res.end();
+        next(false);
+    });
 }
 
 
@@ -488,19 +635,24 @@ function register(config, http, before) {
         reqParamsName, before,
         restify.queryParser({mapParams: false}), imageDelete);
 
+    http.post({ path: /^(\/v[^\/]+)?\/images\/prune$/, name: 'ImagePrune' },
+        before, restify.queryParser({mapParams: false}), imagePrune);
+
     http.get({ path: /^(\/v[^\/]+)?\/images\/search$/, name: 'ImageSearch' },
         before, restify.queryParser({mapParams: false}),
         common.reqRegAuth, imageSearch);
 
+    http.get({ path: /^(\/v[^\/]+)?\/images\/get$/, name: 'ImageGetAll' },
+        before, restify.queryParser({mapParams: false}),
+        common.reqRegAuth, imageGet);
+
     // Match '/:apiversion/images/:name/get' where ':name' can include '/'.
     http.get(
         { path: /^(\/v[^\/]+)?\/images\/(.*?)\/get$/, name: 'ImageGet' },
-        reqParamsName, before, imageGet);
+        reqParamsName, before, common.reqRegAuth, imageGet);
 
-    // Match '/:apiversion/images/:name/load' where ':name' can include '/'.
-    http.post(
-        { path: /^(\/v[^\/]+)?\/images\/(.*?)\/load$/, name: 'ImageLoad' },
-        reqParamsName, before, imageLoad);
+    http.post({ path: /^(\/v[^\/]+)?\/images\/load$/, name: 'ImageLoad' },
+        before, common.checkApprovedForProvisioning, imageLoad);
 }
 
 
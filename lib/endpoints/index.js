@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 
@@ -26,6 +26,7 @@ var toRegister = {
     '/images': require('./images'),
     '/info': require('./info'),
     '/networks': require('./networks'),
+    '/system': require('./system'),
     '/version': require('./version'),
     '/volumes': require('./volumes')
 };
@@ -5,12 +5,14 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
+var format = require('util').format;
 var restify = require('restify');
 
 var errors = require('../errors');
+var validate = require('../validate');
 
 
 
@@ -43,7 +45,19 @@ function networkList(req, res, next) {
  * POST /networks/create
  */
 function networkCreate(req, res, next) {
-    return next(new errors.NotImplementedError('network create'));
+    var log = req.log;
+    var opts = {req: req};
+
+    req.backend.createNetwork(opts, function (err, result) {
+        if (err) {
+            log.error({err: err}, 'Problem creating network');
+            next(err);
+            return;
+        }
+
+        res.send(201, result);
+        next();
+    });
 }
 
 
@@ -51,7 +65,19 @@ function networkCreate(req, res, next) {
  * DELETE /networks/:id
  */
 function networkDelete(req, res, next) {
-    return next(new errors.NotImplementedError('network rm'));
+    var log = req.log;
+    var opts = {req: req};
+
+    req.backend.deleteNetwork(opts, function (err) {
+        if (err) {
+            log.error({err: err}, 'Problem deleting network');
+            next(err);
+            return;
+        }
+
+        res.send(204);
+        next();
+    });
 }
 
 
@@ -82,7 +108,26 @@ function networkInspect(req, res, next) {
  * POST /networks/:id/connect
  */
 function networkConnect(req, res, next) {
-    return next(new errors.NotImplementedError('network connect'));
+    var log = req.log;
+
+    req.backend.connectContainerToNetwork({
+        account: req.account,
+        app: req.app,
+        endpointConfig: req.body.EndpointConfig || undefined,
+        log: log,
+        network: req.network,
+        req_id: req.getId(),
+        vm: req.vm
+    }, function (err) {
+        if (err) {
+            log.error({err: err}, 'Problem connecting container to network');
+            next(err);
+            return;
+        }
+
+        res.send(200);
+        next();
+    });
 }
 
 
@@ -90,7 +135,26 @@ function networkConnect(req, res, next) {
  * POST /networks/:id/disconnect
  */
 function networkDisconnect(req, res, next) {
-    return next(new errors.NotImplementedError('network disconnect'));
+    var log = req.log;
+
+    req.backend.disconnectContainerFromNetwork({
+        account: req.account,
+        app: req.app,
+        log: log,
+        network: req.network,
+        req_id: req.getId(),
+        vm: req.vm
+    }, function (err) {
+        if (err) {
+            log.error({err: err},
+                'Problem disconnecting container from network');
+            next(err);
+            return;
+        }
+
+        res.send(200);
+        next();
+    });
 }
 
 
@@ -98,7 +162,19 @@ function networkDisconnect(req, res, next) {
  * POST /networks/prune
  */
 function networkPrune(req, res, next) {
-    return next(new errors.NotImplementedError('network prune'));
+    var log = req.log;
+    var opts = {req: req};
+
+    req.backend.pruneNetworks(opts, function (err, result) {
+        if (err) {
+            log.error({err: err}, 'Problem pruning networks');
+            next(err);
+            return;
+        }
+
+        res.send(result);
+        next();
+    });
 }
 
 
@@ -133,6 +209,34 @@ function register(config, http, before) {
         });
     }
 
+    // Loads the container given in the body of a connect/disconnect request.
+    function reqContainer(req, res, next) {
+        var opts = {
+            account: req.account,
+            app: req.app,
+            log: req.log,
+            req_id: req.getId(),
+            vmapi: req.app.vmapi
+        };
+        req.backend.getVmById(req.body.Container, opts,
+            function onGetVm(err, vmobj)
+        {
+            if (err) {
+                next(new errors.DockerError(err, format(
+                    'No such container: %s', req.body.Container)));
+                return;
+            }
+            if (vmobj.state === 'provisioning') {
+                next(new errors.DockerError(format(
+                    'Container state "%s" not allowed for this command',
+                    vmobj.state)));
+                return;
+            }
+            req.vm = vmobj;
+            next();
+        });
+    }
+
     var queryParserOpts = {
         mapParams: false,
         // See: https://smartos.org/bugview/ZAPI-744
@@ -151,6 +255,7 @@ function register(config, http, before) {
         before,
         restify.bodyParser(),
         queryParser,
+        validate.createNetwork,
         networkCreate);
 
     // DELETE '/:apiversion/networks/:id'
@@ -166,16 +271,18 @@ function register(config, http, before) {
     // POST '/:apiversion/networks/:id/connect'
     http.post({ path: /^(\/v[^\/]+)?\/networks\/([^\/]+)\/connect$/,
         name: 'NetworkConnect' }, before, reqParamsId, reqNetwork,
+        restify.bodyParser(), validate.networkConnect, reqContainer,
         networkConnect);
 
     // POST '/:apiversion/networks/:id/disconnect'
     http.post({ path: /^(\/v[^\/]+)?\/networks\/([^\/]+)\/disconnect$/,
         name: 'NetworkDisconnect' }, before, reqParamsId, reqNetwork,
+        restify.bodyParser(), validate.networkDisconnect, reqContainer,
         networkDisconnect);
 
     // POST '/:apiversion/networks/prune'
     http.post({ path: /^(\/v[^\/]+)?\/networks\/prune$/,
-        name: 'NetworkPrune' }, before, networkPrune);
+        name: 'NetworkPrune' }, before, queryParser, networkPrune);
 }
 
 module.exports = {
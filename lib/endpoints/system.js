@@ -0,0 +1,47 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+
+/**
+ * GET /$version/system/df
+ */
+function systemDf(req, res, next) {
+    req.backend.getSystemDf({
+        account: req.account,
+        app: req.app,
+        clientApiVersion: req.clientApiVersion,
+        log: req.log,
+        req_id: req.getId()
+    }, function (err, df) {
+        if (err) {
+            req.log.error({err: err}, 'backend.getSystemDf error');
+            next(err);
+            return;
+        }
+        res.send(df);
+        next();
+    });
+}
+
+
+
+/**
+ * Register all endpoints with the restify server
+ */
+function register(config, http, before) {
+    http.get({ path: /^(\/v[^\/]+)?\/system\/df$/, name: 'SystemDf' },
+        before, systemDf);
+}
+
+
+
+module.exports = {
+    register: register
+};
@@ -40,6 +40,7 @@ function createVolume(req, res, next) {
     assert.string(req.params.Name, 'req.params.Name');
     assert.string(req.params.Driver, 'req.params.Driver');
     assert.optionalObject(req.params.DriverOpts, 'req.params.DriverOpts');
+    assert.optionalObject(req.params.Labels, 'req.params.Labels');
 
     assert.object(req.log, 'req.log');
     assert.object(res, 'object');
@@ -68,6 +69,7 @@ function createVolume(req, res, next) {
     }
 
     var volumeParams = {
+        labels: req.params.Labels || undefined,
         name: req.params.Name,
         size: sizeParams,
         network: networkParams,
@@ -118,6 +120,7 @@ function volapiToDockerNfsVolume(volapiVolume) {
     return {
         Name: volapiVolume.name,
         Driver: volapiVolume.type,
+        Labels: volapiVolume.labels || null,
         Mountpoint: volapiVolume.filesystem_path
     };
 }
@@ -237,6 +240,32 @@ function inspectVolume(req, res, next) {
     });
 }
 
+function pruneVolumes(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var log = req.log;
+    var options = {
+        account: req.account,
+        app: req.app,
+        log: log,
+        reqId: req.getId()
+    };
+
+    req.backend.pruneVolumes({
+        filters: req.query.filters
+    }, options, function onVolumesPruned(err, result) {
+        if (err) {
+            log.error({err: err}, 'Error when pruning volumes');
+            next(err);
+        } else {
+            res.send(200, result);
+            next();
+        }
+    });
+}
+
 /**
  * Register all endpoints with the restify server
  */
@@ -269,6 +298,12 @@ function register(config, http, before) {
     }, before, volumesSupported, restify.bodyParser(),
         validate.createVolume, createVolume);
 
+    http.post({
+        path: /^(\/v[^\/]+)?\/volumes\/prune$/,
+        name: 'PruneVolumes'
+    }, before, volumesSupported, restify.queryParser({mapParams: false}),
+        pruneVolumes);
+
     http.get({
         path: /^(\/v[^\/]+)?\/volumes$/,
         name: 'ListVolumes'
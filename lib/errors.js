@@ -390,6 +390,45 @@ NetworkNotFoundError.prototype.restCode = 'ResourceNotFound';
 NetworkNotFoundError.statusCode = 404;
 NetworkNotFoundError.description = 'Network not found';
 
+/*
+ * A network with this name already exists.
+ */
+function NetworkExistsError(network) {
+    assert.string(network, 'network');
+
+    var message = fmt('network with name %s already exists', network);
+    _DockerBaseError.call(this, {
+        restCode: this.constructor.restCode,
+        statusCode: this.constructor.statusCode,
+        message: message
+    });
+}
+util.inherits(NetworkExistsError, _DockerBaseError);
+NetworkExistsError.prototype.name = 'NetworkExistsError';
+NetworkExistsError.restCode = 'NetworkExists';
+NetworkExistsError.statusCode = 409;
+NetworkExistsError.description = 'A network with this name already exists';
+
+/*
+ * Network still has containers attached to it.
+ */
+function NetworkInUseError(network) {
+    assert.string(network, 'network');
+
+    var message = fmt('network %s has active endpoints', network);
+    _DockerBaseError.call(this, {
+        restCode: this.constructor.restCode,
+        statusCode: this.constructor.statusCode,
+        message: message
+    });
+}
+util.inherits(NetworkInUseError, _DockerBaseError);
+NetworkInUseError.prototype.name = 'NetworkInUseError';
+NetworkInUseError.restCode = 'NetworkInUse';
+NetworkInUseError.statusCode = 409;
+NetworkInUseError.description
+    = 'Operation attempted on a network which is used by containers';
+
 /**
  * An error used to expose the error from a node-sdc-clients API request.
  *
@@ -532,6 +571,39 @@ DockerContainerNotRunningError.description
     = 'Operation attempted on container which is not running';
 
 
+function DockerContainerPausedError(cause, message) {
+    _DockerBaseError.call(this, {
+        restCode: this.constructor.restCode,
+        statusCode: (cause && cause.statusCode) || this.constructor.statusCode,
+        message: message,
+        cause: cause
+    });
+}
+util.inherits(DockerContainerPausedError, _DockerBaseError);
+DockerContainerPausedError.prototype.name = 'DockerContainerPausedError';
+DockerContainerPausedError.restCode = 'DockerContainerPaused';
+DockerContainerPausedError.statusCode = 409;
+DockerContainerPausedError.description
+    = 'Operation attempted on container which is paused';
+
+
+function DockerContainerNotPausedError(cause, message) {
+    _DockerBaseError.call(this, {
+        restCode: this.constructor.restCode,
+        statusCode: (cause && cause.statusCode) || this.constructor.statusCode,
+        message: message,
+        cause: cause
+    });
+}
+util.inherits(DockerContainerNotPausedError, _DockerBaseError);
+DockerContainerNotPausedError.prototype.name
+    = 'DockerContainerNotPausedError';
+DockerContainerNotPausedError.restCode = 'DockerContainerNotPaused';
+DockerContainerNotPausedError.statusCode = 409;
+DockerContainerNotPausedError.description
+    = 'Operation attempted on container which is not paused';
+
+
 function FileNotFoundError(cause) {
     var message =
         'no such file or directory';
@@ -812,11 +884,15 @@ module.exports = {
     ValidationError: ValidationError,
     ServiceDegradedError: ServiceDegradedError,
     DockerContainerNotRunningError: DockerContainerNotRunningError,
+    DockerContainerNotPausedError: DockerContainerNotPausedError,
+    DockerContainerPausedError: DockerContainerPausedError,
     AmbiguousDockerImageIdError: AmbiguousDockerImageIdError,
     AmbiguousDockerContainerIdPrefixError:
         AmbiguousDockerContainerIdPrefixError,
     AmbiguousDockerNetworkIdPrefixError: AmbiguousDockerNetworkIdPrefixError,
     FileNotFoundError: FileNotFoundError,
+    NetworkExistsError: NetworkExistsError,
+    NetworkInUseError: NetworkInUseError,
     NetworkNotFoundError: NetworkNotFoundError,
     PathNotDirectoryError: PathNotDirectoryError,
     NotSupportedError: NotSupportedError,
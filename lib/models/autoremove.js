@@ -0,0 +1,238 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * AutoRemove model: the containers created with `HostConfig.AutoRemove`
+ * (`docker run --rm`) that are to be deleted once they exit (see
+ * lib/backends/sdc/autoremove.js).
+ */
+
+var assert = require('assert-plus');
+var moray = require('../moray');
+
+
+// --- Globals
+
+
+
+var BUCKET = {
+    desc: 'docker container auto-removal',
+    name: 'docker_autoremove',
+    schema: {
+        index: {
+            // Owning user
+            owner_uuid: { type: 'string' },
+            // The container VM uuid.
+            vm_uuid: { type: 'string' },
+            // Time the container is next checked, in milliseconds since the
+            // epoch.
+            next_check: { type: 'number' }
+        }
+    },
+    version: 1
+};
+
+
+
+// --- AutoRemove object
+
+
+/**
+ * AutoRemove model constructor
+ */
+function AutoRemove(params) {
+    assert.object(params, 'autoremove params');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+    assert.string(params.vm_uuid, 'params.vm_uuid');
+    assert.number(params.next_check, 'params.next_check');
+
+    this.params = params;
+}
+
+Object.defineProperty(AutoRemove.prototype, 'owner_uuid', {
+    get: function owner_uuid() {
+        return this.params.owner_uuid;
+    }
+});
+
+Object.defineProperty(AutoRemove.prototype, 'vm_uuid', {
+    get: function vm_uuid() {
+        return this.params.vm_uuid;
+    }
+});
+
+Object.defineProperty(AutoRemove.prototype, 'next_check', {
+    get: function next_check() {
+        return this.params.next_check;
+    }
+});
+
+Object.defineProperty(AutoRemove.prototype, 'key', {
+    get: function key() {
+        return this.params.vm_uuid;
+    }
+});
+
+
+/**
+ * Returns the raw form of the record suitable for storing in moray,
+ * which is the same as the serialized form
+ */
+AutoRemove.prototype.raw = AutoRemove.prototype.serialize = function () {
+    return {
+        owner_uuid: this.params.owner_uuid,
+        vm_uuid: this.params.vm_uuid,
+        next_check: this.params.next_check
+    };
+};
+
+
+
+// --- Exported functions
+
+
+
+/**
+ * Records that a container is to be deleted once it exits.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.owner_uuid The container owner.
+ * @param {String} params.vm_uuid The container VM uuid.
+ * @param {Number} params.next_check Time the container is first checked, in
+ *      milliseconds.
+ *
+ * @param callback {Function} `function (err, AutoRemove)`
+ */
+function createAutoRemove(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'autoremove params');
+    assert.func(callback, 'callback');
+
+    log.debug({ params: params }, 'createAutoRemove: entry');
+
+    var autoRemove = new AutoRemove(params);
+    app.moray.putObject(BUCKET.name, autoRemove.key, autoRemove.raw(),
+        function (err) {
+            if (err) {
+                return callback(err);
+            }
+
+            return callback(null, autoRemove);
+        });
+}
+
+
+/**
+ * Claims the records (of all accounts) whose next check is due, see
+ * `claimDue` in lib/moray.js.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {Number} params.now The current time, in milliseconds.
+ * @param {Number} params.lease How long to hold the claimed records for,
+ *      in milliseconds.
+ * @param {Number} params.limit The maximum number of records to claim.
+ *
+ * @param callback {Function} `function (err, [AutoRemove])`
+ */
+function claimDueAutoRemove(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'params');
+    assert.func(callback, 'callback');
+
+    moray.claimDue({
+        bucket: BUCKET,
+        lease: params.lease,
+        limit: params.limit,
+        log: log,
+        model: AutoRemove,
+        moray: app.moray,
+        now: params.now
+    }, callback);
+}
+
+
+/**
+ * Reschedules the next check of a container.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.vm_uuid The container VM uuid.
+ * @param {Number} params.next_check Time the container is next checked, in
+ *      milliseconds.
+ *
+ * @param callback {Function} `function (err)`
+ */
+function updateAutoRemove(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'autoremove params');
+    assert.string(params.vm_uuid, 'params.vm_uuid');
+    assert.number(params.next_check, 'params.next_check');
+    assert.func(callback, 'callback');
+
+    log.trace(params, 'updateAutoRemove: entry');
+
+    moray.updateObj({
+        bucket: BUCKET,
+        key: params.vm_uuid,
+        moray: app.moray,
+        val: {next_check: params.next_check}
+    }, function (err) {
+        callback(err);
+    });
+}
+
+
+/**
+ * Deletes the record of a container.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.vm_uuid The container VM uuid.
+ *
+ * @param callback {Function} `function (err)`
+ */
+function deleteAutoRemove(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'autoremove params');
+    assert.string(params.vm_uuid, 'params.vm_uuid');
+    assert.func(callback, 'callback');
+
+    log.debug(params, 'deleteAutoRemove: entry');
+
+    moray.delObj(app.moray, BUCKET, params.vm_uuid, callback);
+}
+
+
+/**
+ * Initializes the autoremove bucket
+ */
+function initAutoRemoveBucket(app, callback) {
+    moray.initBucket(app.moray, BUCKET, callback);
+}
+
+
+module.exports = {
+    claimDue: claimDueAutoRemove,
+    create: createAutoRemove,
+    del: deleteAutoRemove,
+    init: initAutoRemoveBucket,
+    update: updateAutoRemove,
+    AutoRemove: AutoRemove
+};
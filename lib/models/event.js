@@ -0,0 +1,268 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Event journal model: the docker events for the actions sdc-docker has
+ * performed on an account's containers, images, networks and volumes.
+ */
+
+var assert = require('assert-plus');
+var format = require('util').format;
+var libuuid = require('libuuid');
+var moray = require('../moray');
+
+
+// --- Globals
+
+
+
+var BUCKET = {
+    desc: 'docker events',
+    name: 'docker_events',
+    schema: {
+        index: {
+            // Owning user
+            owner_uuid: { type: 'string' },
+            // Time of the event, in milliseconds since the epoch.
+            time: { type: 'number' },
+            // Docker event type, e.g. 'container', 'image'.
+            type: { type: 'string' },
+            // Docker event action, e.g. 'start', 'pull'.
+            action: { type: 'string' },
+            // Id of the object the event is about.
+            actor_id: { type: 'string' }
+        }
+    },
+    version: 1
+};
+
+// Number of events fetched from moray at a time.
+var PAGE_SIZE = 1000;
+
+
+
+// --- Event object
+
+
+/**
+ * Event model constructor
+ */
+function Event(params) {
+    assert.object(params, 'event params');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+    assert.number(params.time, 'params.time');
+    assert.object(params.event, 'params.event');
+    assert.string(params.event.Type, 'params.event.Type');
+    assert.string(params.event.Action, 'params.event.Action');
+    assert.object(params.event.Actor, 'params.event.Actor');
+
+    this.params = params;
+    if (!this.params.uuid) {
+        this.params.uuid = libuuid.create();
+    }
+}
+
+Object.defineProperty(Event.prototype, 'owner_uuid', {
+    get: function owner_uuid() {
+        return this.params.owner_uuid;
+    }
+});
+
+Object.defineProperty(Event.prototype, 'time', {
+    get: function time() {
+        return this.params.time;
+    }
+});
+
+/**
+ * The docker event object, as sent to docker clients.
+ */
+Object.defineProperty(Event.prototype, 'event', {
+    get: function event() {
+        return this.params.event;
+    }
+});
+
+Object.defineProperty(Event.prototype, 'key', {
+    get: function key() {
+        return this.params.uuid;
+    }
+});
+
+
+/**
+ * Returns the raw form of the event suitable for storing in moray,
+ * which is the same as the serialized form
+ */
+Event.prototype.raw = Event.prototype.serialize = function () {
+    return {
+        uuid: this.params.uuid,
+        owner_uuid: this.params.owner_uuid,
+        time: this.params.time,
+        type: this.params.event.Type,
+        action: this.params.event.Action,
+        actor_id: this.params.event.Actor.ID,
+        event: this.params.event
+    };
+};
+
+
+
+// --- Exported functions
+
+
+
+/**
+ * Stores one event in the journal.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.owner_uuid The account the event belongs to.
+ * @param {Number} params.time Time of the event, in milliseconds.
+ * @param {Object} params.event The docker event object.
+ *
+ * @param callback {Function} `function (err, Event)`
+ */
+function createEvent(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'event params');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+    assert.number(params.time, 'params.time');
+    assert.object(params.event, 'params.event');
+    assert.func(callback, 'callback');
+
+    log.trace({ params: params }, 'createEvent: entry');
+
+    var evt = new Event(params);
+    app.moray.putObject(BUCKET.name, evt.key, evt.raw(), function (err) {
+        if (err) {
+            return callback(err);
+        }
+
+        return callback(null, evt);
+    });
+}
+
+
+/**
+ * List the events of an account in the given time range, oldest first. The
+ * events are fetched PAGE_SIZE at a time, and each page is passed to `onPage`
+ * as soon as it's read, so that the whole range is never held in memory.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params What to search upon.
+ * @param {String} params.owner_uuid The account.
+ * @param {Number} params.since Optional, only return events at or after this
+ *      time (in milliseconds).
+ * @param {Number} params.until Optional, only return events at or before this
+ *      time (in milliseconds).
+ * @param {Function} onPage `function ([Event])`, called for each page of
+ *      events. Listing stops early when it returns false.
+ *
+ * @param callback {Function} `function (err)`, called once all the pages
+ *      have been passed to `onPage`.
+ */
+function listEvents(app, log, params, onPage, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'event params');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+    assert.optionalNumber(params.since, 'params.since');
+    assert.optionalNumber(params.until, 'params.until');
+    assert.func(onPage, 'onPage');
+    assert.func(callback, 'callback');
+
+    log.trace(params, 'listEvents: entry');
+
+    var filter = format('(owner_uuid=%s)', params.owner_uuid);
+    if (params.since !== undefined) {
+        filter += format('(time>=%d)', params.since);
+    }
+    if (params.until !== undefined) {
+        filter += format('(time<=%d)', params.until);
+    }
+
+    var offset = 0;
+
+    function listPage() {
+        moray.listObjs({
+            filter: '(&' + filter + ')',
+            limit: PAGE_SIZE,
+            log: log,
+            bucket: BUCKET,
+            model: Event,
+            moray: app.moray,
+            offset: offset,
+            sort: {
+                attribute: 'time',
+                order: 'ASC'
+            }
+        }, function (err, page) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            offset += page.length;
+            if (onPage(page) === false || page.length < PAGE_SIZE) {
+                callback();
+                return;
+            }
+            listPage();
+        });
+    }
+
+    listPage();
+}
+
+
+/**
+ * Deletes all events (for all accounts) at or before the given time.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {Number} params.before Delete events at or before this time (in
+ *      milliseconds).
+ *
+ * @param callback {Function} `function (err)`
+ */
+function purgeEvents(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'params');
+    assert.number(params.before, 'params.before');
+    assert.func(callback, 'callback');
+
+    log.debug(params, 'purgeEvents: entry');
+
+    app.moray.deleteMany(BUCKET.name, format('(time<=%d)', params.before),
+        callback);
+}
+
+
+/**
+ * Initializes the events bucket
+ */
+function initEventsBucket(app, callback) {
+    moray.initBucket(app.moray, BUCKET, callback);
+}
+
+
+module.exports = {
+    create: createEvent,
+    init: initEventsBucket,
+    list: listEvents,
+    purge: purgeEvents,
+    Event: Event
+};
@@ -0,0 +1,329 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Container health model: the HEALTHCHECK definition of a container along
+ * with the results of its most recent checks (see lib/backends/sdc/health.js).
+ */
+
+var assert = require('assert-plus');
+var moray = require('../moray');
+
+
+// --- Globals
+
+
+
+var BUCKET = {
+    desc: 'docker container health',
+    name: 'docker_health',
+    schema: {
+        index: {
+            // Owning user
+            owner_uuid: { type: 'string' },
+            // The container VM uuid.
+            vm_uuid: { type: 'string' },
+            // Time the next check is due, in milliseconds since the epoch.
+            next_check: { type: 'number' }
+        }
+    },
+    version: 1
+};
+
+var HEALTH_STATUSES = ['starting', 'healthy', 'unhealthy'];
+
+
+
+// --- Health object
+
+
+/**
+ * Health model constructor
+ */
+function Health(params) {
+    assert.object(params, 'health params');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+    assert.string(params.vm_uuid, 'params.vm_uuid');
+    assert.object(params.healthcheck, 'params.healthcheck');
+    assert.arrayOfString(params.healthcheck.Test, 'params.healthcheck.Test');
+    assert.number(params.next_check, 'params.next_check');
+    assert.optionalString(params.status, 'params.status');
+    assert.optionalNumber(params.failing_streak, 'params.failing_streak');
+    assert.optionalArrayOfObject(params.log, 'params.log');
+    assert.optionalString(params.boot_timestamp, 'params.boot_timestamp');
+
+    if (params.status !== undefined) {
+        assert.ok(HEALTH_STATUSES.indexOf(params.status) !== -1,
+            'params.status');
+    }
+
+    this.params = params;
+}
+
+Object.defineProperty(Health.prototype, 'owner_uuid', {
+    get: function owner_uuid() {
+        return this.params.owner_uuid;
+    }
+});
+
+Object.defineProperty(Health.prototype, 'vm_uuid', {
+    get: function vm_uuid() {
+        return this.params.vm_uuid;
+    }
+});
+
+/**
+ * The docker healthcheck definition, e.g.
+ * `{Test: ['CMD-SHELL', 'curl -f localhost'], Interval: 30000000000}`.
+ */
+Object.defineProperty(Health.prototype, 'healthcheck', {
+    get: function healthcheck() {
+        return this.params.healthcheck;
+    }
+});
+
+Object.defineProperty(Health.prototype, 'next_check', {
+    get: function next_check() {
+        return this.params.next_check;
+    }
+});
+
+Object.defineProperty(Health.prototype, 'status', {
+    get: function status() {
+        return this.params.status || 'starting';
+    }
+});
+
+Object.defineProperty(Health.prototype, 'failing_streak', {
+    get: function failing_streak() {
+        return this.params.failing_streak || 0;
+    }
+});
+
+/**
+ * The most recent check results, oldest first, each of the docker form
+ * `{Start: <date>, End: <date>, ExitCode: <code>, Output: <string>}`.
+ */
+Object.defineProperty(Health.prototype, 'log', {
+    get: function log() {
+        return this.params.log || [];
+    }
+});
+
+/**
+ * The VM boot_timestamp the status belongs to: a restarted container goes
+ * back to 'starting'.
+ */
+Object.defineProperty(Health.prototype, 'boot_timestamp', {
+    get: function boot_timestamp() {
+        return this.params.boot_timestamp;
+    }
+});
+
+Object.defineProperty(Health.prototype, 'key', {
+    get: function key() {
+        return this.params.vm_uuid;
+    }
+});
+
+
+/**
+ * Returns the raw form of the health record suitable for storing in moray,
+ * which is the same as the serialized form
+ */
+Health.prototype.raw = Health.prototype.serialize = function () {
+    return {
+        owner_uuid: this.params.owner_uuid,
+        vm_uuid: this.params.vm_uuid,
+        healthcheck: this.params.healthcheck,
+        next_check: this.params.next_check,
+        status: this.status,
+        failing_streak: this.failing_streak,
+        log: this.log,
+        boot_timestamp: this.params.boot_timestamp
+    };
+};
+
+
+
+// --- Exported functions
+
+
+
+/**
+ * Creates (or replaces) the health record of a container.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.owner_uuid The container owner.
+ * @param {String} params.vm_uuid The container VM uuid.
+ * @param {Object} params.healthcheck The docker healthcheck definition.
+ * @param {Number} params.next_check Time the first check is due, in
+ *      milliseconds.
+ *
+ * @param callback {Function} `function (err, Health)`
+ */
+function createHealth(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'health params');
+    assert.func(callback, 'callback');
+
+    log.debug({ params: params }, 'createHealth: entry');
+
+    var health = new Health(params);
+    app.moray.putObject(BUCKET.name, health.key, health.raw(),
+        function (err) {
+            if (err) {
+                return callback(err);
+            }
+
+            return callback(null, health);
+        });
+}
+
+
+/**
+ * Find the health records for the given owner_uuid and optional vm_uuid.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params What to search upon.
+ * @param {String} params.owner_uuid The container owner.
+ * @param {String} params.vm_uuid Optional, the container VM uuid.
+ *
+ * @param callback {Function} `function (err, [Health])`
+ */
+function findHealth(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'health params');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+    assert.optionalString(params.vm_uuid, 'params.vm_uuid');
+
+    log.trace(params, 'findHealth: entry');
+
+    moray.listObjs({
+        filter: params,
+        log: log,
+        bucket: BUCKET,
+        model: Health,
+        moray: app.moray
+    }, callback);
+}
+
+
+/**
+ * Claims the health records (of all accounts) whose next check is due, so
+ * that concurrent sdc-docker instances don't run the same check (see
+ * `claimDue` in lib/moray.js).
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {Number} params.now The current time, in milliseconds.
+ * @param {Number} params.lease How long to hold the claimed records for,
+ *      in milliseconds.
+ * @param {Number} params.limit The maximum number of records to claim.
+ *
+ * @param callback {Function} `function (err, [Health])`
+ */
+function claimDueHealth(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'params');
+    assert.func(callback, 'callback');
+
+    moray.claimDue({
+        bucket: BUCKET,
+        lease: params.lease,
+        limit: params.limit,
+        log: log,
+        model: Health,
+        moray: app.moray,
+        now: params.now
+    }, callback);
+}
+
+
+/**
+ * Updates the check results of a health record.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.vm_uuid The container VM uuid.
+ * @param {Object} params.val The record fields to update, e.g. `status`,
+ *      `failing_streak`, `log`, `boot_timestamp`, `next_check`.
+ *
+ * @param callback {Function} `function (err)`
+ */
+function updateHealth(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'health params');
+    assert.string(params.vm_uuid, 'params.vm_uuid');
+    assert.object(params.val, 'params.val');
+    assert.func(callback, 'callback');
+
+    log.trace(params, 'updateHealth: entry');
+
+    moray.updateObj({
+        bucket: BUCKET,
+        key: params.vm_uuid,
+        moray: app.moray,
+        val: params.val
+    }, function (err) {
+        callback(err);
+    });
+}
+
+
+/**
+ * Deletes the health record of a container.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.vm_uuid The container VM uuid.
+ *
+ * @param callback {Function} `function (err)`
+ */
+function deleteHealth(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'health params');
+    assert.string(params.vm_uuid, 'params.vm_uuid');
+    assert.func(callback, 'callback');
+
+    log.debug(params, 'deleteHealth: entry');
+
+    moray.delObj(app.moray, BUCKET, params.vm_uuid, callback);
+}
+
+
+/**
+ * Initializes the health bucket
+ */
+function initHealthBucket(app, callback) {
+    moray.initBucket(app.moray, BUCKET, callback);
+}
+
+
+module.exports = {
+    claimDue: claimDueHealth,
+    create: createHealth,
+    del: deleteHealth,
+    find: findHealth,
+    init: initHealthBucket,
+    update: updateHealth,
+    Health: Health
+};
@@ -12,6 +12,8 @@
  * Image model v2
  *
  * `config_digest` the sha256 of the 'image JSON' (aka metadata).
+ * `config_str` the 'image JSON' as it was hashed for `config_digest`, for the
+ *      images loaded or imported by sdc-docker (optional).
  * `head` false if it's an intermediate build layer (non referencable layer)
  * `image_uuid` reference to the underlying layer (bits) - stored in IMGAPI.
  * `manifest_digest` the sha256 of the 'manifest JSON'.
@@ -66,6 +68,7 @@ function objectKey(params) {
 function ImageV2(params) {
     assert.object(params, 'image params');
     assert.string(params.config_digest, 'params.config_digest');
+    assert.optionalString(params.config_str, 'params.config_str');
     assert.bool(params.head, 'params.head');
     assert.object(params.image, 'params.image');
     assert.string(params.image_uuid, 'params.image_uuid');
@@ -131,6 +134,9 @@ function ImageV2(params) {
     this.__defineGetter__('config_digest', function () {
         return this.params.config_digest;
     });
+    this.__defineGetter__('config_str', function () {
+        return this.params.config_str;
+    });
     this.__defineGetter__('head', function () {
         return this.params.head;
     });
@@ -208,6 +214,7 @@ ImageV2.prototype.toJSON =
 {
     return {
         config_digest: this.params.config_digest,
+        config_str: this.params.config_str,
         created: this.params.created,
         head: this.params.head,
         image: this.params.image,
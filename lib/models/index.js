@@ -5,18 +5,23 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
  * Handles initializing all models
  */
 
+var autoremove = require('./autoremove');
+var event = require('./event');
+var health = require('./health');
 var image = require('./image');
 var image_tag = require('./image-tag');
 var image_v2 = require('./image-v2');
 var image_tag_v2 = require('./image-tag-v2');
 var link = require('./link');
+var network = require('./network');
+var session = require('./session');
 var vasync = require('vasync');
 
 
@@ -31,11 +36,16 @@ var vasync = require('vasync');
 function initializeModels(app, callback) {
     vasync.forEachParallel({
         inputs: [
+            autoremove,
+            event,
+            health,
             image,
             image_tag,
             image_v2,
             image_tag_v2,
-            link
+            link,
+            network,
+            session
         ],
         func: function _initModel(mod, cb) {
             mod.init(app, cb);
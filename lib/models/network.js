@@ -0,0 +1,229 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Docker network model: the fabric networks created with
+ * `docker network create`, and the docker properties (labels, options) which
+ * NAPI doesn't store for them.
+ */
+
+var assert = require('assert-plus');
+var moray = require('../moray');
+
+
+// --- Globals
+
+
+
+var BUCKET = {
+    desc: 'docker networks',
+    name: 'docker_networks',
+    schema: {
+        index: {
+            // Owning user
+            owner_uuid: { type: 'string' },
+            // The NAPI network uuid.
+            uuid: { type: 'string' },
+            name: { type: 'string' },
+            // Creation time, in milliseconds since the epoch.
+            created: { type: 'number' }
+        }
+    },
+    version: 1
+};
+
+
+
+// --- Network object
+
+
+/**
+ * Network model constructor
+ */
+function Network(params) {
+    assert.object(params, 'network params');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+    assert.string(params.uuid, 'params.uuid');
+    assert.string(params.name, 'params.name');
+    assert.number(params.created, 'params.created');
+    assert.optionalObject(params.labels, 'params.labels');
+    assert.optionalObject(params.options, 'params.options');
+
+    this.params = params;
+}
+
+Object.defineProperty(Network.prototype, 'owner_uuid', {
+    get: function owner_uuid() {
+        return this.params.owner_uuid;
+    }
+});
+
+Object.defineProperty(Network.prototype, 'uuid', {
+    get: function uuid() {
+        return this.params.uuid;
+    }
+});
+
+Object.defineProperty(Network.prototype, 'name', {
+    get: function name() {
+        return this.params.name;
+    }
+});
+
+Object.defineProperty(Network.prototype, 'created', {
+    get: function created() {
+        return this.params.created;
+    }
+});
+
+Object.defineProperty(Network.prototype, 'labels', {
+    get: function labels() {
+        return this.params.labels || {};
+    }
+});
+
+Object.defineProperty(Network.prototype, 'options', {
+    get: function options() {
+        return this.params.options || {};
+    }
+});
+
+Object.defineProperty(Network.prototype, 'key', {
+    get: function key() {
+        return this.params.uuid;
+    }
+});
+
+
+/**
+ * Returns the raw form of the network suitable for storing in moray,
+ * which is the same as the serialized form
+ */
+Network.prototype.raw = Network.prototype.serialize = function () {
+    return {
+        owner_uuid: this.params.owner_uuid,
+        uuid: this.params.uuid,
+        name: this.params.name,
+        created: this.params.created,
+        labels: this.params.labels || {},
+        options: this.params.options || {}
+    };
+};
+
+
+
+// --- Exported functions
+
+
+
+/**
+ * Creates one network.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.owner_uuid The network owner.
+ * @param {String} params.uuid The NAPI network uuid.
+ * @param {String} params.name The name of the network.
+ * @param {Number} params.created Creation time, in milliseconds.
+ * @param {Object} params.labels Optional, the docker labels of the network.
+ * @param {Object} params.options Optional, the docker driver options of the
+ *      network.
+ *
+ * @param callback {Function} `function (err, Network)`
+ */
+function createNetwork(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'network params');
+    assert.func(callback, 'callback');
+
+    log.debug({ params: params }, 'createNetwork: entry');
+
+    var network = new Network(params);
+    app.moray.putObject(BUCKET.name, network.key, network.raw(),
+        function (err) {
+            if (err) {
+                return callback(err);
+            }
+
+            return callback(null, network);
+        });
+}
+
+
+/**
+ * Find all networks for given owner_uuid and optional uuid.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params What to search upon.
+ * @param {String} params.owner_uuid The network owner.
+ * @param {String} params.uuid Optional, the NAPI network uuid.
+ *
+ * @param callback {Function} `function (err, [Network])`
+ */
+function findNetworks(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'network params');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+    assert.optionalString(params.uuid, 'params.uuid');
+
+    log.trace(params, 'findNetworks: entry');
+
+    moray.listObjs({
+        filter: params,
+        log: log,
+        bucket: BUCKET,
+        model: Network,
+        moray: app.moray
+    }, callback);
+}
+
+
+/**
+ * Deletes one network.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.uuid The NAPI network uuid.
+ *
+ * @param callback {Function} `function (err)`
+ */
+function deleteNetwork(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'network params');
+    assert.string(params.uuid, 'params.uuid');
+    assert.func(callback, 'callback');
+
+    log.debug(params, 'deleteNetwork: entry');
+
+    moray.delObj(app.moray, BUCKET, params.uuid, callback);
+}
+
+
+/**
+ * Initializes the networks bucket
+ */
+function initNetworksBucket(app, callback) {
+    moray.initBucket(app.moray, BUCKET, callback);
+}
+
+
+module.exports = {
+    create: createNetwork,
+    del: deleteNetwork,
+    init: initNetworksBucket,
+    find: findNetworks,
+    Network: Network
+};
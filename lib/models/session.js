@@ -0,0 +1,416 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Session model: the state of the exec and attach sessions (see
+ * lib/socket-manager.js), so that a session created by one sdc-docker
+ * instance can be started, resized or inspected by another.
+ */
+
+var assert = require('assert-plus');
+var format = require('util').format;
+var moray = require('../moray');
+var restify = require('restify');
+
+
+// --- Globals
+
+
+
+var BUCKET = {
+    desc: 'docker exec/attach session',
+    name: 'docker_sessions',
+    schema: {
+        index: {
+            // 'exec' or 'attach'
+            type: { type: 'string' },
+            // The exec id, or container id for attach sessions.
+            id: { type: 'string' },
+            // Owning user
+            owner_uuid: { type: 'string' },
+            // The container (full docker id).
+            container_id: { type: 'string' },
+            // Time the record expires, in milliseconds since the epoch.
+            expires: { type: 'number' }
+        }
+    },
+    version: 1
+};
+
+var SESSION_TYPES = ['attach', 'exec'];
+
+
+
+// --- Session object
+
+
+/**
+ * Session model constructor
+ */
+function Session(params) {
+    assert.object(params, 'session params');
+    assert.ok(SESSION_TYPES.indexOf(params.type) !== -1, 'params.type');
+    assert.string(params.id, 'params.id');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+    assert.string(params.container_id, 'params.container_id');
+    assert.number(params.expires, 'params.expires');
+    assert.object(params.command, 'params.command');
+    assert.optionalString(params.host, 'params.host');
+    assert.optionalNumber(params.port, 'params.port');
+    assert.optionalBool(params.running, 'params.running');
+    assert.optionalNumber(params.exit_code, 'params.exit_code');
+    assert.optionalObject(params.resize, 'params.resize');
+
+    this.params = params;
+}
+
+Object.defineProperty(Session.prototype, 'type', {
+    get: function type() {
+        return this.params.type;
+    }
+});
+
+Object.defineProperty(Session.prototype, 'id', {
+    get: function id() {
+        return this.params.id;
+    }
+});
+
+Object.defineProperty(Session.prototype, 'owner_uuid', {
+    get: function owner_uuid() {
+        return this.params.owner_uuid;
+    }
+});
+
+Object.defineProperty(Session.prototype, 'container_id', {
+    get: function container_id() {
+        return this.params.container_id;
+    }
+});
+
+Object.defineProperty(Session.prototype, 'expires', {
+    get: function expires() {
+        return this.params.expires;
+    }
+});
+
+/**
+ * The docker-exec command payload (see `_runCreateSocket` in
+ * lib/backends/sdc/containers.js).
+ */
+Object.defineProperty(Session.prototype, 'command', {
+    get: function command() {
+        return this.params.command;
+    }
+});
+
+/**
+ * The address of the CN (cn-agent) socket of the session, unset for detached
+ * execs.
+ */
+Object.defineProperty(Session.prototype, 'host', {
+    get: function host() {
+        return this.params.host;
+    }
+});
+
+Object.defineProperty(Session.prototype, 'port', {
+    get: function port() {
+        return this.params.port;
+    }
+});
+
+Object.defineProperty(Session.prototype, 'running', {
+    get: function running() {
+        return this.params.running || false;
+    }
+});
+
+Object.defineProperty(Session.prototype, 'exit_code', {
+    get: function exit_code() {
+        return this.params.exit_code;
+    }
+});
+
+/**
+ * A resize (`{w: <columns>, h: <rows>}`) that is yet to be applied by the
+ * sdc-docker instance streaming the session.
+ */
+Object.defineProperty(Session.prototype, 'resize', {
+    get: function resize() {
+        return this.params.resize || null;
+    }
+});
+
+Object.defineProperty(Session.prototype, 'key', {
+    get: function key() {
+        return sessionKey(this.params.type, this.params.id);
+    }
+});
+
+
+/**
+ * Returns the raw form of the record suitable for storing in moray,
+ * which is the same as the serialized form
+ */
+Session.prototype.raw = Session.prototype.serialize = function () {
+    var raw = {
+        type: this.params.type,
+        id: this.params.id,
+        owner_uuid: this.params.owner_uuid,
+        container_id: this.params.container_id,
+        expires: this.params.expires,
+        command: this.params.command,
+        running: this.running,
+        resize: this.resize
+    };
+
+    if (this.params.host !== undefined) {
+        raw.host = this.params.host;
+        raw.port = this.params.port;
+    }
+    if (this.params.exit_code !== undefined) {
+        raw.exit_code = this.params.exit_code;
+    }
+
+    return raw;
+};
+
+
+
+// --- Internal
+
+
+function sessionKey(type, id) {
+    return format('%s/%s', type, id);
+}
+
+
+
+// --- Exported functions
+
+
+
+/**
+ * Creates (or replaces) the record of a session.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params The session (see the Session constructor).
+ *
+ * @param callback {Function} `function (err, Session)`
+ */
+function createSession(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'session params');
+    assert.func(callback, 'callback');
+
+    log.debug({ params: params }, 'createSession: entry');
+
+    var session = new Session(params);
+    app.moray.putObject(BUCKET.name, session.key, session.raw(),
+        function (err) {
+            if (err) {
+                return callback(err);
+            }
+
+            return callback(null, session);
+        });
+}
+
+
+/**
+ * Gets the record of a session. Expired records are not found.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.type 'exec' or 'attach'
+ * @param {String} params.id The session id.
+ *
+ * @param callback {Function} `function (err, Session)`, with a
+ *      ResourceNotFoundError if there's no such session.
+ */
+function getSession(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'session params');
+    assert.string(params.type, 'params.type');
+    assert.string(params.id, 'params.id');
+    assert.func(callback, 'callback');
+
+    log.trace(params, 'getSession: entry');
+
+    moray.getObj(app.moray, BUCKET, sessionKey(params.type, params.id),
+        function (err, rec) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (rec.value.expires <= Date.now()) {
+                callback(new restify.ResourceNotFoundError('%s not found',
+                    BUCKET.desc));
+                return;
+            }
+
+            callback(null, new Session(rec.value));
+        });
+}
+
+
+/**
+ * Finds the (unexpired) sessions of a container.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.type 'exec' or 'attach'
+ * @param {String} params.container_id The container (full docker id).
+ * @param {String} params.owner_uuid The container owner.
+ *
+ * @param callback {Function} `function (err, [Session])`
+ */
+function findSessions(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'session params');
+    assert.string(params.type, 'params.type');
+    assert.string(params.container_id, 'params.container_id');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+    assert.func(callback, 'callback');
+
+    log.trace(params, 'findSessions: entry');
+
+    moray.listObjs({
+        filter: params,
+        log: log,
+        bucket: BUCKET,
+        model: Session,
+        moray: app.moray
+    }, function (err, sessions) {
+        var now = Date.now();
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, sessions.filter(function (session) {
+            return (session.expires > now);
+        }));
+    });
+}
+
+
+/**
+ * Updates the record of a session.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.type 'exec' or 'attach'
+ * @param {String} params.id The session id.
+ * @param {Object} params.val The session fields to update.
+ *
+ * @param callback {Function} `function (err)`
+ */
+function updateSession(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'session params');
+    assert.string(params.type, 'params.type');
+    assert.string(params.id, 'params.id');
+    assert.object(params.val, 'params.val');
+    assert.func(callback, 'callback');
+
+    log.trace(params, 'updateSession: entry');
+
+    moray.updateObj({
+        bucket: BUCKET,
+        key: sessionKey(params.type, params.id),
+        moray: app.moray,
+        val: params.val
+    }, function (err) {
+        callback(err);
+    });
+}
+
+
+/**
+ * Deletes the record of a session.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {String} params.type 'exec' or 'attach'
+ * @param {String} params.id The session id.
+ *
+ * @param callback {Function} `function (err)`
+ */
+function deleteSession(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'session params');
+    assert.string(params.type, 'params.type');
+    assert.string(params.id, 'params.id');
+    assert.func(callback, 'callback');
+
+    log.debug(params, 'deleteSession: entry');
+
+    moray.delObj(app.moray, BUCKET, sessionKey(params.type, params.id),
+        callback);
+}
+
+
+/**
+ * Deletes all the session records (of all accounts) that have expired by the
+ * given time.
+ *
+ * @param {Object} app App instance
+ * @param {Object} log Bunyan log instance
+ * @param {Object} params
+ * @param {Number} params.before The time, in milliseconds.
+ *
+ * @param callback {Function} `function (err)`
+ */
+function purgeSessions(app, log, params, callback) {
+    assert.object(app, 'app');
+    assert.object(log, 'log');
+    assert.object(params, 'params');
+    assert.number(params.before, 'params.before');
+    assert.func(callback, 'callback');
+
+    log.debug(params, 'purgeSessions: entry');
+
+    app.moray.deleteMany(BUCKET.name, format('(expires<=%d)', params.before),
+        callback);
+}
+
+
+/**
+ * Initializes the sessions bucket
+ */
+function initSessionsBucket(app, callback) {
+    moray.initBucket(app.moray, BUCKET, callback);
+}
+
+
+module.exports = {
+    create: createSession,
+    del: deleteSession,
+    find: findSessions,
+    get: getSession,
+    init: initSessionsBucket,
+    purge: purgeSessions,
+    update: updateSession,
+    Session: Session
+};
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -300,6 +300,8 @@ function getObj(moray, bucket, key, callback) {
  *
  * @param opts {Object}
  * - `filter` {String}
+ * - `limit` {Number} (optional)
+ * - `offset` {Number} (optional)
  * - `log` {Bunyan Logger}
  * - `moray` {MorayClient}
  * - `name` {String}
@@ -316,6 +318,14 @@ function listObjs(opts, callback) {
         listOpts.sort = opts.sort;
     }
 
+    if (opts.limit) {
+        listOpts.limit = opts.limit;
+    }
+
+    if (opts.offset) {
+        listOpts.offset = opts.offset;
+    }
+
     var filter = ldapFilter(opts.filter, opts.bucket) || opts.defaultFilter;
     opts.log.trace({ params: opts.filter, filter: filter }, 'LDAP filter');
 
@@ -388,6 +398,78 @@ function updateObj(opts, callback) {
 }
 
 
+/**
+ * Claims the objects of a bucket whose `next_check` is due, so that concurrent
+ * sdc-docker instances don't process the same objects: each object has its
+ * `next_check` moved to `opts.now + opts.lease` with a conditional (etag)
+ * update, and objects updated by someone else in the meantime are skipped.
+ * The lease covers an instance going away while processing an object.
+ *
+ * @param opts {Object}
+ * - `bucket` {Bucket schema object}, with a `next_check` index
+ * - `lease` {Number} : how long to hold the claimed objects for, in ms
+ * - `limit` {Number} : the maximum number of objects to claim
+ * - `log` {Bunyan Logger}
+ * - `model` {Function} : constructor for the claimed objects
+ * - `moray` {MorayClient}
+ * - `now` {Number} : the current time, in ms
+ * @param callback {Function} `function (err, [claimed objects])`
+ */
+function claimDue(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.bucket, 'opts.bucket');
+    assert.number(opts.lease, 'opts.lease');
+    assert.number(opts.limit, 'opts.limit');
+    assert.object(opts.log, 'opts.log');
+    assert.func(opts.model, 'opts.model');
+    assert.object(opts.moray, 'opts.moray');
+    assert.number(opts.now, 'opts.now');
+    assert.func(callback, 'callback');
+
+    var claimed = [];
+
+    listObjs({
+        filter: util.format('(next_check<=%d)', opts.now),
+        limit: opts.limit,
+        log: opts.log,
+        bucket: opts.bucket,
+        moray: opts.moray,
+        sort: {
+            attribute: 'next_check',
+            order: 'ASC'
+        }
+    }, function (err, recs) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        vasync.forEachPipeline({
+            inputs: recs,
+            func: function _claim(rec, cb) {
+                rec.value.next_check = opts.now + opts.lease;
+                opts.moray.putObject(opts.bucket.name, rec.key, rec.value,
+                    {etag: rec._etag}, function (putErr) {
+                        if (putErr && VError.hasCauseWithName(putErr,
+                            'EtagConflictError')) {
+                            opts.log.debug({bucket: opts.bucket.name,
+                                key: rec.key}, 'claimDue: claimed elsewhere');
+                            cb();
+                            return;
+                        }
+                        if (!putErr) {
+                            claimed.push(new opts.model(rec.value));
+                        }
+                        cb(putErr);
+                    });
+            }
+        }, function (claimErr) {
+            callback(claimErr, claimed);
+        });
+    });
+}
+
+
 /**
  * Converts an array to a scalar value suitable for indexed fields in
  * moray, since array types can't be indexed on properly.
@@ -517,6 +599,7 @@ function migrateObjects(opts, callback) {
 
 module.exports = {
     arrayToVal: arrayToVal,
+    claimDue: claimDue,
     delObj: delObj,
     filter: ldapFilter,
     getObj: getObj,
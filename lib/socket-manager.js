@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -14,6 +14,9 @@
  */
 
 var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var Session = require('./models/session');
 
 var SOCKET_TYPES = {
     'attach': true,
@@ -21,17 +24,174 @@ var SOCKET_TYPES = {
     'job': true
 };
 
+// The socket types whose sessions are persisted (see lib/models/session.js).
+var SESSION_TYPES = {
+    'attach': true,
+    'exec': true
+};
+
+// How long (in milliseconds) a session record is kept after its last update.
+var SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// How often (in seconds) the instance streaming a TTY session checks for
+// resizes received by other sdc-docker instances, by default (see
+// `watchResizes`).
+var DEFAULT_RESIZE_POLL_INTERVAL_SECS = 1;
+
+// The longest interval (in milliseconds) between the resize checks of an idle
+// session.
+var MAX_RESIZE_POLL_INTERVAL = 30 * 1000;
+
+// The default limits of each socket type (see `reap`), in minutes:
+// - ttlMins: how long an entry without an open CN connection (an exec that
+//   has finished or was never started, a job) is kept after its last activity
+// - idleTimeoutMins: how long an open CN connection can go without any
+//   traffic (0 for no idle timeout)
+var DEFAULT_LIMITS = {
+    'attach': { ttlMins: 10, idleTimeoutMins: 24 * 60 },
+    'exec': { ttlMins: 60, idleTimeoutMins: 24 * 60 },
+    'job': { ttlMins: 24 * 60, idleTimeoutMins: 0 }
+};
+
+// How long (in milliseconds) a resize is held for an attach that never comes.
+var RESIZE_TTL = 10 * 60 * 1000;
+
+
+// --- Internal helpers
+
+
+/*
+ * Returns the session record params (see lib/models/session.js) of a
+ * registered session.
+ */
+function sessionFromSocketData(type, id, data) {
+    var params = {
+        command: data.command,
+        container_id: data.ContainerID,
+        expires: Date.now() + SESSION_TTL,
+        id: id,
+        owner_uuid: data.owner_uuid,
+        running: Boolean(data.Running),
+        type: type
+    };
+
+    if (data.host !== undefined) {
+        params.host = data.host;
+        params.port = Number(data.port);
+    }
+    if (typeof (data.ExitCode) === 'number') {
+        params.exit_code = data.ExitCode;
+    }
+
+    return params;
+}
+
+
+/*
+ * Updates (or creates) the socket data of a session from its record.
+ */
+function socketDataFromSession(session, data) {
+    data.command = session.command;
+    data.ContainerID = session.container_id;
+    data.owner_uuid = session.owner_uuid;
+    data.Running = session.running;
+    data.Resize = session.resize;
+
+    if (session.host !== undefined) {
+        data.host = session.host;
+        data.port = session.port;
+    }
+    if (session.exit_code !== undefined) {
+        data.ExitCode = session.exit_code;
+    }
+
+    return data;
+}
+
+
+/*
+ * Returns the bytes read from and written to a socket so far (a job's socket
+ * is an HTTP response, which doesn't count them).
+ */
+function socketBytes(socket) {
+    return {
+        read: (socket && typeof (socket.bytesRead) === 'number'
+            ? socket.bytesRead : 0),
+        written: (socket && typeof (socket.bytesWritten) === 'number'
+            ? socket.bytesWritten : 0)
+    };
+}
+
+
+/*
+ * Returns the limits of each socket type, given the `sockets` config (e.g.
+ * `{"exec": {"idleTimeoutMins": 30}}`), in milliseconds.
+ */
+function limitsFromConfig(config) {
+    var limits = {};
+
+    Object.keys(DEFAULT_LIMITS).forEach(function (type) {
+        var typeConfig = (config && config[type]) || {};
+        var ttlMins = (typeConfig.ttlMins !== undefined
+            ? typeConfig.ttlMins : DEFAULT_LIMITS[type].ttlMins);
+        var idleTimeoutMins = (typeConfig.idleTimeoutMins !== undefined
+            ? typeConfig.idleTimeoutMins
+            : DEFAULT_LIMITS[type].idleTimeoutMins);
+
+        assert.number(ttlMins, 'config.sockets.' + type + '.ttlMins');
+        assert.number(idleTimeoutMins,
+            'config.sockets.' + type + '.idleTimeoutMins');
+
+        limits[type] = {
+            idleTimeout: idleTimeoutMins * 60 * 1000,
+            ttl: ttlMins * 60 * 1000
+        };
+    });
+
+    return limits;
+}
+
+
 /*
  * This function manages the references for exec, attach and pull
  * sockets so they can be properly reused across different HTTP requests.
+ *
+ * The exec and attach sessions are also persisted in moray (when `opts.app`
+ * is given) with `saveSession`, so that any sdc-docker instance can find
+ * them with `getSession`. The live sockets only exist in the instance that
+ * created them.
+ *
+ * Entries that outlive the limits of their type (`opts.config`, see
+ * `limitsFromConfig`) are removed by `reap`, which closes their CN
+ * connection.
  */
 function SocketManager(opts) {
     assert.object(opts, 'opts');
+    assert.optionalObject(opts.app, 'opts.app');
+    assert.optionalObject(opts.config, 'opts.config');
     assert.object(opts.log, 'opts.log');
 
+    var resizePollSecs = (opts.config
+        && opts.config.resizePollIntervalSecs !== undefined
+        ? opts.config.resizePollIntervalSecs
+        : DEFAULT_RESIZE_POLL_INTERVAL_SECS);
+
+    assert.number(resizePollSecs, 'config.sockets.resizePollIntervalSecs');
+
+    this.app = opts.app;
+    this.limits = limitsFromConfig(opts.config);
     this.log = opts.log;
+    this.resizePollInterval = resizePollSecs * 1000;
     this.sockets = {};
 
+    // The age and activity of each entry of `sockets` (see `reap`), scoped
+    // by socket type then id.
+    this.activity = {
+        attach: {},
+        exec: {},
+        job: {}
+    };
+
     // These are held by container attach/run operations
     // scoped by container id
     this.sockets.attach = {};
@@ -53,6 +213,7 @@ function SocketManager(opts) {
     // we need to hold on to the resize data for a moment
     // scoped by container id
     this.resizes = {};
+    this.resizeTimes = {};
 }
 
 
@@ -61,6 +222,18 @@ SocketManager.prototype.setSocket = function (type, id, data) {
     assert.string(id, 'socket identifier');
     assert.object(data, 'socket data');
 
+    var now = Date.now();
+
+    // Registering the same id again (e.g. when an exec is started) doesn't
+    // make the entry any younger.
+    if (!this.activity[type][id]) {
+        this.activity[type][id] = {
+            bytes: 0,
+            created: now,
+            lastActive: now
+        };
+    }
+
     this.sockets[type][id] = data;
     return data;
 };
@@ -79,6 +252,313 @@ SocketManager.prototype.removeSocket = function (type, id) {
     assert.string(id, 'socket identifier');
 
     delete this.sockets[type][id];
+    delete this.activity[type][id];
+};
+
+
+/*
+ * Returns the ids of the exec sessions of a container (given its full docker
+ * id).
+ */
+SocketManager.prototype.getExecIds = function (containerId) {
+    assert.string(containerId, 'container id');
+
+    var execs = this.sockets.exec;
+
+    return Object.keys(execs).filter(function (id) {
+        return (execs[id].ContainerID === containerId);
+    });
+};
+
+
+/*
+ * Returns true if the sessions can be persisted (moray may not be available
+ * yet when sdc-docker starts).
+ */
+SocketManager.prototype._persists = function () {
+    return Boolean(this.app && this.app.moray);
+};
+
+
+/*
+ * Registers a session (see `setSocket`) and persists it. A session that
+ * couldn't be persisted can still be used through this instance.
+ *
+ * The socket data of a session has `command` (the docker-exec payload),
+ * `host` and `port` (the CN socket address), `ContainerID`, `owner_uuid`
+ * and, for execs, `Running` and `ExitCode`.
+ */
+SocketManager.prototype.saveSession = function (type, id, data, callback) {
+    assert.ok(SESSION_TYPES[type], 'session type');
+    assert.string(id, 'session identifier');
+    assert.object(data, 'session data');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    self.setSocket(type, id, data);
+    if (!self._persists()) {
+        setImmediate(callback);
+        return;
+    }
+
+    Session.create(self.app, self.log, sessionFromSocketData(type, id, data),
+        function (err) {
+            if (err) {
+                self.log.warn({err: err, id: id, type: type},
+                    'could not persist session');
+            }
+            callback();
+        });
+};
+
+
+/*
+ * Gets the socket data of a session, which may have been created by another
+ * sdc-docker instance. The instance holding the (live) CN socket of a session
+ * has its latest state, otherwise the persisted state is used. Calls back
+ * with no data if there's no such session.
+ */
+SocketManager.prototype.getSession = function (type, id, callback) {
+    assert.ok(SESSION_TYPES[type], 'session type');
+    assert.string(id, 'session identifier');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var local = self.sockets[type][id];
+
+    if ((local && local.socket) || !self._persists()) {
+        setImmediate(callback, null, local);
+        return;
+    }
+
+    Session.get(self.app, self.log, {id: id, type: type},
+        function (err, session) {
+            if (err) {
+                if (err.statusCode !== 404) {
+                    self.log.warn({err: err, id: id, type: type},
+                        'could not load session');
+                }
+                callback(null, local);
+                return;
+            }
+
+            callback(null, socketDataFromSession(session, local || {}));
+        });
+};
+
+
+/*
+ * Persists the state (e.g. `Running` and `ExitCode`) of a session registered
+ * with this instance, which also pushes back its expiry.
+ */
+SocketManager.prototype.updateSession = function (type, id, callback) {
+    assert.ok(SESSION_TYPES[type], 'session type');
+    assert.string(id, 'session identifier');
+    assert.func(callback, 'callback');
+
+    var data = this.sockets[type][id];
+    var params;
+    var self = this;
+
+    if (!data || !self._persists()) {
+        setImmediate(callback);
+        return;
+    }
+
+    params = sessionFromSocketData(type, id, data);
+    Session.update(self.app, self.log, {
+        id: id,
+        type: type,
+        val: {
+            exit_code: params.exit_code,
+            expires: params.expires,
+            running: params.running
+        }
+    }, function (err) {
+        if (err && err.statusCode !== 404) {
+            self.log.warn({err: err, id: id, type: type},
+                'could not update session');
+        }
+        callback();
+    });
+};
+
+
+/*
+ * Records a resize of a session streamed by another sdc-docker instance (see
+ * `watchResizes`). Calls back with an error if it couldn't be recorded,
+ * including when there's no such session.
+ */
+SocketManager.prototype.recordResize = function (type, id, resize, callback) {
+    assert.ok(SESSION_TYPES[type], 'session type');
+    assert.string(id, 'session identifier');
+    assert.object(resize, 'resize object');
+    assert.number(resize.w, 'resize columns');
+    assert.number(resize.h, 'resize rows');
+    assert.func(callback, 'callback');
+
+    if (!this._persists()) {
+        setImmediate(callback, new Error('sessions are not persisted'));
+        return;
+    }
+
+    Session.update(this.app, this.log, {
+        id: id,
+        type: type,
+        val: {resize: {w: resize.w, h: resize.h}}
+    }, callback);
+};
+
+
+/*
+ * Periodically checks for the resizes of a session (streamed by this
+ * instance) recorded by other instances, calling `onResize(resize)` for each.
+ * Returns the function to call to stop checking.
+ *
+ * The session is checked every `sockets.resizePollIntervalSecs` seconds after
+ * a resize, and the interval doubles (up to MAX_RESIZE_POLL_INTERVAL) with
+ * each check that finds none, so that idle sessions seldom hit moray.
+ */
+SocketManager.prototype.watchResizes = function (type, id, onResize) {
+    assert.ok(SESSION_TYPES[type], 'session type');
+    assert.string(id, 'session identifier');
+    assert.func(onResize, 'onResize');
+
+    var interval = this.resizePollInterval;
+    var maxInterval = Math.max(MAX_RESIZE_POLL_INTERVAL, interval);
+    var params = {id: id, type: type};
+    var self = this;
+    var stopped = false;
+    var timer;
+
+    if (!self._persists()) {
+        return function () {};
+    }
+
+    function schedule() {
+        if (!stopped) {
+            timer = setTimeout(checkResize, interval);
+        }
+    }
+
+    function checkResize() {
+        var resize;
+
+        vasync.pipeline({funcs: [
+            function _getSession(_, cb) {
+                Session.get(self.app, self.log, params, function (err, sess) {
+                    resize = sess && sess.resize;
+                    // `true` is used to stop the pipeline early.
+                    cb(err || (resize ? null : true));
+                });
+            },
+            function _clearResize(_, cb) {
+                Session.update(self.app, self.log, {
+                    id: id,
+                    type: type,
+                    val: {resize: null}
+                }, cb);
+            }
+        ]}, function (err) {
+            if (err && err !== true) {
+                self.log.debug({err: err, id: id, type: type},
+                    'could not check session resizes');
+            } else if (resize) {
+                interval = self.resizePollInterval;
+                onResize(resize);
+            } else {
+                interval = Math.min(interval * 2, maxInterval);
+            }
+            schedule();
+        });
+    }
+
+    schedule();
+
+    return function stopWatchingResizes() {
+        stopped = true;
+        clearTimeout(timer);
+    };
+};
+
+
+/*
+ * Unregisters a session (see `removeSocket`) and deletes its record.
+ */
+SocketManager.prototype.removeSession = function (type, id, callback) {
+    assert.ok(SESSION_TYPES[type], 'session type');
+    assert.string(id, 'session identifier');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    self.removeSocket(type, id);
+    if (!self._persists()) {
+        setImmediate(callback);
+        return;
+    }
+
+    Session.del(self.app, self.log, {id: id, type: type}, function (err) {
+        if (err && err.statusCode !== 404) {
+            self.log.warn({err: err, id: id, type: type},
+                'could not delete session');
+        }
+        callback();
+    });
+};
+
+
+/*
+ * Returns the ids of the exec sessions of a container, including those
+ * created by other sdc-docker instances.
+ */
+SocketManager.prototype.findExecIds = function (opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.containerId, 'opts.containerId');
+    assert.string(opts.owner_uuid, 'opts.owner_uuid');
+    assert.func(callback, 'callback');
+
+    var ids = this.getExecIds(opts.containerId);
+    var self = this;
+
+    if (!self._persists()) {
+        setImmediate(callback, null, ids);
+        return;
+    }
+
+    Session.find(self.app, self.log, {
+        container_id: opts.containerId,
+        owner_uuid: opts.owner_uuid,
+        type: 'exec'
+    }, function (err, sessions) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        sessions.forEach(function (session) {
+            if (ids.indexOf(session.id) === -1) {
+                ids.push(session.id);
+            }
+        });
+        callback(null, ids);
+    });
+};
+
+
+/*
+ * Deletes the session records (of all instances) that have expired.
+ */
+SocketManager.prototype.purgeSessions = function (callback) {
+    assert.func(callback, 'callback');
+
+    if (!this._persists()) {
+        setImmediate(callback);
+        return;
+    }
+
+    Session.purge(this.app, this.log, {before: Date.now()}, callback);
 };
 
 
@@ -89,6 +569,7 @@ SocketManager.prototype.pushResize = function (id, resize) {
     assert.number(resize.h, 'resize rows');
 
     this.resizes[id] = resize;
+    this.resizeTimes[id] = Date.now();
     return resize;
 };
 
@@ -98,8 +579,168 @@ SocketManager.prototype.popResize = function (id) {
 
     var resize = this.resizes[id];
     delete this.resizes[id];
+    delete this.resizeTimes[id];
     return resize;
 };
 
 
+/*
+ * Returns the registered sessions (of all socket types) of this instance,
+ * optionally only those of an account (`opts.owner_uuid`), each as:
+ *
+ *  - `type`, `id` and `owner_uuid`
+ *  - `container_id`, for attach and exec sessions
+ *  - `age` and `idle`, in seconds: the time since the entry was registered,
+ *    and since the last traffic on its CN connection
+ *  - `bytesRead` and `bytesWritten` on the CN connection
+ *  - `open`, true if the CN connection is open
+ */
+SocketManager.prototype.listSessions = function (opts) {
+    assert.optionalObject(opts, 'opts');
+    assert.optionalString(opts && opts.owner_uuid, 'opts.owner_uuid');
+
+    var now = Date.now();
+    var owner_uuid = opts && opts.owner_uuid;
+    var self = this;
+    var sessions = [];
+
+    Object.keys(SOCKET_TYPES).forEach(function (type) {
+        Object.keys(self.sockets[type]).forEach(function (id) {
+            var activity = self._updateActivity(type, id, now);
+            var data = self.sockets[type][id];
+            var bytes = socketBytes(data.socket);
+
+            if (owner_uuid && data.owner_uuid !== owner_uuid) {
+                return;
+            }
+
+            sessions.push({
+                age: Math.floor((now - activity.created) / 1000),
+                bytesRead: bytes.read,
+                bytesWritten: bytes.written,
+                container_id: data.ContainerID,
+                id: id,
+                idle: Math.floor((now - activity.lastActive) / 1000),
+                open: Boolean(data.socket && !data.socket.destroyed),
+                owner_uuid: data.owner_uuid,
+                type: type
+            });
+        });
+    });
+
+    return sessions;
+};
+
+
+/*
+ * Updates (and returns) the activity of an entry: there has been activity
+ * since the last check if bytes have been read or written on its socket.
+ */
+SocketManager.prototype._updateActivity = function (type, id, now) {
+    var activity = this.activity[type][id];
+    var bytes = socketBytes(this.sockets[type][id].socket);
+    var total = bytes.read + bytes.written;
+
+    if (!activity) {
+        activity = this.activity[type][id] = {
+            bytes: total,
+            created: now,
+            lastActive: now
+        };
+    } else if (total !== activity.bytes) {
+        activity.bytes = total;
+        activity.lastActive = now;
+    }
+
+    return activity;
+};
+
+
+/*
+ * Removes the entries whose CN connection has had no traffic for longer than
+ * the idle timeout of their type, closing the connection (the streaming
+ * request then ends as if it had dropped), and those without an open
+ * connection that have been inactive for longer than the TTL of their type. A
+ * warning is logged for the entries that should already have been removed by
+ * their owner, i.e. all but the exec sessions that have finished. Held
+ * resizes that were never used by an attach are also dropped.
+ *
+ * Calls back with the number of entries removed.
+ */
+SocketManager.prototype.reap = function (callback) {
+    assert.func(callback, 'callback');
+
+    var now = Date.now();
+    var reaped = [];
+    var self = this;
+
+    Object.keys(SOCKET_TYPES).forEach(function (type) {
+        var limits = self.limits[type];
+
+        Object.keys(self.sockets[type]).forEach(function (id) {
+            var activity = self._updateActivity(type, id, now);
+            var data = self.sockets[type][id];
+            var age = now - activity.created;
+            var idle = now - activity.lastActive;
+            var open = Boolean(data.socket && !data.socket.destroyed);
+            var reason;
+
+            if (open && limits.idleTimeout && idle > limits.idleTimeout) {
+                reason = 'idle';
+            } else if (!open && idle > limits.ttl) {
+                reason = 'ttl';
+            } else {
+                return;
+            }
+
+            var logObj = {
+                age: Math.floor(age / 1000),
+                container_id: data.ContainerID,
+                id: id,
+                idle: Math.floor(idle / 1000),
+                open: open,
+                owner_uuid: data.owner_uuid,
+                reason: reason,
+                type: type
+            };
+
+            if (type === 'exec' && !open) {
+                self.log.debug(logObj, 'removing finished exec session');
+            } else {
+                self.log.warn(logObj, 'reaping stale %s session, suspected '
+                    + 'leak', type);
+            }
+
+            // Only the CN connections are closed, a job's socket is the
+            // client's response.
+            if (type !== 'job' && data.socket) {
+                data.socket.destroy();
+            }
+            reaped.push({id: id, type: type});
+        });
+    });
+
+    Object.keys(self.resizeTimes).forEach(function (id) {
+        if (now - self.resizeTimes[id] > RESIZE_TTL) {
+            self.log.debug({id: id}, 'dropping unused resize');
+            self.popResize(id);
+        }
+    });
+
+    vasync.forEachPipeline({
+        inputs: reaped,
+        func: function _removeReaped(entry, next) {
+            if (SESSION_TYPES[entry.type]) {
+                self.removeSession(entry.type, entry.id, next);
+            } else {
+                self.removeSocket(entry.type, entry.id);
+                next();
+            }
+        }
+    }, function () {
+        callback(null, reaped.length);
+    });
+};
+
+
 module.exports = SocketManager;
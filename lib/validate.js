@@ -12,6 +12,7 @@ var assert = require('assert-plus');
 var common = require('./common');
 var errors = require('./errors');
 var fmt = require('util').format;
+var net = require('net');
 
 var mod_volumes = require('./volumes');
 
@@ -30,6 +31,18 @@ var MAX_LOG_CONFIG_LEN = 1024;
 var VALID_VOLUME_NAME_REGEXP = /^[a-zA-Z0-9][a-zA-Z0-9_\.\-]+$/;
 var VALID_VOLUME_DRIVERS = ['tritonnfs'];
 
+// Restart policies that can be set with `docker update` ('' is the same as
+// 'no').
+var UPDATE_RESTART_POLICIES = ['', 'no', 'always', 'on-failure'];
+
+// Networks created with `docker network create` are always fabric networks,
+// the docker 'bridge' and 'overlay' drivers are accepted for compatibility.
+var VALID_NETWORK_NAME_REGEXP = /^[a-zA-Z0-9][a-zA-Z0-9_\.\-]*$/;
+var VALID_NETWORK_DRIVERS = ['', 'bridge', 'overlay'];
+
+// Minimum (non-zero) healthcheck interval/timeout, in nanoseconds.
+var HEALTHCHECK_MIN_DURATION = 1000000;
+
 // --- Internal
 
 
@@ -402,6 +415,48 @@ function assertLogConfig(logconfig, name, config) {
 }
 
 
+/*
+ * Validates a container (or image) healthcheck definition. Durations are in
+ * nanoseconds, where 0 means "use the default", and otherwise must be at least
+ * one millisecond (as in docker).
+ */
+function assertHealthcheck(healthcheck, name) {
+    var test = healthcheck.Test;
+
+    assertOptionalArrayOfString(test, name + '.Test');
+    if (test && test.length > 0) {
+        assertArrayValue(['NONE', 'CMD', 'CMD-SHELL'], test[0],
+            name + '.Test[0]');
+        if (test[0] !== 'NONE' && test.length < 2) {
+            throw new errors.ValidationError(fmt(
+                '%s.Test: %s requires at least one argument', name, test[0]));
+        }
+    }
+
+    ['Interval', 'Timeout', 'StartPeriod'].forEach(function (field) {
+        var val = healthcheck[field];
+        if (undef(val)) {
+            return;
+        }
+        if (typeof (val) !== 'number' || val < 0 || Math.floor(val) !== val) {
+            throw typeErr(name + '.' + field,
+                'a non-negative integer (nanoseconds)');
+        }
+        if (val !== 0 && val < HEALTHCHECK_MIN_DURATION) {
+            throw typeErr(name + '.' + field, 'at least 1ms (1000000)');
+        }
+    });
+
+    if (!undef(healthcheck.Retries)) {
+        if (typeof (healthcheck.Retries) !== 'number'
+            || healthcheck.Retries < 0
+            || Math.floor(healthcheck.Retries) !== healthcheck.Retries) {
+            throw typeErr(name + '.Retries', 'a non-negative integer');
+        }
+    }
+}
+
+
 function assertString(arg, name) {
     if (typeof (arg) !== 'string') {
         throw typeErr(name, 'a string');
@@ -464,6 +519,7 @@ function validateCreateContainer(req, res, next) {
     var config = req.app.config;
     var container = req.body;
     var invalidBinds;
+    var restartPolicy;
     var volumeNames = [];
 
     try {
@@ -526,6 +582,20 @@ function validateCreateContainer(req, res, next) {
                 'HostConfig.LogConfig', config);
         }
 
+        assertOptionalObject(container.Healthcheck, 'Healthcheck');
+        if (container.Healthcheck) {
+            assertHealthcheck(container.Healthcheck, 'Healthcheck');
+        }
+
+        assertOptionalBool(container.HostConfig.AutoRemove,
+            'HostConfig.AutoRemove');
+        restartPolicy = container.HostConfig.RestartPolicy;
+        if (container.HostConfig.AutoRemove && restartPolicy
+            && restartPolicy.Name && restartPolicy.Name !== 'no') {
+            throw new errors.ValidationError(
+                'can\'t create \'AutoRemove\' container with restart policy');
+        }
+
     } catch (assertErr) {
         return next(assertErr);
     }
@@ -546,6 +616,179 @@ function validateCreateContainer(req, res, next) {
 }
 
 
+function validateUpdateContainer(req, res, next) {
+    var update = req.body;
+
+    try {
+        assertObject(update, 'body');
+
+        ['Memory', 'MemorySwap', 'CpuShares'].forEach(function (field) {
+            var val = update[field];
+            if (undef(val)) {
+                return;
+            }
+            // A MemorySwap of -1 means unlimited swap.
+            if (typeof (val) !== 'number' || Math.floor(val) !== val
+                || val < (field === 'MemorySwap' ? -1 : 0)) {
+                throw typeErr(field, 'a positive integer');
+            }
+        });
+
+        assertOptionalObject(update.RestartPolicy, 'RestartPolicy');
+        if (update.RestartPolicy) {
+            assertArrayValue(UPDATE_RESTART_POLICIES,
+                update.RestartPolicy.Name || '', 'RestartPolicy.Name',
+                'one of: no, always, on-failure');
+
+            var maxRetry = update.RestartPolicy.MaximumRetryCount;
+            if (!undef(maxRetry) && maxRetry !== 0) {
+                if (typeof (maxRetry) !== 'number'
+                    || Math.floor(maxRetry) !== maxRetry || maxRetry < 0) {
+                    throw typeErr('RestartPolicy.MaximumRetryCount',
+                        'a positive integer');
+                }
+                if (update.RestartPolicy.Name !== 'on-failure') {
+                    throw new errors.ValidationError('maximum restart count '
+                        + 'not valid with restart policy type: '
+                        + update.RestartPolicy.Name);
+                }
+            }
+        }
+    } catch (assertErr) {
+        return next(assertErr);
+    }
+
+    return next();
+}
+
+
+function validateCreateExec(req, res, next) {
+    var exec = req.body;
+
+    try {
+        assertObject(exec, 'body');
+
+        assertOptionalArrayOfString(exec.Cmd, 'Cmd');
+        if (!exec.Cmd || exec.Cmd.length === 0) {
+            throw new errors.ValidationError('No exec command specified');
+        }
+
+        assertOptionalArrayOfString(exec.Env, 'Env');
+        (exec.Env || []).forEach(function (env) {
+            if (env === '' || env[0] === '=') {
+                throw new errors.ValidationError(fmt(
+                    'invalid environment variable: %s', env));
+            }
+        });
+
+        assertOptionalString(exec.WorkingDir, 'WorkingDir');
+        if (exec.WorkingDir && exec.WorkingDir[0] !== '/') {
+            throw new errors.ValidationError(fmt('the working directory '
+                + '\'%s\' is invalid, it needs to be an absolute path',
+                exec.WorkingDir));
+        }
+
+        assertOptionalString(exec.User, 'User');
+        ['AttachStdin', 'AttachStdout', 'AttachStderr', 'Detach',
+            'Privileged', 'Tty'].forEach(function (field) {
+            assertOptionalBool(exec[field], field);
+        });
+        if (exec.Privileged) {
+            throw new errors.ValidationError(
+                'privileged exec is not supported');
+        }
+    } catch (assertErr) {
+        return next(assertErr);
+    }
+
+    return next();
+}
+
+
+function validateCreateNetwork(req, res, next) {
+    var params = req.body;
+
+    try {
+        assertObject(params, 'body');
+        assertString(params.Name, 'Name');
+        if (!VALID_NETWORK_NAME_REGEXP.test(params.Name)) {
+            throw new errors.ValidationError(params.Name
+                + ' is not a valid network name');
+        }
+        assertOptionalString(params.Driver, 'Driver');
+        assertArrayValue(VALID_NETWORK_DRIVERS, params.Driver || '', 'Driver',
+            'one of: bridge, overlay');
+        ['CheckDuplicate', 'EnableIPv6', 'Internal'].forEach(function (f) {
+            assertOptionalBool(params[f], f);
+        });
+        ['IPAM', 'Labels', 'Options'].forEach(function (f) {
+            assertOptionalObject(params[f], f);
+        });
+        if (params.IPAM) {
+            assertOptionalString(params.IPAM.Driver, 'IPAM.Driver');
+            if (!undef(params.IPAM.Config)
+                && !Array.isArray(params.IPAM.Config)) {
+                throw typeErr('IPAM.Config', 'an array');
+            }
+        }
+    } catch (assertErr) {
+        return next(assertErr);
+    }
+
+    return next();
+}
+
+
+function validateNetworkConnect(req, res, next) {
+    var params = req.body;
+
+    try {
+        assertObject(params, 'body');
+        assertString(params.Container, 'Container');
+        assertOptionalObject(params.EndpointConfig, 'EndpointConfig');
+        if (params.EndpointConfig) {
+            var endpoint = params.EndpointConfig;
+            assertOptionalArrayOfString(endpoint.Aliases,
+                'EndpointConfig.Aliases');
+            assertOptionalObject(endpoint.IPAMConfig,
+                'EndpointConfig.IPAMConfig');
+            if (endpoint.IPAMConfig) {
+                var ip = endpoint.IPAMConfig.IPv4Address;
+                assertOptionalString(ip,
+                    'EndpointConfig.IPAMConfig.IPv4Address');
+                if (ip && !net.isIPv4(ip)) {
+                    throw new errors.ValidationError(fmt(
+                        'invalid IPv4 address: %s', ip));
+                }
+                if (endpoint.IPAMConfig.IPv6Address) {
+                    throw new errors.ValidationError(
+                        'IPv6 addresses are not supported');
+                }
+            }
+        }
+    } catch (assertErr) {
+        return next(assertErr);
+    }
+
+    return next();
+}
+
+
+function validateNetworkDisconnect(req, res, next) {
+    var params = req.body;
+
+    try {
+        assertObject(params, 'body');
+        assertString(params.Container, 'Container');
+        assertOptionalBool(params.Force, 'Force');
+    } catch (assertErr) {
+        return next(assertErr);
+    }
+
+    return next();
+}
+
+
 function validateArchiveReadStream(req, res, next) {
     try {
         assertString(req.query.path, 'path');
@@ -629,6 +872,18 @@ function validateCreateVolume(req, res, next) {
         return;
     }
 
+    try {
+        assertOptionalObject(req.params.Labels, 'Labels');
+        if (!undef(req.params.Labels)) {
+            Object.keys(req.params.Labels).forEach(function (label) {
+                assertString(req.params.Labels[label], 'Labels.' + label);
+            });
+        }
+    } catch (assertErr) {
+        next(assertErr);
+        return;
+    }
+
     /*
      * Docker clients send the empty string as the volume name when users don't
      * specify a volume name on the command line. However, in order to simplify
@@ -718,8 +973,13 @@ module.exports = {
         portBindings: assertPortBindings
     },
     createContainer: validateCreateContainer,
+    updateContainer: validateUpdateContainer,
+    createExec: validateCreateExec,
     archiveReadStream: validateArchiveReadStream,
     archiveWriteStream: validateArchiveWriteStream,
+    createNetwork: validateCreateNetwork,
+    networkConnect: validateNetworkConnect,
+    networkDisconnect: validateNetworkDisconnect,
     createVolume: validateCreateVolume,
     deleteVolume: validateDeleteVolume,
     inspectVolume: validateInspectVolume
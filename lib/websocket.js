@@ -0,0 +1,122 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * WebSocket support (for `GET /containers/:id/attach/ws`): the upgraded
+ * connection is wrapped in a duplex stream, so that it can be used in place
+ * of a hijacked (raw-stream) client socket (see lib/hijack.js).
+ */
+
+var assert = require('assert-plus');
+var stream = require('stream');
+var StringDecoder = require('string_decoder').StringDecoder;
+var util = require('util');
+var Watershed = require('watershed').Watershed;
+
+
+var watershed = new Watershed();
+
+
+/*
+ * A duplex stream over a WebSocket ("shed"): the messages received are read
+ * from the stream, and the data written to it is sent as text messages, as
+ * docker does.
+ */
+function WebSocketStream(shed) {
+    assert.object(shed, 'shed');
+
+    var self = this;
+
+    stream.Duplex.call(self);
+
+    self.decoder = new StringDecoder('utf8');
+    self.shed = shed;
+
+    shed.on('text', function (text) {
+        self.push(new Buffer(text));
+    });
+    shed.on('binary', function (buf) {
+        self.push(buf);
+    });
+    shed.on('end', function () {
+        self.push(null);
+    });
+    shed.on('connectionReset', function () {
+        self.emit('error', new Error('websocket connection reset'));
+    });
+    shed.on('error', function (err) {
+        self.emit('error', err);
+    });
+
+    self.on('finish', function () {
+        var rest = self.decoder.end();
+
+        if (rest) {
+            shed.send(rest);
+        }
+        shed.end();
+    });
+}
+util.inherits(WebSocketStream, stream.Duplex);
+
+
+// Messages are pushed as they are received.
+WebSocketStream.prototype._read = function () {};
+
+
+WebSocketStream.prototype._write = function (chunk, encoding, callback) {
+    // Don't send a multi-byte character split across writes in two parts.
+    var text = this.decoder.write(chunk);
+
+    if (text) {
+        this.shed.send(text);
+    }
+    callback();
+};
+
+
+/**
+ * Returns true if the request is a WebSocket handshake.
+ */
+function isUpgradeRequest(req) {
+    return (String(req.headers.upgrade).toLowerCase() === 'websocket'
+        && Boolean(req.headers['sec-websocket-key']));
+}
+
+
+/**
+ * Accepts the WebSocket upgrade of a request (from a server created with
+ * `handleUpgrades`, see `isUpgradeRequest`), returning the WebSocket as a
+ * duplex stream. The connection is closed if the handshake fails.
+ */
+function upgrade(req, res) {
+    assert.object(req, 'req');
+    assert.func(res.claimUpgrade, 'res.claimUpgrade');
+    assert.ok(isUpgradeRequest(req), 'websocket upgrade request');
+
+    var shed;
+    var upgraded = res.claimUpgrade();
+
+    try {
+        shed = watershed.accept(req, upgraded.socket, upgraded.head);
+    } catch (err) {
+        upgraded.socket.destroy();
+        throw err;
+    }
+
+    return new WebSocketStream(shed);
+}
+
+
+module.exports = {
+    isUpgradeRequest: isUpgradeRequest,
+    upgrade: upgrade,
+    WebSocketStream: WebSocketStream
+};
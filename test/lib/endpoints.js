@@ -0,0 +1,40 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Helpers for unit testing the endpoint handlers of lib/endpoints/*.js.
+ */
+
+
+/*
+ * Returns the last handler of each endpoint of a lib/endpoints/*.js module,
+ * by endpoint name (e.g. 'ContainerLogs').
+ */
+function endpointHandlers(endpoints) {
+    var handlers = {};
+
+    function route(opts) {
+        handlers[opts.name] = arguments[arguments.length - 1];
+    }
+
+    endpoints.register({}, {
+        del: route,
+        get: route,
+        head: route,
+        post: route,
+        put: route
+    }, function before() {});
+    return handlers;
+}
+
+
+module.exports = {
+    endpointHandlers: endpointHandlers
+};
@@ -0,0 +1,85 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * An in-memory moray client for unit tests, with the object functions used
+ * by lib/moray.js and the models. The objects of all buckets are kept in
+ * `objects`, by key. Search filters are not applied: `findObjects` returns
+ * all the objects (honouring the `sort`, `offset` and `limit` options).
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+
+function FakeMoray() {
+    this.objects = {};
+}
+
+
+FakeMoray.prototype.findObjects = function (bucket, filter, opts) {
+    var keys = Object.keys(this.objects);
+    var offset = (opts && opts.offset) || 0;
+    var req = new EventEmitter();
+    var self = this;
+
+    if (opts && opts.sort) {
+        keys.sort(function (a, b) {
+            var diff = self.objects[a][opts.sort.attribute]
+                - self.objects[b][opts.sort.attribute];
+
+            return (opts.sort.order === 'DESC' ? -diff : diff);
+        });
+    }
+    keys = keys.slice(offset, (opts && opts.limit)
+        ? offset + opts.limit : undefined);
+
+    setImmediate(function () {
+        keys.forEach(function (key) {
+            req.emit('record', {
+                _etag: key,
+                key: key,
+                value: JSON.parse(JSON.stringify(self.objects[key]))
+            });
+        });
+        req.emit('end');
+    });
+    return req;
+};
+
+
+FakeMoray.prototype.getObject = function (bucket, key, callback) {
+    var err;
+
+    if (!this.objects[key]) {
+        err = new Error(key + ' does not exist');
+        err.name = 'ObjectNotFoundError';
+        callback(err);
+        return;
+    }
+    callback(null, {value: JSON.parse(JSON.stringify(this.objects[key]))});
+};
+
+
+FakeMoray.prototype.putObject = function (bucket, key, val, opts, callback) {
+    if (typeof (opts) === 'function') {
+        callback = opts;
+    }
+    this.objects[key] = JSON.parse(JSON.stringify(val));
+    setImmediate(callback);
+};
+
+
+FakeMoray.prototype.delObject = function (bucket, key, callback) {
+    delete this.objects[key];
+    setImmediate(callback);
+};
+
+
+module.exports = FakeMoray;
@@ -0,0 +1,120 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the server-side AutoRemove of lib/backends/sdc/autoremove.js.
+ */
+
+var test = require('tape');
+
+var autoremove = require('../../lib/backends/sdc/autoremove');
+var FakeMoray = require('../lib/fake-moray');
+
+
+var OWNER_UUID = '930896af-bf8c-48d4-885c-6573a94b1853';
+var LOG = {
+    child: function () {
+        return LOG;
+    },
+    debug: function () {},
+    error: function () {},
+    info: function () {},
+    trace: function () {},
+    warn: function () {}
+};
+
+
+test('hasExited', function (t) {
+    t.ok(autoremove.hasExited({
+        exit_status: 0,
+        exit_timestamp: '2018-01-01T00:00:00.000Z',
+        state: 'stopped'
+    }), 'exited');
+    t.ok(autoremove.hasExited({
+        internal_metadata: {'docker:restartcount': 0},
+        state: 'stopped'
+    }), 'stopped without an exit status');
+    t.notOk(autoremove.hasExited({internal_metadata: {}, state: 'stopped'}),
+        'never started');
+    t.notOk(autoremove.hasExited({
+        internal_metadata: {'docker:restartcount': 0},
+        state: 'running'
+    }), 'running');
+    t.end();
+});
+
+
+test('runAutoRemoves', function (t) {
+    var deleted = [];
+    var moray = new FakeMoray();
+    var vms = {
+        'b8ac6f0a-3c4d-4e6c-9f6e-1d7a9f3b2c01': {
+            internal_metadata: {'docker:restartcount': 0},
+            state: 'running'
+        },
+        'b8ac6f0a-3c4d-4e6c-9f6e-1d7a9f3b2c02': {
+            exit_status: 1,
+            exit_timestamp: '2018-01-01T00:00:00.000Z',
+            internal_metadata: {'docker:restartcount': 0},
+            state: 'stopped'
+        },
+        'b8ac6f0a-3c4d-4e6c-9f6e-1d7a9f3b2c03': {
+            internal_metadata: {},
+            state: 'stopped'
+        }
+    };
+    var app = {
+        backend: {
+            deleteContainer: function (opts, callback) {
+                deleted.push(opts.vm.uuid);
+                callback();
+            }
+        },
+        moray: moray,
+        vmapi: {
+            getVm: function (params, opts, callback) {
+                var err;
+
+                if (!vms[params.uuid]) {
+                    err = new Error('not found');
+                    err.statusCode = 404;
+                    callback(err);
+                    return;
+                }
+                vms[params.uuid].owner_uuid = params.owner_uuid;
+                vms[params.uuid].uuid = params.uuid;
+                callback(null, vms[params.uuid]);
+            }
+        }
+    };
+    var now = Date.now();
+
+    Object.keys(vms).concat(['b8ac6f0a-3c4d-4e6c-9f6e-1d7a9f3b2c04'])
+        .forEach(function (uuid) {
+        moray.objects[uuid] = {
+            next_check: now,
+            owner_uuid: OWNER_UUID,
+            vm_uuid: uuid
+        };
+    });
+
+    autoremove.runAutoRemoves({app: app, log: LOG}, function (err) {
+        t.ifError(err);
+        t.deepEqual(deleted, ['b8ac6f0a-3c4d-4e6c-9f6e-1d7a9f3b2c02'],
+            'exited container deleted');
+        t.ok(moray.objects['b8ac6f0a-3c4d-4e6c-9f6e-1d7a9f3b2c01'].next_check
+            > now, 'running container rescheduled');
+        t.ok(moray.objects['b8ac6f0a-3c4d-4e6c-9f6e-1d7a9f3b2c03'].next_check
+            > now, 'created container rescheduled');
+        t.notOk(moray.objects['b8ac6f0a-3c4d-4e6c-9f6e-1d7a9f3b2c04'],
+            'record of a removed container deleted');
+        t.end();
+    });
+});
@@ -0,0 +1,101 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the container filesystem helpers of lib/backends/sdc/utils.js (used by
+ * `docker diff` and `docker export`).
+ */
+
+var test = require('tape');
+
+var utils = require('../../lib/backends/sdc/utils');
+var changesFromZfsDiff = utils.changesFromZfsDiff;
+
+
+var ZONEROOT = '/zones/c0c00000-4d3e-4a6b-9d0e-7a2b3c4d5e6f/root';
+
+
+test('changesFromZfsDiff', function (tt) {
+    tt.test('  empty output', function (t) {
+        t.deepEqual(changesFromZfsDiff('', ZONEROOT), []);
+        t.end();
+    });
+
+    tt.test('  added, changed and deleted paths', function (t) {
+        var output = [
+            'M\t' + ZONEROOT + '/etc',
+            '+\t' + ZONEROOT + '/etc/motd',
+            '-\t' + ZONEROOT + '/tmp/old',
+            'M\t' + ZONEROOT + '/tmp',
+            ''
+        ].join('\n');
+
+        t.deepEqual(changesFromZfsDiff(output, ZONEROOT), [
+            {Path: '/etc', Kind: 0},
+            {Path: '/etc/motd', Kind: 1},
+            {Path: '/tmp', Kind: 0},
+            {Path: '/tmp/old', Kind: 2}
+        ]);
+        t.end();
+    });
+
+    tt.test('  renames', function (t) {
+        var output = 'R\t' + ZONEROOT + '/a.txt\t' + ZONEROOT + '/b.txt\n';
+
+        t.deepEqual(changesFromZfsDiff(output, ZONEROOT), [
+            {Path: '/a.txt', Kind: 2},
+            {Path: '/b.txt', Kind: 1}
+        ]);
+        t.end();
+    });
+
+    tt.test('  paths outside of the zone root are skipped', function (t) {
+        var zonepath = ZONEROOT.replace(/\/root$/, '');
+        var output = [
+            'M\t' + ZONEROOT,
+            '+\t' + zonepath + '/cores/core.node.123',
+            'M\t' + zonepath + '/config',
+            '+\t' + ZONEROOT + '2/file',
+            '+\t' + ZONEROOT + '/file'
+        ].join('\n');
+
+        t.deepEqual(changesFromZfsDiff(output, ZONEROOT), [
+            {Path: '/file', Kind: 1}
+        ]);
+        t.end();
+    });
+
+    tt.test('  escaped characters', function (t) {
+        var output = '+\t' + ZONEROOT + '/my\\0040file\n';
+
+        t.deepEqual(changesFromZfsDiff(output, ZONEROOT), [
+            {Path: '/my file', Kind: 1}
+        ]);
+        t.end();
+    });
+});
+
+
+test('nonContainerFsPaths', function (t) {
+    t.deepEqual(utils.nonContainerFsPaths({}), ['/native', '/proc'],
+        'no volumes');
+
+    t.deepEqual(utils.nonContainerFsPaths({
+        filesystems: [
+            {source: '/zones/abc/volumes/def', target: '/data', type: 'lofs'},
+            {source: '/hostvolumes/ghi', target: '/etc/conf', type: 'lofs'}
+        ],
+        volumes: [
+            {mountpoint: '/shared', name: 'shared'}
+        ]
+    }), ['/native', '/proc', '/data', '/etc/conf', '/shared'], 'volumes');
+
+    t.end();
+});
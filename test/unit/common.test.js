@@ -127,3 +127,72 @@ test('apiVersionCmp', function (t) {
 
     t.end();
 });
+
+
+test('parseTimeParam', function (t) {
+    var parseTimeParam = common.parseTimeParam;
+    var now = 1500000000000;
+
+    t.equal(parseTimeParam('until', undefined, now), undefined, 'unset');
+    t.equal(parseTimeParam('until', '', now), undefined, 'empty');
+    t.equal(parseTimeParam('until', '1400000000', now), 1400000000000,
+        'unix timestamp');
+    t.equal(parseTimeParam('until', '1400000000.5', now), 1400000000500,
+        'fractional unix timestamp');
+    t.equal(parseTimeParam('until', '10m', now), now - 10 * 60 * 1000,
+        'duration');
+    t.equal(parseTimeParam('until', '2017-07-14T02:40:00Z', now),
+        1500000000000, 'RFC 3339 date');
+
+    var err = parseTimeParam('until', 'yesterday', now);
+    t.ok(err instanceof Error, 'invalid time is an error');
+    t.equal(err.message, 'invalid value for "until": "yesterday"');
+
+    t.end();
+});
+
+
+test('parseDetachKeys', function (t) {
+    var parseDetachKeys = common.parseDetachKeys;
+
+    t.deepEqual(parseDetachKeys(undefined), [16, 17], 'unset');
+    t.deepEqual(parseDetachKeys(''), [16, 17], 'empty');
+    t.deepEqual(parseDetachKeys('ctrl-a,ctrl-Z'), [1, 26], 'ctrl keys');
+    t.deepEqual(parseDetachKeys('ctrl-@,ctrl-[,ctrl-\\,ctrl-_'),
+        [0, 27, 28, 31], 'ctrl punctuation');
+    t.deepEqual(parseDetachKeys('q,ctrl-c'), [113, 3], 'single character');
+
+    var err = parseDetachKeys('ctrl-1');
+    t.ok(err instanceof Error, 'invalid ctrl key is an error');
+    t.equal(err.message, 'Invalid detach keys (ctrl-1) provided');
+    t.ok(parseDetachKeys('ab') instanceof Error, 'invalid key is an error');
+
+    t.end();
+});
+
+
+test('scanDetachKeys', function (t) {
+    var held = [];
+    var keys = [16, 17];
+    var scanDetachKeys = common.scanDetachKeys;
+
+    t.deepEqual(scanDetachKeys(keys, held, new Buffer('ls\n')),
+        {data: new Buffer('ls\n'), detach: false}, 'no detach keys');
+    t.deepEqual(scanDetachKeys(keys, held, new Buffer([97, 16])),
+        {data: new Buffer([97]), detach: false}, 'partial sequence held');
+    t.deepEqual(held, [16], 'held key');
+    t.deepEqual(scanDetachKeys(keys, held, new Buffer([16, 98])),
+        {data: new Buffer([16, 16, 98]), detach: false},
+        'broken sequence sent on');
+    t.deepEqual(scanDetachKeys(keys, held, new Buffer([16])),
+        {data: new Buffer([]), detach: false}, 'key held across chunks');
+    t.deepEqual(scanDetachKeys(keys, held, new Buffer([17, 99])),
+        {data: new Buffer([]), detach: true}, 'detached across chunks');
+    t.deepEqual(held, [], 'nothing held after detaching');
+    t.deepEqual(scanDetachKeys(keys, held, new Buffer([100, 16, 17])),
+        {data: new Buffer([100]), detach: true}, 'detached in one chunk');
+    t.deepEqual(scanDetachKeys([], held, new Buffer([16, 17])),
+        {data: new Buffer([16, 17]), detach: false}, 'no detach keys set');
+
+    t.end();
+});
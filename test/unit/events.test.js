@@ -0,0 +1,503 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test lib/backends/sdc/events.js using a local stand-in for the change
+ * source (VMAPI, image models and VOLAPI).
+ */
+
+var bunyan = require('bunyan');
+var test = require('tape');
+
+var EventModel = require('../../lib/models/event');
+var FakeMoray = require('../lib/fake-moray');
+var mod_events = require('../../lib/backends/sdc/events');
+
+
+// ---- globals
+
+var log = bunyan.createLogger({
+    name: 'events.test',
+    level: process.env.TRACE ? 'trace' : bunyan.FATAL + 1 /* off */
+});
+
+var VM_UUID = 'c0c00000-4d3e-4a6b-9d0e-7a2b3c4d5e6f';
+var DOCKER_ID = 'c0c000004d3e4a6b9d0e7a2b3c4d5e6f'
+    + '0123456789abcdef0123456789abcdef';
+var IMG_ID = 'sha256:'
+    + '8f1b4e9ad5c4f6d5e2f1a3b4c5d6e7f8091a2b3c4d5e6f708192a3b4c5d6e7f8';
+
+
+// ---- helpers
+
+function mkVm(props) {
+    var vm = {
+        alias: 'web',
+        boot_timestamp: '2018-01-01T00:00:00.000Z',
+        internal_metadata: {
+            'docker:id': DOCKER_ID,
+            'docker:imagename': 'nginx:latest'
+        },
+        state: 'running',
+        tags: {
+            'docker:label:tier': 'front'
+        },
+        uuid: VM_UUID
+    };
+
+    Object.keys(props || {}).forEach(function (key) {
+        vm[key] = props[key];
+    });
+    return vm;
+}
+
+function byUuid(vm) {
+    var snapshot = {};
+    snapshot[vm.uuid] = vm;
+    return snapshot;
+}
+
+/*
+ * A change source which returns the next entry of `snapshots` each time it's
+ * listed.
+ */
+function mkSource(snapshots) {
+    var idx = -1;
+
+    return {
+        listContainers: function (cb) {
+            idx = Math.min(idx + 1, snapshots.length - 1);
+            setImmediate(cb, null, snapshots[idx].containers || []);
+        },
+        listImages: function (cb) {
+            setImmediate(cb, null, snapshots[idx].images || []);
+        },
+        listVolumes: function (cb) {
+            setImmediate(cb, null, snapshots[idx].volumes || []);
+        }
+    };
+}
+
+/*
+ * Run a watcher over the given snapshots and call back with the actions of
+ * all emitted events.
+ */
+function watchSnapshots(snapshots, filters, callback) {
+    var actions = [];
+    var watcher = new mod_events.EventWatcher({
+        filters: filters,
+        interval: 1,
+        log: log,
+        source: mkSource(snapshots)
+    });
+
+    watcher.on('event', function (evt) {
+        actions.push(evt.Type + ':' + evt.Action);
+    });
+    watcher.start(function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        setTimeout(function () {
+            watcher.stop();
+            callback(null, actions);
+        }, 50);
+    });
+}
+
+
+// ---- tests
+
+test('container events from snapshots', function (tt) {
+    var now = Date.now();
+
+    tt.test('  create and start', function (t) {
+        var evts = mod_events.containerEventsFromSnapshots({},
+            byUuid(mkVm()), now);
+
+        t.deepEqual(evts.map(function (e) { return e.Action; }),
+            ['create', 'start']);
+        t.equal(evts[0].id, DOCKER_ID, 'event id');
+        t.equal(evts[0].from, 'nginx:latest', 'event from');
+        t.equal(evts[0].time, Math.floor(now / 1000), 'event time');
+        t.deepEqual(evts[0].Actor, {
+            ID: DOCKER_ID,
+            Attributes: {
+                image: 'nginx:latest',
+                name: 'web',
+                tier: 'front'
+            }
+        }, 'event actor');
+        t.end();
+    });
+
+    tt.test('  stop, die and rename', function (t) {
+        var evts = mod_events.containerEventsFromSnapshots(
+            byUuid(mkVm({state: 'stopping'})),
+            byUuid(mkVm({alias: 'web2', exit_status: 3, state: 'stopped'})),
+            now);
+
+        t.deepEqual(evts.map(function (e) { return e.Action; }),
+            ['rename', 'die', 'stop']);
+        t.equal(evts[0].Actor.Attributes.oldName, '/web', 'oldName');
+        t.equal(evts[1].Actor.Attributes.exitCode, '3', 'exitCode');
+        t.end();
+    });
+
+    tt.test('  pause and unpause', function (t) {
+        var running = mkVm();
+        var paused = mkVm();
+        paused.internal_metadata['docker:paused'] = paused.boot_timestamp;
+
+        var evts = mod_events.containerEventsFromSnapshots(
+            byUuid(running), byUuid(paused), now);
+        t.deepEqual(evts.map(function (e) { return e.Action; }), ['pause']);
+
+        evts = mod_events.containerEventsFromSnapshots(
+            byUuid(paused), byUuid(running), now);
+        t.deepEqual(evts.map(function (e) { return e.Action; }), ['unpause']);
+
+        // Restarting a paused container resumes it.
+        var restarted = mkVm({boot_timestamp: '2018-01-02T00:00:00.000Z'});
+        restarted.internal_metadata['docker:paused'] = paused.boot_timestamp;
+        evts = mod_events.containerEventsFromSnapshots(
+            byUuid(paused), byUuid(restarted), now);
+        t.deepEqual(evts.map(function (e) { return e.Action; }),
+            ['die', 'start', 'restart']);
+        t.end();
+    });
+
+    tt.test('  destroy', function (t) {
+        var evts = mod_events.containerEventsFromSnapshots(
+            byUuid(mkVm({state: 'stopped'})), {}, now);
+
+        t.deepEqual(evts.map(function (e) { return e.Action; }),
+            ['destroy']);
+        t.end();
+    });
+});
+
+
+test('image events from snapshots', function (t) {
+    var prev = {};
+    prev[IMG_ID] = ['nginx:latest'];
+    var curr = {};
+    curr[IMG_ID] = ['nginx:latest', 'web:1'];
+    curr['sha256:1234'] = ['busybox:latest'];
+
+    var evts = mod_events.imageEventsFromSnapshots(prev, curr, Date.now());
+    t.deepEqual(evts.map(function (e) { return [e.Action, e.Actor.ID]; }), [
+        ['tag', IMG_ID],
+        ['pull', 'busybox:latest']
+    ]);
+
+    evts = mod_events.imageEventsFromSnapshots(curr, {}, Date.now());
+    t.deepEqual(evts.map(function (e) { return e.Action; }),
+        ['untag', 'untag', 'delete', 'untag', 'delete']);
+    t.end();
+});
+
+
+test('event filters', function (tt) {
+    var evt = mod_events.containerEventsFromSnapshots({},
+        byUuid(mkVm()), Date.now())[0];
+
+    [
+        [{}, true],
+        [{type: ['container']}, true],
+        [{type: ['image', 'volume']}, false],
+        [{event: ['create']}, true],
+        [{event: ['die']}, false],
+        [{container: ['web']}, true],
+        [{container: [DOCKER_ID.substr(0, 12)]}, true],
+        [{container: ['db']}, false],
+        [{image: ['nginx']}, true],
+        [{image: ['nginx:latest']}, true],
+        [{image: ['busybox']}, false],
+        [{label: ['tier']}, true],
+        [{label: ['tier=front']}, true],
+        [{label: ['tier=back']}, false],
+        [{label: ['tier', 'nope']}, false]
+    ].forEach(function (c) {
+        tt.equal(mod_events.eventMatchesFilters(evt, c[0]), c[1],
+            JSON.stringify(c[0]));
+    });
+
+    var filters = mod_events.parseEventFilters('{"event":{"start":true}}');
+    tt.deepEqual(filters, {event: ['start']}, 'parse filters');
+
+    filters = mod_events.parseEventFilters('{"network":["foo"]}');
+    tt.ok(filters instanceof Error, 'unknown filter is an error');
+    tt.equal(filters.message, 'Invalid filter \'network\'');
+
+    tt.end();
+});
+
+
+test('EventWatcher', function (tt) {
+    var snapshots = [
+        {},
+        {
+            containers: [mkVm({state: 'stopped'})],
+            images: [{Id: IMG_ID, RepoTags: ['nginx:latest']}]
+        },
+        {
+            containers: [mkVm()],
+            images: [{Id: IMG_ID, RepoTags: ['nginx:latest']}],
+            volumes: [{name: 'data', type: 'tritonnfs', uuid: VM_UUID}]
+        },
+        {
+            images: [{Id: IMG_ID, RepoTags: ['nginx:latest']}],
+            volumes: []
+        }
+    ];
+
+    tt.test('  all events', function (t) {
+        watchSnapshots(snapshots, {}, function (err, actions) {
+            t.ifError(err);
+            t.deepEqual(actions, [
+                'container:create',
+                'image:pull',
+                'container:start',
+                'volume:create',
+                'container:die',
+                'container:destroy',
+                'volume:destroy'
+            ]);
+            t.end();
+        });
+    });
+
+    tt.test('  filtered events', function (t) {
+        watchSnapshots(snapshots, {event: ['start', 'destroy']},
+                function (err, actions) {
+            t.ifError(err);
+            t.deepEqual(actions, [
+                'container:start',
+                'container:destroy',
+                'volume:destroy'
+            ]);
+            t.end();
+        });
+    });
+
+    tt.test('  history', function (t) {
+        var actions = [];
+        var source = mkSource(snapshots);
+        var since = Date.now() - 60 * 1000;
+        var until = Date.now() - 1000;
+
+        source.listHistory = function (from, to, onEvents, cb) {
+            t.equal(from, since, 'history since');
+            t.equal(to, until, 'history until');
+            setImmediate(function () {
+                onEvents([
+                    mod_events.containerEventsFromSnapshots({},
+                        byUuid(mkVm()), since)[1]
+                ]);
+                cb();
+            });
+        };
+
+        var watcher = new mod_events.EventWatcher({
+            interval: 1,
+            log: log,
+            since: since,
+            source: source,
+            until: until
+        });
+
+        watcher.on('event', function (evt) {
+            actions.push(evt.Type + ':' + evt.Action);
+        });
+        watcher.on('end', function () {
+            t.deepEqual(actions, ['container:start'], 'only past events');
+            t.end();
+        });
+        watcher.start(function (err) {
+            t.ifError(err);
+        });
+    });
+
+    tt.test('  until', function (t) {
+        var watcher = new mod_events.EventWatcher({
+            interval: 1,
+            log: log,
+            source: mkSource(snapshots),
+            until: Date.now()
+        });
+
+        watcher.on('end', function () {
+            t.ok(watcher.stopped, 'watcher stopped at "until"');
+            t.end();
+        });
+        watcher.start(function (err) {
+            t.ifError(err);
+        });
+    });
+
+    tt.test('  source error on start', function (t) {
+        var watcher = new mod_events.EventWatcher({
+            log: log,
+            source: {
+                listContainers: function (cb) {
+                    setImmediate(cb, new Error('boom'));
+                },
+                listImages: function (cb) {
+                    setImmediate(cb, null, []);
+                }
+            }
+        });
+
+        watcher.start(function (err) {
+            t.ok(err, 'start error');
+            t.equal(err.message, 'boom');
+            t.end();
+        });
+    });
+});
+
+
+test('reuseList', function (t) {
+    var calls = 0;
+    var list = mod_events.reuseList(function (cb) {
+        calls++;
+        setImmediate(cb, null, ['list' + calls]);
+    }, 60 * 1000);
+
+    // Concurrent calls share one request.
+    list(function (err, first) {
+        t.ifError(err);
+        t.deepEqual(first, ['list1'], 'first listing');
+    });
+    list(function (err, second) {
+        t.ifError(err);
+        t.deepEqual(second, ['list1'], 'concurrent listing');
+        t.equal(calls, 1, 'one request');
+
+        list(function (_, reused) {
+            t.deepEqual(reused, ['list1'], 'listing reused');
+            t.equal(calls, 1, 'no new request');
+
+            list.reset();
+            list(function (_2, fresh) {
+                t.deepEqual(fresh, ['list2'], 'new listing after reset');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('acquireChangeSource', function (t) {
+    var account = {uuid: 'a0a00000-4d3e-4a6b-9d0e-7a2b3c4d5e6f'};
+    var opts = {
+        account: account,
+        app: {},
+        clientApiVersion: 1.24,
+        interval: 5000,
+        log: log,
+        req_id: 'req1'
+    };
+
+    var shared1 = mod_events.acquireChangeSource(opts);
+    var shared2 = mod_events.acquireChangeSource(opts);
+    var other = mod_events.acquireChangeSource({
+        account: {uuid: 'b0b00000-4d3e-4a6b-9d0e-7a2b3c4d5e6f'},
+        app: {},
+        clientApiVersion: 1.24,
+        interval: 5000,
+        log: log,
+        req_id: 'req2'
+    });
+
+    t.equal(shared1, shared2, 'streams of an account share a source');
+    t.notEqual(other, shared1, 'accounts have their own source');
+    t.equal(shared1.refs, 2, 'two streams');
+
+    mod_events.releaseChangeSource(shared1);
+    t.equal(mod_events.acquireChangeSource(opts), shared1,
+        'source kept while a stream uses it');
+    mod_events.releaseChangeSource(shared1);
+    mod_events.releaseChangeSource(shared2);
+    t.notEqual(mod_events.acquireChangeSource(opts), shared1,
+        'source dropped with its last stream');
+    t.end();
+});
+
+
+test('recordEvent without moray', function (t) {
+    mod_events.recordEvent({
+        account: {uuid: 'a0a00000-4d3e-4a6b-9d0e-7a2b3c4d5e6f'},
+        action: 'create',
+        app: {},
+        log: log,
+        volume: {name: 'data', type: 'tritonnfs'}
+    }, function (evt) {
+        t.equal(evt.Type, 'volume', 'event type');
+        t.equal(evt.Action, 'create', 'event action');
+        t.deepEqual(evt.Actor, {ID: 'data', Attributes: {driver: 'tritonnfs'}},
+            'event actor');
+        t.end();
+    });
+});
+
+
+test('event journal listing', function (tt) {
+    var moray = new FakeMoray();
+    var i;
+
+    // More than a page of events, stored out of order.
+    for (i = 2500; i > 0; i--) {
+        moray.objects['evt' + i] = {
+            event: {
+                Action: 'start',
+                Actor: {ID: DOCKER_ID, Attributes: {}},
+                Type: 'container'
+            },
+            owner_uuid: 'a0a00000-4d3e-4a6b-9d0e-7a2b3c4d5e6f',
+            time: i,
+            uuid: 'evt' + i
+        };
+    }
+
+    tt.test('  all pages', function (t) {
+        var pages = [];
+
+        EventModel.list({moray: moray}, log, {
+            owner_uuid: 'a0a00000-4d3e-4a6b-9d0e-7a2b3c4d5e6f'
+        }, function (evts) {
+            pages.push(evts);
+        }, function (err) {
+            t.ifError(err);
+            t.deepEqual(pages.map(function (page) { return page.length; }),
+                [1000, 1000, 500], 'events passed a page at a time');
+            t.equal(pages[0][0].time, 1, 'oldest first');
+            t.equal(pages[2][499].time, 2500, 'newest included');
+            t.end();
+        });
+    });
+
+    tt.test('  stopped early', function (t) {
+        var pages = 0;
+
+        EventModel.list({moray: moray}, log, {
+            owner_uuid: 'a0a00000-4d3e-4a6b-9d0e-7a2b3c4d5e6f'
+        }, function () {
+            pages++;
+            return false;
+        }, function (err) {
+            t.ifError(err);
+            t.equal(pages, 1, 'no more pages read');
+            t.end();
+        });
+    });
+});
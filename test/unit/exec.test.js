@@ -0,0 +1,339 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the exec payload and exec session helpers.
+ */
+
+var test = require('tape');
+
+var endpoints = require('../lib/endpoints');
+var execEndpoints = require('../../lib/endpoints/exec');
+var FakeMoray = require('../lib/fake-moray');
+var SocketManager = require('../../lib/socket-manager');
+var utils = require('../../lib/backends/sdc/utils');
+var validate = require('../../lib/validate');
+
+
+var LOG = {
+    debug: function () {},
+    error: function () {},
+    info: function () {},
+    trace: function () {},
+    warn: function () {}
+};
+var OTHER_OWNER_UUID = 'a3b2ba0e-0d3e-4ac2-8c4f-a2e5f9e4e3b1';
+var OWNER_UUID = '930896af-bf8c-48d4-885c-6573a94b1853';
+
+
+test('execPayloadFromVmobj', function (t) {
+    var vmobj = {
+        internal_metadata: {
+            'docker:env': JSON.stringify(['PATH=/usr/bin:/bin', 'HOME=/root',
+                'TERM=xterm']),
+            'docker:workdir': '/app'
+        }
+    };
+
+    t.deepEqual(utils.execPayloadFromVmobj({
+        AttachStdout: true,
+        Cmd: ['ls', '-l'],
+        Privileged: false
+    }, vmobj), {
+        AttachStdout: true,
+        Cmd: ['ls', '-l'],
+        Env: ['PATH=/usr/bin:/bin', 'HOME=/root', 'TERM=xterm'],
+        WorkingDir: '/app'
+    }, 'container env and workdir, without Privileged');
+
+    t.deepEqual(utils.execPayloadFromVmobj({
+        Cmd: ['env'],
+        Env: ['HOME=/tmp', 'TERM', 'DEBUG=1'],
+        WorkingDir: '/tmp'
+    }, vmobj), {
+        Cmd: ['env'],
+        Env: ['PATH=/usr/bin:/bin', 'HOME=/tmp', 'DEBUG=1'],
+        WorkingDir: '/tmp'
+    }, 'exec env and workdir applied');
+
+    t.deepEqual(utils.execPayloadFromVmobj({Cmd: ['env']},
+        {internal_metadata: {}}), {
+        Cmd: ['env'],
+        Env: [],
+        WorkingDir: '/'
+    }, 'container without env or workdir');
+
+    t.end();
+});
+
+
+test('validateCreateExec', function (t) {
+    var cases = [
+        [ {Cmd: ['ls'], AttachStdout: true, Privileged: false}, null ],
+        [ {Cmd: ['ls'], WorkingDir: '/tmp', Env: ['A=1', 'B']}, null ],
+        [ {Cmd: []}, /No exec command specified/ ],
+        [ {Cmd: ['ls'], WorkingDir: 'tmp'}, /needs to be an absolute path/ ],
+        [ {Cmd: ['ls'], Env: ['=1']}, /invalid environment variable/ ],
+        [ {Cmd: ['ls'], Privileged: true},
+            /privileged exec is not supported/ ]
+    ];
+
+    cases.forEach(function (c) {
+        validate.createExec({body: c[0]}, {}, function (err) {
+            if (c[1]) {
+                t.ok(err && c[1].test(err.message),
+                    JSON.stringify(c[0]) + ': ' + (err && err.message));
+            } else {
+                t.ifError(err, JSON.stringify(c[0]));
+            }
+        });
+    });
+    t.end();
+});
+
+
+test('SocketManager getExecIds', function (t) {
+    var sockets = new SocketManager({log: LOG});
+
+    sockets.setSocket('exec', 'exec1', {ContainerID: 'container1'});
+    sockets.setSocket('exec', 'exec2', {ContainerID: 'container2'});
+    sockets.setSocket('exec', 'exec3', {ContainerID: 'container1'});
+
+    t.deepEqual(sockets.getExecIds('container1'), ['exec1', 'exec3'],
+        'execs of the container');
+    t.deepEqual(sockets.getExecIds('container3'), [], 'no execs');
+
+    t.end();
+});
+
+
+test('SocketManager sessions across instances', function (t) {
+    var moray = new FakeMoray();
+    var creator = new SocketManager({app: {moray: moray}, log: LOG});
+    var other = new SocketManager({app: {moray: moray}, log: LOG});
+    var socketData = {
+        command: {Cmd: ['sh'], Tty: true},
+        ContainerID: 'container1',
+        host: '10.99.99.7',
+        owner_uuid: OWNER_UUID,
+        port: '34567',
+        Running: false
+    };
+
+    creator.saveSession('exec', 'exec1', socketData, function () {
+        other.getSession('exec', 'exec1', function (err, data) {
+            t.ifError(err);
+            t.deepEqual(data, {
+                command: {Cmd: ['sh'], Tty: true},
+                ContainerID: 'container1',
+                host: '10.99.99.7',
+                owner_uuid: OWNER_UUID,
+                port: 34567,
+                Resize: null,
+                Running: false
+            }, 'session found by another instance');
+
+            other.recordResize('exec', 'exec1', {w: 80, h: 24},
+                onResizeRecorded);
+        });
+    });
+
+    function onResizeRecorded(err) {
+        t.ifError(err);
+        t.deepEqual(moray.objects['exec/exec1'].resize, {w: 80, h: 24},
+            'resize recorded');
+
+        socketData.Running = false;
+        socketData.ExitCode = 2;
+        creator.updateSession('exec', 'exec1', function () {
+            other.getSession('exec', 'exec1', onExited);
+        });
+    }
+
+    function onExited(err, data) {
+        t.ifError(err);
+        t.equal(data.ExitCode, 2, 'exit code seen by another instance');
+
+        other.findExecIds({
+            containerId: 'container1',
+            owner_uuid: OWNER_UUID
+        }, function (findErr, ids) {
+            t.ifError(findErr);
+            t.deepEqual(ids, ['exec1'], 'execs of all instances');
+
+            creator.removeSession('exec', 'exec1', onRemoved);
+        });
+    }
+
+    function onRemoved() {
+        other.getSession('exec', 'exec1', function (err, data) {
+            t.ifError(err);
+            t.notOk(data, 'removed session not found');
+            t.end();
+        });
+    }
+});
+
+
+test('SocketManager watchResizes', function (t) {
+    var gets = 0;
+    var moray = new FakeMoray();
+    var getObject = moray.getObject;
+    var sockets = new SocketManager({
+        app: {moray: moray},
+        config: {resizePollIntervalSecs: 0.01},
+        log: LOG
+    });
+    var stopWatching;
+
+    moray.getObject = function () {
+        gets++;
+        return getObject.apply(moray, arguments);
+    };
+
+    sockets.saveSession('exec', 'exec1', {
+        command: {Cmd: ['sh'], Tty: true},
+        ContainerID: 'container1',
+        owner_uuid: OWNER_UUID,
+        Running: true
+    }, function () {
+        stopWatching = sockets.watchResizes('exec', 'exec1', onResize);
+
+        // Checks after 10, 30, 70 and 150ms, rather than every 10ms.
+        setTimeout(function () {
+            t.ok(gets >= 2 && gets <= 6, 'idle session checks back off ('
+                + gets + ' checks)');
+            sockets.recordResize('exec', 'exec1', {w: 120, h: 40},
+                function (err) {
+                t.ifError(err);
+            });
+        }, 250);
+    });
+
+    function onResize(resize) {
+        t.deepEqual(resize, {w: 120, h: 40}, 'resize found');
+        gets = 0;
+
+        setTimeout(function () {
+            stopWatching();
+            t.ok(gets >= 1, 'checked again soon after a resize');
+            t.end();
+        }, 50);
+    }
+});
+
+
+test('SocketManager expired sessions', function (t) {
+    var moray = new FakeMoray();
+    var sockets = new SocketManager({app: {moray: moray}, log: LOG});
+
+    moray.objects['exec/exec2'] = {
+        command: {Cmd: ['ls']},
+        container_id: 'container1',
+        expires: Date.now() - 1000,
+        id: 'exec2',
+        owner_uuid: OWNER_UUID,
+        type: 'exec'
+    };
+
+    sockets.getSession('exec', 'exec2', function (err, data) {
+        t.ifError(err);
+        t.notOk(data, 'expired session not found');
+
+        sockets.findExecIds({
+            containerId: 'container1',
+            owner_uuid: OWNER_UUID
+        }, function (findErr, ids) {
+            t.ifError(findErr);
+            t.deepEqual(ids, [], 'expired session not listed');
+            t.end();
+        });
+    });
+});
+
+
+test('exec endpoints of another account', function (tt) {
+    var handlers = endpoints.endpointHandlers(execEndpoints);
+    var sockets = new SocketManager({
+        app: {moray: new FakeMoray()},
+        log: LOG
+    });
+
+    /*
+     * Calls an exec endpoint as the given account, and calls back with
+     * `function (err, sent)`, `sent` being what the endpoint responded with.
+     */
+    function callExec(name, owner_uuid, callback) {
+        var sent;
+
+        handlers[name]({
+            account: {uuid: owner_uuid},
+            app: {sockets: sockets},
+            connection: {setTimeout: function () {}},
+            log: LOG,
+            params: {id: 'exec1'},
+            query: {h: '24', w: '80'}
+        }, {
+            send: function (body) {
+                sent = body;
+            }
+        }, function (err) {
+            callback(err, sent);
+        });
+    }
+
+    tt.test('  setup', function (t) {
+        // A detached exec, which isn't streamed by `POST /exec/:id/start`.
+        sockets.saveSession('exec', 'exec1', {
+            command: {Cmd: ['sleep', '60'], Detach: true, Tty: false},
+            ContainerID: 'container1',
+            host: '10.99.99.7',
+            owner_uuid: OWNER_UUID,
+            port: 34567,
+            Running: true
+        }, function () {
+            // As seen by another sdc-docker instance.
+            sockets.removeSocket('exec', 'exec1');
+            t.end();
+        });
+    });
+
+    tt.test('  ExecInspect', function (t) {
+        callExec('ExecInspect', OWNER_UUID, function (err, sent) {
+            t.ifError(err);
+            t.equal(sent.ContainerID, 'container1', 'own exec inspected');
+
+            callExec('ExecInspect', OTHER_OWNER_UUID, function (err2, sent2) {
+                t.equal(err2 && err2.statusCode, 404, 'other account: 404');
+                t.equal(sent2, undefined, 'nothing sent');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('  ExecStart', function (t) {
+        callExec('ExecStart', OWNER_UUID, function (err, sent) {
+            t.equal(err, false, 'response ended by the handler');
+            t.equal(sent, 201, 'own detached exec');
+
+            callExec('ExecStart', OTHER_OWNER_UUID, function (_, sent2) {
+                t.equal(sent2, 404, 'other account: 404');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('  ExecResize', function (t) {
+        callExec('ExecResize', OTHER_OWNER_UUID, function (err) {
+            t.equal(err && err.statusCode, 404, 'other account: 404');
+            t.end();
+        });
+    });
+});
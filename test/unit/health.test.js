@@ -0,0 +1,300 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the container healthcheck helpers of lib/backends/sdc/health.js and
+ * lib/backends/sdc/utils.js.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var net = require('net');
+var stream = require('stream');
+var test = require('tape');
+var vasync = require('vasync');
+
+var containers = require('../../lib/backends/sdc/containers');
+var health = require('../../lib/backends/sdc/health');
+var utils = require('../../lib/backends/sdc/utils');
+
+
+var BOOT = '2018-01-01T00:00:00.000Z';
+var SECOND = 1000 * 1000 * 1000; // in nanoseconds
+
+
+function mkResult(exitCode, secsAfterBoot) {
+    var start = new Date(new Date(BOOT).getTime() + secsAfterBoot * 1000);
+
+    return {
+        Start: start.toISOString(),
+        End: start.toISOString(),
+        ExitCode: exitCode,
+        Output: ''
+    };
+}
+
+
+test('mergeHealthcheck', function (t) {
+    var imageHc = {
+        Test: ['CMD-SHELL', 'curl -f http://localhost/'],
+        Interval: 10 * SECOND,
+        Retries: 5
+    };
+
+    t.equal(utils.mergeHealthcheck(undefined, undefined), null,
+        'no healthcheck');
+    t.deepEqual(utils.mergeHealthcheck(undefined, imageHc), imageHc,
+        'image healthcheck');
+    t.deepEqual(utils.mergeHealthcheck({Interval: 5 * SECOND}, imageHc), {
+        Test: imageHc.Test,
+        Interval: 5 * SECOND,
+        Retries: 5
+    }, 'container fields override the image ones');
+    t.deepEqual(utils.mergeHealthcheck({Test: ['CMD', 'true'], Retries: 0},
+        imageHc), {
+        Test: ['CMD', 'true'],
+        Interval: 10 * SECOND,
+        Retries: 5
+    }, 'zero fields are taken from the image');
+    t.equal(utils.mergeHealthcheck({Test: ['NONE']}, imageHc), null,
+        'healthcheck disabled');
+
+    t.end();
+});
+
+
+test('containerHealthFromVmobj', function (t) {
+    var record = {
+        boot_timestamp: BOOT,
+        failing_streak: 0,
+        log: [mkResult(0, 30)],
+        status: 'healthy'
+    };
+    var vmobj = {
+        boot_timestamp: BOOT,
+        internal_metadata: {
+            'docker:healthcheck': '{"Test":["CMD","true"]}'
+        },
+        state: 'running'
+    };
+
+    t.equal(utils.containerHealthFromVmobj({internal_metadata: {}}, record),
+        null, 'no healthcheck');
+    t.deepEqual(utils.containerHealthFromVmobj(vmobj, undefined),
+        {Status: 'starting', FailingStreak: 0, Log: []}, 'not checked yet');
+    t.deepEqual(utils.containerHealthFromVmobj(vmobj, record),
+        {Status: 'healthy', FailingStreak: 0, Log: record.log}, 'checked');
+    t.deepEqual(utils.containerHealthFromVmobj({
+        boot_timestamp: '2018-01-02T00:00:00.000Z',
+        internal_metadata: vmobj.internal_metadata
+    }, record), {Status: 'starting', FailingStreak: 0, Log: []},
+        'restarted since the last check');
+
+    t.end();
+});
+
+
+test('healthcheckCmd', function (t) {
+    t.deepEqual(health.healthcheckCmd({Test: ['CMD', 'pg_isready', '-q']}),
+        ['pg_isready', '-q'], 'CMD');
+    t.deepEqual(health.healthcheckCmd({Test: ['CMD-SHELL', 'curl -f x']}),
+        ['/bin/sh', '-c', 'curl -f x'], 'CMD-SHELL');
+    t.equal(health.healthcheckInterval({Test: ['CMD', 'true']}), 30000,
+        'default interval');
+    t.equal(health.healthcheckInterval({Interval: 5 * SECOND}), 5000,
+        'interval');
+
+    t.end();
+});
+
+
+test('nextHealthState', function (t) {
+    var record = {
+        boot_timestamp: undefined,
+        failing_streak: 0,
+        healthcheck: {
+            Test: ['CMD', 'true'],
+            Retries: 2,
+            StartPeriod: 60 * SECOND
+        },
+        log: [],
+        status: 'starting'
+    };
+    var state;
+    var vmobj = {boot_timestamp: BOOT};
+
+    state = health.nextHealthState(record, vmobj, mkResult(1, 10));
+    t.equal(state.status, 'starting', 'failure during the start period');
+    t.equal(state.failing_streak, 0, 'not counted');
+    t.equal(state.boot_timestamp, BOOT, 'boot_timestamp recorded');
+    t.equal(state.log.length, 1, 'result logged');
+
+    record.boot_timestamp = state.boot_timestamp;
+    record.log = state.log;
+    state = health.nextHealthState(record, vmobj, mkResult(1, 70));
+    t.equal(state.status, 'starting', 'one failure after the start period');
+    t.equal(state.failing_streak, 1, 'counted');
+
+    record.failing_streak = state.failing_streak;
+    record.log = state.log;
+    state = health.nextHealthState(record, vmobj, mkResult(1, 80));
+    t.equal(state.status, 'unhealthy', 'Retries failures');
+    t.equal(state.failing_streak, 2);
+
+    record.failing_streak = state.failing_streak;
+    record.log = state.log;
+    record.status = state.status;
+    state = health.nextHealthState(record, vmobj, mkResult(0, 90));
+    t.equal(state.status, 'healthy', 'success');
+    t.equal(state.failing_streak, 0, 'streak reset');
+
+    record.failing_streak = 0;
+    record.log = [1, 2, 3, 4, 5].map(function (i) {
+        return mkResult(0, 100 + i);
+    });
+    record.status = 'healthy';
+    state = health.nextHealthState(record, vmobj, mkResult(1, 110));
+    t.equal(state.log.length, 5, 'only the last results are kept');
+    t.equal(state.log[4].ExitCode, 1, 'latest result kept');
+    t.equal(state.status, 'healthy', 'one failure is not unhealthy');
+
+    state = health.nextHealthState(record, {
+        boot_timestamp: '2018-01-02T00:00:00.000Z'
+    }, mkResult(1, 86410));
+    t.equal(state.status, 'starting', 'restarted container starts over');
+    t.equal(state.log.length, 1, 'log reset');
+
+    t.end();
+});
+
+
+test('vmobjToContainer health status', function (t) {
+    var app = {
+        // No links: an empty moray listing.
+        moray: {
+            findObjects: function () {
+                var req = new EventEmitter();
+                setImmediate(function () {
+                    req.emit('end');
+                });
+                return req;
+            }
+        }
+    };
+    var log = {
+        debug: function () {},
+        trace: function () {},
+        warn: function () {}
+    };
+    var vmobj = {
+        alias: 'web',
+        boot_timestamp: new Date().toISOString(),
+        internal_metadata: {
+            'docker:healthcheck': '{"Test":["CMD","true"]}',
+            'docker:id': 'abcdef0123456789'
+        },
+        owner_uuid: 'a3b2ba0e-0d3e-4ac2-8c4f-a2e5f9e4e3b1',
+        state: 'running',
+        uuid: 'abcdef01-2345-6789-abcd-ef0123456789'
+    };
+
+    vasync.forEachPipeline({
+        inputs: [
+            [undefined, /^Up .* \(health: starting\)$/],
+            [{boot_timestamp: vmobj.boot_timestamp, failing_streak: 3,
+                log: [], status: 'unhealthy'}, /^Up .* \(unhealthy\)$/]
+        ],
+        func: function (c, cb) {
+            utils.vmobjToContainer({app: app, health: c[0], log: log}, vmobj,
+                [], function (err, container) {
+                    t.ifError(err);
+                    t.ok(c[1].test(container.Status), container.Status);
+                    cb();
+                });
+        }
+    }, function () {
+        t.end();
+    });
+});
+
+
+test('exec socket destroyed before it connects', function (t) {
+    var log = {
+        debug: function () {},
+        error: function () {},
+        info: function () {}
+    };
+    var server = net.createServer();
+
+    t.timeoutAfter(5000);
+    server.unref();
+    server.listen(0, '127.0.0.1', function () {
+        var socketData = {
+            command: {AttachStdin: false, Cmd: ['true'], Tty: false},
+            host: '127.0.0.1',
+            port: server.address().port
+        };
+
+        containers.execStart({
+            account: {uuid: 'a3b2ba0e-0d3e-4ac2-8c4f-a2e5f9e4e3b1'},
+            app: {
+                sockets: {
+                    getSocket: function () {},
+                    updateSession: function (type, id, cb) {
+                        setImmediate(cb);
+                    }
+                }
+            },
+            cmdId: 'cmd1',
+            log: log,
+            socket: new stream.PassThrough(),
+            socketData: socketData
+        }, function (err) {
+            t.ifError(err);
+            t.equal(socketData.Running, false, 'exec no longer running');
+            server.close();
+            t.end();
+        });
+
+        // As the healthcheck timeout does.
+        socketData.socket.destroy();
+    });
+});
+
+
+test('execHealthcheck timeout', function (t) {
+    var start = Date.now();
+
+    health.execHealthcheck({
+        app: {
+            backend: {
+                execContainer: function (opts, cb) {
+                    cb(null, 'cmd1', {});
+                },
+                // An exec which never ends.
+                execStart: function () {}
+            }
+        },
+        health: {healthcheck: {Test: ['CMD', 'true'], Timeout: 50 * 1000000}},
+        log: {},
+        req_id: 'req1',
+        vm: {
+            internal_metadata: {'docker:id': 'abcdef0123456789'},
+            owner_uuid: 'a3b2ba0e-0d3e-4ac2-8c4f-a2e5f9e4e3b1',
+            uuid: 'abcdef01-2345-6789-abcd-ef0123456789'
+        }
+    }, function (err, result) {
+        t.ifError(err);
+        t.equal(result.ExitCode, -1, 'ExitCode');
+        t.equal(result.Output, 'Health check exceeded timeout (0.05s)',
+            'Output');
+        t.ok(Date.now() - start >= 45, 'reported after the timeout');
+        t.end();
+    });
+});
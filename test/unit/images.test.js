@@ -0,0 +1,355 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for the image helpers in "lib/backends/sdc/utils.js", and the
+ * `docker import` and `docker load` download helpers in
+ * "lib/backends/sdc/images.js".
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var test = require('tape');
+
+var images = require('../../lib/backends/sdc/images');
+var utils = require('../../lib/backends/sdc/utils');
+
+
+// --- Helpers
+
+var BASE_LAYER = 'sha256:' + new Array(65).join('a');
+var TOP_LAYER = 'sha256:' + new Array(65).join('b');
+
+function fakeImg(configHex, layerDigests) {
+    return {
+        config_digest: 'sha256:' + configHex,
+        image: {
+            config: {Cmd: ['sh']},
+            created: '2018-01-02T03:04:05.123456789Z',
+            rootfs: {type: 'layers', diff_ids: []}
+        },
+        manifest_str: JSON.stringify({
+            schemaVersion: 2,
+            layers: layerDigests.map(function (digest) {
+                return {digest: digest, size: 1234};
+            })
+        })
+    };
+}
+
+
+function sha256(str) {
+    return 'sha256:' + crypto.createHash('sha256').update(str, 'utf8')
+        .digest('hex');
+}
+
+
+// --- Tests
+
+test('imageConfigStr', function (t) {
+    var configStr = '{"config": {"Cmd": ["sh"]},\n "created": "2018-01-02"}';
+    var img = fakeImg(sha256(configStr).split(':')[1], [BASE_LAYER]);
+
+    t.equal(utils.imageConfigStr(img), null, 'original config unknown');
+
+    img.config_str = configStr;
+    t.equal(utils.imageConfigStr(img), configStr, 'stored original config');
+
+    img = fakeImg(new Array(65).join('1'), [BASE_LAYER]);
+    img.config_digest = sha256(JSON.stringify(img.image));
+    t.equal(utils.imageConfigStr(img), JSON.stringify(img.image),
+        'serialized config with the same digest');
+    t.end();
+});
+
+
+test('imageSaveLayout', function (tt) {
+    var base = fakeImg(new Array(65).join('1'), [BASE_LAYER]);
+    var child = fakeImg(new Array(65).join('2'), [BASE_LAYER, TOP_LAYER]);
+
+    tt.test('  one tagged image', function (t) {
+        var layout = utils.imageSaveLayout([
+            {configStr: '{"config": {}}', img: base,
+                repoTags: ['busybox:latest']}
+        ]);
+
+        t.deepEqual(layout.configs, [ {
+            name: new Array(65).join('1') + '.json',
+            data: '{"config": {}}'
+        } ], 'original config written');
+        t.equal(layout.layers.length, 1);
+        t.equal(layout.layers[0].digest, BASE_LAYER);
+        t.equal(layout.layers[0].index, 0);
+        t.equal(layout.layers[0].img, base);
+        t.deepEqual(layout.manifest, [ {
+            Config: new Array(65).join('1') + '.json',
+            RepoTags: ['busybox:latest'],
+            Layers: [new Array(65).join('a') + '/layer.tar']
+        } ]);
+        t.end();
+    });
+
+    tt.test('  shared layers are only saved once', function (t) {
+        var layout = utils.imageSaveLayout([
+            {configStr: '{}', img: base, repoTags: []},
+            {configStr: '{}', img: child, repoTags: ['app:1.0', 'app:latest']}
+        ]);
+
+        t.deepEqual(layout.layers.map(function (l) {
+            return [l.name, l.index, l.img];
+        }), [
+            [new Array(65).join('a') + '/layer.tar', 0, base],
+            [new Array(65).join('b') + '/layer.tar', 1, child]
+        ]);
+        t.equal(layout.manifest[0].RepoTags, null, 'untagged image');
+        t.deepEqual(layout.manifest[1].RepoTags, ['app:1.0', 'app:latest']);
+        t.deepEqual(layout.manifest[1].Layers, [
+            new Array(65).join('a') + '/layer.tar',
+            new Array(65).join('b') + '/layer.tar'
+        ]);
+        t.end();
+    });
+});
+
+
+test('imageLoadManifestStr', function (t) {
+    var configDigest = 'sha256:' + new Array(65).join('1');
+    var manifest = JSON.parse(utils.imageLoadManifestStr(configDigest, 1500, [
+        {compression: 'none', digest: BASE_LAYER, size: 10240},
+        {compression: 'gzip', digest: TOP_LAYER, size: 2048}
+    ]));
+
+    t.deepEqual(manifest, {
+        schemaVersion: 2,
+        mediaType: 'application/vnd.docker.distribution.manifest.v2+json',
+        config: {
+            mediaType: 'application/vnd.docker.container.image.v1+json',
+            size: 1500,
+            digest: configDigest
+        },
+        layers: [ {
+            mediaType: 'application/vnd.docker.image.rootfs.diff.tar',
+            size: 10240,
+            digest: BASE_LAYER
+        }, {
+            mediaType: 'application/vnd.docker.image.rootfs.diff.tar.gzip',
+            size: 2048,
+            digest: TOP_LAYER
+        } ]
+    });
+    t.end();
+});
+
+
+test('compressionFromMagic', function (t) {
+    [
+        [ [0x1f, 0x8b, 0x08, 0x00], 'gzip' ],
+        [ [0x42, 0x5a, 0x68, 0x39], 'bzip2' ],
+        [ [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], 'xz' ],
+        [ [0x62, 0x69, 0x6e, 0x2f], 'none' ]
+    ].forEach(function (c) {
+        t.equal(utils.compressionFromMagic(new Buffer(c[0])), c[1], c[1]);
+    });
+    t.equal(utils.compressionFromMagic(undefined), 'none', 'empty file');
+    t.end();
+});
+
+
+test('imageImportConfig', function (tt) {
+    var imageImportConfig = utils.imageImportConfig;
+
+    tt.test('  no changes', function (t) {
+        t.deepEqual(imageImportConfig([]), {
+            Cmd: null,
+            Env: null,
+            ExposedPorts: null,
+            Labels: null,
+            WorkingDir: ''
+        });
+        t.end();
+    });
+
+    tt.test('  changes', function (t) {
+        t.deepEqual(imageImportConfig([
+            'CMD ["/bin/sh", "-c", "echo hi"]',
+            'ENV PATH=/usr/bin:/bin FOO="a b"',
+            'ENV FOO bar baz',
+            'EXPOSE 80 53/udp',
+            'LABEL com.example.vendor="ACME Inc" version=1.0',
+            'WORKDIR /app'
+        ]), {
+            Cmd: ['/bin/sh', '-c', 'echo hi'],
+            Env: ['PATH=/usr/bin:/bin', 'FOO=bar baz'],
+            ExposedPorts: {'80/tcp': {}, '53/udp': {}},
+            Labels: {'com.example.vendor': 'ACME Inc', version: '1.0'},
+            WorkingDir: '/app'
+        });
+        t.deepEqual(imageImportConfig(['cmd node server.js']).Cmd,
+            ['/bin/sh', '-c', 'node server.js'], 'shell form CMD');
+        t.end();
+    });
+
+    tt.test('  invalid changes', function (t) {
+        [
+            ['RUN make', 'RUN is not a valid change command'],
+            ['CMD', 'CMD requires an argument'],
+            ['CMD ["sh", 1]', 'invalid CMD: ["sh", 1]'],
+            ['EXPOSE 80000', 'invalid port for EXPOSE: 80000'],
+            ['ENV =a', 'ENV names can not be blank and must be followed by '
+                + '"=": =a'],
+            ['LABEL foo', 'LABEL requires a value for foo'],
+            ['WORKDIR', 'WORKDIR requires exactly one argument']
+        ].forEach(function (c) {
+            var config = imageImportConfig([c[0]]);
+            t.ok(config instanceof Error, c[0]);
+            t.equal(config.message, c[1]);
+        });
+        t.end();
+    });
+});
+
+
+test('reference filter', function (t) {
+    var repoTags = ['myrepo/web:v1.2', 'myrepo/web:latest'];
+
+    function matches(pattern, tags) {
+        var re = utils.parseReferenceFilter(pattern);
+        t.ifError(re instanceof Error ? re : null, 'parse ' + pattern);
+        return utils.referenceFilterMatches(re, tags || repoTags);
+    }
+
+    t.ok(matches('myrepo/web'), 'repository');
+    t.ok(matches('myrepo/web:latest'), 'repo:tag');
+    t.ok(matches('myrepo/*:v1*'), 'glob on repository and tag');
+    t.ok(matches('myrepo/web:v?.[0-9]'), '? and character class');
+    t.notOk(matches('myrepo'), 'repository prefix');
+    t.notOk(matches('*:v1*'), '* does not match /');
+    t.notOk(matches('myrepo/web:v2*'), 'other tag');
+    t.notOk(matches('*', ['<none>:<none>']), 'untagged image');
+    t.ok(utils.parseReferenceFilter('web:[v1') instanceof Error,
+        'unterminated character class');
+
+    t.end();
+});
+
+
+test('isPublicAddress', function (t) {
+    [
+        ['8.8.8.8', true],
+        ['172.32.0.1', true],
+        ['2001:db8::1', true],
+        ['::ffff:8.8.8.8', true],
+        ['10.99.99.7', false],
+        ['127.0.0.1', false],
+        ['169.254.169.254', false],
+        ['172.16.5.4', false],
+        ['192.168.1.1', false],
+        ['100.64.0.1', false],
+        ['0.0.0.0', false],
+        ['224.0.0.1', false],
+        ['::1', false],
+        ['fe80::1', false],
+        ['fd00::1', false],
+        ['::ffff:10.0.0.1', false],
+        ['example.com', false]
+    ].forEach(function (c) {
+        t.equal(utils.isPublicAddress(c[0]), c[1], c[0]);
+    });
+    t.end();
+});
+
+
+test('httpGetStream', function (tt) {
+    [
+        'http://127.0.0.1:2375/images/json',
+        'http://[::1]/',
+        'https://localhost/rootfs.tar',
+        'http://169.254.169.254/latest/meta-data/'
+    ].forEach(function (url) {
+        tt.test('  ' + url, function (t) {
+            images.httpGetStream(url, function (err) {
+                t.ok(err && /not a public address/.test(err.message),
+                    'refused: ' + (err && err.message));
+                t.end();
+            });
+        });
+    });
+
+    tt.test('  unsupported protocol', function (t) {
+        images.httpGetStream('ftp://ftp.example.com/rootfs.tar',
+            function (err) {
+            t.ok(err && /unsupported URL protocol/.test(err.message),
+                err && err.message);
+            t.end();
+        });
+    });
+});
+
+
+test('spoolLayerFile', function (tt) {
+    var filePath = path.join(os.tmpdir(),
+        'spool-layer-file-test-' + process.pid + '.tar');
+
+    tt.test('  tarball', function (t) {
+        var source = new stream.PassThrough();
+
+        images.spoolLayerFile(source, filePath, function (err, file) {
+            t.ifError(err);
+            t.deepEqual(file, {
+                compression: 'gzip',
+                digest: 'sha256:' + crypto.createHash('sha256')
+                    .update(new Buffer([0x1f, 0x8b, 0x08, 0x00]))
+                    .digest('hex'),
+                path: filePath,
+                size: 4
+            });
+            t.equal(fs.statSync(filePath).size, 4, 'file written');
+            t.end();
+        });
+        source.end(new Buffer([0x1f, 0x8b, 0x08, 0x00]));
+    });
+
+    tt.test('  source error', function (t) {
+        var calls = 0;
+        var source = new stream.PassThrough();
+
+        images.spoolLayerFile(source, filePath, function (err) {
+            calls++;
+            t.equal(err && err.message, 'connection reset', 'error');
+            setImmediate(function () {
+                t.equal(calls, 1, 'called back once');
+                t.end();
+            });
+        });
+        source.write('partial');
+        source.emit('error', new Error('connection reset'));
+    });
+
+    tt.test('  aborted', function (t) {
+        var source = new stream.PassThrough();
+
+        images.spoolLayerFile(source, filePath, function (err) {
+            t.ok(err && /connection closed/.test(err.message),
+                err && err.message);
+            t.end();
+        });
+        source.write('partial');
+        source.emit('aborted');
+    });
+
+    tt.test('  teardown', function (t) {
+        fs.unlink(filePath, function () {
+            t.end();
+        });
+    });
+});
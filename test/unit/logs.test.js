@@ -0,0 +1,139 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the `since`, `until` and `tail` params of `GET /containers/:id/logs`
+ * (lib/endpoints/containers.js), which are passed to the backend's log reader.
+ */
+
+var test = require('tape');
+
+var containers = require('../../lib/endpoints/containers');
+var endpoints = require('../lib/endpoints');
+
+
+var LOG = {
+    debug: function () {},
+    error: function () {},
+    trace: function () {}
+};
+
+
+var containerLogs = endpoints.endpointHandlers(containers).ContainerLogs;
+
+
+/*
+ * Calls the logs endpoint with the given query, and calls back with
+ * `function (err, payload)`, `payload` being what's sent to the backend's
+ * `containerLogs`.
+ */
+function getLogs(query, callback) {
+    var payload;
+
+    containerLogs({
+        backend: {
+            containerLogs: function (opts, cb) {
+                payload = opts.payload;
+                cb();
+            }
+        },
+        connection: {setTimeout: function () {}},
+        getId: function () { return 'req1'; },
+        log: LOG,
+        params: {id: 'abcdef012345'},
+        query: query,
+        socket: {write: function () {}}
+    }, {}, function (err) {
+        callback(err, payload);
+    });
+}
+
+
+test('logs defaults', function (t) {
+    getLogs({}, function (err, payload) {
+        t.equal(err, false, 'response ended by the handler');
+        t.equal(payload.Tail, 'all', 'Tail');
+        t.equal(payload.Since, undefined, 'no Since');
+        t.equal(payload.Until, undefined, 'no Until');
+        t.end();
+    });
+});
+
+
+test('logs since and until', function (tt) {
+    [
+        ['1500000000', 1500000000],
+        ['1500000000.25', 1500000000.25],
+        ['2017-07-14T02:40:00Z', 1500000000],
+        ['2017-07-14T02:40:00.5Z', 1500000000.5],
+        ['2017-07-14T04:40:00+02:00', 1500000000]
+    ].forEach(function (c) {
+        tt.test('  ' + c[0], function (t) {
+            getLogs({since: c[0], until: c[0]}, function (err, payload) {
+                t.equal(err, false, 'no error');
+                t.equal(payload.Since, c[1], 'Since');
+                t.equal(payload.Until, c[1], 'Until');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('  duration', function (t) {
+        var start = Date.now();
+
+        getLogs({since: '10m'}, function (err, payload) {
+            var since = payload.Since * 1000 + 10 * 60 * 1000;
+
+            t.equal(err, false, 'no error');
+            t.ok(since >= start && since <= Date.now(),
+                'Since is 10 minutes before the request');
+            t.end();
+        });
+    });
+});
+
+
+test('logs tail', function (tt) {
+    [
+        ['', 'all'],
+        ['all', 'all'],
+        ['0', 0],
+        ['100', 100]
+    ].forEach(function (c) {
+        tt.test('  ' + JSON.stringify(c[0]), function (t) {
+            getLogs({tail: c[0]}, function (err, payload) {
+                t.equal(err, false, 'no error');
+                t.equal(payload.Tail, c[1], 'Tail');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('logs invalid params', function (tt) {
+    [
+        [ {since: 'yesterday'}, /invalid value for "since": "yesterday"/ ],
+        [ {until: '2017-13-45T99:00:00Z'}, /invalid value for "until"/ ],
+        [ {tail: 'ten'}, /invalid value for "tail": "ten"/ ],
+        [ {tail: '-1'}, /invalid value for "tail": "-1"/ ],
+        [ {tail: '1.5'}, /invalid value for "tail": "1.5"/ ]
+    ].forEach(function (c) {
+        tt.test('  ' + JSON.stringify(c[0]), function (t) {
+            getLogs(c[0], function (err, payload) {
+                t.ok(err, 'error');
+                t.equal(err.statusCode, 400, '400 Bad Request');
+                t.ok(c[1].test(err.message), err.message);
+                t.equal(payload, undefined, 'logs not read');
+                t.end();
+            });
+        });
+    });
+});
@@ -0,0 +1,332 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the `docker network create` helpers of lib/backends/sdc/utils.js, and
+ * the docker network objects of lib/backends/sdc/networks.js.
+ */
+
+var test = require('tape');
+
+var FakeMoray = require('../lib/fake-moray');
+var NetworkModel = require('../../lib/models/network');
+var networks = require('../../lib/backends/sdc/networks');
+var utils = require('../../lib/backends/sdc/utils');
+var fabricNetworkParams = utils.fabricNetworkParams;
+
+
+test('fabricNetworkParams', function (tt) {
+    tt.test('  defaults', function (t) {
+        t.deepEqual(fabricNetworkParams({Name: 'dev'}, []), {
+            vlan_id: undefined,
+            params: {
+                gateway: '192.168.0.1',
+                internet_nat: true,
+                name: 'dev',
+                provision_end_ip: '192.168.0.254',
+                provision_start_ip: '192.168.0.1',
+                subnet: '192.168.0.0/24'
+            }
+        });
+        t.end();
+    });
+
+    tt.test('  free subnet is picked', function (t) {
+        var parsed = fabricNetworkParams({Name: 'dev'},
+            ['192.168.0.0/23', '192.168.3.0/24', '10.0.0.0/8']);
+        t.equal(parsed.params.subnet, '192.168.2.0/24');
+        t.end();
+    });
+
+    tt.test('  subnet, gateway, range and options', function (t) {
+        t.deepEqual(fabricNetworkParams({
+            IPAM: {
+                Config: [ {
+                    Gateway: '10.10.0.254',
+                    IPRange: '10.10.0.64/26',
+                    Subnet: '10.10.0.0/24'
+                } ],
+                Driver: 'default'
+            },
+            Internal: true,
+            Name: 'backend',
+            Options: {
+                'com.docker.network.driver.mtu': '1400',
+                vlan: '5'
+            }
+        }, ['192.168.0.0/24']), {
+            vlan_id: 5,
+            params: {
+                gateway: '10.10.0.254',
+                internet_nat: false,
+                mtu: 1400,
+                name: 'backend',
+                provision_end_ip: '10.10.0.127',
+                provision_start_ip: '10.10.0.64',
+                subnet: '10.10.0.0/24'
+            }
+        });
+        t.end();
+    });
+
+    tt.test('  invalid params', function (t) {
+        [
+            [ {EnableIPv6: true}, 'IPv6 networks are not supported' ],
+            [ {IPAM: {Config: [ {Subnet: '10.0.0.0/24'},
+                {Subnet: '10.0.1.0/24'} ]}},
+                'only one IPAM config (subnet) per network is supported' ],
+            [ {IPAM: {Config: [ {Subnet: '10.0.0.0'} ]}},
+                'invalid subnet "10.0.0.0": must be an IPv4 CIDR between /8 '
+                + 'and /30' ],
+            [ {IPAM: {Config: [ {Subnet: '192.168.0.128/25'} ]}},
+                'subnet 192.168.0.128/25 overlaps with another network on '
+                + 'the same VLAN' ],
+            [ {IPAM: {Config: [ {Gateway: '10.0.0.1'} ]}},
+                'an IP range or gateway requires a subnet' ],
+            [ {IPAM: {Config: [ {Gateway: '10.0.1.1',
+                Subnet: '10.0.0.0/24'} ]}},
+                'invalid gateway "10.0.1.1": must be an address of the '
+                + 'subnet' ],
+            [ {IPAM: {Config: [ {IPRange: '10.0.0.0/16',
+                Subnet: '10.0.0.0/24'} ]}},
+                'invalid IP range "10.0.0.0/16": must be a CIDR within the '
+                + 'subnet' ],
+            [ {Options: {vlan: 'abc'}},
+                'invalid vlan option "abc": must be a number between 0 and '
+                + '4095' ]
+        ].forEach(function (c) {
+            var params = c[0];
+            params.Name = 'dev';
+
+            var parsed = fabricNetworkParams(params, ['192.168.0.0/24']);
+            t.ok(parsed instanceof Error, JSON.stringify(c[0]));
+            t.equal(parsed.message, c[1]);
+        });
+        t.end();
+    });
+});
+
+
+test('inspectNetworksFromVmobj', function (tt) {
+    var inspectNetworksFromVmobj = utils.inspectNetworksFromVmobj;
+    var vmobj = {
+        internal_metadata: {
+            'docker:networkconfig': JSON.stringify({
+                'a9d1d7ec-0c57-4a9a-9f5e-3e3f8bfa4e1d': {
+                    Aliases: ['db'],
+                    IPAMConfig: {IPv4Address: '10.10.0.20'}
+                }
+            })
+        },
+        nics: [ {
+            gateway: '192.168.128.1',
+            ip: '192.168.128.5',
+            mac: '90:b8:d0:2f:b8:f9',
+            netmask: '255.255.252.0',
+            network_uuid: '0e9f6bb1-c2ec-4d5a-9c31-0b4b1b6ea1c2',
+            primary: true
+        }, {
+            ip: '10.10.0.20',
+            mac: '90:b8:d0:ac:f2:13',
+            netmask: '255.255.255.0',
+            network_uuid: 'a9d1d7ec-0c57-4a9a-9f5e-3e3f8bfa4e1d'
+        } ]
+    };
+
+    tt.test('  networks keyed by name', function (t) {
+        var networks = inspectNetworksFromVmobj(vmobj, {
+            '0e9f6bb1-c2ec-4d5a-9c31-0b4b1b6ea1c2': 'My-Fabric-Network',
+            'a9d1d7ec-0c57-4a9a-9f5e-3e3f8bfa4e1d': 'dev-net'
+        });
+
+        t.deepEqual(Object.keys(networks).sort(),
+            ['My-Fabric-Network', 'dev-net']);
+        t.deepEqual(networks['My-Fabric-Network'], {
+            Aliases: null,
+            EndpointID: '90b8d02fb8f9',
+            Gateway: '192.168.128.1',
+            GlobalIPv6Address: '',
+            GlobalIPv6PrefixLen: 0,
+            IPAMConfig: null,
+            IPAddress: '192.168.128.5',
+            IPPrefixLen: 22,
+            IPv6Gateway: '',
+            Links: null,
+            MacAddress: '90:b8:d0:2f:b8:f9',
+            NetworkID: utils.networkUuidToDockerId(
+                '0e9f6bb1-c2ec-4d5a-9c31-0b4b1b6ea1c2')
+        });
+        t.deepEqual(networks['dev-net'].Aliases, ['db']);
+        t.deepEqual(networks['dev-net'].IPAMConfig,
+            {IPv4Address: '10.10.0.20'});
+        t.equal(networks['dev-net'].Gateway, '');
+        t.end();
+    });
+
+    tt.test('  unknown network names and bad network config', function (t) {
+        var networks = inspectNetworksFromVmobj({
+            internal_metadata: {'docker:networkconfig': '{not json'},
+            nics: vmobj.nics
+        }, {});
+
+        t.deepEqual(Object.keys(networks).sort(), [
+            '0e9f6bb1-c2ec-4d5a-9c31-0b4b1b6ea1c2',
+            'a9d1d7ec-0c57-4a9a-9f5e-3e3f8bfa4e1d'
+        ]);
+        t.equal(networks['a9d1d7ec-0c57-4a9a-9f5e-3e3f8bfa4e1d'].Aliases,
+            null);
+        t.end();
+    });
+});
+
+
+test('napiNetworkToDockerNetwork', function (tt) {
+    var napiNetwork = {
+        fabric: true,
+        gateway: '10.10.0.1',
+        mtu: 8500,
+        name: 'backend',
+        subnet: '10.10.0.0/24',
+        uuid: 'a9d1d7ec-0c57-4a9a-9f5e-3e3f8bfa4e1d'
+    };
+    var model = new NetworkModel.Network({
+        created: 1500000000000,
+        labels: {tier: 'db'},
+        name: 'backend',
+        options: {'com.docker.network.driver.mtu': '1400', vlan: '5'},
+        owner_uuid: '930896af-bf8c-48d4-885c-6573a94b1853',
+        uuid: napiNetwork.uuid
+    });
+
+    tt.test('  network without a model', function (t) {
+        networks.napiNetworkToDockerNetwork(napiNetwork, {},
+            function (err, network) {
+            t.ifError(err);
+            t.deepEqual(network, {
+                Config: [ {Gateway: '10.10.0.1', Subnet: '10.10.0.0/24'} ],
+                Driver: 'Triton',
+                Id: utils.networkUuidToDockerId(napiNetwork.uuid),
+                IPAM: {Driver: 'default', Options: null},
+                Labels: {},
+                Name: 'backend',
+                Options: {'com.docker.network.driver.mtu': '8500'},
+                Scope: 'overlay'
+            });
+            t.end();
+        });
+    });
+
+    tt.test('  labels and options of the model', function (t) {
+        networks.napiNetworkToDockerNetwork(napiNetwork, {model: model},
+            function (err, network) {
+            t.ifError(err);
+            t.deepEqual(network.Labels, {tier: 'db'}, 'Labels');
+            t.deepEqual(network.Options, {
+                'com.docker.network.driver.mtu': '8500',
+                vlan: '5'
+            }, 'Options, with the NAPI mtu');
+            t.equal(model.options['com.docker.network.driver.mtu'], '1400',
+                'model options unchanged');
+            t.end();
+        });
+    });
+
+    tt.test('  inspectNetwork', function (t) {
+        var app = {config: {}, moray: new FakeMoray()};
+        var req = {
+            account: {uuid: model.owner_uuid},
+            app: app,
+            log: {debug: function () {}, trace: function () {}},
+            network: napiNetwork
+        };
+
+        NetworkModel.create(app, req.log, model.raw(), function (createErr) {
+            t.ifError(createErr);
+            networks.inspectNetwork({req: req}, function (err, network) {
+                t.ifError(err);
+                t.deepEqual(network.Labels, {tier: 'db'}, 'stored Labels');
+                t.equal(network.Options.vlan, '5', 'stored Options');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('deleteNetwork refusals', function (tt) {
+    var OWNER_UUID = '930896af-bf8c-48d4-885c-6573a94b1853';
+    var app = {
+        config: {datacenterName: 'coal'},
+        moray: new FakeMoray(),
+        ufds: {
+            getDcLocalConfig: function (uuid, dc, callback) {
+                callback(null, {
+                    defaultnetwork: 'a9d1d7ec-0c57-4a9a-9f5e-3e3f8bfa4e1d'
+                });
+            }
+        }
+    };
+    var log = {
+        debug: function () {},
+        trace: function () {},
+        warn: function () {}
+    };
+
+    function deleteNetwork(network, callback) {
+        networks.deleteNetwork({req: {
+            account: {uuid: OWNER_UUID},
+            app: app,
+            getId: function () { return 'req1'; },
+            log: log,
+            network: network
+        }}, callback);
+    }
+
+    tt.test('  network not created with docker', function (t) {
+        deleteNetwork({
+            fabric: true,
+            name: 'cloudapi-net',
+            owner_uuids: [OWNER_UUID],
+            uuid: '0e9f6bb1-c2ec-4d5a-9c31-0b4b1b6ea1c2'
+        }, function (err) {
+            t.ok(err, 'error');
+            t.equal(err.statusCode, 409, 'statusCode');
+            t.equal(err.message, 'network cloudapi-net was not created with '
+                + 'docker network create and cannot be removed');
+            t.end();
+        });
+    });
+
+    tt.test('  default network', function (t) {
+        var network = {
+            fabric: true,
+            name: 'My-Fabric-Network',
+            owner_uuids: [OWNER_UUID],
+            uuid: 'a9d1d7ec-0c57-4a9a-9f5e-3e3f8bfa4e1d'
+        };
+
+        NetworkModel.create(app, log, {
+            created: 1500000000000,
+            name: network.name,
+            owner_uuid: OWNER_UUID,
+            uuid: network.uuid
+        }, function (createErr) {
+            t.ifError(createErr);
+            deleteNetwork(network, function (err) {
+                t.ok(err, 'error');
+                t.equal(err.statusCode, 409, 'statusCode');
+                t.equal(err.message, 'network My-Fabric-Network is the '
+                    + 'default network of this account and cannot be '
+                    + 'removed');
+                t.end();
+            });
+        });
+    });
+});
@@ -0,0 +1,207 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test docker pause and unpause: the paused state of a VM (see
+ * lib/backends/sdc/utils.js), and how it's set by the backend, using a
+ * stand-in for VMAPI.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var test = require('tape');
+
+var containers = require('../../lib/backends/sdc/containers');
+var utils = require('../../lib/backends/sdc/utils');
+
+
+var BOOT_TIMESTAMP = '2018-01-01T00:00:00.000Z';
+var OWNER_UUID = 'a3b2ba0e-0d3e-4ac2-8c4f-a2e5f9e4e3b1';
+var LOG = {
+    debug: function () {},
+    error: function () {},
+    trace: function () {},
+    warn: function () {}
+};
+
+
+function mkVm(props) {
+    var vm = {
+        alias: 'web',
+        boot_timestamp: BOOT_TIMESTAMP,
+        internal_metadata: {
+            'docker:id': 'abcdef0123456789'
+        },
+        owner_uuid: OWNER_UUID,
+        state: 'running',
+        uuid: 'abcdef01-2345-6789-abcd-ef0123456789'
+    };
+
+    Object.keys(props || {}).forEach(function (key) {
+        vm[key] = props[key];
+    });
+    return vm;
+}
+
+
+/*
+ * A VMAPI recording the killVm and updateVm calls, as
+ * `[method, signal or update payload]`. Calls of `failing` fail.
+ */
+function mkApp(calls, failing) {
+    function call(method, arg, callback) {
+        calls.push([method, arg]);
+        if (method === failing) {
+            callback(new Error(method + ' failed'));
+            return;
+        }
+        callback(null, {});
+    }
+
+    return {
+        backend: {
+            recordEvent: function () {}
+        },
+        vmapi: {
+            killVm: function (params, headers, callback) {
+                call('killVm', params.signal, callback);
+            },
+            updateVm: function (params, headers, callback) {
+                call('updateVm', params.payload, callback);
+            }
+        }
+    };
+}
+
+
+test('isPausedVm', function (t) {
+    var paused = {'docker:paused': BOOT_TIMESTAMP};
+
+    t.ok(utils.isPausedVm(mkVm({internal_metadata: paused})), 'paused');
+    t.notOk(utils.isPausedVm(mkVm()), 'running');
+    t.notOk(utils.isPausedVm(mkVm({
+        boot_timestamp: '2018-01-02T00:00:00.000Z',
+        internal_metadata: paused
+    })), 'restarted since it was paused');
+    t.notOk(utils.isPausedVm(mkVm({internal_metadata: paused,
+        state: 'stopped'})), 'stopped');
+    t.notOk(utils.isPausedVm({state: 'running'}), 'no internal_metadata');
+    t.end();
+});
+
+
+test('vmMatchesStatusFilter', function (t) {
+    var paused = mkVm({internal_metadata: {'docker:paused': BOOT_TIMESTAMP}});
+    var running = mkVm();
+    var stopped = mkVm({state: 'stopped'});
+
+    t.ok(utils.vmMatchesStatusFilter(paused, 'paused'), 'paused: paused');
+    t.notOk(utils.vmMatchesStatusFilter(paused, 'running'),
+        'paused: not running');
+    t.ok(utils.vmMatchesStatusFilter(running, 'running'), 'running: running');
+    t.notOk(utils.vmMatchesStatusFilter(running, 'paused'),
+        'running: not paused');
+    t.ok(utils.vmMatchesStatusFilter(stopped, 'stopped'), 'exited: stopped');
+    t.notOk(utils.vmMatchesStatusFilter(stopped, 'paused'),
+        'exited: not paused');
+    t.end();
+});
+
+
+test('vmobjToContainer paused status', function (t) {
+    var app = {
+        // No links: an empty moray listing.
+        moray: {
+            findObjects: function () {
+                var req = new EventEmitter();
+                setImmediate(function () {
+                    req.emit('end');
+                });
+                return req;
+            }
+        }
+    };
+    var vmobj = mkVm({
+        boot_timestamp: new Date().toISOString(),
+        internal_metadata: {'docker:id': 'abcdef0123456789'}
+    });
+
+    vmobj.internal_metadata['docker:paused'] = vmobj.boot_timestamp;
+
+    utils.vmobjToContainer({app: app, log: LOG}, vmobj, [],
+        function (err, container) {
+            t.ifError(err);
+            t.ok(/^Up .* \(Paused\)$/.test(container.Status),
+                container.Status);
+            t.end();
+        });
+});
+
+
+test('pauseContainer', function (t) {
+    var calls = [];
+
+    containers.pauseContainer({
+        account: {uuid: OWNER_UUID},
+        app: mkApp(calls),
+        log: LOG,
+        req_id: 'req1',
+        vm: mkVm()
+    }, function (err) {
+        t.ifError(err);
+        t.deepEqual(calls, [
+            ['updateVm', {set_internal_metadata: {
+                'docker:paused': BOOT_TIMESTAMP}}],
+            ['killVm', 'SIGSTOP']
+        ], 'paused state recorded before stopping the processes');
+        t.end();
+    });
+});
+
+
+test('pauseContainer signal failure', function (t) {
+    var calls = [];
+
+    containers.pauseContainer({
+        account: {uuid: OWNER_UUID},
+        app: mkApp(calls, 'killVm'),
+        log: LOG,
+        req_id: 'req1',
+        vm: mkVm()
+    }, function (err) {
+        t.ok(err, 'error');
+        t.deepEqual(calls, [
+            ['updateVm', {set_internal_metadata: {
+                'docker:paused': BOOT_TIMESTAMP}}],
+            ['killVm', 'SIGSTOP'],
+            ['updateVm', {remove_internal_metadata: ['docker:paused']}]
+        ], 'paused state rolled back');
+        t.end();
+    });
+});
+
+
+test('unpauseContainer', function (t) {
+    var calls = [];
+
+    containers.unpauseContainer({
+        account: {uuid: OWNER_UUID},
+        app: mkApp(calls),
+        log: LOG,
+        req_id: 'req1',
+        vm: mkVm({internal_metadata: {'docker:paused': BOOT_TIMESTAMP}})
+    }, function (err) {
+        t.ifError(err);
+        t.deepEqual(calls, [
+            ['killVm', 'SIGCONT'],
+            ['updateVm', {remove_internal_metadata: ['docker:paused']}]
+        ], 'processes continued before the paused state is removed');
+        t.end();
+    });
+});
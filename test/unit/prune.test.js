@@ -0,0 +1,90 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the prune filters of lib/backends/sdc/utils.js.
+ */
+
+var test = require('tape');
+
+var utils = require('../../lib/backends/sdc/utils');
+
+
+var NOW = 1500000000000;
+
+
+test('parsePruneFilters', function (t) {
+    var parsed = utils.parsePruneFilters(undefined, {now: NOW});
+    t.deepEqual(parsed, {filters: {}, until: undefined}, 'no filters');
+
+    parsed = utils.parsePruneFilters(
+        '{"until":["1h"],"label":{"tier=front":true}}', {now: NOW});
+    t.deepEqual(parsed, {
+        filters: {label: ['tier=front'], until: ['1h']},
+        until: NOW - 60 * 60 * 1000
+    }, 'until and label filters');
+
+    parsed = utils.parsePruneFilters('{"dangling":["true"]}', {now: NOW});
+    t.ok(parsed instanceof Error, 'dangling is not allowed by default');
+    t.equal(parsed.message, 'Invalid filter \'dangling\'');
+
+    parsed = utils.parsePruneFilters('{"dangling":["true"]}',
+        {allowed: ['dangling'], now: NOW});
+    t.deepEqual(parsed.filters, {dangling: ['true']}, 'allowed filter');
+
+    parsed = utils.parsePruneFilters('{"until":["nope"]}', {now: NOW});
+    t.ok(parsed instanceof Error, 'invalid until');
+
+    parsed = utils.parsePruneFilters('{"until":', {now: NOW});
+    t.ok(parsed instanceof Error, 'invalid JSON');
+
+    t.end();
+});
+
+
+test('pruneFiltersMatch', function (t) {
+    var labels = {tier: 'front', ci: 'true'};
+
+    [
+        ['{}', true],
+        ['{"until":["1400000000"]}', false],
+        ['{"until":["1600000000"]}', true],
+        ['{"label":["tier"]}', true],
+        ['{"label":["tier=front","ci"]}', true],
+        ['{"label":["tier=back"]}', false],
+        ['{"label!":["ci"]}', false],
+        ['{"label!":["tier=back"]}', true]
+    ].forEach(function (c) {
+        var pruneFilters = utils.parsePruneFilters(c[0], {now: NOW});
+        t.equal(utils.pruneFiltersMatch(pruneFilters, NOW, labels), c[1],
+            c[0]);
+    });
+
+    t.equal(utils.pruneFiltersMatch(
+        utils.parsePruneFilters('{"label":["tier"]}', {now: NOW}), NOW),
+        false, 'no labels');
+
+    t.end();
+});
+
+
+test('labelFilterMatches', function (t) {
+    var labels = {tier: 'front', ci: ''};
+
+    t.ok(utils.labelFilterMatches('tier', labels), 'label name');
+    t.ok(utils.labelFilterMatches('ci', labels), 'empty label value');
+    t.ok(utils.labelFilterMatches('tier=front', labels), 'label value');
+    t.ok(utils.labelFilterMatches('ci=', labels), 'empty value');
+    t.notOk(utils.labelFilterMatches('tier=back', labels), 'other value');
+    t.notOk(utils.labelFilterMatches('team', labels), 'other label');
+    t.notOk(utils.labelFilterMatches('tier', null), 'no labels');
+
+    t.end();
+});
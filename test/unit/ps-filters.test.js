@@ -0,0 +1,108 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the `docker ps` filter helpers of lib/backends/sdc/utils.js.
+ */
+
+var test = require('tape');
+
+var utils = require('../../lib/backends/sdc/utils');
+
+
+var VM_UUID = '8a6a4a25-8f5e-4f6e-9b0b-6f8b1c2c3d4e';
+var LOG = {
+    debug: function () {},
+    error: function () {},
+    trace: function () {}
+};
+
+
+test('parsePortFilter', function (t) {
+    t.deepEqual(utils.parsePortFilter('80'),
+        {proto: 'tcp', start: 80, end: 80}, 'port');
+    t.deepEqual(utils.parsePortFilter('53/udp'),
+        {proto: 'udp', start: 53, end: 53}, 'port and protocol');
+    t.deepEqual(utils.parsePortFilter('8000-8080/tcp'),
+        {proto: 'tcp', start: 8000, end: 8080}, 'port range');
+
+    ['', 'http', '80/sctp', '0', '70000', '90-80', '80-'].forEach(
+        function (val) {
+        t.ok(utils.parsePortFilter(val) instanceof Error,
+            'invalid: ' + JSON.stringify(val));
+    });
+
+    t.end();
+});
+
+
+test('containerPortsFromVmobj and portFilterMatches', function (t) {
+    var fwrules = [ {
+        enabled: true,
+        owner_uuid: '930896af-bf8c-48d4-885c-6573a94b1853',
+        rule: 'FROM any TO vm ' + VM_UUID + ' ALLOW tcp PORT 80',
+        uuid: 'e5e1a3b0-5d1d-4b0c-8a0a-8b8b0b3c7b1e'
+    } ];
+    var ports;
+    var vmobj = {
+        internal_metadata: {
+            'docker:tcp_unpublished_ports': '[8080]',
+            'docker:udp_unpublished_ports': '[53]'
+        },
+        uuid: VM_UUID
+    };
+
+    ports = utils.containerPortsFromVmobj({log: LOG}, vmobj, fwrules);
+    t.deepEqual(ports.publish, [ {port: 80, proto: 'tcp'} ], 'published');
+    t.deepEqual(ports.expose, [
+        {port: 80, proto: 'tcp'},
+        {port: 8080, proto: 'tcp'},
+        {port: 53, proto: 'udp'}
+    ], 'exposed');
+
+    t.ok(utils.portFilterMatches(utils.parsePortFilter('80'), ports.publish),
+        'publish=80');
+    t.notOk(utils.portFilterMatches(utils.parsePortFilter('8080'),
+        ports.publish), 'publish=8080');
+    t.ok(utils.portFilterMatches(utils.parsePortFilter('8000-9000'),
+        ports.expose), 'expose=8000-9000');
+    t.ok(utils.portFilterMatches(utils.parsePortFilter('53/udp'),
+        ports.expose), 'expose=53/udp');
+    t.notOk(utils.portFilterMatches(utils.parsePortFilter('53'),
+        ports.expose), 'expose=53 (tcp)');
+
+    t.end();
+});
+
+
+test('vmobjHasVolume', function (t) {
+    var vmobj = {
+        filesystems: [ {
+            source: '/zones/' + VM_UUID + '/volumes/'
+                + 'c0a9c2f1-7a47-4b8e-8a8c-2e0e6b1a9d3f',
+            target: '/data',
+            type: 'lofs'
+        } ],
+        volumes: [ {
+            mountpoint: '/shared',
+            name: 'shared-vol'
+        } ]
+    };
+
+    t.ok(utils.vmobjHasVolume(vmobj, '/data'), 'local volume mount point');
+    t.ok(utils.vmobjHasVolume(vmobj,
+        'c0a9c2f1-7a47-4b8e-8a8c-2e0e6b1a9d3f'), 'local volume id');
+    t.ok(utils.vmobjHasVolume(vmobj, 'shared-vol'), 'shared volume name');
+    t.ok(utils.vmobjHasVolume(vmobj, '/shared'), 'shared volume mount point');
+    t.notOk(utils.vmobjHasVolume(vmobj, 'other'), 'other volume');
+    t.notOk(utils.vmobjHasVolume({}, '/data'), 'no volumes');
+
+    t.end();
+});
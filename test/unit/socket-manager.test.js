@@ -0,0 +1,140 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the stale socket reaping and session listing of lib/socket-manager.js.
+ */
+
+var test = require('tape');
+
+var SocketManager = require('../../lib/socket-manager');
+
+
+var OWNER_UUID = '930896af-bf8c-48d4-885c-6573a94b1853';
+var OTHER_OWNER_UUID = 'f2a7b1a2-4d6f-4a0e-9f1c-2b6f0e8c3d41';
+var MINUTE = 60 * 1000;
+
+
+// A logger recording the warnings.
+function TestLog() {
+    this.warnings = [];
+}
+
+TestLog.prototype.debug = function () {};
+TestLog.prototype.info = function () {};
+TestLog.prototype.trace = function () {};
+TestLog.prototype.warn = function (obj) {
+    this.warnings.push(obj);
+};
+
+
+// A CN connection, counting bytes as a net.Socket does.
+function FakeSocket(bytesRead, bytesWritten) {
+    this.bytesRead = bytesRead;
+    this.bytesWritten = bytesWritten;
+    this.destroyed = false;
+}
+
+FakeSocket.prototype.destroy = function () {
+    this.destroyed = true;
+};
+
+
+// Makes an entry look like it's had no activity for `mins` minutes.
+function setIdle(sockets, type, id, mins) {
+    sockets.activity[type][id].created = Date.now() - mins * MINUTE;
+    sockets.activity[type][id].lastActive = Date.now() - mins * MINUTE;
+}
+
+
+test('listSessions', function (t) {
+    var sockets = new SocketManager({log: new TestLog()});
+
+    sockets.setSocket('exec', 'exec1', {
+        ContainerID: 'container1',
+        owner_uuid: OWNER_UUID,
+        socket: new FakeSocket(10, 20)
+    });
+    sockets.setSocket('job', 'job1', {
+        owner_uuid: OTHER_OWNER_UUID,
+        socket: {}
+    });
+    setIdle(sockets, 'exec', 'exec1', 2);
+
+    t.deepEqual(sockets.listSessions({owner_uuid: OWNER_UUID}), [ {
+        age: 120,
+        bytesRead: 10,
+        bytesWritten: 20,
+        container_id: 'container1',
+        id: 'exec1',
+        idle: 0,
+        open: true,
+        owner_uuid: OWNER_UUID,
+        type: 'exec'
+    } ], 'sessions of the account, with traffic since the last check');
+
+    t.deepEqual(sockets.listSessions().map(function (session) {
+        return session.id;
+    }), ['exec1', 'job1'], 'sessions of all accounts');
+
+    t.end();
+});
+
+
+test('reap', function (t) {
+    var log = new TestLog();
+    var sockets = new SocketManager({
+        config: {exec: {idleTimeoutMins: 30}},
+        log: log
+    });
+    var busy = new FakeSocket(0, 0);
+    var idle = new FakeSocket(5, 5);
+
+    sockets.setSocket('exec', 'busy', {socket: busy});
+    sockets.setSocket('exec', 'idle', {socket: idle});
+    sockets.setSocket('exec', 'finished', {});
+    sockets.setSocket('exec', 'recent', {});
+    sockets.setSocket('attach', 'closed', {socket: new FakeSocket(1, 1)});
+    sockets.setSocket('job', 'job1', {socket: {}});
+    sockets.pushResize('container1', {w: 80, h: 24});
+
+    // Prime the byte counts, then have traffic on the busy socket only.
+    sockets.listSessions();
+    busy.bytesRead = 100;
+    sockets.sockets.attach.closed.socket.destroyed = true;
+
+    ['busy', 'idle'].forEach(function (id) {
+        setIdle(sockets, 'exec', id, 31);
+    });
+    setIdle(sockets, 'exec', 'finished', 61);
+    setIdle(sockets, 'exec', 'recent', 59);
+    setIdle(sockets, 'attach', 'closed', 11);
+    setIdle(sockets, 'job', 'job1', 23 * 60);
+    sockets.resizeTimes.container1 = Date.now() - 11 * MINUTE;
+
+    sockets.reap(function (err, count) {
+        t.ifError(err);
+        t.equal(count, 3, 'reaped count');
+        t.deepEqual(Object.keys(sockets.sockets.exec), ['busy', 'recent'],
+            'active and recent execs kept');
+        t.deepEqual(sockets.sockets.attach, {}, 'closed attach reaped');
+        t.ok(sockets.sockets.job.job1, 'job kept');
+        t.ok(idle.destroyed, 'idle connection closed');
+        t.notOk(busy.destroyed, 'busy connection left open');
+        t.deepEqual(log.warnings.map(function (warning) {
+            return [warning.type, warning.id, warning.reason];
+        }), [
+            ['attach', 'closed', 'ttl'],
+            ['exec', 'idle', 'idle']
+        ], 'suspected leaks logged');
+        t.notOk(sockets.popResize('container1'), 'unused resize dropped');
+        t.end();
+    });
+});
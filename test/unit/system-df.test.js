@@ -0,0 +1,101 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the `GET /system/df` aggregation of lib/backends/sdc/utils.js.
+ */
+
+var test = require('tape');
+
+var utils = require('../../lib/backends/sdc/utils');
+
+
+var IMG_ID = 'sha256:'
+    + '8f1b4e9ad5c4f6d5e2f1a3b4c5d6e7f8091a2b3c4d5e6f708192a3b4c5d6e7f8';
+var IMG_ID2 = 'sha256:'
+    + '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+var GiB = 1024 * 1024 * 1024;
+
+
+test('systemDfFromUsage', function (tt) {
+    tt.test('  empty account', function (t) {
+        t.deepEqual(utils.systemDfFromUsage({
+            containers: [],
+            images: [],
+            volumes: []
+        }), {
+            Containers: [],
+            Images: [],
+            LayersSize: 0,
+            Volumes: []
+        });
+        t.end();
+    });
+
+    tt.test('  images, containers and volumes', function (t) {
+        var containers = [
+            {
+                Id: 'c1',
+                ImageID: IMG_ID,
+                Mounts: [ {Name: 'data', Type: 'volume'} ],
+                SizeRootFs: 25 * GiB,
+                SizeRw: 25 * GiB
+            },
+            {
+                Id: 'c2',
+                ImageID: IMG_ID,
+                Mounts: [],
+                SizeRootFs: 50 * GiB,
+                SizeRw: 50 * GiB
+            }
+        ];
+        var df = utils.systemDfFromUsage({
+            containers: containers,
+            images: [
+                {Created: 1, Id: IMG_ID, RepoTags: ['nginx:latest'],
+                    Size: 1000, VirtualSize: 1000},
+                // Same image, listed once per tag.
+                {Created: 1, Id: IMG_ID, RepoTags: ['web:1'],
+                    Size: 1000, VirtualSize: 1000},
+                {Created: 2, Id: IMG_ID2, RepoTags: ['busybox:latest'],
+                    Size: 200, VirtualSize: 200}
+            ],
+            volumes: [
+                {filesystem_path: 'nfs://10.0.0.4/data', name: 'data',
+                    size: 10240, type: 'tritonnfs'},
+                {filesystem_path: 'nfs://10.0.0.5/logs', name: 'logs',
+                    size: 20480, type: 'tritonnfs'}
+            ]
+        });
+
+        t.equal(df.LayersSize, 1200, 'LayersSize');
+        t.equal(df.Containers, containers, 'Containers');
+        t.deepEqual(df.Images.map(function (img) {
+            return [img.RepoTags, img.Containers, img.SharedSize];
+        }), [
+            [ ['nginx:latest', 'web:1'], 2, 0 ],
+            [ ['busybox:latest'], 0, 0 ]
+        ], 'images listed once, with their tags and container counts');
+        t.deepEqual(df.Volumes[0], {
+            Driver: 'tritonnfs',
+            Labels: null,
+            Mountpoint: 'nfs://10.0.0.4/data',
+            Name: 'data',
+            Options: null,
+            Scope: 'global',
+            UsageData: {
+                RefCount: 1,
+                Size: 10 * GiB
+            }
+        }, 'volume');
+        t.equal(df.Volumes[1].UsageData.RefCount, 0, 'unused volume');
+        t.end();
+    });
+});
@@ -0,0 +1,153 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test `docker update`: the validation of the update, and the restart policy
+ * changes made by the backend, using a stand-in for VMAPI.
+ */
+
+var test = require('tape');
+
+var containers = require('../../lib/backends/sdc/containers');
+var validate = require('../../lib/validate');
+
+
+var LOG = {
+    debug: function () {},
+    error: function () {},
+    info: function () {},
+    trace: function () {},
+    warn: function () {}
+};
+var OWNER_UUID = 'a3b2ba0e-0d3e-4ac2-8c4f-a2e5f9e4e3b1';
+
+
+// Calls back with the error of `validate.updateContainer` for `body`.
+function validateUpdate(body, callback) {
+    validate.updateContainer({body: body}, {}, callback);
+}
+
+
+/*
+ * Runs `updateContainer` on a VM with the given internal_metadata, and calls
+ * back with the VMAPI update payloads.
+ */
+function update(internalMetadata, body, callback) {
+    var payloads = [];
+    var app = {
+        backend: {
+            recordEvent: function () {}
+        },
+        vmapi: {
+            updateVm: function (params, headers, cb) {
+                payloads.push(params.payload);
+                cb(null, {});
+            }
+        }
+    };
+
+    containers.updateContainer.call({config: {}, log: LOG}, {
+        account: {uuid: OWNER_UUID},
+        app: app,
+        clientApiVersion: 1.24,
+        log: LOG,
+        req_id: 'req1',
+        update: body,
+        vm: {
+            internal_metadata: internalMetadata,
+            uuid: 'abcdef01-2345-6789-abcd-ef0123456789'
+        }
+    }, function (err, warnings) {
+        callback(err, payloads, warnings);
+    });
+}
+
+
+test('restartPolicyToInternalMetadata', function (t) {
+    var toMetadata = containers.restartPolicyToInternalMetadata;
+
+    t.equal(toMetadata({Name: 'always'}), 'always', 'always');
+    t.equal(toMetadata({Name: 'on-failure'}), 'on-failure', 'on-failure');
+    t.equal(toMetadata({Name: 'on-failure', MaximumRetryCount: 3}),
+        'on-failure:3', 'on-failure with a retry count');
+    t.equal(toMetadata({Name: 'no'}), undefined, 'no');
+    t.equal(toMetadata({Name: '', MaximumRetryCount: 0}), undefined,
+        'empty name');
+    t.equal(toMetadata(undefined), undefined, 'no restart policy');
+    t.end();
+});
+
+
+test('validateUpdateContainer', function (t) {
+    var cases = [
+        [ {Memory: 128 * 1024 * 1024, MemorySwap: -1}, null ],
+        [ {RestartPolicy: {Name: '', MaximumRetryCount: 0}}, null ],
+        [ {RestartPolicy: {Name: 'on-failure', MaximumRetryCount: 5}}, null ],
+        [ {Memory: -1}, /Memory/ ],
+        [ {CpuShares: 1.5}, /CpuShares/ ],
+        [ {RestartPolicy: {Name: 'sometimes'}}, /RestartPolicy.Name/ ],
+        [ {RestartPolicy: {Name: 'always', MaximumRetryCount: 3}},
+            /maximum restart count not valid/ ],
+        [ {RestartPolicy: {Name: 'on-failure', MaximumRetryCount: -2}},
+            /RestartPolicy.MaximumRetryCount/ ]
+    ];
+
+    cases.forEach(function (c) {
+        validateUpdate(c[0], function (err) {
+            if (c[1]) {
+                t.ok(err && c[1].test(err.message),
+                    JSON.stringify(c[0]) + ': ' + (err && err.message));
+            } else {
+                t.ifError(err, JSON.stringify(c[0]));
+            }
+        });
+    });
+    t.end();
+});
+
+
+test('updateContainer restart policy', function (t) {
+    update({'docker:restartpolicy': 'always'}, {
+        RestartPolicy: {Name: 'on-failure', MaximumRetryCount: 2}
+    }, function (err, payloads) {
+        t.ifError(err);
+        t.deepEqual(payloads, [
+            {set_internal_metadata: {'docker:restartpolicy': 'on-failure:2'}}
+        ], 'restart policy set');
+        t.end();
+    });
+});
+
+
+test('updateContainer restart policy "no"', function (t) {
+    update({'docker:restartpolicy': 'always'}, {
+        RestartPolicy: {Name: 'no'}
+    }, function (err, payloads) {
+        t.ifError(err);
+        t.deepEqual(payloads, [
+            {remove_internal_metadata: ['docker:restartpolicy']}
+        ], 'restart policy removed');
+        t.end();
+    });
+});
+
+
+test('updateContainer without a restart policy name', function (t) {
+    // What the docker CLI sends for `docker update --cpu-shares 512 web`.
+    update({'docker:restartpolicy': 'always'}, {
+        CpuShares: 512,
+        RestartPolicy: {Name: '', MaximumRetryCount: 0}
+    }, function (err, payloads, warnings) {
+        t.ifError(err);
+        t.deepEqual(payloads, [], 'restart policy left as it is');
+        t.equal(warnings.length, 1, 'CpuShares warning');
+        t.end();
+    });
+});
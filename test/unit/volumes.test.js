@@ -0,0 +1,112 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the `docker volume ls` filters of lib/backends/sdc/volumes.js.
+ */
+
+var test = require('tape');
+
+var volumes = require('../../lib/backends/sdc/volumes');
+
+
+var VOLUMES = [
+    {
+        labels: {team: 'payments', tier: 'db'},
+        name: 'payments-db',
+        type: 'tritonnfs'
+    },
+    {
+        labels: {team: 'search'},
+        name: 'search-index',
+        type: 'tritonnfs'
+    },
+    {
+        name: 'scratch',
+        type: 'tritonnfs'
+    }
+];
+
+
+/*
+ * Lists VOLUMES with the given filters, calling back with the listed volume
+ * names and the VOLAPI request params (or null when VOLAPI wasn't called).
+ */
+function listVolumes(filters, callback) {
+    var reqParams = null;
+
+    volumes.listVolumes({filters: JSON.stringify(filters)}, {
+        account: {uuid: '930896af-bf8c-48d4-885c-6573a94b1853'},
+        app: {
+            volapi: {
+                listVolumes: function (params, opts, cb) {
+                    reqParams = params;
+                    cb(null, VOLUMES);
+                }
+            }
+        },
+        log: {
+            debug: function () {},
+            info: function () {}
+        },
+        reqId: 'c5c2d4e8-3e5a-4bb5-a9a2-4a7f0c4b1e5d'
+    }, function (err, vols) {
+        callback(err, vols && vols.map(function (vol) {
+            return vol.name;
+        }), reqParams);
+    });
+}
+
+
+test('listVolumes filters', function (t) {
+    var cases = [
+        [{}, ['payments-db', 'search-index', 'scratch']],
+        [{name: ['search']}, ['search-index']],
+        [{name: ['pay', 'scr']}, ['payments-db', 'scratch']],
+        [{driver: ['tritonnfs']}, ['payments-db', 'search-index', 'scratch']],
+        [{driver: ['local']}, []],
+        [{label: ['team']}, ['payments-db', 'search-index']],
+        [{label: ['team=payments']}, ['payments-db']],
+        [{label: ['team=payments', 'tier=web']}, []],
+        [{label: ['team'], name: ['index']}, ['search-index']]
+    ];
+
+    t.plan(cases.length * 2);
+    cases.forEach(function (c) {
+        listVolumes(c[0], function (err, names) {
+            t.ifError(err, JSON.stringify(c[0]));
+            t.deepEqual(names, c[1], JSON.stringify(c[0]));
+        });
+    });
+});
+
+
+test('listVolumes dangling filter', function (t) {
+    listVolumes({dangling: ['true']}, function (err, names, reqParams) {
+        t.ifError(err);
+        t.deepEqual(JSON.parse(reqParams.predicate), {
+            and: [
+                {eq: ['state', 'ready']},
+                {eq: ['dangling', true]}
+            ]
+        }, 'VOLAPI predicate');
+        t.end();
+    });
+});
+
+
+test('listVolumes invalid filter', function (t) {
+    listVolumes({size: ['10G']}, function (err, names, reqParams) {
+        t.ok(err, 'error');
+        t.equal(err.message, 'Invalid filter \'size\'');
+        t.equal(reqParams, null, 'VOLAPI not called');
+        t.end();
+    });
+});
@@ -0,0 +1,208 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test `POST /containers/:id/wait`: the wait conditions of the backend, using
+ * a stand-in for VMAPI, and the response of the endpoint.
+ */
+
+var test = require('tape');
+
+var backend = require('../../lib/backends/sdc/containers');
+var containers = require('../../lib/endpoints/containers');
+var endpoints = require('../lib/endpoints');
+
+
+var LOG = {
+    child: function () { return LOG; },
+    debug: function () {},
+    error: function () {},
+    trace: function () {}
+};
+var VM_UUID = 'abcdef01-2345-6789-abcd-ef0123456789';
+var containerWait = endpoints.endpointHandlers(containers).ContainerWait;
+
+
+/*
+ * Waits on a VM whose successive VMAPI states are `vms` (the last one is
+ * repeated), and calls back with `function (err, statusCode, polls)`.
+ */
+function wait(condition, vms, callback) {
+    var polls = 0;
+
+    backend.waitContainer({
+        account: {uuid: '930896af-bf8c-48d4-885c-6573a94b1853'},
+        app: {
+            vmapi: {
+                getVm: function (params, headers, cb) {
+                    var vm = vms[Math.min(polls, vms.length - 1)];
+
+                    polls++;
+                    if (vm instanceof Error) {
+                        cb(vm);
+                        return;
+                    }
+                    vm.uuid = VM_UUID;
+                    cb(null, vm);
+                }
+            }
+        },
+        condition: condition,
+        log: LOG,
+        req_id: 'req1',
+        vm: {uuid: VM_UUID}
+    }, function (err, statusCode) {
+        callback(err, statusCode, polls);
+    });
+}
+
+
+/*
+ * Calls the wait endpoint, with a backend calling back with `err` and
+ * `statusCode`, and calls back with `function (err, body)`.
+ */
+function waitEndpoint(query, clientApiVersion, err, statusCode, callback) {
+    var body;
+
+    containerWait({
+        account: {},
+        backend: {
+            waitContainer: function (opts, cb) {
+                cb(err, statusCode);
+            }
+        },
+        clientApiVersion: clientApiVersion,
+        getId: function () { return 'req1'; },
+        log: LOG,
+        query: query,
+        vm: {uuid: VM_UUID}
+    }, {
+        send: function (sent) {
+            body = sent;
+        }
+    }, function (nextErr) {
+        callback(nextErr, body);
+    });
+}
+
+
+test('waitContainer not-running', function (tt) {
+    tt.test('  stopped container', function (t) {
+        wait(undefined, [ {state: 'stopped', exit_status: 3} ],
+            function (err, statusCode, polls) {
+            t.ifError(err);
+            t.equal(statusCode, 3, 'exit status');
+            t.equal(polls, 1, 'returned right away');
+            t.end();
+        });
+    });
+
+    tt.test('  running container', function (t) {
+        wait('not-running', [
+            {state: 'running', boot_timestamp: 'boot1'},
+            {state: 'stopped', boot_timestamp: 'boot1', exit_status: 0}
+        ], function (err, statusCode, polls) {
+            t.ifError(err);
+            t.equal(statusCode, 0, 'exit status');
+            t.equal(polls, 2, 'waited for the container to stop');
+            t.end();
+        });
+    });
+
+    tt.test('  VMAPI error', function (t) {
+        wait('not-running', [new Error('VMAPI is down')], function (err) {
+            t.equal(err && err.message, 'VMAPI is down', 'error');
+            t.end();
+        });
+    });
+});
+
+
+test('waitContainer next-exit', function (t) {
+    wait('next-exit', [
+        {state: 'stopped', boot_timestamp: 'boot1', exit_status: 1},
+        {state: 'running', boot_timestamp: 'boot2'},
+        {state: 'stopped', boot_timestamp: 'boot2', exit_status: 7}
+    ], function (err, statusCode, polls) {
+        t.ifError(err);
+        t.equal(statusCode, 7, 'exit status of the next exit');
+        t.equal(polls, 3, 'waited for the container to start and stop');
+        t.end();
+    });
+});
+
+
+test('waitContainer removed', function (tt) {
+    tt.test('  container stopped then removed', function (t) {
+        wait('removed', [
+            {state: 'stopped', exit_status: 4},
+            {state: 'destroyed', exit_status: 4}
+        ], function (err, statusCode, polls) {
+            t.ifError(err);
+            t.equal(statusCode, 4, 'exit status');
+            t.equal(polls, 2, 'waited for the container to be removed');
+            t.end();
+        });
+    });
+
+    tt.test('  container removed while running', function (t) {
+        wait(undefined, [ {state: 'destroyed'} ], function (err, statusCode) {
+            t.ifError(err);
+            t.equal(statusCode, -1, 'no exit status');
+            t.end();
+        });
+    });
+});
+
+
+test('wait endpoint', function (tt) {
+    tt.test('  exit status', function (t) {
+        waitEndpoint({}, 1.30, null, 2, function (err, body) {
+            t.ifError(err);
+            t.deepEqual(body, {StatusCode: 2, Error: null});
+            t.end();
+        });
+    });
+
+    tt.test('  error in the body', function (t) {
+        waitEndpoint({condition: 'removed'}, 1.30, new Error('VMAPI is down'),
+            undefined, function (err, body) {
+            t.ifError(err);
+            t.deepEqual(body, {
+                StatusCode: -1,
+                Error: {Message: 'problem waiting for container to stop: '
+                    + 'VMAPI is down'}
+            });
+            t.end();
+        });
+    });
+
+    tt.test('  old clients', function (t) {
+        waitEndpoint({}, 1.24, null, 0, function (err, body) {
+            t.ifError(err);
+            t.deepEqual(body, {StatusCode: 0}, 'no Error');
+            waitEndpoint({}, 1.24, new Error('VMAPI is down'), undefined,
+                function (err2) {
+                t.equal(err2 && err2.statusCode, 500, 'error response');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('  invalid condition', function (t) {
+        waitEndpoint({condition: 'whenever'}, 1.30, null, 0,
+            function (err, body) {
+            t.ok(err && /invalid condition: "whenever"/.test(err.message),
+                err && err.message);
+            t.equal(body, undefined, 'no response');
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,81 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Test the WebSocket stream of lib/websocket.js.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var test = require('tape');
+var util = require('util');
+
+var websocket = require('../../lib/websocket');
+
+
+// A watershed "shed", recording the messages sent.
+function FakeShed() {
+    EventEmitter.call(this);
+    this.ended = false;
+    this.sent = [];
+}
+util.inherits(FakeShed, EventEmitter);
+
+FakeShed.prototype.send = function (msg) {
+    this.sent.push(msg);
+};
+
+FakeShed.prototype.end = function () {
+    this.ended = true;
+};
+
+
+test('isUpgradeRequest', function (t) {
+    t.ok(websocket.isUpgradeRequest({headers: {
+        'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==',
+        upgrade: 'WebSocket'
+    }}), 'websocket handshake');
+    t.notOk(websocket.isUpgradeRequest({headers: {upgrade: 'websocket'}}),
+        'no key');
+    t.notOk(websocket.isUpgradeRequest({headers: {
+        'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==',
+        upgrade: 'tcp'
+    }}), 'raw-stream upgrade');
+    t.notOk(websocket.isUpgradeRequest({headers: {}}), 'no upgrade');
+    t.end();
+});
+
+
+test('WebSocketStream', function (t) {
+    var received = [];
+    var shed = new FakeShed();
+    var ws = new websocket.WebSocketStream(shed);
+
+    ws.on('data', function (chunk) {
+        received.push(chunk.toString());
+    });
+    ws.on('end', function () {
+        t.deepEqual(received, ['ls\n', 'exit\n'], 'messages read');
+
+        // A two-byte character split across writes is sent whole.
+        ws.write('caf');
+        ws.write(new Buffer([0xc3]));
+        ws.write(new Buffer([0xa9]));
+        ws.end();
+    });
+    ws.on('finish', function () {
+        t.deepEqual(shed.sent, ['caf', 'é'], 'text messages sent');
+        t.ok(shed.ended, 'websocket closed');
+        t.end();
+    });
+
+    shed.emit('text', 'ls\n');
+    shed.emit('binary', new Buffer('exit\n'));
+    shed.emit('end');
+});